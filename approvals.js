@@ -0,0 +1,149 @@
+const to = require('await-to-js').default;
+const { isTestnet, parseUnits } = require('./deeperWallet/utils.js');
+const logger = require('./deeperWallet/log.js');
+
+// What to do when the client cannot ask a human (no elicitation capability)
+const ApprovalPolicies = {
+    DENY: 'deny',
+    THRESHOLD: 'threshold', // allow amounts up to the threshold, in human units of the asset
+    TESTNET: 'testnet', // allow on testnets only
+};
+
+const APPROVAL_TIMEOUT = 5 * 60 * 1000; // 5 min for a human to answer
+
+/**
+ * Read the fallback policy from --approval-policy / MCP_APPROVAL_POLICY and
+ * --approval-threshold / MCP_APPROVAL_THRESHOLD
+ * @param {Function} getArgValue - Command line flag reader
+ * @returns {{mode: string, threshold: string|null}}
+ */
+function getApprovalPolicy(getArgValue) {
+    const mode = (getArgValue('--approval-policy') || process.env.MCP_APPROVAL_POLICY || ApprovalPolicies.DENY).toLowerCase();
+    const threshold = getArgValue('--approval-threshold') || process.env.MCP_APPROVAL_THRESHOLD || null;
+    if (!Object.values(ApprovalPolicies).includes(mode)) {
+        throw new Error(`Invalid approval policy: ${mode}, expected one of ${Object.values(ApprovalPolicies).join(', ')}`);
+    }
+    // Validate early so a typo does not silently deny every transaction
+    if (mode === ApprovalPolicies.THRESHOLD && !/^\d+(\.\d+)?$/.test(threshold || '')) {
+        throw new Error(`Approval policy "threshold" requires a decimal --approval-threshold, got: ${threshold}`);
+    }
+    return { mode, threshold };
+}
+
+// Decide without a human, based on the operator's fallback policy
+function applyPolicy(policy, summary) {
+    switch (policy.mode) {
+        case ApprovalPolicies.TESTNET:
+            return isTestnet(summary.network)
+                ? { approved: true, reason: `allowed on testnet ${summary.network} by policy` }
+                : { approved: false, reason: `policy only allows signing on testnets, ${summary.network} is a mainnet` };
+        case ApprovalPolicies.THRESHOLD: {
+            const { amount } = summary;
+            if (!amount) {
+                return { approved: false, reason: 'the approval threshold only applies to transactions' };
+            }
+            if (typeof amount?.decimals !== 'number') {
+                return { approved: false, reason: 'amount decimals are unknown, cannot compare with the approval threshold' };
+            }
+            let limit;
+            try {
+                limit = parseUnits(policy.threshold, amount.decimals);
+            } catch (err) {
+                return { approved: false, reason: `approval threshold ${policy.threshold} cannot be applied: ${err.message}` };
+            }
+            return BigInt(amount.raw) <= BigInt(limit)
+                ? { approved: true, reason: `amount ${amount.formatted} is within the approval threshold ${policy.threshold}` }
+                : { approved: false, reason: `amount ${amount.formatted} exceeds the approval threshold ${policy.threshold}` };
+        }
+        default:
+            return { approved: false, reason: 'client does not support elicitation and the policy denies unattended signing' };
+    }
+}
+
+/**
+ * Ask a human to approve a signature through MCP elicitation, falling back to the policy
+ * when the client does not support it.
+ * @param {Object} server - McpServer the request came in on
+ * @param {Object} extra - Tool callback extra, used to route the elicitation to the calling request
+ * @param {Object} summary - Decoded summary of what will be signed
+ * @param {string} summary.network - Network name
+ * @param {Object} [summary.amount] - Amount being moved, see toAmount; absent for changes that move nothing
+ * @param {Array<string>} summary.lines - Human readable lines describing the transaction
+ * @param {string} [summary.title] - Question asked, defaults to approving a signature
+ * @param {string} [summary.action] - What approving does, defaults to applying the change when there is a title
+ * @param {{mode: string, threshold: string|null}} policy - Fallback policy
+ * @returns {Promise<{approved: boolean, reason: string}>}
+ */
+async function requestApproval(server, extra, summary, policy) {
+    if (!server.server.getClientCapabilities()?.elicitation) {
+        return applyPolicy(policy, summary);
+    }
+
+    const [err, result] = await to(server.server.elicitInput({
+        message: `${summary.title || 'Approve signing this transaction?'}\n${summary.lines.join('\n')}`,
+        requestedSchema: {
+            type: 'object',
+            properties: {
+                approve: {
+                    type: 'boolean',
+                    title: 'Approve',
+                    description: summary.action || (summary.title ? 'Apply this change' : 'Sign and broadcast this transaction'),
+                },
+            },
+            required: ['approve'],
+        },
+    }, { relatedRequestId: extra?.requestId, signal: extra?.signal, timeout: APPROVAL_TIMEOUT }));
+    if (err) {
+        logger.error(`Elicitation failed: ${err.message || err}`, { network: summary.network });
+        return { approved: false, reason: `approval request failed: ${err.message || err}` };
+    }
+    if (result.action !== 'accept') {
+        return { approved: false, reason: `user chose ${result.action}` };
+    }
+    return result.content?.approve === true
+        ? { approved: true, reason: 'approved by user' }
+        : { approved: false, reason: 'user did not approve' };
+}
+
+/**
+ * Ask the human for the wallet password through an MCP elicitation form, so that it never passes through
+ * tool arguments and the model never sees it. There is no fallback without elicitation
+ * @param {Object} server - McpServer the request came in on
+ * @param {Object} extra - Tool callback extra, used to route the elicitation to the calling request
+ * @param {string} message - Why the password is asked
+ * @returns {Promise<{password: string|null, reason: string}>} password is null when none was entered
+ */
+async function requestPassword(server, extra, message) {
+    if (!server.server.getClientCapabilities()?.elicitation) {
+        return { password: null, reason: 'client does not support elicitation, the password can only be entered in an elicitation form' };
+    }
+
+    const [err, result] = await to(server.server.elicitInput({
+        message,
+        requestedSchema: {
+            type: 'object',
+            properties: {
+                password: {
+                    type: 'string',
+                    title: 'Wallet password',
+                    description: 'Leave empty for a wallet imported without a password',
+                },
+            },
+        },
+    }, { relatedRequestId: extra?.requestId, signal: extra?.signal, timeout: APPROVAL_TIMEOUT }));
+    if (err) {
+        logger.error(`Elicitation failed: ${err.message || err}`);
+        return { password: null, reason: `password request failed: ${err.message || err}` };
+    }
+    if (result.action !== 'accept') {
+        return { password: null, reason: `user chose ${result.action}` };
+    }
+    return { password: typeof result.content?.password === 'string' ? result.content.password : '', reason: 'entered by user' };
+}
+
+module.exports = {
+    ApprovalPolicies,
+    getApprovalPolicy,
+    requestApproval,
+    requestPassword,
+};
@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const dotenv = require('dotenv');
+const to = require('await-to-js').default;
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { ElicitRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { loadAllDb, getDeeperWalletDb } = require('./deeperWallet/sqlite3.js');
+const { addAccount, importHdStore, disableSigning, signer, getChainType } = require('./deeperWallet');
+const { loadConfig, getConfig, describeConfig } = require('./deeperWallet/config.js');
+const { getApprovalPolicy } = require('./approvals.js');
+const { ServerModes, getServerMode } = require('./serverModes.js');
+const { getRecipientPolicy } = require('./recipients.js');
+const { getToolConfig } = require('./toolConfig.js');
+
+const USAGE = `Usage: node index.js [command] [arguments] [options]
+
+Commands:
+  serve                                          Serve MCP clients (default command), --transport stdio|http
+  accounts                                       List the wallet accounts
+  balance <network> <address>                    Balance of an address or contact, --contract <address> for a token
+  send <network> <to> <amount>                   Send to an address or contact, --contract <address> for a token,
+                                                 --from <address> to pick the sender, --yes to approve without asking,
+                                                 --idempotency-key <key> so that running it again does not pay twice;
+                                                 the wallet is unlocked with DEEPER_WALLET_PASSWORD (empty if unset)
+  quote <network> <tokenIn> <tokenOut> <amount>  Quote a Uniswap swap, --slippage <percent> (default 0.5)
+  selftest                                       Check the wallet, database, signer and network, --network <name> (default ETHEREUM)
+  config show                                    Print the configuration with secrets redacted
+
+Amounts are in human units (e.g. 0.5) unless --unit smallest is given.
+Every command accepts --config <file>, -m <mnemonic>, --mode, --approval-policy, --recipient-policy and --tools-config, see README.md.`;
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['--yes', '--help', '-h'];
+
+const DEFAULT_SELFTEST_NETWORK = 'ETHEREUM';
+
+// Helper function to read the value following a command line flag, e.g. "--port 3000"
+function getArgValue(flag) {
+    const index = process.argv.indexOf(flag);
+    return (index !== -1 && process.argv[index + 1]) ? process.argv[index + 1] : null;
+}
+
+// Split the command line into the command, its positional arguments and the flags
+function parseCommandLine(argv) {
+    const positionals = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (BOOLEAN_FLAGS.includes(arg)) {
+            flags[arg] = true;
+        } else if (arg.startsWith('-')) {
+            flags[arg] = argv[i + 1] ?? null;
+            i++;
+        } else {
+            positionals.push(arg);
+        }
+    }
+    const [command = 'serve', ...args] = positionals;
+    return { command, args, flags };
+}
+
+function hasExistingWallet() {
+    const walletDir = path.join(os.homedir(), '.deeperWallet');
+    console.warn(`Checking wallet directory: ${walletDir}`);
+    if (!fs.existsSync(walletDir)) return false;
+    console.warn(`Wallet directory exists: ${walletDir}`);
+
+    const jsonFiles = fs.readdirSync(walletDir).filter(f => f.endsWith('.json'));
+    return jsonFiles.some(file => {
+        try {
+            const filePath = path.join(walletDir, file);
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return data.id || data.version;
+        } catch {
+            return false;
+        }
+    });
+}
+
+function getMnemonicFromEnv() {
+    const envPath = path.resolve(__dirname, '.env');
+    if (fs.existsSync(envPath)) {
+        dotenv.config({ path: envPath, quiet: true });
+        return process.env.MNEMONIC;
+    }
+    console.warn('.env file not found in current directory');
+    return null;
+}
+
+// The keystore password, from the environment so that it never appears on the command line
+function getWalletPassword() {
+    return process.env.DEEPER_WALLET_PASSWORD || '';
+}
+
+async function initializeWallet(mnemonic) {
+    const password = getWalletPassword();
+    const res = await importHdStore(mnemonic, password, '', 'deeperWallet', true, 'MNEMONIC');
+    if (!res) {
+        console.error('Failed to import mnemonic and create wallet file.');
+        return false;
+    }
+    console.warn(`Mnemonic imported and wallet file created successfully ${JSON.stringify(res)}.`);
+
+    const addRes = await addAccount(password, signer.getSigner().chainTypes);
+    if (!addRes) {
+        console.error('Failed to add default account.');
+        return false;
+    }
+    console.warn(`Default account added successfully ${JSON.stringify(addRes)}.`);
+    return true;
+}
+
+// Import the mnemonic from -m or .env on first start, then open the databases. Diagnostics go to stderr,
+// stdout carries the MCP stdio transport or the command output
+async function prepareWallet() {
+    const { backend, persistent } = signer.getSigner();
+    if (backend !== signer.SignerBackends.BINARY) {
+        console.warn(`Signing with the ${backend} signer, not the hd-wallet binary`);
+    }
+    let mnemonic = getArgValue('-m');
+    // The mock needs no mnemonic, the software signer forgets its keys on exit
+    const needImportMnemonic = backend !== signer.SignerBackends.MOCK && (!persistent || !hasExistingWallet());
+    console.warn(`Wallet exists: ${!needImportMnemonic}`);
+
+    if (!mnemonic && needImportMnemonic) {
+        mnemonic = getMnemonicFromEnv();
+        if (!mnemonic) {
+            console.warn('MNEMONIC not found in .env file');
+            return false;
+        }
+    }
+    if (needImportMnemonic && mnemonic) {
+        const success = await initializeWallet(mnemonic);
+        if (!success) return false;
+    }
+
+    // Token lists live in deeper_wallet.db
+    await loadAllDb();
+    return true;
+}
+
+// Read the operator options shared by the server and the commands, null if one is invalid
+function getServerOptions() {
+    let options;
+    try {
+        options = {
+            approvalPolicy: getApprovalPolicy(getArgValue),
+            mode: getServerMode(getArgValue),
+            recipientPolicy: getRecipientPolicy(getArgValue),
+            toolConfig: getToolConfig(getArgValue),
+        };
+    } catch (err) {
+        console.error(err.message);
+        return null;
+    }
+    if (options.mode === ServerModes.READ_ONLY) {
+        disableSigning();
+    }
+    console.warn(`Server mode: ${options.mode}, recipient policy: ${options.recipientPolicy}`);
+    if (options.toolConfig.path) {
+        console.warn(`Tools config ${options.toolConfig.path}: ${[...options.toolConfig.tools].join(', ') || 'no tools'}`);
+    }
+    return options;
+}
+
+// Ask the operator on the terminal, a script without one has to pass --yes
+async function askYesNo(question) {
+    if (!process.stdin.isTTY) {
+        console.error('No terminal to ask for approval, pass --yes to approve');
+        return false;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+// The commands call the same MCP tools as a client would, in process, so policies, spending limits
+// and the audit log apply to them too. Signing approvals are asked on the terminal, the wallet password
+// form is answered from DEEPER_WALLET_PASSWORD
+async function connectClient(createServer, serverOptions, flags) {
+    const server = createServer(serverOptions);
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'deeper-wallet-cli', version: '1.0.0' }, { capabilities: { elicitation: {} } });
+    client.setRequestHandler(ElicitRequestSchema, async request => {
+        if (request.params.requestedSchema.properties.password) {
+            return { action: 'accept', content: { password: getWalletPassword() } };
+        }
+        console.error(request.params.message);
+        const approve = flags['--yes'] === true || await askYesNo('Approve?');
+        return { action: 'accept', content: { approve } };
+    });
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+    return client;
+}
+
+// Print the structured result of a tool call, the exit code tells scripts whether it failed
+function printResult(result) {
+    console.log(JSON.stringify(result.structuredContent ?? { text: result.content?.[0]?.text }, null, 2));
+    if (result.isError) {
+        console.error(result.content?.[0]?.text);
+        return 1;
+    }
+    return 0;
+}
+
+function requireArgs(args, count, usage) {
+    if (args.length < count) {
+        throw new Error(`Usage: node index.js ${usage}`);
+    }
+}
+
+async function accountsCommand(client) {
+    return printResult(await client.callTool({ name: 'accountList', arguments: {} }));
+}
+
+async function balanceCommand(client, args, flags) {
+    requireArgs(args, 2, 'balance <network> <address> [--contract <address>]');
+    const [network, address] = args;
+    const contract = flags['--contract'];
+    const result = contract
+        ? await client.callTool({ name: 'getContractBalance', arguments: { network, address, contract } })
+        : await client.callTool({ name: 'getBalance', arguments: { network, address } });
+    return printResult(result);
+}
+
+async function sendCommand(client, args, flags) {
+    requireArgs(args, 3, 'send <network> <to> <amount> [--contract <address>] [--from <address>] [--idempotency-key <key>] [--yes]');
+    const [network, toAddress, amount] = args;
+    const contract = flags['--contract'];
+    const transfer = {
+        network,
+        toAddress,
+        amount,
+        unit: flags['--unit'] || 'human',
+        ...(flags['--from'] ? { fromAddress: flags['--from'] } : {}),
+        ...(flags['--idempotency-key'] ? { idempotencyKey: flags['--idempotency-key'] } : {}),
+    };
+    // Locked again when the command exits, the password only lives in this process
+    const unlocked = await client.callTool({ name: 'unlockWallet', arguments: {} });
+    if (unlocked.isError) {
+        return printResult(unlocked);
+    }
+    const prepared = contract
+        ? await client.callTool({ name: 'transferContractTokenFromMyWallet', arguments: { ...transfer, contract } })
+        : await client.callTool({ name: 'transferTokenFromMyWallet', arguments: transfer });
+    // A repeated --idempotency-key that was already sent has nothing left to confirm
+    if (prepared.isError || prepared.structuredContent.txHash) {
+        return printResult(prepared);
+    }
+    // confirmTransaction shows the preview and asks for the approval
+    const { confirmationId } = prepared.structuredContent;
+    return printResult(await client.callTool({ name: 'confirmTransaction', arguments: { confirmationId } }));
+}
+
+async function quoteCommand(client, args, flags) {
+    requireArgs(args, 4, 'quote <network> <tokenIn> <tokenOut> <amount> [--slippage <percent>]');
+    const [network, tokenIn, tokenOut, amountIn] = args;
+    const slippage = flags['--slippage'] ? Number(flags['--slippage']) : undefined;
+    if (Number.isNaN(slippage)) {
+        throw new Error(`Invalid slippage: ${flags['--slippage']}`);
+    }
+    return printResult(await client.callTool({
+        name: 'getSwapQuote',
+        arguments: { network, tokenIn, tokenOut, amountIn, unit: flags['--unit'] || 'human', slippage },
+    }));
+}
+
+// Helper function to find the signer binary like spawn does: a bare name is looked up on PATH
+function findExecutable(file) {
+    if (file.includes('/') || file.includes('\\')) {
+        return fs.existsSync(file) ? file : null;
+    }
+    const extensions = process.platform === 'win32' ? ['', '.exe', '.cmd'] : [''];
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+        for (const extension of extensions) {
+            const candidate = path.join(dir, file + extension);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+// Check what the wallet needs to work, one line per check, so operators can tell a broken setup from a broken tool
+async function selftestCommand(client, args, flags, serverOptions) {
+    const checks = [];
+    const check = (name, ok, detail) => checks.push({ name, ok, detail });
+
+    const { dbDir, walletBinPath } = getConfig();
+    const { backend } = signer.getSigner();
+    check('database', Boolean(getDeeperWalletDb()), `deeper_wallet.db in ${dbDir}`);
+    if (serverOptions.mode === ServerModes.READ_ONLY) {
+        check('signer', true, 'signing is disabled in read-only mode');
+    } else if (backend === signer.SignerBackends.BINARY) {
+        const binPath = findExecutable(walletBinPath);
+        check('signer', Boolean(binPath), binPath || `${walletBinPath} not found, set walletBinPath or DEEPER_WALLET_BIN_PATH`);
+    } else {
+        check('signer', true, `${backend} signer`);
+    }
+
+    const [listErr, list] = await to(client.listTools());
+    check('tools', !listErr, listErr ? listErr.message : `${list.tools.length} tools exposed`);
+
+    const accounts = await client.callTool({ name: 'accountList', arguments: {} });
+    check('accounts', !accounts.isError,
+        accounts.isError ? accounts.content?.[0]?.text : `${accounts.structuredContent.accounts.length} accounts`);
+
+    const network = flags['--network'] || DEFAULT_SELFTEST_NETWORK;
+    if (list?.tools.some(tool => tool.name === 'getGasPrice')) {
+        const gasPrice = await client.callTool({ name: 'getGasPrice', arguments: { network } });
+        check('network', !gasPrice.isError,
+            gasPrice.isError ? gasPrice.content?.[0]?.text : `gas price on ${network}: ${gasPrice.structuredContent.gasPrice}`);
+    } else {
+        // Read-only mode has no getGasPrice, the balance of one of the accounts reaches the network as well
+        const account = accounts.structuredContent?.accounts?.find(item => item.chain_type?.toUpperCase() === getChainType(network));
+        const balance = account && await client.callTool({ name: 'getBalance', arguments: { network, address: account.address } });
+        check('network', Boolean(balance) && !balance.isError,
+            !balance ? `no ${network} account to query` : balance.isError ? balance.content?.[0]?.text : `balance query on ${network} succeeded`);
+    }
+
+    const ok = checks.every(item => item.ok);
+    console.log(JSON.stringify({ ok, checks }, null, 2));
+    return ok ? 0 : 1;
+}
+
+const COMMANDS = {
+    accounts: accountsCommand,
+    balance: balanceCommand,
+    send: sendCommand,
+    quote: quoteCommand,
+    selftest: selftestCommand,
+};
+
+/**
+ * Run the command given on the command line. "serve" (the default) keeps running; every other command
+ * exits with 0 on success and 1 on failure, printing its result as JSON on stdout.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} handlers
+ * @param {Function} handlers.createServer - Factory returning an McpServer with every tool registered
+ * @param {Function} handlers.serve - Serves MCP clients with the given server options
+ * @returns {Promise<void>}
+ */
+async function runCli(argv, { createServer, serve }) {
+    const { command, args, flags } = parseCommandLine(argv);
+    if (flags['--help'] || flags['-h'] || command === 'help') {
+        console.log(USAGE);
+        return;
+    }
+    const run = COMMANDS[command];
+    if (!['serve', 'config'].includes(command) && !run) {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    // Fail before anything starts if the config is invalid
+    try {
+        loadConfig(getArgValue('--config') || process.env.DEEPER_WALLET_CONFIG || null);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (command === 'config') {
+        if (args[0] !== 'show') {
+            console.error('Usage: node index.js config show [--config <file>]');
+            process.exit(1);
+        }
+        console.log(JSON.stringify(describeConfig(), null, 2));
+        return;
+    }
+
+    if (!await prepareWallet()) {
+        process.exit(1);
+    }
+    const serverOptions = getServerOptions();
+    if (!serverOptions) {
+        process.exit(1);
+    }
+    if (command === 'serve') {
+        await serve(serverOptions);
+        return;
+    }
+
+    const client = await connectClient(createServer, serverOptions, flags);
+    const [err, code] = await to(run(client, args, flags, serverOptions));
+    if (err) {
+        console.error(err.message);
+    }
+    await client.close();
+    process.exit(err ? 1 : code);
+}
+
+module.exports = {
+    getArgValue,
+    runCli,
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+// Prepared transactions go stale quickly (Solana blockhash, EVM nonce and gas price)
+const CONFIRMATION_TTL = 120; // 2 min
+
+// Values hold live objects such as Solana transactions, so they must not be cloned
+const pending = new NodeCache({ stdTTL: CONFIRMATION_TTL, checkperiod: 30, useClones: false });
+
+// Confirmations are bound to the client that prepared them
+function getOwner(extra) {
+    return extra?.authInfo?.clientId || extra?.sessionId || 'local';
+}
+
+/**
+ * Store a prepared action until it is confirmed, cancelled or expires
+ * @param {string} owner - Client key from getOwner
+ * @param {Object} action - Prepared action, e.g. { kind: 'transfer', prepared, preview }
+ * @returns {{confirmationId: string, expiresAt: string}}
+ */
+function createConfirmation(owner, action) {
+    const confirmationId = crypto.randomBytes(6).toString('hex');
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TTL * 1000).toISOString();
+    pending.set(confirmationId, { owner, action, expiresAt });
+    return { confirmationId, expiresAt };
+}
+
+// A confirmation can only be used once, it is removed as soon as it is taken
+function takeConfirmation(confirmationId, owner) {
+    const entry = pending.get(confirmationId);
+    if (!entry || entry.owner !== owner) {
+        return null;
+    }
+    pending.del(confirmationId);
+    return entry.action;
+}
+
+// A pending confirmation without taking it, null if it was used, cancelled or expired
+function getConfirmation(confirmationId, owner) {
+    const entry = pending.get(confirmationId);
+    return entry && entry.owner === owner ? { confirmationId, expiresAt: entry.expiresAt, action: entry.action } : null;
+}
+
+function cancelConfirmation(confirmationId, owner) {
+    return takeConfirmation(confirmationId, owner) !== null;
+}
+
+// Actions a client prepared and has not confirmed or cancelled yet, oldest first
+function listConfirmations(owner) {
+    return pending.keys()
+        .map(confirmationId => ({ confirmationId, entry: pending.get(confirmationId) }))
+        .filter(({ entry }) => entry && entry.owner === owner)
+        .map(({ confirmationId, entry }) => ({ confirmationId, expiresAt: entry.expiresAt, action: entry.action }))
+        .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+}
+
+module.exports = {
+    CONFIRMATION_TTL,
+    getOwner,
+    createConfirmation,
+    takeConfirmation,
+    getConfirmation,
+    cancelConfirmation,
+    listConfirmations,
+};
@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+
+const db = require('./db');
+
+// Contacts are keyed by upper-case network and address, hex addresses are stored lower-case
+function getContactKey(network, address) {
+  return {
+    network: network.toUpperCase(),
+    address: address.startsWith('0x') ? address.toLowerCase() : address,
+  };
+}
+
+function toContact(row) {
+  return {
+    network: row.network,
+    address: row.address,
+    label: row.label,
+    note: row.note ?? null,
+    createdAt: row.created_at ? new Date(row.created_at * 1000).toISOString() : null,
+  };
+}
+
+// Whether a string parses as an address on one of the supported chains: hex (EVM, Sui), Bech32 (Bitcoin SegWit)
+// or Base58 of 25 bytes (Tron, legacy Bitcoin) or 32 bytes (Solana)
+function isAddressLike(value) {
+  if (value.toLowerCase().startsWith('0x') || /^(bc|tb|bcrt)1[02-9ac-hj-np-z]{6,}$/i.test(value)) {
+    return true;
+  }
+  try {
+    return [25, 32].includes(ethers.utils.base58.decode(value).length);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Labels stand in for addresses in tools, a label spelling an address would redirect payments to that address
+function validateLabel(label) {
+  const trimmed = (label || '').trim();
+  if (!trimmed) {
+    throw new Error('Contact label must not be empty');
+  }
+  if (isAddressLike(trimmed) || trimmed.length > 64) {
+    throw new Error(`Invalid contact label ${label}, use a name of at most 64 characters that is not an address on any chain`);
+  }
+  return trimmed;
+}
+
+async function listContacts(network) {
+  const rows = await db.getContacts(network ? network.toUpperCase() : '');
+  return rows.map(toContact);
+}
+
+/**
+ * Find a contact by address or by label (case-insensitive)
+ * @param {string} network - Network name
+ * @param {string} addressOrLabel - Contact address or label
+ * @returns {Promise<Object|null>} Contact or null if there is none
+ */
+async function findContact(network, addressOrLabel) {
+  const key = getContactKey(network, addressOrLabel);
+  const row =
+    (await db.getContact(key.network, key.address)) || (await db.getContactByLabel(key.network, addressOrLabel.trim()));
+  return row ? toContact(row) : null;
+}
+
+async function checkLabelIsFree(network, label, address) {
+  const row = await db.getContactByLabel(network, label);
+  if (row && row.address !== address) {
+    throw new Error(`Label ${label} is already used for ${row.address} on ${network}`);
+  }
+}
+
+/**
+ * Add an address to the address book, or update its label and note
+ * @param {string} network - Network name
+ * @param {string} address - Contact address
+ * @param {string} label - Unique name of the contact on this network
+ * @param {string} [note] - Free text note
+ * @returns {Promise<boolean>}
+ */
+async function addContact(network, address, label, note) {
+  if (!address || !address.trim()) {
+    throw new Error('Contact address must not be empty');
+  }
+  const key = getContactKey(network, address.trim());
+  const name = validateLabel(label);
+  await checkLabelIsFree(key.network, name, key.address);
+  return db.addContact(key.network, key.address, name, note ?? null);
+}
+
+// Rename a contact given by address or label, returns false if the database update failed
+async function labelContact(network, addressOrLabel, label) {
+  const contact = await findContact(network, addressOrLabel);
+  if (!contact) {
+    throw new Error(`No contact ${addressOrLabel} on ${network.toUpperCase()}`);
+  }
+  const name = validateLabel(label);
+  await checkLabelIsFree(contact.network, name, contact.address);
+  return db.updateContactLabel(contact.network, contact.address, name);
+}
+
+// Remove a contact given by address or label, returns the removed contact or null if the database update failed
+async function removeContact(network, addressOrLabel) {
+  const contact = await findContact(network, addressOrLabel);
+  if (!contact) {
+    throw new Error(`No contact ${addressOrLabel} on ${network.toUpperCase()}`);
+  }
+  const success = await db.deleteContact(contact.network, contact.address);
+  return success ? contact : null;
+}
+
+module.exports = {
+  listContacts,
+  findContact,
+  addContact,
+  labelContact,
+  removeContact,
+};
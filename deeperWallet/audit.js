@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const db = require('./db');
+const logger = require('./log');
+
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /mnemonic|password|passphrase|private_?key|secret|seed|^sk$|auth|api_?key/i;
+
+// The tool call being served, so signing code deep in the wallet can add to its audit entry
+const context = new AsyncLocalStorage();
+
+// Entries are chained in insertion order, one append at a time
+let appending = Promise.resolve();
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Replace values of secret looking keys, at any depth
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item)])
+    );
+  }
+  return value;
+}
+
+// The fields covered by the hash, in a fixed order
+function getHashedFields(entry) {
+  return {
+    seq: entry.seq,
+    timestamp: entry.timestamp,
+    tool: entry.tool,
+    args: entry.args,
+    fromAddress: entry.fromAddress,
+    payloadHash: entry.payloadHash,
+    signature: entry.signature,
+    txHash: entry.txHash,
+    error: entry.error,
+    prevHash: entry.prevHash,
+  };
+}
+
+function getEntryHash(entry) {
+  return sha256(JSON.stringify(getHashedFields(entry)));
+}
+
+function toEntry(row) {
+  return {
+    seq: row.seq,
+    timestamp: row.timestamp,
+    tool: row.tool,
+    args: row.args,
+    fromAddress: row.from_address ?? null,
+    payloadHash: row.payload_hash ?? null,
+    signature: row.signature ?? null,
+    txHash: row.tx_hash ?? null,
+    error: row.error ?? null,
+    prevHash: row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+/**
+ * Run a tool call with an audit context that signing code can add to, see noteSigning. The collected fields
+ * are returned when the call throws too, a failed signing is recorded with what was handed to the signer
+ * @param {Object} fields - Initial entry fields, e.g. { tool, args }
+ * @param {Function} fn - Tool call
+ * @returns {Promise<{result: any, error: Error|null, fields: Object}>} Result or error of fn and the collected fields
+ */
+async function runWithAudit(fields, fn) {
+  const store = { ...fields };
+  try {
+    return { result: await context.run(store, fn), error: null, fields: store };
+  } catch (error) {
+    return { result: undefined, error, fields: store };
+  }
+}
+
+/**
+ * Record what was handed to the signer for the current tool call, if any. Several signatures in one
+ * call are kept comma (payload hashes) and semicolon (results) separated.
+ * @param {string} fromAddress - Signing address
+ * @param {Object} payload - Unsigned payload, only its hash is kept
+ * @param {string} signature - 'signed' or the reason signing failed
+ */
+function noteSigning(fromAddress, payload, signature) {
+  const store = context.getStore();
+  if (!store) {
+    return;
+  }
+  // A swap can sign a token approval before the swap itself, keep both in order
+  const payloadHash = sha256(JSON.stringify(payload));
+  store.fromAddress = store.fromAddress || fromAddress;
+  store.payloadHash = store.payloadHash ? `${store.payloadHash},${payloadHash}` : payloadHash;
+  store.signature = store.signature ? `${store.signature}; ${signature}` : signature;
+}
+
+/**
+ * Append an entry to the hash-chained audit log
+ * @param {Object} fields - { tool, args, fromAddress, payloadHash, signature, txHash, error }
+ * @returns {Promise<Object|null>} Stored entry or null if it could not be written
+ */
+function appendEntry(fields) {
+  const appended = appending.then(async () => {
+    const last = await db.getLastAuditEntry();
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      timestamp: new Date().toISOString(),
+      tool: fields.tool,
+      args: JSON.stringify(redact(fields.args ?? {})),
+      fromAddress: fields.fromAddress ?? null,
+      payloadHash: fields.payloadHash ?? null,
+      signature: fields.signature ?? null,
+      txHash: fields.txHash ?? null,
+      error: fields.error ?? null,
+      prevHash: last ? last.hash : GENESIS_HASH,
+    };
+    entry.hash = getEntryHash(entry);
+    const success = await db.addAuditEntry(entry);
+    if (!success) {
+      logger.error(`Failed to write audit entry for ${entry.tool}`, { seq: entry.seq });
+      return null;
+    }
+    return entry;
+  });
+  appending = appended.catch(() => {});
+  return appended;
+}
+
+/**
+ * Read audit entries, oldest first
+ * @param {Object} [filter] - { tool, since, until, limit, offset }, since/until are ISO timestamps
+ * @returns {Promise<Array<Object>>}
+ */
+async function queryEntries(filter = {}) {
+  const rows = await db.getAuditEntries(
+    filter.tool || '',
+    filter.since || '',
+    filter.until || '',
+    filter.limit ?? -1,
+    filter.offset ?? 0
+  );
+  return rows.map(toEntry);
+}
+
+/**
+ * Recompute the hash chain over the whole log
+ * @returns {Promise<{valid: boolean, count: number, brokenAt: number|null, reason: string|null}>}
+ */
+async function verifyChain() {
+  const entries = (await db.getAuditEntries('', '', '', -1, 0)).map(toEntry);
+  let prevHash = GENESIS_HASH;
+  let prevSeq = 0;
+  for (const entry of entries) {
+    let reason = null;
+    if (entry.seq !== prevSeq + 1) {
+      reason = `entry ${prevSeq + 1} is missing`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = 'previous hash does not match';
+    } else if (getEntryHash(entry) !== entry.hash) {
+      reason = 'entry content does not match its hash';
+    }
+    if (reason) {
+      return { valid: false, count: entries.length, brokenAt: entry.seq, reason };
+    }
+    prevHash = entry.hash;
+    prevSeq = entry.seq;
+  }
+  return { valid: true, count: entries.length, brokenAt: null, reason: null };
+}
+
+// One JSON object per line, with every field needed to re-verify the chain
+function toJsonl(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n');
+}
+
+module.exports = {
+  GENESIS_HASH,
+  redact,
+  runWithAudit,
+  noteSigning,
+  appendEntry,
+  queryEntries,
+  verifyChain,
+  toJsonl,
+};
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const { z } = require('zod');
+
+// Built-in values, used for every key the config file and the environment leave out
+const DEFAULT_CONFIG = {
+  proxyServerEndpoint: 'https://proxy-wallet.deepernetworks.org',
+  keystorePath: '/var/deeper/deeperWallet',
+  // Looked up on PATH unless it is a path
+  walletBinPath: 'hd-wallet',
+  // binary signs with walletBinPath; software and mock are for development and tests, see signer.js
+  signer: 'binary',
+  // Seconds an unlocked wallet keeps its password without signing, see unlockWallet
+  unlockIdleTimeout: 300,
+  dbDir: '/var/deeper/sqlite3',
+  dbSetupDir: '/home/atomos-env/gui-backend/sqlite3',
+  // API keys are never part of the source: without one Solana uses its public RPC node and the subgraph tools fail
+  heliusApiKey: '',
+  subgraphApiKey: '',
+  // RPC endpoints by network; EVM networks pick one at random per request, the other chains use the first
+  rpcUrls: {
+    'ETHEREUM-SEPOLIA': [
+      'https://ethereum-sepolia-rpc.publicnode.com',
+      'https://1rpc.io/sepolia',
+      'https://sepolia.gateway.tenderly.co',
+    ],
+    'ETHEREUM': [
+      'https://eth-mainnet.public.blastapi.io',
+      'https://eth.llamarpc.com',
+      'https://ethereum-rpc.publicnode.com',
+    ],
+    'ARBITRUM': [
+      'https://arbitrum-rpc.publicnode.com',
+      'https://arbitrum.llamarpc.com',
+      'https://arbitrum-one-rpc.publicnode.com',
+    ],
+    'ARBITRUM-TESTNET': [
+      'https://arbitrum-sepolia-rpc.publicnode.com',
+      'https://endpoints.omniatech.io/v1/arbitrum/sepolia/public',
+      'https://arbitrum-sepolia.gateway.tenderly.co',
+    ],
+    'OPTIMISM': [
+      'https://optimism-rpc.publicnode.com',
+      'https://optimism.llamarpc.com',
+      'https://rpc.ankr.com/optimism',
+    ],
+    'OPTIMISM-TESTNET': [
+      'https://api.zan.top/opt-sepolia',
+      'https://optimism-sepolia-rpc.publicnode.com',
+      'https://optimism-sepolia.drpc.org',
+    ],
+    'BASE': [
+      'https://base.llamarpc.com',
+      'https://developer-access-mainnet.base.org',
+      'https://base-mainnet.public.blastapi.io',
+    ],
+    'BASE-TESTNET': [
+      'https://base-sepolia-rpc.publicnode.com',
+      'https://sepolia.base.org',
+      'https://base-sepolia.gateway.tenderly.co',
+    ],
+    'BNBSMARTCHAIN': [
+      'https://bsc-dataseed2.bnbchain.org',
+      'https://bsc-dataseed.bnbchain.org',
+      'https://bsc-dataseed2.defibit.io',
+    ],
+    'BNBSMARTCHAIN-TESTNET': [
+      'https://bsc-testnet-dataseed.bnbchain.org',
+      'https://bsc-testnet.bnbchain.org',
+      'https://bsc-testnet.public.blastapi.io',
+      'https://data-seed-prebsc-2-s2.bnbchain.org:8545',
+      'https://data-seed-prebsc-1-s1.bnbchain.org:8545',
+    ],
+    'SOLANA': ['https://api.mainnet-beta.solana.com'],
+    'SOLANA-TESTNET': ['https://api.testnet.solana.com'],
+    'SOLANA-DEVNET': ['https://api.devnet.solana.com'],
+    'SUI': ['https://sui-mainnet-endpoint.blockvision.org'],
+    'SUI-TESTNET': ['https://fullnode.testnet.sui.io'],
+    'TRON': ['https://api.trongrid.io'],
+    'TRON-TESTNET': ['https://api.shasta.trongrid.io'],
+  },
+};
+
+// Environment variables that override a single key, e.g. for containers
+const ENV_OVERRIDES = {
+  proxyServerEndpoint: 'DEEPER_WALLET_PROXY_ENDPOINT',
+  keystorePath: 'DEEPER_WALLET_KEYSTORE_PATH',
+  walletBinPath: 'DEEPER_WALLET_BIN_PATH',
+  signer: 'DEEPER_WALLET_SIGNER',
+  unlockIdleTimeout: 'DEEPER_WALLET_UNLOCK_TIMEOUT',
+  dbDir: 'DEEPER_WALLET_DB_DIR',
+  dbSetupDir: 'DEEPER_WALLET_DB_SETUP_DIR',
+  heliusApiKey: 'HELIUS_API_KEY',
+  subgraphApiKey: 'SUBGRAPH_API_KEY',
+};
+// RPC endpoints of a network, comma separated, e.g. DEEPER_WALLET_RPC_ETHEREUM_SEPOLIA
+const RPC_ENV_PREFIX = 'DEEPER_WALLET_RPC_';
+
+const SECRET_KEYS = ['heliusApiKey', 'subgraphApiKey'];
+const REDACTED = '<redacted>';
+
+const urlSchema = z.string().url();
+const pathSchema = z.string().min(1);
+const rpcUrlsSchema = z.record(z.array(urlSchema).min(1));
+
+const configSchema = z.object({
+  proxyServerEndpoint: urlSchema,
+  keystorePath: pathSchema,
+  walletBinPath: pathSchema,
+  signer: z.enum(['binary', 'software', 'mock']),
+  // Environment values are strings
+  unlockIdleTimeout: z.coerce.number().int().positive(),
+  dbDir: pathSchema,
+  dbSetupDir: pathSchema,
+  heliusApiKey: z.string(),
+  subgraphApiKey: z.string(),
+  rpcUrls: rpcUrlsSchema,
+}).strict();
+
+// Unknown keys are refused so that a typo does not silently fall back to a default
+const fileSchema = configSchema.partial().strict();
+
+let current = null;
+
+function toNetworkKeys(rpcUrls) {
+  return Object.fromEntries(Object.entries(rpcUrls).map(([network, urls]) => [network.toUpperCase(), urls]));
+}
+
+function describeIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+}
+
+function readConfigFile(path) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read config ${path}: ${err.message}`);
+  }
+  const parsed = fileSchema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error(`Invalid config ${path}: ${describeIssues(parsed.error)}`);
+  }
+  return parsed.data;
+}
+
+function readEnvOverrides(env) {
+  const values = {};
+  for (const [key, name] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      values[key] = { value: env[name], source: `env ${name}` };
+    }
+  }
+  const rpcUrls = {};
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith(RPC_ENV_PREFIX) && value) {
+      const network = name.slice(RPC_ENV_PREFIX.length).replace(/_/g, '-');
+      rpcUrls[network] = { value: value.split(',').map(url => url.trim()).filter(Boolean), source: `env ${name}` };
+    }
+  }
+  return { values, rpcUrls };
+}
+
+/**
+ * Load the configuration: built-in defaults, then the JSON config file, then environment variables.
+ * RPC endpoints are merged per network, so a file or variable only has to list the networks it changes.
+ * @param {string|null} [path] - Config file, e.g. from --config or DEEPER_WALLET_CONFIG
+ * @param {Object} [env] - Environment, process.env by default
+ * @returns {Object} Validated configuration
+ * @throws {Error} If the file cannot be read or a value is invalid
+ */
+function loadConfig(path = null, env = process.env) {
+  const file = path ? readConfigFile(path) : {};
+  const overrides = readEnvOverrides(env);
+  const config = {};
+  const sources = {};
+
+  for (const key of Object.keys(DEFAULT_CONFIG).filter(key => key !== 'rpcUrls')) {
+    if (overrides.values[key]) {
+      config[key] = overrides.values[key].value;
+      sources[key] = overrides.values[key].source;
+    } else if (file[key] !== undefined) {
+      config[key] = file[key];
+      sources[key] = 'file';
+    } else {
+      config[key] = DEFAULT_CONFIG[key];
+      sources[key] = 'default';
+    }
+  }
+
+  config.rpcUrls = { ...DEFAULT_CONFIG.rpcUrls };
+  sources.rpcUrls = {};
+  for (const network of Object.keys(config.rpcUrls)) {
+    sources.rpcUrls[network] = 'default';
+  }
+  for (const [network, urls] of Object.entries(toNetworkKeys(file.rpcUrls || {}))) {
+    config.rpcUrls[network] = urls;
+    sources.rpcUrls[network] = 'file';
+  }
+  for (const [network, { value, source }] of Object.entries(overrides.rpcUrls)) {
+    config.rpcUrls[network] = value;
+    sources.rpcUrls[network] = source;
+  }
+
+  const parsed = configSchema.safeParse(config);
+  if (!parsed.success) {
+    throw new Error(`Invalid config${path ? ` ${path}` : ''}: ${describeIssues(parsed.error)}`);
+  }
+  current = { path, config: parsed.data, sources };
+  return parsed.data;
+}
+
+/**
+ * Current configuration, loaded from DEEPER_WALLET_CONFIG on first use if loadConfig was not called
+ * @returns {Object} Validated configuration
+ */
+function getConfig() {
+  if (!current) {
+    loadConfig(process.env.DEEPER_WALLET_CONFIG || null);
+  }
+  return current.config;
+}
+
+/**
+ * RPC endpoints of a network
+ * @param {string} network - Network name, e.g. ETHEREUM-SEPOLIA
+ * @returns {Array<string>|null} Endpoints, null if none is configured
+ */
+function getRpcUrls(network) {
+  return getConfig().rpcUrls[network] || null;
+}
+
+// Query strings, user info and paths of URLs often carry API keys, e.g. Alchemy /v2/<key> or Infura /v3/<key>.
+// Path segments after a version segment are redacted, every segment when there is none
+function redactUrl(value) {
+  const url = new URL(value);
+  const segments = url.pathname.split('/');
+  const version = segments.findIndex(segment => /^v\d+$/i.test(segment));
+  const pathname = segments
+    .map((segment, index) => (segment && index > version ? REDACTED : segment))
+    .join('/');
+  if (!url.password && !url.search && pathname === url.pathname) {
+    return value;
+  }
+  if (url.password) {
+    url.password = REDACTED;
+  }
+  for (const key of url.searchParams.keys()) {
+    url.searchParams.set(key, REDACTED);
+  }
+  url.pathname = pathname;
+  return decodeURI(url.toString());
+}
+
+/**
+ * Configuration for display, with API keys and URL credentials redacted
+ * @returns {{path: string|null, sources: Object, config: Object}} Where every value came from and the values
+ */
+function describeConfig() {
+  const config = getConfig();
+  const redacted = { ...config };
+  for (const key of SECRET_KEYS) {
+    if (redacted[key]) {
+      redacted[key] = REDACTED;
+    }
+  }
+  redacted.proxyServerEndpoint = redactUrl(config.proxyServerEndpoint);
+  redacted.rpcUrls = Object.fromEntries(
+    Object.entries(config.rpcUrls).map(([network, urls]) => [network, urls.map(redactUrl)])
+  );
+  return { path: current.path, sources: current.sources, config: redacted };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  getConfig,
+  getRpcUrls,
+  describeConfig,
+};
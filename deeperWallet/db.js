@@ -39,6 +39,40 @@ const GET_WALLET_ALL = `SELECT addresses.idx, accounts.name, addresses.network
 
 const GET_MAX_INDEX = `SELECT MAX(idx) AS max_idx FROM addresses`;
 
+const GET_SPENDING_LIMITS = `SELECT network, contract_address, per_tx, daily, weekly, updated_at FROM spending_limits
+      WHERE network = ? OR ? = '' ORDER BY network, contract_address`;
+const GET_SPENDING_LIMIT = `SELECT network, contract_address, per_tx, daily, weekly, updated_at FROM spending_limits
+      WHERE network = ? AND contract_address = ?`;
+const SET_SPENDING_LIMIT = `INSERT OR REPLACE INTO spending_limits (network, contract_address, per_tx, daily, weekly, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)`;
+const DELETE_SPENDING_LIMIT = `DELETE FROM spending_limits WHERE network = ? AND contract_address = ?`;
+const GET_SPENDING_SINCE = `SELECT amount, timestamp FROM spending_log WHERE network = ? AND contract_address = ? AND timestamp > ?`;
+const INSERT_SPENDING = `INSERT INTO spending_log (network, contract_address, amount, tx_id, timestamp) VALUES (?, ?, ?, ?, ?)`;
+const DELETE_OLD_SPENDING = `DELETE FROM spending_log WHERE timestamp < ?`;
+
+const GET_CONTACTS = `SELECT network, address, label, note, created_at FROM address_book
+      WHERE network = ? OR ? = '' ORDER BY network, label`;
+const GET_CONTACT = `SELECT network, address, label, note, created_at FROM address_book WHERE network = ? AND address = ?`;
+const GET_CONTACT_BY_LABEL = `SELECT network, address, label, note, created_at FROM address_book
+      WHERE network = ? AND label = ? COLLATE NOCASE`;
+const INSERT_CONTACT = `INSERT OR REPLACE INTO address_book (network, address, label, note, created_at) VALUES (?, ?, ?, ?, ?)`;
+const UPDATE_CONTACT_LABEL = `UPDATE address_book SET label = ? WHERE network = ? AND address = ?`;
+const DELETE_CONTACT = `DELETE FROM address_book WHERE network = ? AND address = ?`;
+
+const GET_LAST_AUDIT_ENTRY = `SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1`;
+const GET_AUDIT_ENTRIES = `SELECT seq, timestamp, tool, args, from_address, payload_hash, signature, tx_hash, error, prev_hash, hash
+      FROM audit_log WHERE (tool = ? OR ? = '') AND (timestamp >= ? OR ? = '') AND (timestamp <= ? OR ? = '')
+      ORDER BY seq ASC LIMIT ? OFFSET ?`;
+const GET_IDEMPOTENCY_KEY = `SELECT idempotency_key, tool, request_hash, confirmation_id, tx_hash, result, created_at
+  FROM idempotency_keys WHERE owner = ? AND idempotency_key = ?`;
+const SET_IDEMPOTENCY_KEY = `INSERT OR REPLACE INTO idempotency_keys
+  (owner, idempotency_key, tool, request_hash, confirmation_id, tx_hash, result, created_at) VALUES (?, ?, ?, ?, ?, NULL, NULL, ?)`;
+const SET_IDEMPOTENCY_RESULT = `UPDATE idempotency_keys SET tx_hash = ?, result = ? WHERE owner = ? AND idempotency_key = ?`;
+const DELETE_OLD_IDEMPOTENCY_KEYS = `DELETE FROM idempotency_keys WHERE created_at < ?`;
+const INSERT_AUDIT_ENTRY = `INSERT INTO audit_log
+      (seq, timestamp, tool, args, from_address, payload_hash, signature, tx_hash, error, prev_hash, hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
 exports.getAddress = async idx => {
   const list = await sqlite3.getList(sqlite3.getDeeperWalletDb(), GET_ADDRESS, [idx]);
   return list;
@@ -192,3 +226,133 @@ exports.addTx = async (
   const realAddress = type === 'Receive' ? toAddress : fromAddress;
   return insertTxHistory(txHash, network, realAddress, contractAddress, type, amount, timestamp, blockNumber);
 };
+
+// Amounts are stored as strings in the smallest unit, they do not fit in a SQLite INTEGER/REAL
+exports.getSpendingLimits = async (network = '') => {
+  const list = await sqlite3.getList(sqlite3.getDeeperWalletDb(), GET_SPENDING_LIMITS, [network, network]);
+  return list;
+};
+
+// The spending reads reject on a database error, a missing row must mean "no limit" and nothing else
+exports.getSpendingLimit = async (network, contractAddress) => {
+  const row = await sqlite3.getOneOrThrow(sqlite3.getDeeperWalletDb(), GET_SPENDING_LIMIT, [network, contractAddress]);
+  return row;
+};
+
+exports.setSpendingLimit = async (network, contractAddress, perTx, daily, weekly) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), SET_SPENDING_LIMIT, [
+    network,
+    contractAddress,
+    perTx,
+    daily,
+    weekly,
+    Math.floor(Date.now() / 1000),
+  ]);
+};
+
+exports.deleteSpendingLimit = async (network, contractAddress) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), DELETE_SPENDING_LIMIT, [network, contractAddress]);
+};
+
+exports.getSpendingSince = async (network, contractAddress, since) => {
+  const list = await sqlite3.getListOrThrow(sqlite3.getDeeperWalletDb(), GET_SPENDING_SINCE, [network, contractAddress, since]);
+  return list;
+};
+
+exports.addSpending = async (network, contractAddress, amount, txId, timestamp) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), INSERT_SPENDING, [network, contractAddress, amount, txId, timestamp]);
+};
+
+exports.deleteOldSpending = async before => sqlite3.runSql(sqlite3.getDeeperWalletDb(), DELETE_OLD_SPENDING, [before]);
+
+exports.getContacts = async (network = '') => {
+  const list = await sqlite3.getList(sqlite3.getDeeperWalletDb(), GET_CONTACTS, [network, network]);
+  return list;
+};
+
+exports.getContact = async (network, address) => {
+  const row = await sqlite3.getOne(sqlite3.getDeeperWalletDb(), GET_CONTACT, [network, address]);
+  return row;
+};
+
+exports.getContactByLabel = async (network, label) => {
+  const row = await sqlite3.getOne(sqlite3.getDeeperWalletDb(), GET_CONTACT_BY_LABEL, [network, label]);
+  return row;
+};
+
+exports.addContact = async (network, address, label, note) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), INSERT_CONTACT, [
+    network,
+    address,
+    label,
+    note,
+    Math.floor(Date.now() / 1000),
+  ]);
+};
+
+exports.updateContactLabel = async (network, address, label) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), UPDATE_CONTACT_LABEL, [label, network, address]);
+};
+
+exports.deleteContact = async (network, address) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), DELETE_CONTACT, [network, address]);
+};
+
+exports.getLastAuditEntry = async () => {
+  const row = await sqlite3.getOne(sqlite3.getDeeperWalletDb(), GET_LAST_AUDIT_ENTRY, []);
+  return row;
+};
+
+exports.getAuditEntries = async (tool, since, until, limit, offset) => {
+  const list = await sqlite3.getList(sqlite3.getDeeperWalletDb(), GET_AUDIT_ENTRIES, [
+    tool,
+    tool,
+    since,
+    since,
+    until,
+    until,
+    limit,
+    offset,
+  ]);
+  return list;
+};
+
+exports.addAuditEntry = async entry => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), INSERT_AUDIT_ENTRY, [
+    entry.seq,
+    entry.timestamp,
+    entry.tool,
+    entry.args,
+    entry.fromAddress,
+    entry.payloadHash,
+    entry.signature,
+    entry.txHash,
+    entry.error,
+    entry.prevHash,
+    entry.hash,
+  ]);
+};
+
+// Rejects on a database error, reading a used key as unused would sign the payment again
+exports.getIdempotencyKey = async (owner, key) => {
+  const row = await sqlite3.getOneOrThrow(sqlite3.getDeeperWalletDb(), GET_IDEMPOTENCY_KEY, [owner, key]);
+  return row;
+};
+
+exports.setIdempotencyKey = async (owner, key, tool, requestHash, confirmationId) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), SET_IDEMPOTENCY_KEY, [
+    owner,
+    key,
+    tool,
+    requestHash,
+    confirmationId,
+    Math.floor(Date.now() / 1000),
+  ]);
+};
+
+exports.setIdempotencyResult = async (owner, key, txHash, result) => {
+  return sqlite3.runSql(sqlite3.getDeeperWalletDb(), SET_IDEMPOTENCY_RESULT, [txHash, result, owner, key]);
+};
+
+exports.deleteOldIdempotencyKeys = async before =>
+  sqlite3.runSql(sqlite3.getDeeperWalletDb(), DELETE_OLD_IDEMPOTENCY_KEYS, [before]);
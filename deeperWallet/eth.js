@@ -1,6 +1,8 @@
 const axios = require('axios');
 const to = require('await-to-js').default;
 const logger = require('./log');
+const operation = require('./operation');
+const { getRpcUrls } = require('./config');
 const { convertHexToDecimalString, hexToString, hexToDecimal } = require('./utils');
 
 const TRANSFER_SELECTOR = 'a9059cbb';
@@ -9,59 +11,6 @@ const NAME_SELECTOR = '0x06fdde03';
 const SYMBOL_SELECTOR = '0x95d89b41';
 const DECIMALS_SELECTOR = '0x313ce567';
 
-const rpcUrls = {
-  'ETHEREUM-SEPOLIA': [
-    'https://ethereum-sepolia-rpc.publicnode.com',
-    'https://1rpc.io/sepolia',
-    'https://sepolia.gateway.tenderly.co',
-  ],
-  'ETHEREUM': [
-    'https://eth-mainnet.public.blastapi.io',
-    'https://eth.llamarpc.com',
-    'https://ethereum-rpc.publicnode.com',
-  ],
-  'ARBITRUM': [
-    'https://arbitrum-rpc.publicnode.com',
-    'https://arbitrum.llamarpc.com',
-    'https://arbitrum-one-rpc.publicnode.com',
-  ],
-  'ARBITRUM-TESTNET': [
-    'https://arbitrum-sepolia-rpc.publicnode.com',
-    'https://endpoints.omniatech.io/v1/arbitrum/sepolia/public',
-    'https://arbitrum-sepolia.gateway.tenderly.co',
-  ],
-
-  'OPTIMISM': ['https://optimism-rpc.publicnode.com',
-    'https://optimism.llamarpc.com',
-    'https://rpc.ankr.com/optimism'],
-  'OPTIMISM-TESTNET': [
-    'https://api.zan.top/opt-sepolia',
-    'https://optimism-sepolia-rpc.publicnode.com',
-    'https://optimism-sepolia.drpc.org',
-  ],
-  'BASE': [
-    'https://base.llamarpc.com',
-    'https://developer-access-mainnet.base.org',
-    'https://base-mainnet.public.blastapi.io',
-  ],
-
-  'BASE-TESTNET': [
-    'https://base-sepolia-rpc.publicnode.com',
-    'https://sepolia.base.org',
-    'https://base-sepolia.gateway.tenderly.co',
-  ],
-  'BNBSMARTCHAIN': [
-    'https://bsc-dataseed2.bnbchain.org',
-    'https://bsc-dataseed.bnbchain.org',
-    'https://bsc-dataseed2.defibit.io',
-  ],
-  'BNBSMARTCHAIN-TESTNET': [
-    'https://bsc-testnet-dataseed.bnbchain.org',
-    'https://bsc-testnet.bnbchain.org',
-    'https://bsc-prebsc-dataseed.bnbchain.org'
-  ],
-};
-
 function convertDecimalToHexString(decimalStr) {
   const decimalNum = BigInt(decimalStr);
   const hexStr = '0x' + decimalNum.toString(16);
@@ -70,12 +19,12 @@ function convertDecimalToHexString(decimalStr) {
 
 function getRandomUrl(urls) {
   const randomIndex = Math.floor(Math.random() * urls.length);
-  console.warn(`Using RPC URL: ${urls[randomIndex]}`);
+  logger.debug(`Using RPC URL: ${urls[randomIndex]}`);
   return urls[randomIndex];
 }
 
 function getRpcUrl(network) {
-  const urls = rpcUrls[network];
+  const urls = getRpcUrls(network);
   if (!urls) {
     return null;
   }
@@ -83,7 +32,7 @@ function getRpcUrl(network) {
 }
 
 async function sendRpcRequest(rpcUrl, method, params = []) {
-  console.warn(`sendRpcRequest: ${rpcUrl} ${method} ${JSON.stringify(params)}`);
+  logger.debug(`sendRpcRequest: ${rpcUrl} ${method}`, { params });
   if (!rpcUrl) {
     return null;
   }
@@ -100,14 +49,16 @@ async function sendRpcRequest(rpcUrl, method, params = []) {
         headers: {
           'Content-Type': 'application/json',
         },
+        // Cancelling a swap or transfer aborts its pending requests
+        signal: operation.getSignal(),
       }
     )
   );
   if (error) {
-    console.error(`Failed to sendRpcRequest: ${rpcUrl} ${method} ${error}`);
+    logger.error(`Failed to sendRpcRequest: ${rpcUrl} ${method} ${error}`, { rpcUrl, method });
     return null;
   }
-  console.warn(`RPC Response: ${JSON.stringify(response.data)}`);
+  logger.debug(`RPC Response: ${JSON.stringify(response.data)}`);
   return response.data.result ? response.data.result : null;
 }
 
@@ -119,12 +70,12 @@ async function estimate_gas(network, fromAddress, toAddress, amount, data) {
   if (data) {
     body.data = data;
   }
-  console.warn(`estimate_gas body: ${JSON.stringify(body)}`);
+  logger.debug(`estimate_gas body: ${JSON.stringify(body)}`);
   const res = await sendRpcRequest(getRpcUrl(network), 'eth_estimateGas', [body]);
   if (!res) {
     return null;
   }
-  console.warn(`estimate_gas body: ${JSON.stringify(res)}`);
+  logger.debug(`estimate_gas result: ${JSON.stringify(res)}`);
   const gas = convertHexToDecimalString(res);
   return parseInt(gas);
 }
@@ -181,7 +132,7 @@ async function getNonce(network, address) {
 }
 
 async function get_tx_essential_elem(network, address) {
-  console.warn(`get_tx_essential_elem: ${network} ${address}`);
+  logger.debug(`get_tx_essential_elem: ${network} ${address}`);
   const nonce = await getNonce(network, address);
   if (nonce === null) {
     return null;
@@ -215,7 +166,7 @@ async function erc20Symbol(network, contractAddress) {
   if (!res) {
     return null;
   }
-  console.warn('erc20Symbol res:', res);
+  logger.debug(`erc20Symbol res: ${res}`);
   return hexToString(res);
 }
 
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+const db = require('./db');
+const logger = require('./log');
+
+const RETENTION = 30 * 24 * 3600; // keys are kept 30 days, in seconds like the timestamps in deeper_wallet.db
+
+// One request per key at a time, so a retry waits for the attempt it repeats to finish
+const locks = new Map();
+
+// Same JSON for the same arguments whatever their order
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Fingerprint of a request, a key may only be repeated with the same one
+ * @param {string} tool - Tool name
+ * @param {Object} request - Tool arguments without the idempotency key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(tool, request) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize({ tool, request }))).digest('hex');
+}
+
+/**
+ * Run fn while no other call holds the same key of the same owner
+ * @param {string} owner - Client the key belongs to
+ * @param {string} key - Idempotency key
+ * @param {Function} fn - Async function
+ * @returns {Promise<any>} Result of fn
+ */
+function runExclusive(owner, key, fn) {
+  const id = `${owner}\n${key}`;
+  const run = (locks.get(id) || Promise.resolve()).then(fn);
+  const done = run.catch(() => {});
+  locks.set(id, done);
+  done.then(() => {
+    if (locks.get(id) === done) {
+      locks.delete(id);
+    }
+  });
+  return run;
+}
+
+/**
+ * What a key was used for
+ * @param {string} owner - Client the key belongs to
+ * @param {string} key - Idempotency key
+ * @returns {Promise<Object|null>} { tool, requestHash, confirmationId, txHash, result, createdAt }, null if unused
+ * @throws {Error} If the key cannot be read
+ */
+async function getRecord(owner, key) {
+  const row = await db.getIdempotencyKey(owner, key);
+  if (!row) {
+    return null;
+  }
+  return {
+    tool: row.tool,
+    requestHash: row.request_hash,
+    confirmationId: row.confirmation_id ?? null,
+    txHash: row.tx_hash ?? null,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: new Date(row.created_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Remember the confirmation a key prepared, replacing an earlier one that was never sent
+ * @param {string} owner - Client the key belongs to
+ * @param {string} key - Idempotency key
+ * @param {string} tool - Tool that prepared it
+ * @param {string} requestHash - See hashRequest
+ * @param {string} confirmationId - Pending confirmation
+ * @returns {Promise<boolean>}
+ */
+async function savePrepared(owner, key, tool, requestHash, confirmationId) {
+  const success = await db.setIdempotencyKey(owner, key, tool, requestHash, confirmationId);
+  await db.deleteOldIdempotencyKeys(Math.floor(Date.now() / 1000) - RETENTION);
+  return success;
+}
+
+/**
+ * Remember the transaction a key sent, repeated calls return result instead of signing again
+ * @param {string} owner - Client the key belongs to
+ * @param {string} key - Idempotency key
+ * @param {string} txHash - Hash of the broadcast transaction
+ * @param {Object} result - JSON serializable result to return to repeated calls
+ * @returns {Promise<boolean>}
+ */
+async function saveResult(owner, key, txHash, result) {
+  const success = await db.setIdempotencyResult(owner, key, txHash, JSON.stringify(result));
+  if (!success) {
+    logger.error(`Failed to record transaction ${txHash} for idempotency key ${key}`, { owner, key, txHash });
+  }
+  return success;
+}
+
+module.exports = {
+  hashRequest,
+  runExclusive,
+  getRecord,
+  savePrepared,
+  saveResult,
+};
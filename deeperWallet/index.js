@@ -7,6 +7,7 @@ const { writeFile, rm } = require('fs/promises');
 
 const logger = require('./log');
 const commonUtil = require('./utils');
+const signer = require('./signer');
 const db = require('./db');
 //const cryptoUtil = require('../../../common-js/cryptoUtil');
 //const utils = require('../utils');
@@ -15,7 +16,22 @@ const sol = require('./solana');
 const tron = require('./tron');
 const sui = require('./sui');
 const uniswap = require('./uniswap');
+const spendingLimits = require('./spendingLimits');
+const addressBook = require('./addressBook');
+const audit = require('./audit');
+const operation = require('./operation');
+const idempotency = require('./idempotency');
+const walletSession = require('./walletSession');
+const messages = require('./messages');
 exports.uniswap = uniswap;
+exports.spendingLimits = spendingLimits;
+exports.addressBook = addressBook;
+exports.audit = audit;
+exports.operation = operation;
+exports.idempotency = idempotency;
+exports.signer = signer;
+exports.walletSession = walletSession;
+exports.messages = messages;
 
 // Import Uniswap subgraph module
 const {
@@ -28,21 +44,20 @@ const {
   SUBGRAPH_ENDPOINTS
 } = require('./uniswap-subgraph.js');
 
-const { DEEPER_WALLET_BIN_PATH } = require('./utils');
+const { getConfig } = require('./config');
 
 const { TokenInvalidInstructionTypeError } = require('@solana/spl-token');
 
-const PROXY_SERVER_ENDPOINT = 'https://proxy-wallet.deepernetworks.org';
-//const PROXY_SERVER_ENDPOINT = 'http://192.168.3.55:8080';
 const PROXY_REQUEST_TIMEOUT = 1000 * 20; // 20s
 const TOKEN_PRICE_TTL = 30; // 30s
 const EXCHANGE_RATE_TTL = 3600; // 1h
 
 const GAS_PRICE_MULTIPLIER = 1.1;
+const SOL_SIGNATURE_FEE = 5000; // lamports
 
-const KEYSTORE_PATH = '/var/deeper/deeperWallet';
-const BACKUP_FLAG_FILE_PATH = `${KEYSTORE_PATH}/backup`;
-const KEYSTORE_FILE = `${KEYSTORE_PATH}/keystore`;
+// Paths and endpoints come from the config, read when used so that --config applies
+const getKeystoreFile = () => `${getConfig().keystorePath}/keystore`;
+const getBackupFlagFile = () => `${getConfig().keystorePath}/backup`;
 
 const networkMap = new Map([
   ['BASE', 'ETHEREUM'],
@@ -56,6 +71,7 @@ const networkMap = new Map([
 const tokenPriceCache = new NodeCache();
 const exchangeRates = new NodeCache();
 const decimalsCache = new NodeCache();
+const contractDecimalsCache = new NodeCache();
 
 function getCurve(network) {
   if (network.startsWith('SUI')) {
@@ -92,6 +108,15 @@ function getCoin(network) {
   return networkMap.get(baseNetwork) || baseNetwork;
 }
 
+// Chain type of the wallet accounts that sign on a network, e.g. BASE-SEPOLIA => ETHEREUM
+exports.getChainType = network => getCoin(network.toUpperCase());
+
+// Chain id of an EVM network, e.g. ETHEREUM-SEPOLIA => 11155111, null for other chains and unknown networks
+exports.getEvmChainId = network => {
+  const upper = network.toUpperCase();
+  return getCoin(upper) === 'ETHEREUM' ? commonUtil.EVM_CHAIN_IDS[getNetwork(upper)] ?? null : null;
+};
+
 function getDerivePath(coin, path) {
   switch (coin) {
     case 'SOLANA':
@@ -133,14 +158,14 @@ function getDerivePath(coin, path) {
 // }
 
 function axiosGet(path) {
-  return axios.get(`${PROXY_SERVER_ENDPOINT}/${path}`, { timeout: PROXY_REQUEST_TIMEOUT });
+  return axios.get(`${getConfig().proxyServerEndpoint}/${path}`, { timeout: PROXY_REQUEST_TIMEOUT });
 }
 
 function axiosPost(path, data) {
-  return axios.post(`${PROXY_SERVER_ENDPOINT}/${path}`, data, { timeout: PROXY_REQUEST_TIMEOUT });
+  return axios.post(`${getConfig().proxyServerEndpoint}/${path}`, data, { timeout: PROXY_REQUEST_TIMEOUT });
 }
 
-exports.KEYSTORE_FILE = KEYSTORE_FILE;
+Object.defineProperty(exports, 'KEYSTORE_FILE', { enumerable: true, get: getKeystoreFile });
 
 exports.getBalance = async (network, address) => {
   network = network.toUpperCase();
@@ -161,7 +186,7 @@ exports.getBalance = async (network, address) => {
 
   const [error, response] = await to(axiosGet(`get_btc_balance/${address}/${network}`));
   if (error) {
-    console.error(`Failed to get balance: ${error}`);
+    logger.error(`Failed to get balance: ${error}`);
     return null;
   }
   return response.data;
@@ -196,7 +221,7 @@ exports.getPrice = async tokenName => {
 
   const [error, response] = await to(axiosGet(`get_token_price/${tokenName}`));
   if (error) {
-    console.error(`Failed to get ${tokenName} price: ${error}`);
+    logger.error(`Failed to get ${tokenName} price: ${error}`);
     return null;
   }
 
@@ -211,7 +236,7 @@ exports.getExchangeRate = async currency => {
 
   const [error, response] = await to(axiosGet(`get_currency_rate/${currency}`));
   if (error) {
-    console.error(`Failed to exchange rate: ${error}`);
+    logger.error(`Failed to exchange rate: ${error}`);
     return null;
   }
 
@@ -220,17 +245,17 @@ exports.getExchangeRate = async currency => {
 };
 
 exports.isBackupNeeded = () => {
-  return !existsSync(BACKUP_FLAG_FILE_PATH);
+  return !existsSync(getBackupFlagFile());
 };
 
 exports.markBackupDone = async () => {
-  if (existsSync(BACKUP_FLAG_FILE_PATH)) {
+  if (existsSync(getBackupFlagFile())) {
     return true;
   }
 
-  const [err] = await to(writeFile(BACKUP_FLAG_FILE_PATH, ''));
+  const [err] = await to(writeFile(getBackupFlagFile(), ''));
   if (err) {
-    console.error(`Failed to create file ${BACKUP_FLAG_FILE_PATH}: ${err}`);
+    logger.error(`Failed to create file ${getBackupFlagFile()}: ${err}`);
     return false;
   }
 
@@ -238,31 +263,9 @@ exports.markBackupDone = async () => {
 };
 
 exports.createHdStore = async (password, passwordHint, name) => {
-  const payload = {
-    method: 'hd_store_create',
-    param: {
-      password: password,
-      password_hint: passwordHint,
-      name: name,
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to create HD store: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [error1, stdout1] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}" `);
-  if (error1) {
-    console.error(`Failed to create HD store`);
-    return null;
-  }
-
-  const [error2, obj] = await to(commonUtil.jsonParse(stdout1));
-  if (error2 || !obj?.hash) {
-    console.error(`Invalid hd_store_create output: ${stdout1}`);
+  const [error, obj] = await to(signer.getSigner().createHdStore(password, passwordHint, name));
+  if (error) {
+    logger.error(`Failed to create HD store: ${error.message}`);
     return null;
   }
 
@@ -271,35 +274,9 @@ exports.createHdStore = async (password, passwordHint, name) => {
 };
 
 exports.importHdStore = async (mnemonic, password, passwordHint, name, overwrite, source) => {
-  // Prepare the payload to be processed by the hardware wallet
-  const payload = {
-    method: 'hd_store_import',
-    param: {
-      mnemonic: mnemonic,
-      password: password,
-      password_hint: passwordHint,
-      name: name,
-      overwrite: overwrite,
-      source: source,
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to import HD store: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [error1, stdout1] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}" `);
-  if (error1) {
-    console.error(`Failed to import HD store`);
-    return null;
-  }
-
-  const [error2, obj1] = await to(commonUtil.jsonParse(stdout1));
-  if (error2 || !obj1?.id) {
-    console.error(`Invalid hd_store_import output: ${stdout1}`);
+  const [error, obj1] = await to(signer.getSigner().importHdStore(mnemonic, password, passwordHint, name, overwrite, source));
+  if (error) {
+    logger.error(`Failed to import HD store: ${error.message}`);
     return null;
   }
   //await setNameSource(name, 1, obj1.hash);
@@ -309,25 +286,25 @@ exports.importHdStore = async (mnemonic, password, passwordHint, name, overwrite
 // exports.importKeyStore = async (content, name) => {
 //   const key = _0xfwgq2a.getKeystoreKey();
 //   if (!key) {
-//     console.error(`Failed to import keystore: key missing`);
+//     logger.error(`Failed to import keystore: key missing`);
 //     return false;
 //   }
 
 //   const [err, obj] = await to(commonUtil.jsonParse(content));
 //   if (err || !obj?.keyHash) {
-//     console.error(`Failed to parse keystore`);
+//     logger.error(`Failed to parse keystore`);
 //     return false;
 //   }
 
 //   const [err2, encrypted] = await to(cryptoUtil.encrypt(key.a, key.b, key.c, content));
 //   if (err2) {
-//     console.error(`Failed to encrypt keystore: ${err2}`);
+//     logger.error(`Failed to encrypt keystore: ${err2}`);
 //     return false;
 //   }
 
 //   const [writeErr] = await to(writeFile(KEYSTORE_FILE, Buffer.from(encrypted, 'hex')));
 //   if (writeErr) {
-//     console.error(`Failed to write keystore file ${KEYSTORE_FILE}: ${writeErr}`);
+//     logger.error(`Failed to write keystore file ${KEYSTORE_FILE}: ${writeErr}`);
 //     return false;
 //   }
 
@@ -336,28 +313,9 @@ exports.importHdStore = async (mnemonic, password, passwordHint, name, overwrite
 // };
 
 exports.exportMnemonic = async password => {
-  const payload = {
-    method: 'export_mnemonic',
-    param: {
-      password: password,
-    },
-  };
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to export mnemonic: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [error1, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}" `);
-  if (error1) {
-    console.error(`Failed to export mnemonic`);
-    return null;
-  }
-
-  const [error2, obj] = await to(commonUtil.jsonParse(stdout));
-  if (error2) {
-    console.error(`Invalid exportMnemonic output: ${stdout}`);
+  const [error, obj] = await to(signer.getSigner().exportMnemonic(password));
+  if (error) {
+    logger.error(`Failed to export mnemonic: ${error.message}`);
     return null;
   }
 
@@ -370,21 +328,13 @@ exports.exportMnemonic = async password => {
 };
 
 exports.exportKeystore = async () => {
-  const payload = { method: 'export_keystore', param: {} };
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to export mnemonic: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [error1, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}" `);
-  if (error1) {
-    console.error(`Failed to export mnemonic`);
+  const [error, keystore] = await to(signer.getSigner().exportKeystore());
+  if (error) {
+    logger.error(`Failed to export keystore: ${error.message}`);
     return null;
   }
 
-  return stdout;
+  return JSON.stringify(keystore);
 };
 
 
@@ -392,40 +342,16 @@ exports.exportKeystore = async () => {
 exports.renameAccount = async (index, newName) => {
   const success = await db.renameAccount(index, newName);
   if (!success) {
-    console.error(`Failed to rename account`);
+    logger.error(`Failed to rename account`);
   }
   return success;
 };
 
 exports.exportPrivateKey = async (password, network, address) => {
   const chainType = getCoin(network);
-  const payload = {
-    method: 'export_private_key',
-    param: {
-      password: password,
-      chain_type: chainType,
-      network: '',
-      main_address: address,
-      path: '',
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to export private key: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [error1, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}" `);
-  if (error1) {
-    console.error(`Failed to export private key`);
-    return null;
-  }
-
-  const [error2, obj] = await to(commonUtil.jsonParse(stdout));
-  if (error2) {
-    console.error(`Invalid export_private_key output: ${stdout}`);
+  const [error, obj] = await to(signer.getSigner().exportPrivateKey(password, chainType, address));
+  if (error) {
+    logger.error(`Failed to export private key: ${error.message}`);
     return null;
   }
 
@@ -447,42 +373,19 @@ async function derive_address(password, network, idx) {
   }
   const dpath = getDerivePath(coin, idx);
 
-  // Prepare the payload to be signed by the hardware wallet
-  const payload = {
-    method: 'keystore_common_derive',
-    param: {
-      password: password,
-      derivations: [
-        {
-          chain_type: coin,
-          path: dpath,
-          network: getNetwork(network), // Include token_network only if provided
-          seg_wit: seg_wit,
-          chain_id: '',
-          curve: getCurve(network),
-        },
-      ],
+  const derivations = [
+    {
+      chain_type: coin,
+      path: dpath,
+      network: getNetwork(network), // Include token_network only if provided
+      seg_wit: seg_wit,
+      chain_id: '',
+      curve: getCurve(network),
     },
-  };
-
-  const escapedString = JSON.stringify(payload).replace(/"/g, '\\"');
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to add address: keystore params missing`);
-  //   return null;
-  // }
-
-  console.error(`------ ${escapedString}`);
-
-  const [error1, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedString}" `);
-  if (error1) {
-    console.error(`Failed to add address`);
-    return null;
-  }
-
-  const [error2, obj] = await to(commonUtil.jsonParse(stdout));
-  if (error2 || !obj?.accounts) {
-    console.error(`Invalid keystore_common_derive output: ${stdout}`);
+  ];
+  const [error, obj] = await to(signer.getSigner().deriveAccounts(password, derivations));
+  if (error) {
+    logger.error(`Failed to add address: ${error.message}`);
     return null;
   }
 
@@ -490,10 +393,33 @@ async function derive_address(password, network, idx) {
   return address;
 }
 
+/**
+ * Check the password with the signer and keep it in memory for a client's signatures until it is idle for idleTimeout seconds
+ * @param {string} owner - Client key, see getOwner in confirmations.js
+ * @param {string} password - Wallet password
+ * @param {number} idleTimeout - Seconds without signing before the wallet locks again
+ * @returns {Promise<Object|null>} Session status, see walletSession.getStatus, or null if the password is wrong
+ */
+exports.unlockWallet = async (owner, password, idleTimeout) => {
+  // Deriving the first account again decrypts the keystore without changing it
+  const address = await derive_address(password, 'ETHEREUM', 0);
+  if (!address) {
+    logger.error('Failed to unlock wallet');
+    return null;
+  }
+  logger.info(`Wallet unlocked for ${idleTimeout} s of inactivity`);
+  return walletSession.unlock(owner, password, idleTimeout);
+};
+
+exports.lockWallet = owner => {
+  logger.info('Wallet locked');
+  return walletSession.lock(owner);
+};
+
 exports.renameWallet = async name => {
   const success = await db.renameWallet(name);
   if (!success) {
-    console.error(`Failed to rename wallet`);
+    logger.error(`Failed to rename wallet`);
     return false;
   }
   return true;
@@ -514,13 +440,13 @@ exports.addAccount = async (password, chains) => {
   });
   // const success = await db.insertDeriveAddress(arr);
   // if (!success) {
-  //   console.error(`Failed to insert address of chains`);
+  //   logger.error(`Failed to insert address of chains`);
   //   return false;
   // }
 
   // const inserted = await db.insertAccountName(idx, 'Account' + (idx + 1).toString().padStart(2, '0'));
   // if (!inserted) {
-  //   console.error(`Failed to insert account name`);
+  //   logger.error(`Failed to insert account name`);
   //   return false;
   // }
   return arr;
@@ -528,7 +454,7 @@ exports.addAccount = async (password, chains) => {
 
 exports.getTransactionHistory = async (network, address) => {
   let apiEndpoint;
-  if (network.toLowerCase().startsWith('SOLANA')) {
+  if (network.toUpperCase().startsWith('SOLANA')) {
     apiEndpoint = `get_solana_tx_history/${network}/${address}`;
   } else {
     apiEndpoint = `get_tx_history/${network}/${address}`;
@@ -536,7 +462,7 @@ exports.getTransactionHistory = async (network, address) => {
 
   const [error, txHistoryResponse] = await to(axiosGet(apiEndpoint));
   if (error) {
-    console.error(`Failed to get transaction history: ${error}`);
+    logger.error(`Failed to get transaction history: ${error}`);
     return null;
   }
   return txHistoryResponse.data;
@@ -546,7 +472,7 @@ exports.getTokenTransactionHistory = async (network, address, contractAddress) =
   const apiEndpoint = `get_token_tx_history/${network}/${address}/${contractAddress}`;
   const [error, txHistoryResponse] = await to(axiosGet(apiEndpoint));
   if (error) {
-    console.error(`Failed to get token transaction history: ${error}`);
+    logger.error(`Failed to get token transaction history: ${error}`);
     return null;
   }
   return txHistoryResponse.data;
@@ -556,20 +482,20 @@ exports.getTransactionDetail = async txHash => {
   const apiEndpoint = `get_tx_detail/${txHash}`;
   const [error, txDetailResponse] = await to(axiosGet(apiEndpoint));
   if (error) {
-    console.error(`Failed to get transaction detail: ${error}`);
+    logger.error(`Failed to get transaction detail: ${error}`);
     return null;
   }
   return txDetailResponse.data;
 };
 
 exports.getGasPrice = async network => {
-
+  network = network.toUpperCase();
   if (network.startsWith('SOLANA') || network.startsWith('TRON') || network.startsWith('SUI')) {
     return { 'gas_price': '1' };
   } else if (network.startsWith('BITCOIN')) {
     const btcFee = await getBtcFee(network);
     if (!btcFee?.halfHourFee) {
-      console.error(`Failed to get btc fee ${error}`);
+      logger.error(`Failed to get btc fee`);
       return null;
     }
     return { gas_price: btcFee.halfHourFee.toString() };
@@ -607,31 +533,241 @@ exports.getContractMeta = async (network, contractAddress) => {
   }
   const [err, meta] = await to(axiosGet(`${apiName}/${network}/${contractAddress}`));
   if (err) {
-    console.error(`Failed to get ERC20 meta: ${err}`);
+    logger.error(`Failed to get ERC20 meta: ${err}`);
     return null;
   }
   return meta.data;
 };
 
+// Token decimals never change, so they are cached for the life of the process
+exports.getTokenDecimals = async (network, contractAddress) => {
+  const key = network.toUpperCase() + contractAddress;
+  if (contractDecimalsCache.has(key)) {
+    return contractDecimalsCache.get(key);
+  }
+
+  const [err, meta] = await to(exports.getContractMeta(network, contractAddress));
+  if (err || typeof meta?.decimals !== 'number') {
+    logger.error(`Failed to get decimals of ${contractAddress} on ${network}: ${err || JSON.stringify(meta)}`);
+    return null;
+  }
+  contractDecimalsCache.set(key, meta.decimals);
+  return meta.decimals;
+};
+
 exports.transferToken = async (password, fromAddress, toAddress, amount, network) => {
+  const prepared = await exports.prepareTransfer(fromAddress, toAddress, amount, network);
+  if (!prepared) {
+    return null;
+  }
+  return exports.sendPreparedTransaction(password, prepared);
+};
+
+exports.transferContractToken = async (password, fromAddress, contractAddress, toAddress, amount, network) => {
+  const prepared = await exports.prepareContractTransfer(fromAddress, contractAddress, toAddress, amount, network);
+  if (!prepared) {
+    return null;
+  }
+  return exports.sendPreparedTransaction(password, prepared);
+};
+
+/**
+ * Build an unsigned native coin transfer. Nothing is signed or broadcast until the result
+ * is passed to sendPreparedTransaction.
+ * @returns {Promise<Object|null>} Prepared transaction or null if it could not be built
+ */
+exports.prepareTransfer = async (fromAddress, toAddress, amount, network) => {
   network = network.toUpperCase();
   if (network.startsWith('SOLANA')) {
-    return transferSol(password, fromAddress, toAddress, amount, network);
+    return buildSolTransfer(fromAddress, toAddress, amount, network);
   } else if (network.startsWith('TRON')) {
-    return transferTrx(password, fromAddress, toAddress, amount, network);
+    return buildTrxTransfer(fromAddress, toAddress, amount, network);
   } else if (network.startsWith('BITCOIN')) {
-    return transferBtc(password, fromAddress, toAddress, amount, network);
+    return buildBtcTransfer(fromAddress, toAddress, amount, network);
+  } else if (network.startsWith('SUI')) {
+    return buildSuiTransfer('0x2::sui::SUI', fromAddress, toAddress, amount, network);
+  }
+  return buildEthTransfer(fromAddress, toAddress, amount, network);
+};
+
+/**
+ * Build an unsigned token (ERC20/SPL/TRC20/Sui coin) transfer, see prepareTransfer.
+ * @returns {Promise<Object|null>} Prepared transaction or null if it could not be built
+ */
+exports.prepareContractTransfer = async (fromAddress, contractAddress, toAddress, amount, network) => {
+  network = network.toUpperCase();
+  if (network.startsWith('SOLANA')) {
+    return buildSplTransfer(fromAddress, contractAddress, toAddress, amount, network);
+  } else if (network.startsWith('TRON')) {
+    return buildTrc20Transfer(fromAddress, contractAddress, toAddress, amount, network);
   } else if (network.startsWith('SUI')) {
-    return transfersui(password, '0x2::sui::SUI', fromAddress, toAddress, amount, network);
+    return buildSuiTransfer(contractAddress, fromAddress, toAddress, amount, network);
+  } else if (network.startsWith('BITCOIN')) {
+    logger.error(`BTC does not support contract token transfer`);
+    return null;
   }
-  return transferEth(password, fromAddress, toAddress, amount, network);
+  return buildEthErc20Transfer(fromAddress, contractAddress, toAddress, amount, network);
 };
 
-async function transferBtc(password, fromAddress, toAddress, amount, network) {
-  const sn = ""; // utils.getUserId();
+function preparedTransaction(chainType, network, fromAddress, toAddress, contractAddress, amount, input, fee, context = {}) {
+  return {
+    chainType,
+    network,
+    fromAddress,
+    toAddress,
+    contractAddress,
+    amount: amount.toString(),
+    input,
+    fee,
+    context,
+  };
+}
+
+exports.disableSigning = signer.disableSigning;
+
+// Sign a transaction input with the hd-wallet binary, returns the parsed sign_tx output or null
+async function signTransaction(password, chainType, fromAddress, input) {
+  if (signer.isSigningDisabled()) {
+    logger.error(`Refusing to sign ${chainType} transaction, signing is disabled`, { chainType, fromAddress });
+    audit.noteSigning(fromAddress, input, 'refused: signing is disabled');
+    return null;
+  }
+
+  const [err, obj] = await to(signer.getSigner().signTx(chainType, fromAddress, input, password));
+  if (err) {
+    logger.error(`Failed to sign_tx ${chainType} transaction: ${err.message}`, { chainType, fromAddress, code: err.code });
+    audit.noteSigning(fromAddress, input, `failed: ${err.message}`);
+    return null;
+  }
+  audit.noteSigning(fromAddress, input, 'signed');
+  return obj;
+}
+
+/**
+ * Sign an off-chain message with a wallet account; nothing is broadcast
+ * @param {string} password - Wallet password
+ * @param {string} network - Network name, selects the chain type of the account
+ * @param {string} fromAddress - Signing account
+ * @param {Object} input - sign_message input, see signerClient.signMessage
+ * @returns {Promise<string|null>} Signature, null if signing is disabled or the signer failed
+ */
+exports.signMessage = async (password, network, fromAddress, input) => {
+  const chainType = getCoin(network.toUpperCase());
+  if (signer.isSigningDisabled()) {
+    logger.error(`Refusing to sign ${chainType} message, signing is disabled`, { chainType, fromAddress });
+    audit.noteSigning(fromAddress, input, 'refused: signing is disabled');
+    return null;
+  }
+
+  const [err, obj] = await to(signer.getSigner().signMessage(chainType, fromAddress, input, password));
+  if (err) {
+    logger.error(`Failed to sign_message ${chainType} message: ${err.message}`, { chainType, fromAddress, code: err.code });
+    audit.noteSigning(fromAddress, input, `failed: ${err.message}`);
+    return null;
+  }
+  audit.noteSigning(fromAddress, input, 'signed');
+  return obj.signature;
+};
+
+/**
+ * Sign a transaction built by prepareTransfer/prepareContractTransfer and broadcast it
+ * @param {string} password - Wallet password
+ * @param {Object} prepared - Prepared transaction
+ * @returns {Promise<{TransactionHash: string}|null>}
+ * @throws {SpendingLimitError} If the amount breaches a spending limit, nothing is signed then
+ */
+exports.sendPreparedTransaction = async (password, prepared) => {
+  const reservation = await spendingLimits.reserveSpend(prepared.network, prepared.contractAddress, prepared.amount);
+  const [err, result] = await to(signAndBroadcast(password, prepared));
+  if (err || !result) {
+    spendingLimits.releaseSpend(reservation);
+    if (err) {
+      throw err;
+    }
+    return null;
+  }
+  await spendingLimits.commitSpend(reservation, result.TransactionHash);
+  return result;
+};
+
+async function signAndBroadcast(password, prepared) {
+  const { chainType, network, fromAddress, input, context } = prepared;
+  const obj = await signTransaction(password, chainType, fromAddress, input);
+  if (!obj) {
+    return null;
+  }
+
+  let txHash;
+  switch (chainType) {
+    case 'ETHEREUM': {
+      const signedTransaction = `0x${obj.signature.replace(/^"|"$/g, '')}`;
+      txHash = await eth.sendEthRawTransaction(network, signedTransaction);
+      logger.info(`sendEthRawTransaction ${txHash}`, { network, txHash });
+      break;
+    }
+    case 'SOLANA': {
+      const { tx } = context;
+      const signedTransaction = `${obj.signature.replace(/^"|"$/g, '')}`;
+      tx.addSignature(new web3.PublicKey(fromAddress), Buffer.from(signedTransaction, 'hex'));
+      txHash = await sol.sendRawTransaction(network, tx.serialize());
+      break;
+    }
+    case 'TRON': {
+      const { rawTx } = context;
+      rawTx.signature = obj.signatures[0];
+      txHash = await tron.broadcastTronTransaction(network, rawTx);
+      logger.info(`broadcastTronTransaction ${txHash}`, { network, txHash });
+      break;
+    }
+    case 'SUI': {
+      const signature = Buffer.from(obj.signature, 'hex').toString('base64');
+      txHash = await sui.sendSuiTransaction(context.txString, signature, network);
+      break;
+    }
+    case 'BITCOIN': {
+      const sn = ''; // utils.getUserId();
+      const ts = Date.now();
+      const signedTransaction = `${obj.signature.replace(/^"|"$/g, '')}`;
+      const [err, proxyResponse] = await to(
+        axiosPost(`send_btc_transaction_raw/${network}/${signedTransaction}/${sn}/${ts}`, {})
+      );
+      if (err) {
+        logger.error(`Failed to send_btc_tx_raw: ${err}`);
+        return null;
+      }
+      txHash = proxyResponse.data?.transaction_hash;
+      break;
+    }
+    default:
+      logger.error(`Unsupported chain type: ${chainType}`);
+      return null;
+  }
+
+  if (!txHash) {
+    logger.error(`Failed to broadcast ${chainType} transaction on ${network}`, { chainType, network, fromAddress });
+    return null;
+  }
+
+  // const success = await db.addTx(
+  //   txHash,
+  //   fromAddress.toString(),
+  //   prepared.toAddress.toString(),
+  //   prepared.contractAddress,
+  //   prepared.fee.raw,
+  //   0,
+  //   network,
+  //   'Send',
+  //   prepared.amount,
+  //   Date.now(),
+  //   0
+  // );
+  return { TransactionHash: txHash };
+}
+
+async function buildBtcTransfer(fromAddress, toAddress, amount, network) {
   const btcFee = await getBtcFee(network);
   if (!btcFee?.halfHourFee) {
-    console.error(`Failed to get btc fee ${error}`);
+    logger.error(`Failed to get btc fee`);
     return null;
   }
 
@@ -639,7 +775,7 @@ async function transferBtc(password, fromAddress, toAddress, amount, network) {
     axiosGet(`get_btc_utxo/${fromAddress}/${btcFee.halfHourFee}/${amount}/${network}`)
   );
   if (err1) {
-    console.error(`Failed to get_btc_utxo: ${err1}`);
+    logger.error(`Failed to get_btc_utxo: ${err1}`);
     return null;
   }
 
@@ -653,29 +789,15 @@ async function transferBtc(password, fromAddress, toAddress, amount, network) {
     return null;
   }
 
-  let payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'BITCOIN',
-      address: fromAddress,
-      input: {
-        to: toAddress,
-        amount: parseInt(amount),
-        fee_rate: btcFee.halfHourFee,
-        change_address_index: 0,
-        change_address: '',
-        network: getNetwork(network),
-        seg_wit: segwitType,
-        unspents: [],
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
-
-  data.forEach(utxo => {
-    const unspent = {
+  const input = {
+    to: toAddress,
+    amount: parseInt(amount),
+    fee_rate: btcFee.halfHourFee,
+    change_address_index: 0,
+    change_address: '',
+    network: getNetwork(network),
+    seg_wit: segwitType,
+    unspents: data.map(utxo => ({
       tx_hash: utxo.txid,
       vout: utxo.vout,
       amount: utxo.satoshi,
@@ -683,44 +805,12 @@ async function transferBtc(password, fromAddress, toAddress, amount, network) {
       script_pub_key: utxo.scriptPk,
       derived_path: '',
       sequence: 4294967293,
-    };
-
-    payload.param.input.unspents.push(unspent);
-  });
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer ETH ERC20: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to sign_tx transfer btc: ${err2}`);
-    return null;
-  }
+    })),
+  };
 
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signature) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-  const signedTransaction = `${obj.signature.replace(/^"|"$/g, '')}`;
-  const [err4, proxyResponse] = await to(
-    axiosPost(`send_btc_transaction_raw/${network}/${signedTransaction}/${sn}/${ts}`, {})
-  );
-  if (err4) {
-    console.error(`Failed to send_btc_tx_raw: ${err4}`);
-    return null;
-  }
-  const txHash = proxyResponse.data?.transaction_hash;
-  if (!txHash) {
-    console.error(`Invalid proxy response: ${JSON.stringify(proxyResponse.data)}`);
-    return null;
-  }
-  return proxyResponse.data;
+  // The exact fee depends on the inputs the signer selects, only the rate is known here
+  const fee = { raw: null, note: `${btcFee.halfHourFee} sat/vB` };
+  return preparedTransaction('BITCOIN', network, fromAddress, toAddress, '', amount, input, fee);
 }
 
 function getAddressType(code) {
@@ -739,155 +829,38 @@ async function getBtcFee(network) {
   network = getNetwork(network);
   const [err, response] = await to(axiosGet(`get_btc_fee/${network}`));
   if (err) {
-    console.error(`Failed to get_btc_fee: ${err}`);
+    logger.error(`Failed to get_btc_fee: ${err}`);
     return null;
   }
   return response.data;
 }
 
-async function transferSol(password, fromAddress, toAddress, amount, network) {
+async function buildSolTransfer(fromAddress, toAddress, amount, network) {
   const tx = await sol.getTransferSolMessage(network, fromAddress, toAddress, amount);
   if (!tx) {
     return null;
   }
-  const txBytes = tx.serializeMessage().toString('hex');
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'SOLANA',
-      address: fromAddress,
-      input: {
-        raw_data: txBytes,
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer SOL: keystore params missing`);
-  //   return null;
-  // }
-
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  console.error(`------ ${escapedPayload}`);
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to sign_tx transfer SOL ${err2}`);
-    return null;
-  }
-
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signature) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-  const signedTransaction = `${obj.signature.replace(/^"|"$/g, '')}`;
-  const bs = Buffer.from(signedTransaction, 'hex');
-  const fromPublicKey = new web3.PublicKey(fromAddress);
-  tx.addSignature(fromPublicKey, bs);
-
-  const txBuff = tx.serialize();
-  const txHash = await sol.sendRawTransaction(network, txBuff);
-  if (!txHash) {
-    console.error(`Invalid sendRawTransaction response`);
-    return null;
-  }
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   '',
-  //   '5000'.toString(),
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   return null;
-  // }
-
-  return { TransactionHash: txHash };
+  const input = { raw_data: tx.serializeMessage().toString('hex') };
+  const fee = { raw: SOL_SIGNATURE_FEE.toString(), note: 'base fee for one signature' };
+  return preparedTransaction('SOLANA', network, fromAddress, toAddress, '', amount, input, fee, { tx });
 }
 
-async function transferSplToken(password, fromAddress, mintAddress, toAddress, amount, network) {
+async function buildSplTransfer(fromAddress, mintAddress, toAddress, amount, network) {
   const tx = await sol.getTransferSplMessage(network, fromAddress, toAddress, amount, mintAddress);
-  const txBytes = tx.serializeMessage().toString('hex');
-
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'SOLANA',
-      address: fromAddress,
-      input: {
-        raw_data: txBytes,
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer SOL token: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to sign_tx transfer SOL token`);
-    return null;
-  }
-
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signature) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-  const signedTransaction = `${obj.signature.replace(/^"|"$/g, '')}`;
-  const bs = Buffer.from(signedTransaction, 'hex');
-  const fromPublicKey = new web3.PublicKey(fromAddress);
-  tx.addSignature(fromPublicKey, bs);
-  const txBuff = tx.serialize();
-
-  const txHash = await sol.sendRawTransaction(network, txBuff);
-  if (!txHash) {
-    console.error(`Invalid sendRawTransaction response`);
+  if (!tx) {
     return null;
   }
-
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   mintAddress.toString(),
-  //   '8000'.toString(),
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   return null;
-  // }
-  return { TransactionHash: txHash };
+  const input = { raw_data: tx.serializeMessage().toString('hex') };
+  const note = tx.instructions.length > 1
+    ? 'base fee for one signature, plus rent for the recipient token account'
+    : 'base fee for one signature';
+  const fee = { raw: SOL_SIGNATURE_FEE.toString(), note };
+  return preparedTransaction('SOLANA', network, fromAddress, toAddress, mintAddress, amount, input, fee, { tx });
 }
 
-async function transferEth(password, fromAddress, toAddress, amount, network) {
+async function buildEthTransfer(fromAddress, toAddress, amount, network) {
   const res = await eth.get_tx_essential_elem(network, fromAddress);
-  console.error(`get_tx_essential_elem ${JSON.stringify(res)}`);
+  logger.debug(`get_tx_essential_elem ${JSON.stringify(res)}`);
   if (!res) {
     return null;
   }
@@ -897,228 +870,48 @@ async function transferEth(password, fromAddress, toAddress, amount, network) {
   const finalGasPrice = BigInt(Math.round(gasPrice * GAS_PRICE_MULTIPLIER));
 
   const gas = await eth.estimate_gas(network, fromAddress, toAddress, amount, '');
-  console.error(`estimate_gas ${gas}`);
+  logger.debug(`estimate_gas ${gas}`);
   if (!gas) {
     return null;
   }
   const finalGas = BigInt(Math.round(gas * GAS_PRICE_MULTIPLIER));
-  //const gasFee = finalGasPrice * finalGas;
-
-  // Prepare the payload to be signed by the hardware wallet
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'ETHEREUM',
-      address: fromAddress,
-      input: {
-        nonce: nonce.toString(),
-        to: toAddress,
-        value: amount.toString(),
-        gas_price: finalGasPrice.toString(),
-        gas: finalGas.toString(),
-        data: '',
-        network: getNetwork(network),
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
 
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer ETH: keystore params missing`);
-  //   return null;
-  // }
-  console.error(`------ ${jsonPayload}`);
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}"`);
-  if (err2) {
-    console.error(`Failed to exec hd-wallet ${err2}`);
-    return null;
-  }
-
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signature) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-
-  const signedTransaction = `0x${obj.signature.replace(/^"|"$/g, '')}`;
-
-  const txHash = await eth.sendEthRawTransaction(network, signedTransaction);
-  console.error(`sendEthRawTransaction ${txHash}`);
-  if (!txHash) {
-    console.error(`Invalid proxy response: ${JSON.stringify(proxyResponse.data)}`);
-    return null;
-  }
-
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   '',
-  //   gasFee.toString(),
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   return null;
-  // }
-
-  return { TransactionHash: txHash };
+  const input = {
+    nonce: nonce.toString(),
+    to: toAddress,
+    value: amount.toString(),
+    gas_price: finalGasPrice.toString(),
+    gas: finalGas.toString(),
+    data: '',
+    network: getNetwork(network),
+  };
+  const fee = { raw: (finalGasPrice * finalGas).toString(), note: 'maximum, gas limit x gas price' };
+  return preparedTransaction('ETHEREUM', network, fromAddress, toAddress, '', amount, input, fee);
 }
 
-async function transferTrx(password, fromAddress, toAddress, amount, network) {
+async function buildTrxTransfer(fromAddress, toAddress, amount, network) {
   const rawTx = await tron.getTransferTrxMessage(network, fromAddress, toAddress, amount);
-  console.error(`rawTx ${rawTx}`);
   if (!rawTx) {
     return null;
   }
-
-  // Prepare the payload to be signed by the hardware wallet
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'TRON',
-      address: fromAddress,
-      input: {
-        raw_data: rawTx.raw_data_hex,
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  console.error(`------ ${jsonPayload}`);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer ETH: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to sign transfer trx`);
-    return null;
-  }
-  console.error(`transferTrx stdout ${stdout} `);
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signatures) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-
-  rawTx.signature = obj.signatures[0];
-  const signedTransaction = JSON.stringify(rawTx);
-  const txHash = await tron.broadcastTronTransaction(network, rawTx);
-  console.error(`txHash broadcastTronTransaction: ${txHash}`);
-  if (!txHash) {
-    console.error(`Invalid broadcastTronTransaction: ${signedTransaction}`);
-    return null;
-  }
-
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   '',
-  //   '1000',
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   return null;
-  // }
-  return { TransactionHash: txHash };
+  const input = { raw_data: rawTx.raw_data_hex };
+  const fee = { raw: null, note: 'paid with bandwidth, TRX is burned only if bandwidth is exhausted' };
+  return preparedTransaction('TRON', network, fromAddress, toAddress, '', amount, input, fee, { rawTx });
 }
 
-async function transferTrc20(password, fromAddress, contractAddress, toAddress, amount, network) {
+async function buildTrc20Transfer(fromAddress, contractAddress, toAddress, amount, network) {
   const rawTx = await tron.getTransferTrc20Message(network, fromAddress, toAddress, amount, contractAddress);
   if (!rawTx?.raw_data_hex) {
-    console.error(`Failed to getting raw_data_hex`);
+    logger.error(`Failed to getting raw_data_hex`);
     return null;
   }
-
-  // Prepare the payload to be signed by the hardware wallet
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'TRON',
-      address: fromAddress,
-      input: {
-        raw_data: rawTx.raw_data_hex,
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer trc20: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to bin sign trc20 transfer`);
-    return null;
-  }
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signatures) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-
-  rawTx.signature = obj.signatures[0];
-  const signedTransaction = JSON.stringify(rawTx);
-
-  const txHash = await tron.broadcastTronTransaction(network, rawTx);
-  console.error(`txHash broadcastTronTransaction: ${txHash}`);
-  if (!txHash) {
-    console.error(`Invalid broadcastTronTransaction: ${signedTransaction}`);
-    return null;
-  }
-
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   contractAddress.toString(),
-  //   '1000',
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   return null;
-  // }
-  return { TransactionHash: txHash };
+  const input = { raw_data: rawTx.raw_data_hex };
+  const fee = { raw: rawTx.raw_data?.fee_limit?.toString() ?? null, note: 'fee limit, paid with energy and bandwidth first' };
+  return preparedTransaction('TRON', network, fromAddress, toAddress, contractAddress, amount, input, fee, { rawTx });
 }
 
-async function transfersui(password, tokenType, fromAddress, toAddress, amount, network) {
+async function buildSuiTransfer(tokenType, fromAddress, toAddress, amount, network) {
   const rawTx = await sui.getTransferSuiMessage(tokenType, fromAddress, amount, toAddress, network);
-  console.error(`rawTx ${rawTx}`);
   if (!rawTx) {
     return null;
   }
@@ -1126,90 +919,15 @@ async function transfersui(password, tokenType, fromAddress, toAddress, amount,
   const txString = rawTx.txBytes;
   const intentBuffer = Buffer.from([0, 0, 0]); // [version, app_id, intent_type]
   const txBuffer = Buffer.from(txString, 'base64');
-  const decoded = Buffer.concat([intentBuffer, txBuffer]).toString('hex');
-
-  // Prepare the payload to be signed by the hardware wallet
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'SUI',
-      address: fromAddress,
-      input: {
-        raw_data: decoded,
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  console.error(`------ ${jsonPayload}`);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer ETH: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to sign transfer trx`);
-    return null;
-  }
-  console.error(`transferTrx stdout ${stdout} `);
-  // Parse the response from the hardware wallet
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signature) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-
-  const signature = Buffer.from(obj.signature, 'hex').toString('base64');
-
-  const txHash = await sui.sendSuiTransaction(txString, signature);
-
-  console.error(`txHash broadcastTronTransaction: ${txHash}`);
-  if (!txHash) {
-    console.error(`Invalid broadcastTronTransaction: ${signedTransaction}`);
-    return null;
-  }
-
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   '',
-  //   '1000',
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   return null;
-  // }
-  return { TransactionHash: txHash };
+  const input = { raw_data: Buffer.concat([intentBuffer, txBuffer]).toString('hex') };
+  const fee = { raw: sui.getGasBudget(tokenType).toString(), note: 'gas budget' };
+  const contractAddress = tokenType === '0x2::sui::SUI' ? '' : tokenType;
+  return preparedTransaction('SUI', network, fromAddress, toAddress, contractAddress, amount, input, fee, { txString });
 }
 
-exports.transferContractToken = async (password, fromAddress, contractAddress, toAddress, amount, network) => {
-  if (network.startsWith('SOLANA')) {
-    return transferSplToken(password, fromAddress, contractAddress, toAddress, amount, network);
-  } else if (network.startsWith('TRON')) {
-    return transferTrc20(password, fromAddress, contractAddress, toAddress, amount, network);
-  } else if (network.startsWith('SUI')) {
-    return transfersui(password, contractAddress, fromAddress, toAddress, amount, network);
-  } else if (network.startsWith('BITCOIN')) {
-    console.error(`BTC does not support contract token transfer`);
-    return null;
-  }
-  return transferEthErc20(password, fromAddress, contractAddress, toAddress, amount, network);
-};
-
-async function transferEthErc20(password, fromAddress, contractAddress, toAddress, amount, network) {
+async function buildEthErc20Transfer(fromAddress, contractAddress, toAddress, amount, network) {
   const res = await eth.get_tx_essential_elem(network, fromAddress);
-  console.error(`get_tx_essential_elem ${res}`);
+  logger.debug(`get_tx_essential_elem ${JSON.stringify(res)}`);
   if (!res) {
     return null;
   }
@@ -1223,71 +941,18 @@ async function transferEthErc20(password, fromAddress, contractAddress, toAddres
   }
   // Calculate the final gas price by multiplying the gas price by the multiplier
   const finalGasPrice = BigInt(Math.round(gasPrice * GAS_PRICE_MULTIPLIER));
-  //const gasFee = finalGasPrice * BigInt(gas);
-
-  // Prepare the payload to be signed by the hardware wallet
-  const payload = {
-    method: 'sign_tx',
-    param: {
-      chain_type: 'ETHEREUM',
-      address: fromAddress,
-      input: {
-        nonce: nonce.toString(),
-        to: contractAddress,
-        value: '0',
-        gas_price: finalGasPrice.toString(),
-        gas: gas.toString(),
-        data: callData,
-        network: getNetwork(network),
-      },
-      key: {
-        Password: password,
-      },
-    },
-  };
 
-  const jsonPayload = JSON.stringify(payload);
-  // const keystoreParams = getKeystoreParams();
-  // if (!keystoreParams) {
-  //   console.error(`Failed to transfer ETH ERC20: keystore params missing`);
-  //   return null;
-  // }
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  const [err2, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-  if (err2) {
-    console.error(`Failed to transfer ETH ERC20`);
-    return null;
-  }
-  const [err3, obj] = await to(commonUtil.jsonParse(stdout));
-  if (err3 || !obj?.signature) {
-    console.error(`Invalid sign_tx output: ${stdout}`);
-    return null;
-  }
-
-  const signedTransaction = `0x${obj.signature.replace(/^"|"$/g, '')}`;
-  const txHash = await eth.sendEthRawTransaction(network, signedTransaction);
-  if (!txHash) {
-    console.error(`Invalid sendEthRawTransaction response: ${JSON.stringify(proxyResponse.data)}`);
-    return null;
-  }
-  // const success = await db.addTx(
-  //   txHash,
-  //   fromAddress.toString(),
-  //   toAddress.toString(),
-  //   contractAddress.toString(),
-  //   gasFee.toString(),
-  //   0,
-  //   network,
-  //   'Send',
-  //   amount,
-  //   Date.now(),
-  //   0
-  // );
-  // if (!success) {
-  //   console.error(`Failed to add tx`);
-  //   return null;
-  // }
-  return { TransactionHash: txHash };
+  const input = {
+    nonce: nonce.toString(),
+    to: contractAddress,
+    value: '0',
+    gas_price: finalGasPrice.toString(),
+    gas: gas.toString(),
+    data: callData,
+    network: getNetwork(network),
+  };
+  const fee = { raw: (finalGasPrice * BigInt(gas)).toString(), note: 'maximum, gas limit x gas price' };
+  return preparedTransaction('ETHEREUM', network, fromAddress, toAddress, contractAddress, amount, input, fee);
 }
 
 exports.getAddress = async idx => {
@@ -1322,9 +987,9 @@ async function enrichTokens(network, address, tokenArray) {
 
       let balancePromise;
       if (token.contract_address === '') {
-        balancePromise = exports.getBalance(address, network);
+        balancePromise = exports.getBalance(network, address);
       } else {
-        balancePromise = exports.getErc20Balance(token.contract_address, address, network);
+        balancePromise = exports.getContractBalance(network, token.contract_address, address);
       }
 
       const [priceObj, balanceObj] = await Promise.all([pricePromise, balancePromise]);
@@ -1339,7 +1004,7 @@ async function enrichTokens(network, address, tokenArray) {
 
 exports.getTokenList = async (network, address) => {
   const list = await db.getTokenList(network, address);
-  for (item of list) {
+  for (const item of list) {
     decimalsCache.set(network + address + item.contract_address, item.decimal);
   }
   return enrichTokens(network, address, list);
@@ -1347,7 +1012,7 @@ exports.getTokenList = async (network, address) => {
 
 exports.getDefaultTokenList = async (network, address) => {
   const list = await db.getDefaultTokenList(network);
-  for (item of list) {
+  for (const item of list) {
     decimalsCache.set(network + address + item.contract_address, item.decimal);
   }
   return enrichTokens(network, address, list);
@@ -1367,8 +1032,8 @@ exports.deleteToken = async tokenArray => {
 
 exports.deleteWallet = async () => {
   await Promise.all([
-    rm(KEYSTORE_FILE, { force: true }),
-    rm(BACKUP_FLAG_FILE_PATH, { force: true }),
+    rm(getKeystoreFile(), { force: true }),
+    rm(getBackupFlagFile(), { force: true }),
     pruneOldDbRecord(),
   ]);
 };
@@ -1383,27 +1048,14 @@ async function pruneOldDbRecord() {
 
 /**
  * 从钱包账户数据中提取 chain_type 和 address 字段列表
- * @param {string} walletOutput - DEEPER_WALLET_BIN_PATH 命令的输出字符串
- * @returns {Array<{chain_type: string, address: string}>|null} 提取的账户列表或null（如果解析失败）
+ * @param {Object} walletOutput - 签名程序 keystore_common_accounts 的响应（已校验）
+ * @returns {Array<{chain_type: string, address: string}>} 提取的账户列表
  */
 const extractAccountList = (walletOutput) => {
-  console.error(`Wallet output: ${walletOutput}`);
-  try {
-    const data = JSON.parse(walletOutput);
-
-    if (!data.accounts || !Array.isArray(data.accounts)) {
-      console.error('Invalid wallet output: missing or invalid accounts array');
-      return null;
-    }
-
-    return data.accounts.map(account => ({
-      chain_type: account.chain_type,
-      address: account.address
-    }));
-  } catch (error) {
-    console.error('Failed to parse wallet output:', error);
-    return null;
-  }
+  return walletOutput.accounts.map(account => ({
+    chain_type: account.chain_type,
+    address: account.address
+  }));
 };
 
 /**
@@ -1411,22 +1063,13 @@ const extractAccountList = (walletOutput) => {
  * @returns {Promise<Array<{chain_type: string, address: string}>|null>} 账户列表或null（如果获取失败）
  */
 exports.deriveAccountList = async () => {
-  const payload = {
-    method: 'keystore_common_accounts',
-    param: {}
-  };
-
-  const jsonPayload = JSON.stringify(payload);
-  const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-  console.error(`Executing command: ${DEEPER_WALLET_BIN_PATH} "${escapedPayload}"`);
-
-  const [error, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}"`);
+  const [error, data] = await to(signer.getSigner().listAccounts());
   if (error) {
-    console.error('Failed to get account list:', error);
+    logger.error(`Failed to get account list: ${error.message}`);
     return null;
   }
 
-  return extractAccountList(stdout);
+  return extractAccountList(data);
 };
 
 // Export Uniswap Subgraph functions
@@ -10,6 +10,9 @@ let logFile = null;
 let logFileOld = null;
 let logSize = 0;
 
+/* listeners get every message regardless of the file levels, e.g. to forward it to MCP clients */
+const listeners = new Set();
+
 process.on('SIGUSR2', () => {
   debug = !debug;
 });
@@ -100,34 +103,90 @@ exports.size = function () {
   return logSize;
 };
 
+/* stdout carries the MCP stdio transport, so without a log file messages go to stderr */
 function write(msg) {
   if (logFile) {
     fs.appendFileSync(logFile, msg + '\n');
+  } else {
+    process.stderr.write(msg + '\n');
+  }
+}
+
+/* details may hold BigInt or ethers values, keep a plain JSON copy */
+function toPlain(details) {
+  if (!details) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(JSON.stringify(details, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+  } catch (err) {
+    return { details: String(details) };
+  }
+}
+
+function notify(level, msg, details) {
+  for (const listener of listeners) {
+    try {
+      listener(level, msg, details);
+    } catch (err) {
+      /* a broken listener must not break the caller */
+    }
   }
 }
 
-exports.debug = function (msg) {
+function format(msg, details) {
+  return details ? msg + ' ' + JSON.stringify(details) : msg;
+}
+
+exports.addListener = function (listener) {
+  listeners.add(listener);
+};
+
+exports.removeListener = function (listener) {
+  listeners.delete(listener);
+};
+
+/* details is an optional object of structured fields, e.g. { network, method } */
+exports.debug = function (msg, details) {
+  details = toPlain(details);
+  notify('debug', msg, details);
   if (debug) {
     checkLogSize();
-    let str = getDate() + getThreadName() + ' DEBUG: ' + msg;
+    let str = getDate() + getThreadName() + ' DEBUG: ' + format(msg, details);
+    write(str);
+    logSize += str.length;
+  }
+};
+
+exports.info = function (msg, details) {
+  details = toPlain(details);
+  notify('info', msg, details);
+  if (info) {
+    checkLogSize();
+    let str = getDate() + getThreadName() + ' INFO: ' + format(msg, details);
     write(str);
     logSize += str.length;
   }
 };
 
-exports.info = function (msg) {
+/* warnings are written with the info level */
+exports.warn = function (msg, details) {
+  details = toPlain(details);
+  notify('warning', msg, details);
   if (info) {
     checkLogSize();
-    let str = getDate() + getThreadName() + ' INFO: ' + msg;
+    let str = getDate() + getThreadName() + ' WARN: ' + format(msg, details);
     write(str);
     logSize += str.length;
   }
 };
 
-exports.error = function (msg) {
+exports.error = function (msg, details) {
+  details = toPlain(details);
+  notify('error', msg, details);
   if (error) {
     checkLogSize();
-    let str = getDate() + getThreadName() + ' ERROR: ' + msg;
+    let str = getDate() + getThreadName() + ' ERROR: ' + format(msg, details);
     write(str);
     logSize += str.length;
   }
@@ -0,0 +1,276 @@
+const { ethers } = require('ethers');
+const { PERMIT2_ADDRESS } = require('@uniswap/permit2-sdk');
+
+const { isSameAddress } = require('./utils');
+
+// Message signing scheme of each chain type, named like the wallet API dApps call
+const MessageSchemes = {
+  ETHEREUM: 'personal_sign',
+  SOLANA: 'signMessage',
+  TRON: 'signMessageV2',
+  SUI: 'signPersonalMessage',
+};
+
+const MessageEncodings = {
+  UTF8: 'utf8',
+  HEX: 'hex',
+};
+
+// Fields of EIP712Domain, in the order ethers hashes them
+const DOMAIN_FIELDS = ['name', 'version', 'chainId', 'verifyingContract', 'salt'];
+
+// Permit2 caps allowances at uint160, EIP-2612 tokens at uint256
+const MAX_UINT160 = (1n << 160n) - 1n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+// Latest time a Date can hold; permits use type(uint48).max or type(uint256).max for "never"
+const MAX_DATE_SECONDS = 8640000000000n;
+
+const PERMIT2_TYPES = ['PermitSingle', 'PermitBatch', 'PermitTransferFrom', 'PermitBatchTransferFrom',
+  'PermitWitnessTransferFrom', 'PermitBatchWitnessTransferFrom'];
+
+// Permit structs of EIP-2612 and of DAI, which permits all or nothing with holder, allowed and expiry. A Permit
+// type with other fields is not one of them and is shown as plain typed data
+const EIP2612_PERMIT_FIELDS = ['address owner', 'address spender', 'uint256 value', 'uint256 nonce', 'uint256 deadline'];
+const DAI_PERMIT_FIELDS = ['address holder', 'address spender', 'uint256 nonce', 'uint256 expiry', 'bool allowed'];
+
+const MAX_PREVIEW_FIELDS = 30;
+
+/**
+ * Bytes of a message given as text or hex
+ * @param {string} message - Message
+ * @param {string} encoding - One of MessageEncodings
+ * @returns {Buffer}
+ * @throws {Error} If a hex message is not valid hex
+ */
+function decodeMessage(message, encoding) {
+  if (encoding !== MessageEncodings.HEX) {
+    return Buffer.from(message, 'utf8');
+  }
+  const hex = message.replace(/^0x/i, '');
+  if (hex.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(hex)) {
+    throw new Error('message is not valid hex');
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * What a user is shown before signing a message: the text when it is printable UTF-8, the hex always
+ * @param {Buffer} bytes - Message bytes
+ * @returns {{text: string|null, hex: string, length: number}}
+ */
+function describeMessage(bytes) {
+  let text = null;
+  try {
+    const decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    // Control characters can hide part of the text in a terminal or a dialog
+    if (!/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/.test(decoded)) {
+      text = decoded;
+    }
+  } catch (err) {
+    // Binary message, only the hex is shown
+  }
+  return { text, hex: `0x${bytes.toString('hex')}`, length: bytes.length };
+}
+
+// The message with only the fields its types declare, in their order. Undeclared fields are refused: they are not
+// hashed, so showing them for approval would let a dApp add text the signature does not cover
+function pickDeclaredFields(types, type, value, path) {
+  const array = /^(.*)\[(\d*)\]$/.exec(type);
+  if (array) {
+    if (!Array.isArray(value)) {
+      throw new Error(`${path} must be an array of ${array[1]}`);
+    }
+    return value.map((item, index) => pickDeclaredFields(types, array[1], item, `${path}[${index}]`));
+  }
+  if (!types[type]) {
+    return value;
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error(`${path} must be a ${type} struct`);
+  }
+  const declared = types[type].map(field => field.name);
+  const undeclared = Object.keys(value).filter(name => !declared.includes(name));
+  if (undeclared.length) {
+    throw new Error(`${path} has fields that type ${type} does not declare and that would not be signed: ${undeclared.join(', ')}`);
+  }
+  // Missing fields are left out, the encoder reports them
+  return Object.fromEntries(types[type]
+    .filter(field => value[field.name] !== undefined)
+    .map(field => [field.name, pickDeclaredFields(types, field.type, value[field.name], `${path}.${field.name}`)]));
+}
+
+/**
+ * Check EIP-712 typed data (the eth_signTypedData_v4 payload) and hash it
+ * @param {Object} typedData - { domain, types, primaryType, message }
+ * @returns {{domain: Object, types: Object, primaryType: string, message: Object, hash: string}} The typed data with
+ *   types including EIP712Domain, as the signer expects it, and the EIP-712 hash that is signed
+ * @throws {Error} If the types do not describe the message or the domain, or the message has undeclared fields
+ */
+function parseTypedData(typedData) {
+  const { domain, primaryType } = typedData;
+  const { EIP712Domain, ...types } = typedData.types;
+  const domainFields = DOMAIN_FIELDS.filter(name => domain[name] !== undefined && domain[name] !== null);
+  // ethers derives the domain type from the domain object, a different EIP712Domain would sign another hash
+  if (EIP712Domain && EIP712Domain.map(field => field.name).join() !== domainFields.join()) {
+    throw new Error(`EIP712Domain fields (${EIP712Domain.map(field => field.name).join(', ')}) ` +
+      `do not match the domain (${domainFields.join(', ')})`);
+  }
+  const unknownFields = Object.keys(domain).filter(name => !DOMAIN_FIELDS.includes(name));
+  if (unknownFields.length) {
+    throw new Error(`Unknown domain fields: ${unknownFields.join(', ')}`);
+  }
+  const cleanDomain = Object.fromEntries(domainFields.map(name => [name, domain[name]]));
+
+  const encoder = ethers.utils._TypedDataEncoder.from(types);
+  if (primaryType !== encoder.primaryType) {
+    throw new Error(`primaryType ${primaryType} is not the root type of types, expected ${encoder.primaryType}`);
+  }
+  const message = pickDeclaredFields(types, primaryType, typedData.message, 'message');
+  const hash = ethers.utils._TypedDataEncoder.hash(cleanDomain, types, message);
+  const domainType = ethers.utils._TypedDataEncoder.getPayload(cleanDomain, types, message).types.EIP712Domain;
+  return { domain: cleanDomain, types: { EIP712Domain: domainType, ...types }, primaryType, message, hash };
+}
+
+/**
+ * Chain id a typed data signature is bound to
+ * @param {Object} domain - EIP-712 domain
+ * @returns {string|null} Decimal chain id, null if the domain has none
+ * @throws {Error} If chainId is not a number
+ */
+function getDomainChainId(domain) {
+  if (domain.chainId === undefined || domain.chainId === null) {
+    return null;
+  }
+  try {
+    return ethers.BigNumber.from(domain.chainId).toString();
+  } catch (err) {
+    throw new Error(`Invalid domain chainId: ${domain.chainId}`);
+  }
+}
+
+function toBigInt(value) {
+  return ethers.BigNumber.from(value).toBigInt();
+}
+
+// Unix seconds as ISO time, null for values that mean "never"
+function toTime(value) {
+  const seconds = toBigInt(value);
+  return seconds > MAX_DATE_SECONDS ? null : new Date(Number(seconds) * 1000).toISOString();
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function decodePermit2(typedData) {
+  const { message, primaryType } = typedData;
+  // Allowance permits carry details, signature transfers carry permitted
+  const allowance = primaryType === 'PermitSingle' || primaryType === 'PermitBatch';
+  const tokens = toList(allowance ? message.details : message.permitted).map(item => ({
+    token: ethers.utils.getAddress(item.token),
+    amount: toBigInt(item.amount).toString(),
+    unlimited: toBigInt(item.amount) >= MAX_UINT160,
+    expiration: allowance ? toTime(item.expiration) : null,
+  }));
+  return {
+    standard: 'Permit2',
+    kind: allowance ? 'allowance' : 'transfer',
+    owner: null,
+    spender: ethers.utils.getAddress(message.spender),
+    tokens,
+    deadline: toTime(allowance ? message.sigDeadline : message.deadline),
+  };
+}
+
+// Which permit layout the Permit type declares, whatever the order of its fields; null if neither
+function getPermitLayout(fields) {
+  const declared = fields.map(field => `${field.type} ${field.name}`).sort().join();
+  if (declared === [...EIP2612_PERMIT_FIELDS].sort().join()) {
+    return 'eip2612';
+  }
+  return declared === [...DAI_PERMIT_FIELDS].sort().join() ? 'dai' : null;
+}
+
+function decodeEip2612(typedData, daiStyle) {
+  const { domain, message } = typedData;
+  const amount = daiStyle ? (message.allowed ? MAX_UINT256 : 0n) : toBigInt(message.value);
+  return {
+    standard: 'EIP-2612',
+    kind: 'allowance',
+    owner: ethers.utils.getAddress(daiStyle ? message.holder : message.owner),
+    spender: ethers.utils.getAddress(message.spender),
+    tokens: [{
+      token: ethers.utils.getAddress(domain.verifyingContract),
+      amount: amount.toString(),
+      unlimited: amount >= MAX_UINT256,
+      expiration: null,
+    }],
+    deadline: toTime(daiStyle ? message.expiry : message.deadline),
+  };
+}
+
+/**
+ * Recognize typed data that lets a spender move the signer's tokens: Permit2 allowances and signature transfers,
+ * EIP-2612 permits (and the DAI variant). A Permit type is only an EIP-2612 permit when it declares exactly one of their fields
+ * @param {Object} typedData - Typed data returned by parseTypedData
+ * @returns {Object|null} { standard, kind, owner, spender, tokens: [{ token, amount, unlimited, expiration }], deadline },
+ *   amounts in the smallest unit and times in ISO, null if it is not a permit
+ * @throws {Error} If it claims to be a permit but a field is malformed
+ */
+function decodePermit(typedData) {
+  const { domain, primaryType } = typedData;
+  if (PERMIT2_TYPES.includes(primaryType) && domain.verifyingContract && isSameAddress(domain.verifyingContract, PERMIT2_ADDRESS)) {
+    return decodePermit2(typedData);
+  }
+  const layout = primaryType === 'Permit' && domain.verifyingContract ? getPermitLayout(typedData.types.Permit) : null;
+  if (layout) {
+    return decodeEip2612(typedData, layout === 'dai');
+  }
+  return null;
+}
+
+function formatValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+// Nested structs become dotted paths, arrays of structs indexed ones, e.g. details[0].token
+function flattenMessage(message, prefix = '') {
+  return Object.entries(message).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value) && value.some(item => typeof item === 'object' && item !== null)) {
+      return value.flatMap((item, index) => flattenMessage(item, `${path}[${index}]`));
+    }
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+      return flattenMessage(value, path);
+    }
+    return [[path, formatValue(value)]];
+  });
+}
+
+/**
+ * Readable lines of typed data: the domain, the primary type and every message field
+ * @param {Object} typedData - Typed data returned by parseTypedData, its message only has the declared fields
+ * @returns {Array<string>}
+ */
+function describeTypedData(typedData) {
+  const { domain, primaryType, message } = typedData;
+  const domainText = DOMAIN_FIELDS.filter(name => domain[name] !== undefined).map(name => `${name} ${domain[name]}`).join(', ');
+  const fields = flattenMessage(message);
+  const lines = [`Domain: ${domainText || 'empty'}`, `Type: ${primaryType}`];
+  lines.push(...fields.slice(0, MAX_PREVIEW_FIELDS).map(([path, value]) => `${path}: ${value}`));
+  if (fields.length > MAX_PREVIEW_FIELDS) {
+    lines.push(`... ${fields.length - MAX_PREVIEW_FIELDS} more fields`);
+  }
+  return lines;
+}
+
+module.exports = {
+  MessageSchemes,
+  MessageEncodings,
+  decodeMessage,
+  describeMessage,
+  parseTypedData,
+  getDomainChainId,
+  decodePermit,
+  describeTypedData,
+};
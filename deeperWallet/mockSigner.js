@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const CHAIN_TYPES = ['ETHEREUM', 'SOLANA', 'TRON', 'SUI', 'BITCOIN'];
+
+// Paths of the accounts the mock starts with, the first account of every chain like a freshly imported wallet
+const DEFAULT_PATHS = {
+  ETHEREUM: "m/44'/60'/0'/0/0",
+  SOLANA: "m/44'/501'/0'/0'",
+  TRON: "m/44'/195'/0'/0/0",
+  SUI: "m/44'/784'/0'/0'/0'",
+  BITCOIN: "m/84'/0'/0'/0/0",
+};
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Well-formed but keyless addresses, the same for the same chain and path on every run
+function mockAddress(chainType, path) {
+  const digest = sha256(`mock:${chainType}:${path}`);
+  switch (chainType) {
+    case 'ETHEREUM':
+      return ethers.utils.getAddress(`0x${digest.subarray(0, 20).toString('hex')}`);
+    case 'SOLANA':
+      return ethers.utils.base58.encode(digest);
+    case 'TRON': {
+      const payload = Buffer.concat([Buffer.from([0x41]), digest.subarray(0, 20)]);
+      return ethers.utils.base58.encode(Buffer.concat([payload, sha256(sha256(payload)).subarray(0, 4)]));
+    }
+    case 'SUI':
+      return `0x${digest.toString('hex')}`;
+    default:
+      return `bc1q${digest.subarray(0, 20).toString('hex')}`;
+  }
+}
+
+/**
+ * Deterministic signer for tests: fixed accounts, signatures derived from the request, no keys at all.
+ * Every call is recorded in calls, so a test can check what would have been signed.
+ * @returns {Object} Signer, see signer.js
+ */
+function createMockSigner() {
+  const accounts = new Map(
+    Object.entries(DEFAULT_PATHS).map(([chainType, path]) => [mockAddress(chainType, path), { chain_type: chainType, path }])
+  );
+  const calls = [];
+  const record = (method, param) => {
+    calls.push({ method, param });
+  };
+
+  return {
+    backend: 'mock',
+    chainTypes: CHAIN_TYPES,
+    persistent: true,
+    calls,
+
+    async createHdStore(password, passwordHint, name) {
+      record('hd_store_create', { name });
+      return { hash: sha256(`mock:${name}`).toString('hex') };
+    },
+
+    async importHdStore(mnemonic, password, passwordHint, name) {
+      record('hd_store_import', { name });
+      return { id: sha256(`mock:${name}`).toString('hex') };
+    },
+
+    async deriveAccounts(password, derivations) {
+      record('keystore_common_derive', { derivations });
+      const derived = derivations.map(({ chain_type: chainType, path }) => {
+        const address = mockAddress(chainType, path);
+        accounts.set(address, { chain_type: chainType, path });
+        return { chain_type: chainType, address, path };
+      });
+      return { accounts: derived };
+    },
+
+    async listAccounts() {
+      record('keystore_common_accounts', {});
+      return { accounts: [...accounts].map(([address, account]) => ({ chain_type: account.chain_type, address })) };
+    },
+
+    async signTx(chainType, address, input) {
+      record('sign_tx', { chain_type: chainType, address, input });
+      const digest = sha256(JSON.stringify({ chainType, address, input })).toString('hex');
+      const signature = `${digest}${digest}`; // 64 bytes, the size of an ECDSA or Ed25519 signature
+      return chainType === 'TRON' ? { signatures: [`${signature}1b`] } : { signature };
+    },
+
+    async signMessage(chainType, address, input) {
+      record('sign_message', { chain_type: chainType, address, input });
+      const digest = sha256(JSON.stringify({ chainType, address, input }));
+      const signature = Buffer.concat([digest, digest]);
+      // Shaped like what the wallets of each chain return, see signerClient.signMessage
+      switch (chainType) {
+        case 'SOLANA':
+          return { signature: ethers.utils.base58.encode(signature) };
+        case 'SUI':
+          return { signature: Buffer.concat([Buffer.alloc(1), signature, digest]).toString('base64') };
+        default:
+          return { signature: `0x${signature.toString('hex')}1b` };
+      }
+    },
+
+    async exportMnemonic() {
+      record('export_mnemonic', {});
+      return { value: 'test test test test test test test test test test test junk' };
+    },
+
+    async exportPrivateKey(password, chainType, address) {
+      record('export_private_key', { chain_type: chainType, address });
+      return { value: `0x${sha256(`mock-key:${address}`).toString('hex')}` };
+    },
+
+    async exportKeystore() {
+      record('export_keystore', {});
+      return {};
+    },
+  };
+}
+
+module.exports = {
+  createMockSigner,
+};
@@ -0,0 +1,100 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const OPERATION_CANCELLED = 'OPERATION_CANCELLED';
+
+// The long-running operation being served, so RPC and signing code can honour its AbortSignal and report progress
+const context = new AsyncLocalStorage();
+
+class OperationCancelledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OperationCancelledError';
+    this.code = OPERATION_CANCELLED;
+  }
+}
+
+/**
+ * Run a long-running operation, e.g. a swap, with a cancellation signal and a progress callback
+ * @param {Object} options - { signal, onProgress }, both optional
+ * @param {AbortSignal} [options.signal] - Aborts RPC requests and stops the operation before its next signature
+ * @param {Function} [options.onProgress] - Called with { progress, message } at every stage
+ * @param {Function} fn - Operation
+ * @returns {Promise<any>} Result of fn
+ */
+function runOperation(options, fn) {
+  return context.run({ signal: options.signal, onProgress: options.onProgress, progress: 0 }, fn);
+}
+
+// Run part of an operation that must not be aborted, e.g. broadcasting a transaction that is already signed
+function runUncancellable(fn) {
+  return context.run({ progress: 0 }, fn);
+}
+
+// AbortSignal of the current operation, undefined outside of one, can be passed to axios
+function getSignal() {
+  return context.getStore()?.signal;
+}
+
+/**
+ * Stop the current operation if it was cancelled, call it before every signature
+ * @param {string} stage - What would run next, for the error message
+ * @throws {OperationCancelledError}
+ */
+function throwIfCancelled(stage) {
+  if (getSignal()?.aborted) {
+    throw new OperationCancelledError(`Operation cancelled before ${stage}`);
+  }
+}
+
+// Report that the current operation reached a new stage
+function reportProgress(message) {
+  const store = context.getStore();
+  if (!store?.onProgress) {
+    return;
+  }
+  store.progress += 1;
+  try {
+    store.onProgress({ progress: store.progress, message });
+  } catch (err) {
+    // A failed notification must not fail the operation
+  }
+}
+
+/**
+ * Wait for a promise that cannot be aborted itself (ethers calls, receipts), giving up when the operation is cancelled.
+ * The underlying work still runs to completion.
+ * @param {Promise} promise - Promise to wait for
+ * @param {string} stage - What is being waited for, for the error message
+ * @returns {Promise<any>} Result of promise
+ * @throws {OperationCancelledError} If the operation is cancelled first
+ */
+function untilCancelled(promise, stage) {
+  const signal = getSignal();
+  if (!signal) {
+    return promise;
+  }
+  throwIfCancelled(stage);
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(new OperationCancelledError(`Operation cancelled while waiting for ${stage}`));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Sleep that ends early when the operation is cancelled
+function delay(ms, stage) {
+  return untilCancelled(new Promise(resolve => setTimeout(resolve, ms)), stage);
+}
+
+module.exports = {
+  OPERATION_CANCELLED,
+  OperationCancelledError,
+  runOperation,
+  runUncancellable,
+  getSignal,
+  throwIfCancelled,
+  reportProgress,
+  untilCancelled,
+  delay,
+};
@@ -0,0 +1,89 @@
+const signerClient = require('./signerClient');
+const { createSoftwareSigner } = require('./softwareSigner');
+const { createMockSigner } = require('./mockSigner');
+const { getConfig } = require('./config');
+
+const SignerBackends = {
+  BINARY: 'binary', // the hd-wallet binary, keys never leave it
+  SOFTWARE: 'software', // in-process, for development machines without the binary
+  MOCK: 'mock', // deterministic, for tests
+};
+
+/**
+ * What every backend implements. Methods resolve to the responses of the hd-wallet binary methods of the same name
+ * (hd_store_create, keystore_common_derive, sign_tx, ...) and reject with a SignerError.
+ * @typedef {Object} Signer
+ * @property {string} backend - One of SignerBackends
+ * @property {Array<string>} chainTypes - Chains it can derive accounts and sign for
+ * @property {boolean} persistent - False when the keys only live in memory and the mnemonic has to be imported on every start
+ * @property {function(string, string, string): Promise<{hash: string}>} createHdStore - (password, passwordHint, name)
+ * @property {function(string, string, string, string, boolean, string): Promise<{id: string}>} importHdStore
+ *   - (mnemonic, password, passwordHint, name, overwrite, source)
+ * @property {function(string, Array<Object>): Promise<{accounts: Array<Object>}>} deriveAccounts - (password, derivations)
+ * @property {function(): Promise<{accounts: Array<{chain_type: string, address: string}>}>} listAccounts
+ * @property {function(string, string, Object, string): Promise<{signature?: string, signatures?: Array<string>}>} signTx
+ *   - (chainType, address, input, password)
+ * @property {function(string, string, Object, string): Promise<{signature: string}>} signMessage
+ *   - (chainType, address, input, password), see signerClient.signMessage for the inputs
+ * @property {function(string): Promise<{value: string}>} exportMnemonic - (password)
+ * @property {function(string, string, string): Promise<{value: string}>} exportPrivateKey - (password, chainType, address)
+ * @property {function(): Promise<Object>} exportKeystore
+ */
+
+const binarySigner = {
+  backend: SignerBackends.BINARY,
+  chainTypes: ['ETHEREUM', 'SOLANA', 'TRON', 'SUI', 'BITCOIN'],
+  persistent: true,
+  createHdStore: signerClient.createHdStore,
+  importHdStore: signerClient.importHdStore,
+  deriveAccounts: signerClient.deriveAccounts,
+  listAccounts: signerClient.listAccounts,
+  signTx: signerClient.signTx,
+  signMessage: signerClient.signMessage,
+  exportMnemonic: signerClient.exportMnemonic,
+  exportPrivateKey: signerClient.exportPrivateKey,
+  exportKeystore: () => signerClient.request('export_keystore', {}),
+};
+
+// The in-memory backends keep their keys and accounts for the life of the process
+const instances = new Map([[SignerBackends.BINARY, binarySigner]]);
+
+// Read-only servers turn signing off for the whole process, whichever module asks for the signer
+let signingDisabled = false;
+
+function disableSigning() {
+  signingDisabled = true;
+}
+
+function isSigningDisabled() {
+  return signingDisabled;
+}
+
+function refuse(method) {
+  return async () => {
+    throw new signerClient.SignerError('Signing is disabled in read-only mode', signerClient.SignerErrorCodes.DISABLED, method);
+  };
+}
+
+/**
+ * The signer configured with the signer key of the config (DEEPER_WALLET_SIGNER). After disableSigning its
+ * signing methods reject with SIGNER_DISABLED, accounts can still be listed and derived
+ * @returns {Signer}
+ */
+function getSigner() {
+  const backend = getConfig().signer;
+  if (!instances.has(backend)) {
+    instances.set(backend, backend === SignerBackends.SOFTWARE ? createSoftwareSigner() : createMockSigner());
+  }
+  const instance = instances.get(backend);
+  return signingDisabled ? { ...instance, signTx: refuse('sign_tx'), signMessage: refuse('sign_message') } : instance;
+}
+
+module.exports = {
+  SignerBackends,
+  SignerError: signerClient.SignerError,
+  SignerErrorCodes: signerClient.SignerErrorCodes,
+  getSigner,
+  disableSigning,
+  isSigningDisabled,
+};
@@ -0,0 +1,232 @@
+const { spawn } = require('child_process');
+const { z } = require('zod');
+
+const logger = require('./log');
+const { getConfig } = require('./config');
+
+const DEFAULT_TIMEOUT = 30 * 1000; // 30s
+// Creating or importing a keystore runs the key derivation function, much slower than a signature
+const KEYSTORE_TIMEOUT = 120 * 1000; // 2 min
+const MAX_OUTPUT = 1024 * 1024; // 1 MiB, more means the binary is misbehaving
+const MAX_STDERR = 2000; // characters of stderr kept for the error message
+
+const SignerErrorCodes = {
+  SPAWN_FAILED: 'SIGNER_SPAWN_FAILED',
+  TIMEOUT: 'SIGNER_TIMEOUT',
+  FAILED: 'SIGNER_FAILED',
+  INVALID_OUTPUT: 'SIGNER_INVALID_OUTPUT',
+  UNSUPPORTED: 'SIGNER_UNSUPPORTED',
+  NO_WALLET: 'SIGNER_NO_WALLET',
+  DISABLED: 'SIGNER_DISABLED',
+};
+
+class SignerError extends Error {
+  constructor(message, code, method) {
+    super(message);
+    this.name = 'SignerError';
+    this.code = code;
+    this.method = method;
+  }
+}
+
+// Responses are checked for the fields the wallet relies on, anything else the binary returns is kept
+const responseSchemas = {
+  hd_store_create: z.object({ hash: z.string().min(1) }).passthrough(),
+  hd_store_import: z.object({ id: z.string().min(1) }).passthrough(),
+  keystore_common_derive: z.object({
+    accounts: z.array(z.object({ address: z.string().min(1) }).passthrough()).min(1),
+  }).passthrough(),
+  keystore_common_accounts: z.object({
+    accounts: z.array(z.object({ chain_type: z.string(), address: z.string() }).passthrough()),
+  }).passthrough(),
+  sign_tx: z.object({
+    signature: z.string().optional(),
+    signatures: z.array(z.string()).optional(),
+  }).passthrough().refine(obj => obj.signature || obj.signatures, { message: 'signature or signatures is required' }),
+  sign_message: z.object({ signature: z.string().min(1) }).passthrough(),
+  export_mnemonic: z.object({ value: z.string().min(1) }).passthrough(),
+  export_private_key: z.object({ value: z.string().min(1) }).passthrough(),
+  export_keystore: z.object({}).passthrough(),
+};
+
+// Run the binary without a shell and write the request to its stdin, so that no secret or address is ever
+// interpolated into a command line or visible in the process list
+function runSigner(method, param, timeout) {
+  return new Promise((resolve, reject) => {
+    const binPath = getConfig().walletBinPath;
+    const child = spawn(binPath, [], { shell: false, stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    const stdout = [];
+    let stdoutSize = 0;
+    let stderr = '';
+    let settled = false;
+
+    const finish = (err, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    };
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish(new SignerError(`Signer ${method} timed out after ${timeout} ms`, SignerErrorCodes.TIMEOUT, method));
+    }, timeout);
+
+    child.on('error', err => {
+      finish(new SignerError(`Failed to start signer ${binPath}: ${err.message}`, SignerErrorCodes.SPAWN_FAILED, method));
+    });
+    child.stdout.on('data', chunk => {
+      stdoutSize += chunk.length;
+      if (stdoutSize > MAX_OUTPUT) {
+        child.kill('SIGKILL');
+        finish(new SignerError(`Signer ${method} output exceeds ${MAX_OUTPUT} bytes`, SignerErrorCodes.INVALID_OUTPUT, method));
+        return;
+      }
+      stdout.push(chunk);
+    });
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString('utf8')).slice(-MAX_STDERR);
+    });
+    child.on('close', (code, signal) => {
+      if (code !== 0) {
+        const reason = signal ? `was killed by ${signal}` : `exited with code ${code}`;
+        finish(new SignerError(`Signer ${method} ${reason}${stderr ? `: ${stderr.trim()}` : ''}`, SignerErrorCodes.FAILED, method));
+        return;
+      }
+      finish(null, Buffer.concat(stdout).toString('utf8'));
+    });
+    // EPIPE when the binary exits without reading its input, the close handler reports the exit
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify({ method, param }));
+  });
+}
+
+/**
+ * Send one request to the signer binary (configuration key walletBinPath)
+ * @param {string} method - Signer method, e.g. sign_tx
+ * @param {Object} param - Method parameters
+ * @param {Object} [options] - { timeout } in milliseconds
+ * @returns {Promise<Object>} Parsed response, checked against the schema of the method
+ * @throws {SignerError} If the binary cannot be started, times out, fails or returns an invalid response.
+ * The message never contains the response, which may hold a mnemonic or a private key
+ */
+async function request(method, param, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const stdout = await runSigner(method, param, timeout);
+  let data;
+  try {
+    data = JSON.parse(stdout);
+  } catch (err) {
+    throw new SignerError(`Invalid ${method} output: not JSON`, SignerErrorCodes.INVALID_OUTPUT, method);
+  }
+  const schema = responseSchemas[method];
+  if (!schema) {
+    return data;
+  }
+  const parsed = schema.safeParse(data);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+    logger.debug(`Invalid ${method} output`, { method, issues });
+    throw new SignerError(`Invalid ${method} output: ${issues}`, SignerErrorCodes.INVALID_OUTPUT, method);
+  }
+  return parsed.data;
+}
+
+/**
+ * Create a new HD keystore
+ * @returns {Promise<{hash: string}>}
+ */
+function createHdStore(password, passwordHint, name) {
+  return request('hd_store_create', { password, password_hint: passwordHint, name }, { timeout: KEYSTORE_TIMEOUT });
+}
+
+/**
+ * Import an HD keystore from a mnemonic
+ * @param {string} source - e.g. MNEMONIC
+ * @returns {Promise<{id: string}>}
+ */
+function importHdStore(mnemonic, password, passwordHint, name, overwrite, source) {
+  return request(
+    'hd_store_import',
+    { mnemonic, password, password_hint: passwordHint, name, overwrite, source },
+    { timeout: KEYSTORE_TIMEOUT }
+  );
+}
+
+/**
+ * Derive accounts of the keystore
+ * @param {string} password - Wallet password
+ * @param {Array<Object>} derivations - { chain_type, path, network, seg_wit, chain_id, curve } each
+ * @returns {Promise<{accounts: Array<{address: string}>}>}
+ */
+function deriveAccounts(password, derivations) {
+  return request('keystore_common_derive', { password, derivations });
+}
+
+/**
+ * Accounts already derived in the keystore
+ * @returns {Promise<{accounts: Array<{chain_type: string, address: string}>}>}
+ */
+function listAccounts() {
+  return request('keystore_common_accounts', {});
+}
+
+/**
+ * Sign a transaction input
+ * @param {string} chainType - e.g. ETHEREUM, SOLANA
+ * @param {string} address - Signing account
+ * @param {Object} input - Chain specific transaction input
+ * @param {string} password - Wallet password
+ * @returns {Promise<{signature?: string, signatures?: Array<string>}>}
+ */
+function signTx(chainType, address, input, password) {
+  return request('sign_tx', { chain_type: chainType, address, input, key: { Password: password } });
+}
+
+/**
+ * Sign an off-chain message: EIP-191 personal_sign or EIP-712 typed data on EVM chains, signMessage on Solana,
+ * signMessageV2 on Tron, a personal message on Sui
+ * @param {string} chainType - e.g. ETHEREUM, SOLANA
+ * @param {string} address - Signing account
+ * @param {Object} input - { message } in hex, or on ETHEREUM { signature_type: 'PERSONAL_SIGN', message } or
+ *   { signature_type: 'EIP712', typed_data: { domain, types, primaryType, message } }
+ * @param {string} password - Wallet password
+ * @returns {Promise<{signature: string}>} Signature in the format wallets of the chain return it: 0x-prefixed r, s, v on
+ *   EVM chains and Tron, Base58 on Solana, Base64 flag, signature and public key on Sui
+ */
+function signMessage(chainType, address, input, password) {
+  return request('sign_message', { chain_type: chainType, address, input, key: { Password: password } });
+}
+
+/**
+ * @returns {Promise<{value: string}>} The mnemonic in value
+ */
+function exportMnemonic(password) {
+  return request('export_mnemonic', { password });
+}
+
+/**
+ * @returns {Promise<{value: string}>} The private key of the account in value
+ */
+function exportPrivateKey(password, chainType, address) {
+  return request('export_private_key', { password, chain_type: chainType, network: '', main_address: address, path: '' });
+}
+
+module.exports = {
+  SignerError,
+  SignerErrorCodes,
+  request,
+  createHdStore,
+  importHdStore,
+  deriveAccounts,
+  listAccounts,
+  signTx,
+  signMessage,
+  exportMnemonic,
+  exportPrivateKey,
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const web3 = require('@solana/web3.js');
+
+const { SignerError, SignerErrorCodes } = require('./signerClient');
+const { EVM_CHAIN_IDS } = require('./utils');
+
+// Chains this backend derives and signs for; Sui and Bitcoin need the binary
+const CHAIN_TYPES = ['ETHEREUM', 'SOLANA', 'TRON'];
+
+// signMessageV2 of TronWeb: EIP-191 with Tron's own prefix
+const TRON_MESSAGE_PREFIX = '\x19TRON Signed Message:\n';
+
+// PKCS#8 header of a raw 32-byte Ed25519 private key, lets Node's crypto sign without another dependency
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function unsupported(message) {
+  return new SignerError(message, SignerErrorCodes.UNSUPPORTED, null);
+}
+
+// SLIP-0010 derivation for Ed25519, every level is hardened
+function deriveEd25519Key(seed, path) {
+  let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+  for (const segment of path.split('/').slice(1)) {
+    if (!segment.endsWith("'")) {
+      throw unsupported(`Ed25519 derivation path ${path} must only have hardened levels`);
+    }
+    const index = Buffer.alloc(4);
+    index.writeUInt32BE((parseInt(segment, 10) | 0x80000000) >>> 0);
+    const data = Buffer.concat([Buffer.alloc(1), digest.subarray(0, 32), index]);
+    digest = crypto.createHmac('sha512', digest.subarray(32)).update(data).digest();
+  }
+  return digest.subarray(0, 32);
+}
+
+function signEd25519(privateKey, message) {
+  const key = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, privateKey]),
+    format: 'der',
+    type: 'pkcs8',
+  });
+  return crypto.sign(null, message, key);
+}
+
+// Tron addresses are the EVM address with a 0x41 prefix, in Base58Check
+function toTronAddress(evmAddress) {
+  const payload = Buffer.from(`41${evmAddress.slice(2)}`, 'hex');
+  const checksum = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest();
+  return ethers.utils.base58.encode(Buffer.concat([payload, checksum.subarray(0, 4)]));
+}
+
+function toHex(value) {
+  return value.replace(/^0x/, '');
+}
+
+function hashTronMessage(message) {
+  return ethers.utils.keccak256(ethers.utils.concat([
+    ethers.utils.toUtf8Bytes(`${TRON_MESSAGE_PREFIX}${message.length}`),
+    message,
+  ]));
+}
+
+// ethers wants the types without EIP712Domain, it derives that one from the domain
+function getTypedDataTypes(types) {
+  const { EIP712Domain, ...rest } = types;
+  return rest;
+}
+
+/**
+ * In-process signer holding the mnemonic in memory, for development machines without the hd-wallet binary.
+ * Nothing is written to disk: the mnemonic is imported again on every start.
+ * @returns {Object} Signer, see signer.js
+ */
+function createSoftwareSigner() {
+  let wallet = null; // { mnemonic, password, id }
+  const accounts = new Map(); // address => { chain_type, path }
+
+  const requireWallet = password => {
+    if (!wallet) {
+      throw new SignerError('No mnemonic imported into the software signer', SignerErrorCodes.NO_WALLET, null);
+    }
+    if (password !== wallet.password) {
+      throw new SignerError('Wrong wallet password', SignerErrorCodes.FAILED, null);
+    }
+    return wallet;
+  };
+
+  const deriveKey = (chainType, path) => {
+    const { mnemonic } = wallet;
+    switch (chainType) {
+      case 'ETHEREUM':
+      case 'TRON': {
+        const node = ethers.utils.HDNode.fromMnemonic(mnemonic).derivePath(path);
+        const address = chainType === 'TRON' ? toTronAddress(node.address) : node.address;
+        return { address, privateKey: node.privateKey };
+      }
+      case 'SOLANA': {
+        const seed = Buffer.from(ethers.utils.mnemonicToSeed(mnemonic).slice(2), 'hex');
+        const privateKey = deriveEd25519Key(seed, path);
+        return { address: web3.Keypair.fromSeed(privateKey).publicKey.toBase58(), privateKey };
+      }
+      default:
+        throw unsupported(`The software signer does not support ${chainType}, use the binary signer`);
+    }
+  };
+
+  const getAccountKey = (chainType, address) => {
+    const account = accounts.get(address);
+    if (!account || account.chain_type !== chainType) {
+      throw new SignerError(`${address} is not a derived ${chainType} account`, SignerErrorCodes.FAILED, null);
+    }
+    return deriveKey(chainType, account.path);
+  };
+
+  const importMnemonic = (mnemonic, password) => {
+    if (!ethers.utils.isValidMnemonic(mnemonic)) {
+      throw new SignerError('Invalid mnemonic', SignerErrorCodes.FAILED, 'hd_store_import');
+    }
+    wallet = { mnemonic, password, id: crypto.randomBytes(16).toString('hex') };
+    accounts.clear();
+    return wallet.id;
+  };
+
+  return {
+    backend: 'software',
+    chainTypes: CHAIN_TYPES,
+    persistent: false,
+
+    async createHdStore(password) {
+      const id = importMnemonic(ethers.Wallet.createRandom().mnemonic.phrase, password);
+      return { hash: id };
+    },
+
+    async importHdStore(mnemonic, password) {
+      return { id: importMnemonic(mnemonic, password) };
+    },
+
+    async deriveAccounts(password, derivations) {
+      requireWallet(password);
+      const derived = derivations.map(({ chain_type: chainType, path }) => {
+        const { address } = deriveKey(chainType, path);
+        accounts.set(address, { chain_type: chainType, path });
+        return { chain_type: chainType, address, path };
+      });
+      return { accounts: derived };
+    },
+
+    async listAccounts() {
+      return { accounts: [...accounts].map(([address, account]) => ({ chain_type: account.chain_type, address })) };
+    },
+
+    async signTx(chainType, address, input, password) {
+      requireWallet(password);
+      const { privateKey } = getAccountKey(chainType, address);
+      switch (chainType) {
+        case 'ETHEREUM': {
+          const chainId = EVM_CHAIN_IDS[input.network];
+          if (!chainId) {
+            throw unsupported(`Unknown EVM network ${input.network}`);
+          }
+          const raw = await new ethers.Wallet(privateKey).signTransaction({
+            type: 0,
+            chainId,
+            nonce: Number(input.nonce),
+            to: input.to,
+            value: ethers.BigNumber.from(input.value || '0'),
+            gasPrice: ethers.BigNumber.from(input.gas_price),
+            gasLimit: ethers.BigNumber.from(input.gas),
+            data: input.data ? `0x${toHex(input.data)}` : '0x',
+          });
+          return { signature: toHex(raw) };
+        }
+        case 'SOLANA':
+          return { signature: signEd25519(privateKey, Buffer.from(input.raw_data, 'hex')).toString('hex') };
+        case 'TRON': {
+          // The transaction id is the SHA-256 of raw_data, it is what Tron nodes verify
+          const txId = crypto.createHash('sha256').update(Buffer.from(input.raw_data, 'hex')).digest();
+          const signature = new ethers.utils.SigningKey(privateKey).signDigest(txId);
+          return { signatures: [`${toHex(signature.r)}${toHex(signature.s)}${signature.v.toString(16)}`] };
+        }
+        default:
+          throw unsupported(`The software signer does not support ${chainType}, use the binary signer`);
+      }
+    },
+
+    async signMessage(chainType, address, input, password) {
+      requireWallet(password);
+      const { privateKey } = getAccountKey(chainType, address);
+      switch (chainType) {
+        case 'ETHEREUM': {
+          const evmWallet = new ethers.Wallet(privateKey);
+          if (input.signature_type === 'EIP712') {
+            const { domain, types, message } = input.typed_data;
+            return { signature: await evmWallet._signTypedData(domain, getTypedDataTypes(types), message) };
+          }
+          return { signature: await evmWallet.signMessage(Buffer.from(input.message, 'hex')) };
+        }
+        case 'SOLANA':
+          return { signature: ethers.utils.base58.encode(signEd25519(privateKey, Buffer.from(input.message, 'hex'))) };
+        case 'TRON': {
+          const digest = hashTronMessage(Buffer.from(input.message, 'hex'));
+          return { signature: ethers.utils.joinSignature(new ethers.utils.SigningKey(privateKey).signDigest(digest)) };
+        }
+        default:
+          throw unsupported(`The software signer does not support ${chainType}, use the binary signer`);
+      }
+    },
+
+    async exportMnemonic(password) {
+      return { value: requireWallet(password).mnemonic };
+    },
+
+    async exportPrivateKey(password, chainType, address) {
+      requireWallet(password);
+      const { privateKey } = getAccountKey(chainType, address);
+      if (chainType === 'SOLANA') {
+        // Solana wallets expect the 64-byte secret key, private and public key, in Base58
+        return { value: ethers.utils.base58.encode(web3.Keypair.fromSeed(privateKey).secretKey) };
+      }
+      return { value: chainType === 'TRON' ? toHex(privateKey) : privateKey };
+    },
+
+    async exportKeystore() {
+      throw unsupported('The software signer keeps no keystore');
+    },
+  };
+}
+
+module.exports = {
+  createSoftwareSigner,
+};
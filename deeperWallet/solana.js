@@ -10,18 +10,21 @@ const {
 } = require('@solana/spl-token');
 const to = require('await-to-js').default;
 const logger = require('./log');
+const { getConfig, getRpcUrls } = require('./config');
 
 const METAPLEX_METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
 
-const rpcUrls = {
-  'SOLANA': 'https://api.mainnet-beta.solana.com',
-  'SOLANA-TESTNET': 'https://api.testnet.solana.com',
-  'SOLANA-DEVNET': 'https://api.devnet.solana.com',
-};
-
 function getRpcUrl(network) {
-  const url = rpcUrls[network];
-  return url ? url : 'https://mainnet.helius-rpc.com/?api-key=cdf696d9-6af1-4b7d-a0bd-1e63b3701559';
+  const urls = getRpcUrls(network);
+  if (urls) {
+    return urls[0];
+  }
+  const { heliusApiKey } = getConfig();
+  if (!heliusApiKey) {
+    logger.debug(`No RPC endpoint configured for ${network} and no Helius API key, using the public SOLANA endpoint`);
+    return getRpcUrls('SOLANA')[0];
+  }
+  return `https://mainnet.helius-rpc.com/?api-key=${heliusApiKey}`;
 }
 
 function decodeMetaplexMetadata(data) {
@@ -57,11 +60,10 @@ async function getSolBalance(network, address) {
   const connection = new Connection(url);
 
   const publicKey = new PublicKey(address);
-  console.warn('publicKey:', publicKey);
-  console.warn('connection   :', connection.rpcEndpoint);
+  logger.debug(`getSolBalance: ${publicKey.toBase58()} ${connection.rpcEndpoint}`);
   const [error, balance] = await to(connection.getBalance(publicKey));
   if (error) {
-    console.warn('Error getting balance:', error);
+    logger.error(`Error getting balance: ${error}`, { network, address });
     return { balance: 0 };
   }
   return { balance: balance };
@@ -76,10 +78,10 @@ async function getSplTokenBalance(network,tokenMintAddress, address ) {
   const tokenAccount = await getAssociatedTokenAddress(mint, publicKey);
   const [error, account] = await to(getAccount(connection, tokenAccount));
   if (error) {
-    console.error(`Error getting account: ${error}`);
+    logger.error(`Error getting account: ${error}`, { network, address, tokenMintAddress });
     return { balance: 0 };
   }
-  console.error(`-- getting account: ${account.address} ${account.amount}`);
+  logger.debug(`getting account: ${account.address} ${account.amount}`);
   return { balance: account.amount.toString() };
 }
 
@@ -94,10 +96,10 @@ async function getTokenMetaplexInfo(network, tokenMintAddress) {
     [Buffer.from('metadata'), pid.toBuffer(), mintPublicKey.toBuffer()],
     pid
   );
-  console.warn('------------ ', metadataAddress);
+  logger.debug(`Metadata address: ${metadataAddress.toBase58()}`);
   const [error, accountInfo] = await to(connection.getAccountInfo(metadataAddress));
   if (error) {
-    console.error(`Metadata account not found! ${error}`);
+    logger.error(`Metadata account not found! ${error}`, { network, tokenMintAddress });
     return null;
   }
   const data = accountInfo.data;
@@ -105,7 +107,7 @@ async function getTokenMetaplexInfo(network, tokenMintAddress) {
 
   const [err, mintAccountInfo] = await to(connection.getParsedAccountInfo(mintPublicKey));
   if (err) {
-    console.error(`Error getting mint account info: ${err}`);
+    logger.error(`Error getting mint account info: ${err}`, { network, tokenMintAddress });
     return metadata;
   }
   if (mintAccountInfo && mintAccountInfo.value) {
@@ -120,7 +122,7 @@ async function sendRawTransaction(network, rawTransaction) {
   const connection = new Connection(url);
   const [error, signature] = await to(sendAndConfirmRawTransaction(connection, rawTransaction));
   if (error) {
-    console.error(`Error sending raw transaction: ${error}`);
+    logger.error(`Error sending raw transaction: ${error}`, { network });
     return null;
   }
   return signature;
@@ -129,10 +131,10 @@ async function sendRawTransaction(network, rawTransaction) {
 async function getTransferSolMessage(network, sender, receiver, amount) {
   const url = getRpcUrl(network);
   const connection = new Connection(url);
-  console.warn('getTransferSolMessage:', url, sender, receiver, amount);
+  logger.debug(`getTransferSolMessage: ${url} ${sender} ${receiver} ${amount}`);
   const [error, blockhash] = await to(connection.getLatestBlockhash());
   if (error) {
-    console.error(`Error getting blockhash: ${error}`);
+    logger.error(`Error getting blockhash: ${error}`, { network });
     return null;
   }
   const fromPubkey = new PublicKey(sender);
@@ -145,7 +147,6 @@ async function getTransferSolMessage(network, sender, receiver, amount) {
   );
   transaction.recentBlockhash = blockhash.blockhash;
   transaction.feePayer = fromPubkey;
-  console.warn('transaction:', transaction);
   return transaction;
 }
 
@@ -162,7 +163,7 @@ async function getTransferSplMessage(network, fromAddress, toAddress, amount, mi
 
   const [error, accountInfo] = await to(connection.getAccountInfo(toTokenAccount));
   if (error) {
-    console.error(`Error getting account info: ${error}`);
+    logger.error(`Error getting account info: ${error}`, { network, toAddress });
     return null;
   }
   const instructions = [];
@@ -186,7 +187,7 @@ async function getTransferSplMessage(network, fromAddress, toAddress, amount, mi
 
   const [err, latestBlockhash] = await to(connection.getLatestBlockhash());
   if (err) {
-    console.error(`Error getting latest blockhash: ${err}`);
+    logger.error(`Error getting latest blockhash: ${err}`, { network });
     return null;
   }
   transaction.recentBlockhash = latestBlockhash.blockhash;
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+
+const db = require('./db');
+const logger = require('./log');
+
+const SPENDING_LIMIT_EXCEEDED = 'SPENDING_LIMIT_EXCEEDED';
+const SPENDING_LIMITS_UNAVAILABLE = 'SPENDING_LIMITS_UNAVAILABLE';
+
+// Limit windows, the daily and weekly windows are rolling
+const SpendingWindows = {
+  PER_TRANSACTION: 'perTransaction',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+};
+
+const DAY = 24 * 3600; // in seconds, like the timestamps in deeper_wallet.db
+const WEEK = 7 * DAY;
+
+// Spends that passed the check but are not broadcast yet, so concurrent transactions count against each other.
+// Broadcast spends whose record failed stay here too (with their txId) until they are written or leave the week
+const pending = new Map();
+let reserving = Promise.resolve();
+
+class SpendingLimitError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'SpendingLimitError';
+    this.code = SPENDING_LIMIT_EXCEEDED;
+    this.details = details;
+  }
+}
+
+// The limits or the spending log cannot be read, nothing may be signed then
+class SpendingLimitsUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpendingLimitsUnavailableError';
+    this.code = SPENDING_LIMITS_UNAVAILABLE;
+  }
+}
+
+// Limits are keyed by upper-case network and contract address, '' for the native coin
+function getLimitKey(network, contractAddress) {
+  const contract = contractAddress || '';
+  return {
+    network: network.toUpperCase(),
+    contractAddress: contract.startsWith('0x') ? contract.toLowerCase() : contract,
+  };
+}
+
+function toLimits(row) {
+  return {
+    [SpendingWindows.PER_TRANSACTION]: row?.per_tx ?? null,
+    [SpendingWindows.DAILY]: row?.daily ?? null,
+    [SpendingWindows.WEEKLY]: row?.weekly ?? null,
+  };
+}
+
+async function getSpent(key, now) {
+  const rows = await db.getSpendingSince(key.network, key.contractAddress, now - WEEK);
+  const entries = rows.map(row => ({ amount: BigInt(row.amount), timestamp: row.timestamp }));
+  for (const reservation of pending.values()) {
+    if (reservation.network === key.network && reservation.contractAddress === key.contractAddress) {
+      entries.push({ amount: BigInt(reservation.amount), timestamp: reservation.timestamp });
+    }
+  }
+
+  const sum = since => entries.filter(entry => entry.timestamp > since).reduce((total, entry) => total + entry.amount, 0n);
+  return {
+    [SpendingWindows.PER_TRANSACTION]: 0n,
+    [SpendingWindows.DAILY]: sum(now - DAY),
+    [SpendingWindows.WEEKLY]: sum(now - WEEK),
+  };
+}
+
+// What is left in every limited window, and the smallest of them
+function getHeadroom(limits, spent) {
+  const windows = {};
+  let headroom = null;
+  for (const [window, limit] of Object.entries(limits)) {
+    if (limit === null) {
+      continue;
+    }
+    const left = BigInt(limit) > spent[window] ? BigInt(limit) - spent[window] : 0n;
+    windows[window] = left;
+    if (headroom === null || left < headroom) {
+      headroom = left;
+    }
+  }
+  return { windows, headroom };
+}
+
+function stringify(values) {
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.toString()]));
+}
+
+/**
+ * Current limits and usage of a token
+ * @param {string} network - Network name
+ * @param {string} contractAddress - Token contract, '' for the native coin
+ * @returns {Promise<Object>} Limits, spent amounts and headroom in the smallest unit; headroom is null when unlimited
+ */
+async function getSpendingStatus(network, contractAddress) {
+  const key = getLimitKey(network, contractAddress);
+  const now = Math.floor(Date.now() / 1000);
+  const [row, spent] = await Promise.all([db.getSpendingLimit(key.network, key.contractAddress), getSpent(key, now)]);
+  const limits = toLimits(row);
+  const { windows, headroom } = getHeadroom(limits, spent);
+  return {
+    ...key,
+    limits,
+    spent: { [SpendingWindows.DAILY]: spent.daily.toString(), [SpendingWindows.WEEKLY]: spent.weekly.toString() },
+    headroom: headroom === null ? null : headroom.toString(),
+    windows: stringify(windows),
+    updatedAt: row?.updated_at ?? null,
+  };
+}
+
+/**
+ * Check an outgoing amount against the limits without holding it
+ * @param {string} network - Network name
+ * @param {string} contractAddress - Token contract, '' for the native coin
+ * @param {string} amount - Amount in the smallest unit
+ * @returns {Promise<{network: string, contractAddress: string, timestamp: number}>} Limit key and check time
+ * @throws {SpendingLimitError} If the amount does not fit in one of the windows
+ * @throws {SpendingLimitsUnavailableError} If the limits or the spending log cannot be read
+ */
+async function checkSpend(network, contractAddress, amount) {
+  if (!/^\d+$/.test(String(amount))) {
+    throw new Error(`Cannot check spending limits, amount ${amount} is not an integer in the smallest unit`);
+  }
+  const key = getLimitKey(network, contractAddress);
+  const now = Math.floor(Date.now() / 1000);
+  let row;
+  let spent;
+  try {
+    row = await db.getSpendingLimit(key.network, key.contractAddress);
+    spent = await getSpent(key, now);
+  } catch (err) {
+    throw new SpendingLimitsUnavailableError(`Spending limits of ${key.network} cannot be read: ${err.message}`);
+  }
+  const limits = toLimits(row);
+  const { windows, headroom } = getHeadroom(limits, spent);
+  const value = BigInt(amount);
+  const breached = Object.keys(windows)
+    .filter(window => value > windows[window])
+    .sort((a, b) => (windows[a] < windows[b] ? -1 : 1))[0];
+  if (breached) {
+    const token = key.contractAddress || 'native coin';
+    const spentText = breached === SpendingWindows.PER_TRANSACTION ? '' : `${spent[breached]} already spent, `;
+    throw new SpendingLimitError(
+      `Spending limit exceeded on ${key.network} for ${token}: ${breached} limit is ${limits[breached]}, ` +
+        `${spentText}${amount} requested; headroom is ${headroom}`,
+      {
+        ...key,
+        window: breached,
+        limit: limits[breached],
+        spent: spent[breached].toString(),
+        amount: String(amount),
+        headroom: headroom.toString(),
+      }
+    );
+  }
+  return { ...key, timestamp: now };
+}
+
+/**
+ * Check an outgoing amount and hold it until the transaction is committed or released, so concurrent
+ * transactions count against each other. Must be called before the transaction is signed.
+ * @param {string} network - Network name
+ * @param {string} contractAddress - Token contract, '' for the native coin
+ * @param {string} amount - Amount in the smallest unit
+ * @returns {Promise<Object>} Reservation for commitSpend/releaseSpend
+ * @throws {SpendingLimitError} If the amount does not fit in one of the windows
+ * @throws {SpendingLimitsUnavailableError} If the limits or the spending log cannot be read
+ */
+function reserveSpend(network, contractAddress, amount) {
+  // One check at a time, otherwise two transactions could both fit the same headroom
+  const reserved = reserving.then(async () => {
+    await recordHeldSpends();
+    const checked = await checkSpend(network, contractAddress, amount);
+    const reservation = { id: crypto.randomBytes(6).toString('hex'), ...checked, amount: String(amount) };
+    pending.set(reservation.id, reservation);
+    return reservation;
+  });
+  reserving = reserved.catch(() => {});
+  return reserved;
+}
+
+// Retry writing broadcast spends whose record failed; they keep counting from pending until then
+async function recordHeldSpends() {
+  const now = Math.floor(Date.now() / 1000);
+  for (const reservation of pending.values()) {
+    if (!reservation.txId) {
+      continue;
+    }
+    if (reservation.timestamp <= now - WEEK) {
+      pending.delete(reservation.id);
+    } else if (await db.addSpending(reservation.network, reservation.contractAddress, reservation.amount, reservation.txId, reservation.timestamp)) {
+      pending.delete(reservation.id);
+    }
+  }
+}
+
+// Record a reserved amount once the transaction is broadcast. When the record fails the reservation stays held,
+// so the amount still counts toward the daily and weekly windows
+async function commitSpend(reservation, txId) {
+  const held = pending.get(reservation.id);
+  if (!held) {
+    return;
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const success = await db.addSpending(reservation.network, reservation.contractAddress, reservation.amount, txId, now);
+  if (!success) {
+    held.txId = txId;
+    held.timestamp = now;
+    logger.error(`Failed to record spending of ${reservation.amount} on ${reservation.network} (${txId}), it stays held in memory`, {
+      network: reservation.network,
+      contractAddress: reservation.contractAddress,
+      txId,
+    });
+    return;
+  }
+  pending.delete(reservation.id);
+  await db.deleteOldSpending(now - WEEK - DAY);
+}
+
+// Drop a reserved amount when the transaction was not sent
+function releaseSpend(reservation) {
+  pending.delete(reservation.id);
+}
+
+/**
+ * Set the limits of a token, null removes the limit of a window
+ * @param {string} network - Network name
+ * @param {string} contractAddress - Token contract, '' for the native coin
+ * @param {Object} limits - { perTransaction, daily, weekly } in the smallest unit
+ * @returns {Promise<boolean>}
+ */
+async function setSpendingLimit(network, contractAddress, limits) {
+  const key = getLimitKey(network, contractAddress);
+  for (const window of Object.values(SpendingWindows)) {
+    const value = limits[window];
+    if (value !== null && value !== undefined && !/^\d+$/.test(String(value))) {
+      throw new Error(`Invalid ${window} limit ${value}, expected an integer in the smallest unit`);
+    }
+  }
+  return db.setSpendingLimit(
+    key.network,
+    key.contractAddress,
+    limits[SpendingWindows.PER_TRANSACTION] ?? null,
+    limits[SpendingWindows.DAILY] ?? null,
+    limits[SpendingWindows.WEEKLY] ?? null
+  );
+}
+
+async function deleteSpendingLimit(network, contractAddress) {
+  const key = getLimitKey(network, contractAddress);
+  return db.deleteSpendingLimit(key.network, key.contractAddress);
+}
+
+// Status of every configured limit, optionally of one network only
+async function listSpendingLimits(network) {
+  const rows = await db.getSpendingLimits(network ? network.toUpperCase() : '');
+  return Promise.all(rows.map(row => getSpendingStatus(row.network, row.contract_address)));
+}
+
+module.exports = {
+  SPENDING_LIMIT_EXCEEDED,
+  SPENDING_LIMITS_UNAVAILABLE,
+  SpendingWindows,
+  SpendingLimitError,
+  SpendingLimitsUnavailableError,
+  getSpendingStatus,
+  checkSpend,
+  reserveSpend,
+  commitSpend,
+  releaseSpend,
+  setSpendingLimit,
+  deleteSpendingLimit,
+  listSpendingLimits,
+};
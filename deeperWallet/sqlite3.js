@@ -3,10 +3,9 @@ const to = require('await-to-js').default;
 const { readFile } = require('node:fs/promises');
 
 const logger = require('./log');
+const { getConfig } = require('./config');
 
-const DB_DIR = '/var/deeper/sqlite3';
 const DEFAULT_DB_MODE = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
-const SQLITE3_DIR = '/home/atomos-env/gui-backend/sqlite3';
 const GET_SYSLOG_LINES_QUERY = 'SELECT Message, ReportedAt FROM SystemEvents ORDER BY ROWID DESC LIMIT ?';
 const COUNT_SHARING_SECURITY_QUERY =
   'SELECT COUNT(*) AS TOTAL FROM SystemEvents WHERE ReportedAt BETWEEN ? AND ? AND Message LIKE "%" || ? || "%"';
@@ -77,15 +76,69 @@ const dbMap = {
   deeperWallet: {
     filename: 'deeper_wallet.db',
     script: 'deeper_wallet_db_setup.sql',
+    tables: [
+      `CREATE TABLE IF NOT EXISTS spending_limits (
+        network TEXT NOT NULL,
+        contract_address TEXT NOT NULL DEFAULT '',
+        per_tx TEXT,
+        daily TEXT,
+        weekly TEXT,
+        updated_at INTEGER,
+        PRIMARY KEY (network, contract_address)
+      )`,
+      `CREATE TABLE IF NOT EXISTS spending_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        network TEXT NOT NULL,
+        contract_address TEXT NOT NULL DEFAULT '',
+        amount TEXT NOT NULL,
+        tx_id TEXT,
+        timestamp INTEGER NOT NULL
+      )`,
+      'CREATE INDEX IF NOT EXISTS spending_log_token_time ON spending_log (network, contract_address, timestamp)',
+      `CREATE TABLE IF NOT EXISTS address_book (
+        network TEXT NOT NULL,
+        address TEXT NOT NULL,
+        label TEXT NOT NULL,
+        note TEXT,
+        created_at INTEGER,
+        PRIMARY KEY (network, address)
+      )`,
+      'CREATE UNIQUE INDEX IF NOT EXISTS address_book_label ON address_book (network, label COLLATE NOCASE)',
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        seq INTEGER PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        tool TEXT NOT NULL,
+        args TEXT,
+        from_address TEXT,
+        payload_hash TEXT,
+        signature TEXT,
+        tx_hash TEXT,
+        error TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS idempotency_keys (
+        owner TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        tool TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        confirmation_id TEXT,
+        tx_hash TEXT,
+        result TEXT,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (owner, idempotency_key)
+      )`,
+    ],
   },
 };
 
-exports.DB_DIR = DB_DIR;
+// Kept for callers of the former constant
+Object.defineProperty(exports, 'DB_DIR', { enumerable: true, get: () => getConfig().dbDir });
 exports.dbMap = dbMap;
 
 exports.loadAllDb = async () => {
   for (const key of Object.keys(dbMap)) {
-    const path = `${DB_DIR}/${dbMap[key].filename}`;
+    const path = `${getConfig().dbDir}/${dbMap[key].filename}`;
 
     const mode = dbMap[key].mode || DEFAULT_DB_MODE;
     dbMap[key].db = await new Promise(resolve => {
@@ -104,12 +157,20 @@ exports.loadAllDb = async () => {
       continue;
     }
 
-    const [err] = await to(setUpDb(`${SQLITE3_DIR}/${dbMap[key].script}`, dbMap[key].db));
+    const [err] = await to(setUpDb(`${getConfig().dbSetupDir}/${dbMap[key].script}`, dbMap[key].db));
     if (err) {
       logger.error(`Failed to set up DB ${key}: ${err}`);
-      continue;
     }
 
+    // Tables added by this service do not depend on the setup script, spending limits must exist even without it
+    for (const table of dbMap[key].tables || []) {
+      await exports.runSql(dbMap[key].db, table, []);
+    }
+
+    // Columns are added to tables of the setup script
+    if (err) {
+      continue;
+    }
     for (const column of dbMap[key].columns || []) {
       await addColumn(dbMap[key].db, column);
     }
@@ -228,6 +289,42 @@ exports.getOne = async (db, query, args) => {
   });
 };
 
+// getOne and getList resolve to null and [] on any error, which reads as "nothing stored". For checks that must
+// not pass when the database is unavailable, these reject instead
+exports.getOneOrThrow = async (db, query, args) => {
+  if (!db) {
+    throw new Error('database is not open');
+  }
+
+  return new Promise((resolve, reject) => {
+    db.get(query, args, (err, row) => {
+      if (err) {
+        logger.error(`Failed to get ${query}: ${err}`);
+        reject(err);
+      } else {
+        resolve(row);
+      }
+    });
+  });
+};
+
+exports.getListOrThrow = async (db, query, params) => {
+  if (!db) {
+    throw new Error('database is not open');
+  }
+
+  return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        logger.error(`Failed to query ${query}: ${err}`);
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+};
+
 exports.batchRun = async (db, sqlList, argsList, op) => {
   if (!db) {
     return false;
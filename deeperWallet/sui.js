@@ -1,15 +1,12 @@
 const axios = require('axios');
 const to = require('await-to-js').default;
 const logger = require('./log');
+const { getRpcUrls } = require('./config');
 
-const suiRpcUrls = {
-  'SUI': ' https://sui-mainnet-endpoint.blockvision.org',
-  'SUI-TESTNET': 'https://fullnode.testnet.sui.io',
-};
+const SUI_GAS_BUDGET = 5000000n;
 
 function getRpcUrl(network) {
-  const url = suiRpcUrls[network];
-  return url ? url : 'https://fullnode.testnet.sui.io';
+  return (getRpcUrls(network) || getRpcUrls('SUI-TESTNET'))[0];
 }
 
 async function getSuiBalance(network, address) {
@@ -52,13 +49,15 @@ async function getCoins(address, tokenType, network) {
   return response.data.result;
 }
 
+// Only SUI payments set a gas budget, other coins leave it to the node
+function getGasBudget(tokenType) {
+  return tokenType === '0x2::sui::SUI' ? SUI_GAS_BUDGET : 0n;
+}
+
 async function getTransferSuiMessage(tokenType, address, amount, recipient, network) {
   const suiInfo = await getCoins(address, tokenType, network);
-  console.warn('suiInfo:', suiInfo);
-  let gasBudget = 0n;
-  if (tokenType === '0x2::sui::SUI') {
-    gasBudget = 5000000n;
-  }
+  logger.debug('suiInfo', suiInfo);
+  const gasBudget = getGasBudget(tokenType);
   const coins = suiInfo.data;
   let objIds = [];
   let sum = 0n;
@@ -67,15 +66,14 @@ async function getTransferSuiMessage(tokenType, address, amount, recipient, netw
     const coin = coins[i];
     sum += BigInt(coin.balance);
     objIds.push(coin.coinObjectId);
-    console.warn('sum:', sum);
     if (sum > amount + gasBudget) {
       break;
     }
   }
 
-  console.warn('amount:', amount, 'gasBudget:', gasBudget, 'sum:', sum);
+  logger.debug(`amount: ${amount} gasBudget: ${gasBudget} sum: ${sum}`);
   if (sum < amount + gasBudget) {
-    console.error('Insufficient balance');
+    logger.error(`Insufficient balance for ${amount} plus gas budget ${gasBudget}`, { network, address, tokenType });
     return null;
   }
 
@@ -85,7 +83,7 @@ async function getTransferSuiMessage(tokenType, address, amount, recipient, netw
   }
 
   const url = getRpcUrl(network);
-  console.warn('objIds:', objIds, 'url', url,);
+  logger.debug(`${method} ${url}`, { objIds });
 
   const [err, response] = await to(axios.post(url, {
     jsonrpc: '2.0',
@@ -103,7 +101,7 @@ async function getTransferSuiMessage(tokenType, address, amount, recipient, netw
     logger.error(`Failed to getTransferSuiMessage: ${network} ${address} ${tokenType} ${amount} ${recipient} ${err}`);
     return null;
   }
-  console.warn('response:', response.data);
+  logger.debug(`${method} response`, response.data);
   return response.data.result;
 }
 
@@ -126,7 +124,7 @@ async function sendSuiTransaction(txByte, signature, network) {
     method: 'sui_executeTransactionBlock',
     params: [txByte, [signature]],
   });
-  console.warn('response:', response.data);
+  logger.debug('sui_executeTransactionBlock response', response.data);
   return response.data.result;
 }
 
@@ -135,6 +133,7 @@ module.exports = {
   getTokenBalance,
   getCoins,
   getTransferSuiMessage,
+  getGasBudget,
   getMetadata,
   sendSuiTransaction,
 };
@@ -2,16 +2,11 @@ const axios = require('axios');
 const to = require('await-to-js').default;
 const { decode } = require('bs58');
 const logger = require('./log');
+const { getRpcUrls } = require('./config');
 const { hexToString, hexToDecimal } = require('./utils');
 
-const tronRpcUrls = {
-  'TRON': 'https://api.trongrid.io',
-  'TRON-TESTNET': 'https://api.shasta.trongrid.io',
-};
-
 function getRpcUrl(network) {
-  const url = tronRpcUrls[network];
-  return url ? url : 'https://api.trongrid.io';
+  return (getRpcUrls(network) || getRpcUrls('TRON'))[0];
 }
 
 async function sendJsonRequest(network, endpoint, params) {
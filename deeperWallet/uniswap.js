@@ -5,9 +5,12 @@ const Decimal = require('decimal.js');
 const { ethers } = require('ethers');
 const { Actions, V4Planner, SwapExactInSingle, toAddress } = require('@uniswap/v4-sdk');
 const eth = require('./eth');
-const commonUtil = require('./utils');
+const { getSigner } = require('./signer');
+const spendingLimits = require('./spendingLimits');
+const audit = require('./audit');
+const operation = require('./operation');
+const { getRpcUrls } = require('./config');
 const {
-  AllowanceTransfer,
   PERMIT2_ADDRESS,
   MaxAllowanceTransferAmount,
   MaxUint48,
@@ -16,7 +19,6 @@ const {
 } = require("@uniswap/permit2-sdk");
 
 const { CommandType, RoutePlanner, ROUTER_AS_RECIPIENT } = require('@uniswap/universal-router-sdk');
-const { getEthPrivateKey } = require('./utils');
 const { de } = require('zod/v4/locales');
 Decimal.set({ precision: 60, rounding: Decimal.ROUND_HALF_UP });
 
@@ -92,7 +94,7 @@ class PerformanceCache {
       const config = this.config[type];
 
       if (!config) {
-        console.warn(`Unknown cache type: ${type}`);
+        logger.warn(`Unknown cache type: ${type}`);
         return;
       }
 
@@ -120,9 +122,9 @@ class PerformanceCache {
 
       this.timers.set(key, timer);
 
-      console.debug(`Cache SET: ${key} (TTL: ${config.ttl}ms)`);
+      logger.debug(`Cache SET: ${key} (TTL: ${config.ttl}ms)`);
     } catch (error) {
-      console.error('Cache set error:', error.message);
+      logger.error(`Cache set error: ${error.message}`);
     }
   }
 
@@ -148,10 +150,10 @@ class PerformanceCache {
         return null;
       }
 
-      console.debug(`Cache HIT: ${key}`);
+      logger.debug(`Cache HIT: ${key}`);
       return entry.value;
     } catch (error) {
-      console.error('Cache get error:', error.message);
+      logger.error(`Cache get error: ${error.message}`);
       return null;
     }
   }
@@ -170,9 +172,9 @@ class PerformanceCache {
         this.timers.delete(key);
       }
 
-      console.debug(`Cache DELETE: ${key}`);
+      logger.debug(`Cache DELETE: ${key}`);
     } catch (error) {
-      console.error('Cache delete error:', error.message);
+      logger.error(`Cache delete error: ${error.message}`);
     }
   }
 
@@ -203,9 +205,9 @@ class PerformanceCache {
       }
 
       keysToDelete.forEach(key => this.delete(key));
-      console.info(`Cleared ${keysToDelete.length} entries of type: ${type}`);
+      logger.info(`Cleared ${keysToDelete.length} entries of type: ${type}`);
     } catch (error) {
-      console.error('Cache clear type error:', error.message);
+      logger.error(`Cache clear type error: ${error.message}`);
     }
   }
 
@@ -222,9 +224,9 @@ class PerformanceCache {
 
       this.cache.clear();
       this.timers.clear();
-      console.info('Cache cleared completely');
+      logger.info('Cache cleared completely');
     } catch (error) {
-      console.error('Cache clear error:', error.message);
+      logger.error(`Cache clear error: ${error.message}`);
     }
   }
 
@@ -255,9 +257,9 @@ class PerformanceCache {
         this.delete(typeEntries[i].key);
       }
 
-      console.debug(`Evicted ${toRemove} oldest entries of type: ${type}`);
+      logger.debug(`Evicted ${toRemove} oldest entries of type: ${type}`);
     } catch (error) {
-      console.error('Cache eviction error:', error.message);
+      logger.error(`Cache eviction error: ${error.message}`);
     }
   }
 
@@ -285,7 +287,7 @@ class PerformanceCache {
 
       return stats;
     } catch (error) {
-      console.error('Cache stats error:', error.message);
+      logger.error(`Cache stats error: ${error.message}`);
       return { totalEntries: 0, byType: {}, memoryUsage: 0 };
     }
   }
@@ -300,10 +302,10 @@ class PerformanceCache {
     try {
       if (this.config[type]) {
         this.config[type] = { ...this.config[type], ...newConfig };
-        console.info(`Updated cache config for ${type}:`, this.config[type]);
+        logger.info(`Updated cache config for ${type}`, this.config[type]);
       }
     } catch (error) {
-      console.error('Cache config update error:', error.message);
+      logger.error(`Cache config update error: ${error.message}`);
     }
   }
 }
@@ -398,7 +400,7 @@ class BatchRpcManager {
         id: index + 1
       }));
 
-      console.debug(`Executing batch RPC with ${batchRequest.length} requests`);
+      logger.debug(`Executing batch RPC with ${batchRequest.length} requests`);
 
       // Send batch request
       const [error, response] = await to(
@@ -433,7 +435,7 @@ class BatchRpcManager {
       });
 
     } catch (error) {
-      console.error('Batch execution error:', error.message);
+      logger.error(`Batch execution error: ${error.message}`);
 
       // Reject all pending requests
       const batch = this.batches.get(batchKey);
@@ -576,60 +578,6 @@ const COMMON_TOKENS = {
   
 };
 
-// RPC URLs for different networks (copied from eth.js)
-const rpcUrls = {
-  'ETHEREUM-SEPOLIA': [
-    'https://ethereum-sepolia-rpc.publicnode.com',
-    'https://1rpc.io/sepolia',
-    'https://sepolia.gateway.tenderly.co',
-  ],
-  'ETHEREUM': [
-    'https://eth-mainnet.public.blastapi.io',
-    'https://eth.llamarpc.com',
-    'https://ethereum-rpc.publicnode.com',
-  ],
-  'ARBITRUM': [
-    'https://arbitrum-rpc.publicnode.com',
-    'https://arbitrum.llamarpc.com',
-    'https://arbitrum-one-rpc.publicnode.com',
-  ],
-  'ARBITRUM-TESTNET': [
-    'https://arbitrum-sepolia-rpc.publicnode.com',
-    'https://endpoints.omniatech.io/v1/arbitrum/sepolia/public',
-    'https://arbitrum-sepolia.gateway.tenderly.co',
-  ],
-  'OPTIMISM': [
-    'https://optimism-rpc.publicnode.com',
-    'https://optimism.llamarpc.com',
-    'https://rpc.ankr.com/optimism'
-  ],
-  'OPTIMISM-TESTNET': [
-    'https://api.zan.top/opt-sepolia',
-    'https://optimism-sepolia-rpc.publicnode.com',
-    'https://optimism-sepolia.drpc.org',
-  ],
-  'BASE': [
-    'https://base.llamarpc.com',
-    'https://developer-access-mainnet.base.org',
-    'https://base-mainnet.public.blastapi.io',
-  ],
-  'BASE-TESTNET': [
-    'https://base-sepolia-rpc.publicnode.com',
-    'https://sepolia.base.org',
-    'https://base-sepolia.gateway.tenderly.co',
-  ],
-  'BNBSMARTCHAIN': [
-    'https://bsc-dataseed2.bnbchain.org',
-    'https://bsc-dataseed.bnbchain.org',
-    'https://bsc-dataseed2.defibit.io',
-  ],
-  'BNBSMARTCHAIN-TESTNET': [
-    'https://bsc-testnet.public.blastapi.io',
-    'https://data-seed-prebsc-2-s2.bnbchain.org:8545',
-    'https://data-seed-prebsc-1-s1.bnbchain.org:8545',
-  ],
-};
-
 // ============================================================================
 // RPC UTILITY FUNCTIONS
 // ============================================================================
@@ -650,7 +598,7 @@ function getRandomUrl(urls) {
  * @returns {string|null} RPC URL or null if network not supported
  */
 function getRpcUrl(network) {
-  const urls = rpcUrls[network];
+  const urls = getRpcUrls(network);
   if (!urls) {
     return null;
   }
@@ -682,12 +630,13 @@ async function sendRpcRequest(rpcUrl, method, params = []) {
         headers: {
           'Content-Type': 'application/json',
         },
+        signal: operation.getSignal(),
       }
     )
   );
 
   if (error) {
-    console.error(`Failed to sendRpcRequest: ${rpcUrl} ${method}`, error.message);
+    logger.error(`Failed to sendRpcRequest: ${rpcUrl} ${method}: ${error.message}`, { rpcUrl, method });
     return null;
   }
 
@@ -737,7 +686,7 @@ async function sendCachedRpcRequest(network, method, params = [], options = {})
 
     return result;
   } catch (error) {
-    console.error(`Failed to send cached RPC request: ${network} ${method}`, error.message);
+    logger.error(`Failed to send cached RPC request: ${network} ${method}: ${error.message}`, { network, method });
     return null;
   }
 }
@@ -759,7 +708,7 @@ async function sendMultipleRpcRequests(network, requests, options = {}) {
 
     return await Promise.all(promises);
   } catch (error) {
-    console.error(`Failed to send multiple RPC requests: ${network}`, error.message);
+    logger.error(`Failed to send multiple RPC requests: ${network}: ${error.message}`);
     return requests.map(() => null);
   }
 }
@@ -772,7 +721,7 @@ async function sendMultipleRpcRequests(network, requests, options = {}) {
 function getNetworkConfig(network) {
   const config = NETWORK_CONFIG[network.toUpperCase()];
   if (!config) {
-    console.error(`Unsupported network for Uniswap: ${network}`);
+    logger.error(`Unsupported network for Uniswap: ${network}`);
     return null;
   }
   return config;
@@ -878,7 +827,7 @@ function calculateV2SwapOutput(reserveIn, reserveOut, amountIn, fee = 300) {
 
     return amountOut.toString();
   } catch (error) {
-    console.error('Error calculating V2 swap output:', error.message);
+    logger.error(`Error calculating V2 swap output: ${error.message}`);
     throw error;
   }
 }
@@ -921,7 +870,7 @@ function calculateV2SwapInput(reserveIn, reserveOut, amountOut, fee = 300) {
 
     return amountIn.toString();
   } catch (error) {
-    console.error('Error calculating V2 swap input:', error.message);
+    logger.error(`Error calculating V2 swap input: ${error.message}`);
     throw error;
   }
 }
@@ -953,7 +902,7 @@ function calculatePriceImpact(reserveIn, reserveOut, amountIn, amountOut) {
     // Convert to percentage (divide by 100 since we multiplied by 10000)
     return Number(priceImpactBig) / 100;
   } catch (error) {
-    console.error('Error calculating price impact:', error.message);
+    logger.error(`Error calculating price impact: ${error.message}`);
     return 0;
   }
 }
@@ -980,7 +929,7 @@ function applySlippage(amount, slippagePercent, isMinimum = true) {
       return (amountBig + slippageAmount).toString();
     }
   } catch (error) {
-    console.error('Error applying slippage:', error.message);
+    logger.error(`Error applying slippage: ${error.message}`);
     throw error;
   }
 }
@@ -1018,7 +967,7 @@ function encodeFunctionCall(selector, params = []) {
 
     return data;
   } catch (error) {
-    console.error('Error encoding function call:', error.message);
+    logger.error(`Error encoding function call: ${error.message}`);
     throw error;
   }
 }
@@ -1048,7 +997,7 @@ function encodeUint256(value) {
     }
     return bigIntValue.toString(16).padStart(64, '0');
   } catch (error) {
-    console.error('Error encoding uint256:', error.message);
+    logger.error(`Error encoding uint256: ${error.message}`);
     throw error;
   }
 }
@@ -1063,7 +1012,7 @@ function decodeHexToDecimal(hex) {
     const cleanHex = hex.startsWith('0x') ? hex.slice(2) : hex;
     return BigInt('0x' + cleanHex).toString();
   } catch (error) {
-    console.error('Error decoding hex to decimal:', error.message);
+    logger.error(`Error decoding hex to decimal: ${error.message}`);
     throw error;
   }
 }
@@ -1081,7 +1030,7 @@ function decodeAddress(hex) {
     }
     return '0x' + cleanHex.slice(-40);
   } catch (error) {
-    console.error('Error decoding address:', error.message);
+    logger.error(`Error decoding address: ${error.message}`);
     throw error;
   }
 }
@@ -1125,7 +1074,7 @@ async function getTokenAllowance(network, tokenAddress, ownerAddress, spenderAdd
 
     return decodeHexToDecimal(result);
   } catch (error) {
-    console.error('Error getting token allowance:', error.message);
+    logger.error(`Error getting token allowance: ${error.message}`);
     return null;
   }
 }
@@ -1141,10 +1090,10 @@ async function getTokenAllowance(network, tokenAddress, ownerAddress, spenderAdd
  */
 async function checkTokenApproval(network, tokenAddress, ownerAddress, spenderAddress, requiredAmount) {
   try {
-    console.warn("checkTokenApproval ----", network, tokenAddress, ownerAddress, spenderAddress, requiredAmount);
+    logger.debug('checkTokenApproval', { network, tokenAddress, ownerAddress, spenderAddress, requiredAmount });
     const currentAllowance = await getTokenAllowance(network, tokenAddress, ownerAddress, spenderAddress);
 
-    console.warn("checkTokenApproval ----", currentAllowance);
+    logger.debug('checkTokenApproval allowance', { currentAllowance });
     if (currentAllowance === null) {
       return {
         isApproved: false,
@@ -1163,7 +1112,7 @@ async function checkTokenApproval(network, tokenAddress, ownerAddress, spenderAd
       needsApproval: !isApproved
     };
   } catch (error) {
-    console.error('Error checking token approval:', error.message);
+    logger.error(`Error checking token approval: ${error.message}`);
     return {
       isApproved: false,
       currentAllowance: '0',
@@ -1199,11 +1148,70 @@ function getApprovalCalldata(spenderAddress, amount) {
 
     return `${SELECTORS.APPROVE}${cleanSpender}${amountHex}`;
   } catch (error) {
-    console.error('Error generating approval calldata:', error.message);
+    logger.error(`Error generating approval calldata: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Sign an EVM transaction with sign_tx of the wallet signer and broadcast it, the private key never leaves the signer
+ * @param {string} password - Wallet password
+ * @param {string} fromAddress - Sender address
+ * @param {string} network - Network name
+ * @param {Object} tx - { to, value, data }, value in wei and data 0x-prefixed calldata
+ * @param {string} label - What is sent, e.g. swap, for progress messages and errors
+ * @returns {Promise<string>} Transaction hash
+ * @throws {Error} If the gas cannot be estimated or the transaction cannot be signed or sent
+ * @throws {OperationCancelledError} If cancelled before the signature
+ */
+async function signAndSendTransaction(password, fromAddress, network, tx, label) {
+  // Get transaction essentials (nonce, gas price)
+  const txEssentials = await eth.get_tx_essential_elem(network, fromAddress);
+  if (!txEssentials) {
+    throw new Error('Failed to get transaction essentials');
+  }
+
+  const { nonce, gas_price: gasPrice } = txEssentials;
+
+  const gas = await eth.estimate_gas(network, fromAddress, tx.to, tx.value, tx.data);
+  if (!gas) {
+    throw new Error(`Failed to estimate ${label} gas`);
+  }
+
+  // Calculate gas fee with multiplier (using same pattern as transferEthErc20)
+  const finalGasPrice = BigInt(Math.round(gasPrice * GAS_PRICE_MULTIPLIER));
+  logger.debug(`${label} gas`, { gas, gasPrice: finalGasPrice, gasFee: finalGasPrice * BigInt(gas) });
+
+  // Unsigned transaction for the hardware wallet
+  const input = {
+    nonce: nonce.toString(),
+    to: tx.to,
+    value: tx.value.toString(),
+    gas_price: finalGasPrice.toString(),
+    gas: gas.toString(),
+    data: tx.data,
+    network: getNetwork(network),
+  };
+
+  operation.throwIfCancelled(`the ${label} signature`);
+  operation.reportProgress(`Signing ${label} transaction`);
+  const [err, signResult] = await to(getSigner().signTx('ETHEREUM', fromAddress, input, password));
+  if (err || !signResult.signature) {
+    const reason = err ? err.message : 'no signature in sign_tx output';
+    audit.noteSigning(fromAddress, input, `failed: ${reason}`);
+    throw new Error(`Failed to sign ${label} transaction: ${reason}`);
+  }
+  audit.noteSigning(fromAddress, input, 'signed');
+
+  operation.reportProgress(`Sending ${label} transaction`);
+  const signedTransaction = `0x${signResult.signature.replace(/^"|"$/g, '')}`;
+  const txHash = await operation.runUncancellable(() => eth.sendEthRawTransaction(network, signedTransaction));
+  if (!txHash) {
+    throw new Error(`Failed to send ${label} transaction`);
+  }
+  return txHash;
+}
+
 /**
  * Execute token approval transaction
  * @param {string} password - Wallet password
@@ -1216,11 +1224,6 @@ function getApprovalCalldata(spenderAddress, amount) {
  */
 async function executeTokenApproval(password, fromAddress, tokenAddress, spenderAddress, amount, network) {
   try {
-    // Import required modules
-    const eth = require('./eth');
-    const commonUtil = require('./utils');
-    const to = require('await-to-js').default;
-
     // Validate inputs
     if (!isValidAddress(fromAddress) || !isValidAddress(tokenAddress) || !isValidAddress(spenderAddress)) {
       throw new Error('Invalid address format');
@@ -1234,81 +1237,22 @@ async function executeTokenApproval(password, fromAddress, tokenAddress, spender
       throw new Error(`Unsupported network: ${network}`);
     }
 
-    // Get transaction essentials (nonce, gas price)
-    const txEssentials = await eth.get_tx_essential_elem(network, fromAddress);
-    if (!txEssentials) {
-      throw new Error('Failed to get transaction essentials');
-    }
-
-    const { nonce, gas_price: gasPrice } = txEssentials;
-
     // Generate approval calldata
     const callData = getApprovalCalldata(spenderAddress, MaxUint256.toString());
-    console.warn("==== approval callData:", callData);
-    // Estimate gas for approval transaction
-    const gas = await eth.estimate_gas(network, fromAddress, tokenAddress, 0, callData);
-    if (!gas) {
-      throw new Error('Failed to estimate gas');
-    }
-
-    // Calculate gas fee with multiplier (using same pattern as transferEthErc20)
-    const GAS_PRICE_MULTIPLIER = 1.2; // 20% buffer
-    const finalGasPrice = BigInt(Math.round(gasPrice * GAS_PRICE_MULTIPLIER));
-    const gasFee = finalGasPrice * BigInt(gas);
-
-    console.warn("==== approval gas:", gas, "gasPrice:", finalGasPrice.toString(), "gasFee (wei):", gasFee.toString());
-    // Prepare payload for hardware wallet signing
-    const payload = {
-      method: 'sign_tx',
-      param: {
-        chain_type: 'ETHEREUM',
-        address: fromAddress,
-        input: {
-          nonce: nonce.toString(),
-          to: tokenAddress,
-          value: '0',
-          gas_price: finalGasPrice.toString(),
-          gas: gas.toString(),
-          data: callData,
-          network: getNetwork(network),
-        },
-        key: {
-          Password: password,
-        },
-      },
-    };
-
-    // Sign transaction using hardware wallet
-    const jsonPayload = JSON.stringify(payload);
-    console.warn("==== sign_tx payload:", jsonPayload);
-    const escapedPayload = jsonPayload.replace(/"/g, '\\\"');
-
-    // Get binary path (using same pattern as transferEthErc20)
-    const DEEPER_WALLET_BIN_PATH = process.env.DEEPER_WALLET_BIN_PATH || 'D:\\git_resp\\hd-wallet\\target\\release\\hd-wallet.exe';
-
-    const [err, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}"`);
-    if (err) {
-      throw new Error('Failed to sign approval transaction');
-    }
-    console.warn("==== sign_tx output:", stdout);
-    const [parseErr, signResult] = await to(commonUtil.jsonParse(stdout));
-    if (parseErr || !signResult?.signature) {
-      throw new Error(`Invalid sign_tx output: ${stdout}`);
-    }
-
-    // Send signed transaction
-    const signedTransaction = `0x${signResult.signature.replace(/^"|"$/g, '')}`;
-    const txHash = await eth.sendEthRawTransaction(network, signedTransaction);
-
-    if (!txHash) {
-      throw new Error('Failed to send approval transaction');
-    }
+    logger.debug('Approval calldata', { callData });
+    const txHash = await signAndSendTransaction(
+      password,
+      fromAddress,
+      network,
+      { to: tokenAddress, value: '0', data: callData },
+      'approval'
+    );
 
     return {
       transactionHash: txHash
     };
   } catch (error) {
-    console.error('Error executing token approval:', error.message);
+    logger.error(`Error executing token approval: ${error.message}`);
     return null;
   }
 }
@@ -1331,6 +1275,7 @@ async function handleTokenApproval(password, fromAddress, tokenAddress, spenderA
     const { maxRetries = 1, retryDelay = 2000 } = options;
 
     // First check if approval is already sufficient
+    operation.reportProgress('Checking token allowance');
     const approvalStatus = await checkTokenApproval(network, tokenAddress, fromAddress, spenderAddress, amount);
     if (approvalStatus.error) {
       return {
@@ -1366,7 +1311,8 @@ async function handleTokenApproval(password, fromAddress, tokenAddress, spenderA
 
         if (approvalResult) {
           // Wait a moment for transaction to be mined
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          operation.reportProgress(`Waiting for approval ${approvalResult.transactionHash} to be mined`);
+          await operation.delay(3000, 'the approval to be mined');
 
           // Verify approval was successful
           const verificationStatus = await checkTokenApproval(network, tokenAddress, fromAddress, spenderAddress, amount);
@@ -1389,12 +1335,12 @@ async function handleTokenApproval(password, fromAddress, tokenAddress, spenderA
         }
       } catch (error) {
         lastError = error;
-        console.error(`Approval attempt ${attempt} failed:`, error.message);
+        logger.error(`Approval attempt ${attempt} failed: ${error.message}`);
       }
 
       // Wait before retry (except on last attempt)
       if (attempt < maxRetries) {
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        await operation.delay(retryDelay, 'the next approval attempt');
       }
     }
 
@@ -1405,7 +1351,7 @@ async function handleTokenApproval(password, fromAddress, tokenAddress, spenderA
       needsApproval: true
     };
   } catch (error) {
-    console.error('Error in handleTokenApproval:', error.message);
+    logger.error(`Error in handleTokenApproval: ${error.message}`);
     return {
       success: false,
       error: error.message,
@@ -1429,7 +1375,7 @@ function getUniswapSpenderAddress(network, version = 'V2') {
 
     return version === 'V3' ? config.v3Router : config.v2Router;
   } catch (error) {
-    console.error('Error getting Uniswap spender address:', error.message);
+    logger.error(`Error getting Uniswap spender address: ${error.message}`);
     return null;
   }
 }
@@ -1865,7 +1811,7 @@ function withErrorHandling(fn, operation) {
       const result = await fn.apply(this, args);
       return result;
     } catch (error) {
-      console.error(`Error in ${operation}:`, error.message);
+      logger.error(`Error in ${operation}: ${error.message}`);
 
       // Categorize error types
       if (error.message.includes('network') || error.message.includes('timeout')) {
@@ -1952,7 +1898,7 @@ async function getV2PairAddress(network, tokenA, tokenB, options = {}) {
 
     return pairAddress;
   } catch (error) {
-    console.error('Error getting V2 pair address:', error.message);
+    logger.error(`Error getting V2 pair address: ${error.message}`);
     return null;
   }
 }
@@ -1995,7 +1941,7 @@ async function getV3PoolAddress(network, tokenA, tokenB, fee) {
 
     return decodeAddress(result);
   } catch (error) {
-    console.error('Error getting V3 pool address:', error.message);
+    logger.error(`Error getting V3 pool address: ${error.message}`);
     return null;
   }
 }
@@ -2054,7 +2000,7 @@ async function getV2PoolReserves(network, pairAddress, options = {}) {
 
     return reservesData;
   } catch (error) {
-    console.error('Error getting V2 pool reserves:', error.message);
+    logger.error(`Error getting V2 pool reserves: ${error.message}`);
     return null;
   }
 }
@@ -2119,7 +2065,7 @@ async function getV3PoolData(network, poolAddress) {
       version: 'V3'
     };
   } catch (error) {
-    console.error('Error getting V3 pool data:', error.message);
+    logger.error(`Error getting V3 pool data: ${error.message}`);
     return null;
   }
 }
@@ -2136,7 +2082,7 @@ async function getPoolInfo(network, tokenA, tokenB, feeLevel = undefined) {
   try {
     // Validate parameters
     const validation = validatePoolParams({ tokenA, tokenB, network, fee: feeLevel });
-    console.warn('Pool parameter validation:', validation);
+    logger.debug('Pool parameter validation', { validation });
     if (!validation.isValid) {
       return createError(
         ERROR_CODES.INVALID_PARAMETERS,
@@ -2190,7 +2136,7 @@ async function getPoolInfo(network, tokenA, tokenB, feeLevel = undefined) {
         }
       }
     } catch (v2Error) {
-      console.error('Error checking V2 pool:', v2Error.message);
+      logger.error(`Error checking V2 pool: ${v2Error.message}`);
       errors.push({
         version: 'V2',
         error: v2Error.message
@@ -2248,7 +2194,7 @@ async function getPoolInfo(network, tokenA, tokenB, feeLevel = undefined) {
           }
         }
       } catch (v3Error) {
-        console.error(`Error checking V3 pool (fee: ${fee}):`, v3Error.message);
+        logger.error(`Error checking V3 pool (fee: ${fee}): ${v3Error.message}`);
         errors.push({
           version: 'V3',
           fee,
@@ -2297,7 +2243,7 @@ async function getPoolInfo(network, tokenA, tokenB, feeLevel = undefined) {
       timestamp: Math.floor(Date.now() / 1000)
     };
   } catch (error) {
-    console.error('Error getting pool info:', error.message);
+    logger.error(`Error getting pool info: ${error.message}`);
     return createError(
       ERROR_CODES.NETWORK_ERROR,
       getUserFriendlyErrorMessage(ERROR_CODES.NETWORK_ERROR),
@@ -2343,7 +2289,7 @@ async function poolExists(network, tokenA, tokenB, version = null, fee = null) {
 
     return false;
   } catch (error) {
-    console.error('Error checking pool existence:', error.message);
+    logger.error(`Error checking pool existence: ${error.message}`);
     return false;
   }
 }
@@ -2359,7 +2305,7 @@ async function getAllPools(network, tokenA, tokenB) {
   try {
     // Validate parameters
     const validation = validatePoolParams({ tokenA, tokenB, network });
-    console.warn('Get all pools parameter validation:', validation);
+    logger.debug('Get all pools parameter validation', { validation });
     if (!validation.isValid) {
       throw new Error(`Invalid parameters: ${validation.errors.join(', ')}`);
     }
@@ -2491,7 +2437,7 @@ async function getAllPools(network, tokenA, tokenB) {
                 feeTierName: poolInfo.tierName
               });
             } catch (decodeError) {
-              console.warn(`Failed to decode V3 pool data for ${poolInfo.poolAddress}:`, decodeError.message);
+              logger.warn(`Failed to decode V3 pool data for ${poolInfo.poolAddress}: ${decodeError.message}`);
             }
           }
         }
@@ -2503,7 +2449,7 @@ async function getAllPools(network, tokenA, tokenB) {
 
     return pools;
   } catch (error) {
-    console.error('Error getting all pools:', error.message);
+    logger.error(`Error getting all pools: ${error.message}`);
     return [];
   }
 }
@@ -2551,7 +2497,7 @@ function calculateV2Price(reserve0, reserve1, decimals0 = 18, decimals1 = 18) {
       decimals1
     };
   } catch (error) {
-    console.error('Error calculating V2 price:', error.message);
+    logger.error(`Error calculating V2 price: ${error.message}`);
     throw error;
   }
 }
@@ -2618,12 +2564,15 @@ function calculateV3Price(sqrtPriceX96, decimals0 = 18, decimals1 = 18) {
     return {
       token1PerToken0: price1Per0.toFixed(),
       token0PerToken1: price0Per1.toFixed(),
+      // Same keys as calculateV2Price
+      price0in1: price0Per1.toFixed(),
+      price1in0: price1Per0.toFixed(),
       sqrtPriceX96: sqrtPriceX96,
       decimals0,
       decimals1
     };
   } catch (error) {
-    console.error('Error calculating V3 price:', error.message);
+    logger.error(`Error calculating V3 price: ${error.message}`);
     throw error;
   }
 }
@@ -2636,7 +2585,7 @@ function calculateV3Price(sqrtPriceX96, decimals0 = 18, decimals1 = 18) {
  * @returns {Promise<Object|null>} Price information or null if no pool found
  */
 async function getTokenPrice(network, tokenAddress, baseToken) {
-  console.warn(`Fetching price for ${tokenAddress} in terms of ${baseToken} on ${network}`);
+  logger.debug(`Fetching price for ${tokenAddress} in terms of ${baseToken} on ${network}`);
   try {
     // Validate inputs
     if (!isValidAddress(tokenAddress) || !isValidAddress(baseToken)) {
@@ -2650,10 +2599,10 @@ async function getTokenPrice(network, tokenAddress, baseToken) {
     // Get pool information
     const poolInfo = await getPoolInfo(network, tokenAddress, baseToken);
     if (!poolInfo) {
-      console.warn('No pool information found');
+      logger.warn('No pool information found');
       return null; // No pool found
     }
-    console.warn('Pool info:', poolInfo);
+    logger.debug('Pool info', { poolInfo });
 
     // Retrieve actual token decimals using getContractMeta
     let token0Decimals = 18; // Default fallback
@@ -2668,25 +2617,25 @@ async function getTokenPrice(network, tokenAddress, baseToken) {
         getContractMeta(network, poolInfo.token0),
         getContractMeta(network, poolInfo.token1)
       ]);
-      console.warn('Token0 meta:', token0Meta);
-      console.warn('Token1 meta:', token1Meta);
+      logger.debug('Token0 meta', { token0Meta });
+      logger.debug('Token1 meta', { token1Meta });
 
       if (token0Meta && typeof token0Meta.decimals === 'number') {
         token0Decimals = token0Meta.decimals;
       } else {
-        console.warn(`Failed to retrieve decimals for token0 ${poolInfo.token0}, using default 18`);
+        logger.warn(`Failed to retrieve decimals for token0 ${poolInfo.token0}, using default 18`);
       }
 
       if (token1Meta && typeof token1Meta.decimals === 'number') {
         token1Decimals = token1Meta.decimals;
       } else {
-        console.warn(`Failed to retrieve decimals for token1 ${poolInfo.token1}, using default 18`);
+        logger.warn(`Failed to retrieve decimals for token1 ${poolInfo.token1}, using default 18`);
       }
 
-      console.warn(`Token decimals - token0: ${token0Decimals}, token1: ${token1Decimals}`);
+      logger.debug(`Token decimals - token0: ${token0Decimals}, token1: ${token1Decimals}`);
     } catch (decimalError) {
-      console.error('Error retrieving token decimals:', decimalError.message);
-      console.warn('Using default decimals (18) for both tokens');
+      logger.error(`Error retrieving token decimals: ${decimalError.message}`);
+      logger.warn('Using default decimals (18) for both tokens');
       // Continue with default decimals rather than failing completely
     }
 
@@ -2697,20 +2646,21 @@ async function getTokenPrice(network, tokenAddress, baseToken) {
       priceData = calculateV2Price(poolInfo.reserve0, poolInfo.reserve1, token0Decimals, token1Decimals);
     } else if (poolInfo.version === 'V3') {
       // Calculate price from V3 sqrtPriceX96 with correct decimals
-      console.warn('Calculating V3 price with sqrtPriceX96:', poolInfo.sqrtPriceX96, token0Decimals, token1Decimals);
+      logger.debug('Calculating V3 price', { sqrtPriceX96: poolInfo.sqrtPriceX96, token0Decimals, token1Decimals });
       priceData = calculateV3Price(poolInfo.sqrtPriceX96, token0Decimals, token1Decimals);
     } else {
       throw new Error('Unknown pool version');
     }
-    console.warn('Price data:', priceData);
+    logger.debug('Price data', { priceData });
     // Determine which token is which in the pool
     const isToken0 = poolInfo.token0.toLowerCase() === tokenAddress.toLowerCase();
-    const price = isToken0 ? priceData.price0in1 : priceData.price1in0;
-    const inversePrice = isToken0 ? priceData.price1in0 : priceData.price0in1;
+    // price1in0 is token1 per token0, i.e. the price of token0 in units of token1
+    const price = isToken0 ? priceData.price1in0 : priceData.price0in1;
+    const inversePrice = isToken0 ? priceData.price0in1 : priceData.price1in0;
 
     // Ensure both prices are valid
     if (Number(price) <= 0 || Number(inversePrice) <= 0) {
-      console.error('Invalid price calculation result');
+      logger.error('Invalid price calculation result');
       return null;
     }
 
@@ -2733,7 +2683,7 @@ async function getTokenPrice(network, tokenAddress, baseToken) {
       lastUpdated: Math.floor(Date.now() / 1000)
     };
   } catch (error) {
-    console.error('Error getting token price:', error.message);
+    logger.error(`Error getting token price: ${error.message}`);
     return null;
   }
 }
@@ -2780,7 +2730,7 @@ async function getSwapQuote(network, tokenIn, tokenOut, amountIn, slippage = 0.5
       const routeCacheKey = [network, tokenIn.toLowerCase(), tokenOut.toLowerCase(), amountIn, slippage.toString()];
       const cachedQuote = performanceCache.get('routes', routeCacheKey);
       if (cachedQuote !== null) {
-        console.debug(`Route cache hit for ${tokenIn} -> ${tokenOut}`);
+        logger.debug(`Route cache hit for ${tokenIn} -> ${tokenOut}`);
         return cachedQuote;
       }
     }
@@ -2827,7 +2777,7 @@ async function getSwapQuote(network, tokenIn, tokenOut, amountIn, slippage = 0.5
           amountOut = calculateV2SwapOutput(reserveIn, reserveOut, amountIn, pool.fee);
           priceImpact = calculatePriceImpact(reserveIn, reserveOut, amountIn, amountOut);
         } else if (pool.version === 'V3') {
-          console.warn("pool info ", pool)
+          logger.debug('pool info', { pool });
           // For V3, we'll use a simplified calculation based on current price
           // In a full implementation, this would use the tick math and liquidity calculations
           if (!pool.sqrtPriceX96 || BigInt(pool.sqrtPriceX96) <= 0n) {
@@ -2839,13 +2789,12 @@ async function getSwapQuote(network, tokenIn, tokenOut, amountIn, slippage = 0.5
             continue;
           }
 
+          // Raw price (no decimals adjustment) converts smallest units of tokenIn to smallest units of tokenOut
           const priceData = calculateV3Price(pool.sqrtPriceX96);
-          console.warn("price data ", priceData);
-          const price = isTokenInToken0 ? priceData.price0in1 : priceData.price1in0;
+          const price = isTokenInToken0 ? priceData.price1in0 : priceData.price0in1;
 
           // Simple price-based calculation (not accounting for concentrated liquidity)
-          amountOut = number(amountIn) * number(price);
-          amountOut = amountOut.toFixed(0).toString();
+          amountOut = new Decimal(amountIn).mul(price).toFixed(0);
 
           // Apply V3 fee
           const feeAmount = (BigInt(amountOut) * BigInt(pool.fee)) / BigInt(1000000);
@@ -2890,7 +2839,7 @@ async function getSwapQuote(network, tokenIn, tokenOut, amountIn, slippage = 0.5
           effectivePrice: (BigInt(amountOut) * BigInt(10 ** 18)) / BigInt(amountIn)
         });
       } catch (poolError) {
-        console.error(`Error calculating quote for ${pool.version} pool:`, poolError.message);
+        logger.error(`Error calculating quote for ${pool.version} pool: ${poolError.message}`);
         poolErrors.push({
           pool: pool.poolAddress,
           version: pool.version,
@@ -2953,7 +2902,7 @@ async function getSwapQuote(network, tokenIn, tokenOut, amountIn, slippage = 0.5
       timestamp: Math.floor(Date.now() / 1000)
     };
   } catch (error) {
-    console.error('Error generating swap quote:', error.message);
+    logger.error(`Error generating swap quote: ${error.message}`);
     return createError(
       ERROR_CODES.NETWORK_ERROR,
       getUserFriendlyErrorMessage(ERROR_CODES.NETWORK_ERROR),
@@ -2968,14 +2917,14 @@ async function getSwapQuote(network, tokenIn, tokenOut, amountIn, slippage = 0.5
  * @param {string} tokenIn - Input token address
  * @param {string} tokenOut - Output token address
  * @param {string} amountIn - Input amount in wei
- * @returns {Promise<Object|null>} Optimal route information or null if no route found
+ * @returns {Promise<Object|null>} Optimal route information, error object from getSwapQuote or null if no route found
  */
 async function getOptimalRoute(network, tokenIn, tokenOut, amountIn) {
   try {
     // Get swap quote which already finds the optimal route
     const quote = await getSwapQuote(network, tokenIn, tokenOut, amountIn);
-    if (!quote) {
-      return null;
+    if (!quote || quote.error) {
+      return quote || null;
     }
 
     return {
@@ -2997,7 +2946,7 @@ async function getOptimalRoute(network, tokenIn, tokenOut, amountIn) {
       }))
     };
   } catch (error) {
-    console.error('Error getting optimal route:', error.message);
+    logger.error(`Error getting optimal route: ${error.message}`);
     return null;
   }
 }
@@ -3053,14 +3002,16 @@ async function comparePrices(network, tokenA, tokenB, amountIn) {
           priceImpact = calculatePriceImpact(reserveIn, reserveOut, amountIn, amountOut);
         } else if (pool.version === 'V3') {
           const priceData = calculateV3Price(pool.sqrtPriceX96);
-          const price = isTokenAToken0 ? priceData.price0in1 : priceData.price1in0;
+          const price = isTokenAToken0 ? priceData.price1in0 : priceData.price0in1;
 
-          amountOut = (BigInt(amountIn) * BigInt(price)) / BigInt(10 ** 18);
+          amountOut = new Decimal(amountIn).mul(price).toFixed(0);
           const feeAmount = (BigInt(amountOut) * BigInt(pool.fee)) / BigInt(1000000);
           amountOut = (BigInt(amountOut) - feeAmount).toString();
 
-          priceImpact = Number(BigInt(amountIn)) / Number(BigInt(pool.liquidity)) * 100;
-          priceImpact = Math.min(priceImpact, 100);
+          if (pool.liquidity && BigInt(pool.liquidity) > 0n) {
+            priceImpact = Number(BigInt(amountIn)) / Number(BigInt(pool.liquidity)) * 100;
+            priceImpact = Math.min(priceImpact, 100);
+          }
         }
 
         // Calculate effective price
@@ -3077,7 +3028,7 @@ async function comparePrices(network, tokenA, tokenB, amountIn) {
           liquidity: pool.liquidity || pool.reserve0
         });
       } catch (poolError) {
-        console.error(`Error comparing price for ${pool.version} pool:`, poolError.message);
+        logger.error(`Error comparing price for ${pool.version} pool: ${poolError.message}`);
         continue;
       }
     }
@@ -3094,7 +3045,7 @@ async function comparePrices(network, tokenA, tokenB, amountIn) {
 
     return comparisons;
   } catch (error) {
-    console.error('Error comparing prices:', error.message);
+    logger.error(`Error comparing prices: ${error.message}`);
     return [];
   }
 }
@@ -3159,7 +3110,7 @@ function encodeV2SwapData(tokenIn, tokenOut, amountIn, amountOutMin, recipient,
 
     return data;
   } catch (error) {
-    console.error('Error encoding V2 swap data:', error.message);
+    logger.error(`Error encoding V2 swap data: ${error.message}`);
     throw error;
   }
 }
@@ -3224,7 +3175,7 @@ function encodeV3SwapData(tokenIn, tokenOut, fee, amountIn, amountOutMin, recipi
 
     return data;
   } catch (error) {
-    console.error('Error encoding V3 swap data:', error.message);
+    logger.error(`Error encoding V3 swap data: ${error.message}`);
     throw error;
   }
 }
@@ -3266,7 +3217,7 @@ async function selectOptimalRoute(network, tokenIn, tokenOut, amountIn, slippage
       gasEstimate: null // Will be calculated during transaction preparation
     };
   } catch (error) {
-    console.error('Error selecting optimal route:', error.message);
+    logger.error(`Error selecting optimal route: ${error.message}`);
     return null;
   }
 }
@@ -3362,65 +3313,59 @@ function unwrapEthEncode(toAddress, amoutMin) {
   );
 }
 
-async function permit2Encode(wallet, token, amount, spender) {
-  try {
-    const allowance = new AllowanceProvider(wallet.provider, PERMIT2_ADDRESS);
-    const allowData = await allowance.getAllowanceData(token, wallet.address, spender);
-    console.warn(`*********************************: ${token} ${wallet.address} ${spender}`);
-    console.warn(`Permit2 allowance data: ${JSON.stringify(allowData)}`);
-    if (BigInt(allowData.amount) >= BigInt(amount) && BigInt(allowData.expiration) > BigInt(Math.floor(Date.now() / 1000))) {
-      // Sufficient allowance already granted
-      return null;
-    }
-
-    const chainId = (await wallet.provider.getNetwork()).chainId;
-    console.warn(`Using chain ID: ${chainId}`);
-    const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
-
-    const permitSingle = {
-      details: {
-        token: token,
-        amount: MaxAllowanceTransferAmount.toString(),
-        expiration: MaxUint48.toString(),
-        nonce: allowData.nonce,
-      },
-      spender: spender,
-      sigDeadline: deadline,
-    };
-
-    const { domain, types, values } = AllowanceTransfer.getPermitData(
-      permitSingle,
-      PERMIT2_ADDRESS,
-      chainId // chainId
-    );
-
-    const signature = await wallet._signTypedData(domain, types, values);
-
-    const permit2PermitInput = ethers.utils.defaultAbiCoder.encode(
-      [
-        "tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle",
-        "bytes signature"
-      ],
-      [
-        [
-          [
-            permitSingle.details.token,
-            permitSingle.details.amount,
-            permitSingle.details.expiration,
-            permitSingle.details.nonce
-          ],
-          permitSingle.spender,
-          permitSingle.sigDeadline
-        ],
-        signature
-      ]
-    );
+const APPROVAL_TIMEOUT = 3 * 60 * 1000; // 3 min
+const GAS_PRICE_MULTIPLIER = 1.2; // 20% buffer, as for transfers
+// Gas assumed for the router call while the approvals it depends on are not mined: its estimate reverts until then
+const SWAP_GAS_FALLBACK = 300000;
+
+// The swap failed or was cancelled after some of its approvals were broadcast; they stay on chain
+class SwapFailedError extends Error {
+  constructor(message, approvalTransactionHashes) {
+    super(message);
+    this.name = 'SwapFailedError';
+    this.approvalTransactionHashes = approvalTransactionHashes;
+  }
+}
+const permit2Interface = new ethers.utils.Interface([
+  'function approve(address token, address spender, uint160 amount, uint48 expiration)',
+]);
+
+// Transactions that let spender pull amount of token through Permit2, built without signing: an unlimited ERC-20
+// approve of Permit2 and a Permit2 allowance for spender, each only if the current allowance is short. The allowance
+// is granted on chain with Permit2's approve rather than with a PERMIT2_PERMIT command, whose off-chain signature the
+// signer cannot produce without exporting the key.
+async function getPermit2Approvals(network, fromAddress, token, amount, spender) {
+  const approvals = [];
+  operation.reportProgress('Checking token allowance');
+  const approvalStatus = await checkTokenApproval(network, token, fromAddress, PERMIT2_ADDRESS, amount);
+  if (approvalStatus.error) {
+    throw new Error(`Failed to check the Permit2 token allowance: ${approvalStatus.error}`);
+  }
+  if (!approvalStatus.isApproved) {
+    approvals.push({
+      label: 'approval',
+      to: token,
+      value: '0',
+      data: getApprovalCalldata(PERMIT2_ADDRESS, MaxUint256.toString()),
+      description: `ERC-20 approve of token ${token}: Permit2 ${PERMIT2_ADDRESS} may spend an unlimited amount`,
+    });
+  }
 
-    return permit2PermitInput;
-  } catch (error) {
-    console.error('Error signing Permit2 transfer:', error.message);
-    throw error;
+  const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(network));
+  const allowance = new AllowanceProvider(provider, PERMIT2_ADDRESS);
+  operation.reportProgress('Checking Permit2 allowance');
+  const allowData = await allowance.getAllowanceData(token, fromAddress, spender);
+  logger.debug(`Permit2 allowance data: ${JSON.stringify(allowData)}`);
+  if (BigInt(allowData.amount) < BigInt(amount) || BigInt(allowData.expiration) <= BigInt(Math.floor(Date.now() / 1000))) {
+    approvals.push({
+      label: 'Permit2 approval',
+      to: PERMIT2_ADDRESS,
+      value: '0',
+      data: permit2Interface.encodeFunctionData('approve', [token, spender, MaxAllowanceTransferAmount, MaxUint48]),
+      description: `Permit2 approve of token ${token}: router ${spender} may spend up to ${MaxAllowanceTransferAmount.toString()} (uint160 max), never expires`,
+    });
   }
+  return approvals;
 }
 
 function encodeV2SwapExactIn(recipient, amountIn, amountOutMin, tokenIn, tokenOut, payerIsUser) {
@@ -3443,351 +3388,324 @@ function encodeV2SwapExactIn(recipient, amountIn, amountOutMin, tokenIn, tokenOu
   return ethers.utils.defaultAbiCoder.encode(types, values);
 }
 
-/**
- * Execute a Uniswap swap transaction
- * @param {string} password - Wallet password
- * @param {string} fromAddress - Sender address
- * @param {string} tokenIn - Input token address
- * @param {string} tokenOut - Output token address
- * @param {string} amountIn - Input amount in wei
- * @param {string} amountOutMin - Minimum output amount in wei
- * @param {string} network - Network name
- * @param {Object} [options] - Additional options
- * @param {number} [options.slippage=0.5] - Slippage percentage
- * @param {number} [options.deadline] - Custom deadline (default: 20 minutes from now)
- * @param {string} [options.version] - Force specific version ('V2' or 'V3')
- * @param {number} [options.fee] - Force specific fee tier for V3
- * @returns {Promise<Object|null>} Transaction result or null if error
- */
-async function executeSwap(password, fromAddress, tokenIn, tokenOut, amountIn, amountOutMin, network, options = {}) {
-  try {
-    // Import required modules
-    network = network.toUpperCase();
-    tokenIn = tokenIn.toLowerCase();
-    tokenOut = tokenOut.toLowerCase();
-    let isNativeIn = false;
-    let isNativeOut = false;
-    
-    if (tokenIn === 'eth' || tokenIn ==='bnb') isNativeIn = true;
-    if (tokenOut === 'eth' || tokenOut === 'bnb') isNativeOut = true;
-
-    tokenIn = mapAddress(tokenIn, network);
-    tokenOut = mapAddress(tokenOut, network);
-
-    // Validate inputs
-    const validation = validateSwapParams({ tokenIn, tokenOut, amountIn, network });
-    if (!validation.isValid) {
-      throw new Error(`Invalid parameters: ${validation.errors.join(', ')}`);
-    }
-
-    if (!isValidAddress(fromAddress)) {
-      throw new Error('Invalid sender address');
-    }
-
-    if (!isValidAmount(amountOutMin)) {
-      throw new Error('Invalid minimum output amount');
-    }
-
-    if (!isNetworkSupported(network)) {
-      throw new Error(`Unsupported network: ${network}`);
-    }
-
-    // Set default options
-    const {
-      slippage = 0.5,
-      deadline = Math.floor(Date.now() / 1000) + 3600, // 60 minutes from now
-      version = null,
-      fee = FEE_TIERS.MEDIUM,
-      tickSpacing = 60, // default tick spacing for 0.3% fee tier
-    } = options;
-
-    // Validate deadline 
-    if (!isValidDeadline(deadline)) {
-      throw new Error('Invalid deadline');
-    }
-
-    const routerAddress = getNetworkConfig(network).universalRouter;
-    const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(network));
-
-    const universalRouter = new ethers.Contract(routerAddress, universalRouterAbi, provider);
-    const sk = await getEthPrivateKey('', fromAddress);
-    if (!sk) {
-      throw new Error('Failed to get private key for signing');
+// Universal router commands of a swap. Input tokens are pulled through Permit2, native coins are wrapped first;
+// the output is swept or unwrapped to the sender
+function encodeSwapCalldata(routerAddress, fromAddress, tokenIn, tokenOut, isNativeIn, isNativeOut, amountIn, amountOutMin, route, deadline) {
+  const universalRouter = new ethers.utils.Interface(universalRouterAbi);
+  const amountInBigInt = BigInt(amountIn);
+  let commands = '0x';
+  const inputs = [];
+
+  if (route.version === 'V2' || route.version === 'V3') {
+    if (isNativeIn) {
+      // wrap input
+      const wrap = ethers.utils.defaultAbiCoder.encode(
+        ["address", "uint256"],
+        [ROUTER_AS_RECIPIENT, amountInBigInt]
+      );
+      commands += '0b';
+      inputs.push(wrap);
     }
-    console.warn("sk", sk);
-
-    const signer = new ethers.Wallet(
-      sk,
-      provider
-    );
-    console.warn("Using address", signer.address);
-
-    // Get optimal route if version not specified
-    let routeInfo;
-    if (version) {
-      // Use specified version
-      const config = getNetworkConfig(network);
-      const routerAddress = version === 'V3' ? config.v3Router : config.v2Router;
-      routeInfo = {
-        version,
-        routerAddress,
-        fee: fee,
-      };
+    const payerIsUser = !isNativeIn;
+    if (route.version === 'V2') {
+      commands += '08'; // swapV2
+      inputs.push(encodeV2SwapExactIn(ROUTER_AS_RECIPIENT, amountInBigInt, BigInt(amountOutMin), tokenIn, tokenOut, payerIsUser));
     } else {
-      // Find optimal route
-      routeInfo = await selectOptimalRoute(network, tokenIn, tokenOut, amountIn, slippage);
-      if (!routeInfo) {
-        throw new Error('No available swap route found');
-      }
+      commands += '00'; // swapV3
+      const path = v3PathEncode(tokenIn, tokenOut, route.fee);
+      inputs.push(v3Input(amountInBigInt, amountOutMin, path, ROUTER_AS_RECIPIENT, payerIsUser));
     }
 
-    let callData;
-    if (routeInfo.version === 'V2') {
-      let commands = '0x';
-      let inputs = [];
-      let payerIsUser;
-      const amountInBigInt = BigInt(amountIn);
-      if (isNativeIn) {
-        // wrap input
-        const wrap = ethers.utils.defaultAbiCoder.encode(
-          ["address", "uint256"],
-          [ROUTER_AS_RECIPIENT, amountInBigInt]
-        );
-        commands += '0b';
-        inputs.push(wrap);
-        payerIsUser = false
-      } else {
-        const res = await handleTokenApproval('', fromAddress, tokenIn, PERMIT2_ADDRESS, amountIn, network);
-        console.warn("Approval result", res)
-        payerIsUser = true;
-        const permit = await permit2Encode(signer, tokenIn, amountIn, routerAddress);
-        if (permit) {
-          inputs.push(permit);
-          commands += '0a';
-        }
-      }
-      commands += '08'; // swapV2
-
-      const swapV2Data = encodeV2SwapExactIn(ROUTER_AS_RECIPIENT, BigInt(amountIn), BigInt(amountOutMin), tokenIn, tokenOut, payerIsUser);
-      inputs.push(swapV2Data);
+    if (isNativeOut) {
+      commands += '0c'; // unwrap
+      //TODO: handle amountOutMin for unwrap
+      const unwrap = unwrapEthEncode(fromAddress, 0x100);
+      inputs.push(unwrap);
+    } else {
+      const sweep = sweepEncode(tokenOut, fromAddress);
+      commands += '04'; // sweep
+      inputs.push(sweep);
+    }
+  } else if (route.version === 'V4') {
+    const tokenInNorm = isNativeIn ? ZERO_ADDRESS : tokenIn.toLocaleLowerCase();
+    const tokenOutNorm = isNativeOut ? ZERO_ADDRESS : tokenOut.toLocaleLowerCase();
+
+    const currency0 = tokenInNorm < tokenOutNorm ? tokenInNorm : tokenOutNorm;
+    const currency1 = tokenInNorm < tokenOutNorm ? tokenOutNorm : tokenInNorm;
+
+    const zeroForOne = tokenInNorm === currency0;
+
+    const swapExactInSingle = {
+      poolKey: {
+        currency0: currency0,
+        currency1: currency1,
+        fee: route.fee,
+        tickSpacing: route.tickSpacing,
+        hooks: "0x0000000000000000000000000000000000000000",
+      },
+      zeroForOne: zeroForOne, // The direction of swap is ETH to USDC. Change it to 'false' for the reverse direction
+      amountIn: amountIn, // Amount of input token to swap
+      amountOutMinimum: amountOutMin, // Minimum amount of output token to receive
+      hookData: '0x'
+    };
 
-      if (isNativeOut) {
-        commands += '0c'; // unwrap
-        //TODO: handle amountOutMin for unwrap
-        const unwrap = unwrapEthEncode(fromAddress, 0x100);
-        inputs.push(unwrap);
-      } else {
-        const sweep = sweepEncode(tokenOut, fromAddress);
-        commands += '04'; // sweep
-        inputs.push(sweep);
-      }
-      callData = universalRouter.interface.encodeFunctionData("execute", [
-        commands,
-        inputs,
-        deadline
-      ]);
+    logger.debug('swapExactInSingle', { swapExactInSingle });
 
-    } else if (routeInfo.version === 'V3') {
-      // Use Universal Router for V3 swaps
-      let commands = '0x';
-      let inputs = [];
-      let payerIsUser;
-
-      const amountInBigInt = BigInt(amountIn);
-      if (isNativeIn) {
-        // wrap input
-        const wrap = ethers.utils.defaultAbiCoder.encode(
-          ["address", "uint256"],
-          [ROUTER_AS_RECIPIENT, amountInBigInt]
-        );
-        commands += '0b';
-        inputs.push(wrap);
-        payerIsUser = false
-      } else {
-        const res = await handleTokenApproval('', fromAddress, tokenIn, PERMIT2_ADDRESS, amountIn, network);
-        console.warn("Approval result", res)
-        payerIsUser = true;
-        const permit = await permit2Encode(signer, tokenIn, amountIn, routerAddress);
-        if (permit) {
-          inputs.push(permit);
-          commands += '0a';
-        }
-      }
-      commands += '00'; // swapV3
+    const v4Planner = new V4Planner()
 
-      const path = v3PathEncode(tokenIn, tokenOut, routeInfo.fee);
-      const swapV3Input = v3Input(amountInBigInt, amountOutMin, path, ROUTER_AS_RECIPIENT, payerIsUser);
+    v4Planner.addAction(Actions.SWAP_EXACT_IN_SINGLE, [swapExactInSingle]);
+    v4Planner.addAction(Actions.SETTLE_ALL, [tokenInNorm, swapExactInSingle.amountIn]);
+    v4Planner.addAction(Actions.TAKE_ALL, [tokenOutNorm, swapExactInSingle.amountOutMinimum]);
 
-      inputs.push(swapV3Input);
-      if (isNativeOut) {
-        commands += '0c'; // unwrap
-        //TODO: handle amountOutMin for unwrap
-        const unwrap = unwrapEthEncode(fromAddress, 0x100);
-        inputs.push(unwrap);
-      } else {
-        const sweep = sweepEncode(tokenOut, fromAddress);
-        commands += '04'; // sweep
-        inputs.push(sweep);
-      }
-      callData = universalRouter.interface.encodeFunctionData("execute", [
-        commands,
-        inputs,
-        deadline
-      ]);
-    } else if (routeInfo.version === 'V4') {
-
-      const tokenInNorm = isNativeIn ? ZERO_ADDRESS : tokenIn.toLocaleLowerCase();
-      const tokenOutNorm = isNativeOut ? ZERO_ADDRESS : tokenOut.toLocaleLowerCase();
-
-      const currency0 = tokenInNorm < tokenOutNorm ? tokenInNorm : tokenOutNorm;
-      const currency1 = tokenInNorm < tokenOutNorm ? tokenOutNorm : tokenInNorm;
-
-      const zeroForOne = tokenInNorm === currency0;
-      let commands = '0x';
-      let inputs = [];
-
-      if (!isNativeIn) {
-        const res = await handleTokenApproval('', fromAddress, tokenIn, PERMIT2_ADDRESS, amountIn, network);
-        console.warn("Approval result", res)
-        payerIsUser = true;
-        const permit = await permit2Encode(signer, tokenIn, amountIn, routerAddress);
-        if (permit) {
-          inputs.push(permit);
-          commands += '0a';
-        }
-      }
+    const v4CallData = v4Planner.finalize()
+    commands += '10'; // swapV4
+    inputs.push(v4CallData);
 
-      const swapExactInSingle = {
-        poolKey: {
-          currency0: currency0,
-          currency1: currency1,
-          fee: fee,
-          tickSpacing: tickSpacing,
-          hooks: "0x0000000000000000000000000000000000000000",
-        },
-        zeroForOne: zeroForOne, // The direction of swap is ETH to USDC. Change it to 'false' for the reverse direction
-        amountIn: amountIn, // Amount of input token to swap
-        amountOutMinimum: amountOutMin, // Minimum amount of output token to receive
-        hookData: '0x'
-      };
+    logger.debug('encodedActions', { v4CallData });
+  } else {
+    throw new Error('Unknown Uniswap version');
+  }
 
-      console.warn("swapExactInSingle", swapExactInSingle)
+  return universalRouter.encodeFunctionData("execute", [
+    commands,
+    inputs,
+    deadline
+  ]);
+}
 
-      const v4Planner = new V4Planner()
+/**
+ * Resolve route and parameters of a swap and build every transaction it needs without signing anything:
+ * the Permit2 approvals still missing for the input token, then the universal router call. executeSwap signs
+ * exactly these transactions, so what is previewed is what gets signed.
+ * @param {string} fromAddress - Sender address
+ * @param {string} tokenIn - Input token symbol or address
+ * @param {string} tokenOut - Output token symbol or address
+ * @param {string} amountIn - Input amount in wei
+ * @param {string} amountOutMin - Minimum output amount in wei, '0' for the quoted amount less slippage
+ * @param {string} network - Network name
+ * @param {Object} [options] - Additional options
+ * @param {number} [options.slippage=0.5] - Slippage percentage, used when amountOutMin is '0'
+ * @param {number} [options.deadline] - Custom deadline (default: 60 minutes from now)
+ * @param {string} [options.version] - Force specific version ('V2', 'V3' or 'V4')
+ * @param {number} [options.fee] - Force specific fee tier
+ * @param {number} [options.tickSpacing=60] - Tick spacing of a V4 pool
+ * @returns {Promise<Object>} Swap preview with approvals and transaction, each { label, to, value, data, description, gas },
+ *   and networkFee { raw, note } of all of them; throws if the swap is not possible
+ */
+async function previewSwap(fromAddress, tokenIn, tokenOut, amountIn, amountOutMin, network, options = {}) {
+  network = network.toUpperCase();
+  const symbolIn = tokenIn.toLowerCase();
+  const symbolOut = tokenOut.toLowerCase();
+  const isNativeIn = symbolIn === 'eth' || symbolIn === 'bnb';
+  const isNativeOut = symbolOut === 'eth' || symbolOut === 'bnb';
 
-      v4Planner.addAction(Actions.SWAP_EXACT_IN_SINGLE, [swapExactInSingle]);
-      v4Planner.addAction(Actions.SETTLE_ALL, [tokenInNorm, swapExactInSingle.amountIn]);
-      v4Planner.addAction(Actions.TAKE_ALL, [tokenOutNorm, swapExactInSingle.amountOutMinimum]);
+  if (!isNetworkSupported(network)) {
+    throw new Error(`Unsupported network: ${network}`);
+  }
 
-      const v4CallData = v4Planner.finalize()
-      commands += '10'; // swapV4
-      inputs.push(v4CallData);
+  const tokenInAddress = mapAddress(symbolIn, network);
+  const tokenOutAddress = mapAddress(symbolOut, network);
 
-      console.log("encodedActions", v4CallData)
+  const validation = validateSwapParams({ tokenIn: tokenInAddress, tokenOut: tokenOutAddress, amountIn, network });
+  if (!validation.isValid) {
+    throw new Error(`Invalid parameters: ${validation.errors.join(', ')}`);
+  }
 
-      const universalRouter2 = new ethers.Contract(
-        routerAddress, universalRouterAbi,
-        signer
-      )
+  if (!isValidAddress(fromAddress)) {
+    throw new Error('Invalid sender address');
+  }
 
-      // Only needed for native ETH as input currency swaps
-      const txOptions = {
-        value: isNativeIn ? amountIn : 0,
-        //gasLimit: 300000n
-      }
+  if (!isValidAmount(amountOutMin)) {
+    throw new Error('Invalid minimum output amount');
+  }
 
-      const tx = await universalRouter2.execute(
-        commands,
-        inputs,
-        deadline,
-        txOptions
-      )
-      console.warn('Transaction sent! Hash:', tx.hash);
+  const {
+    slippage = 0.5,
+    deadline = Math.floor(Date.now() / 1000) + 3600, // 60 minutes from now
+    version = null,
+    fee = FEE_TIERS.MEDIUM,
+    tickSpacing = 60, // default tick spacing for 0.3% fee tier
+  } = options;
 
-      const receipt = await tx.wait()
-      console.warn('Swap completed! Transaction hash:', receipt.transactionHash)
-      return {
-        transactionHash: receipt.transactionHash,
+  if (!isValidDeadline(deadline)) {
+    throw new Error('Invalid deadline');
+  }
 
-      };
+  if (!isValidSlippage(slippage)) {
+    throw new Error('Invalid slippage percentage (must be between 0 and 50)');
+  }
 
-    } else {
-      throw new Error('Unknown Uniswap version');
+  let route;
+  if (version) {
+    route = { version, fee, tickSpacing, poolAddress: null, expectedAmountOut: null, priceImpact: null };
+  } else {
+    const routeInfo = await selectOptimalRoute(network, tokenInAddress, tokenOutAddress, amountIn, slippage);
+    if (!routeInfo?.version) {
+      throw new Error('No available swap route found');
     }
+    logger.info(`Selected ${routeInfo.version} route for ${tokenInAddress} -> ${tokenOutAddress}`, {
+      network,
+      version: routeInfo.version,
+      fee: routeInfo.fee,
+    });
+    route = {
+      version: routeInfo.version,
+      fee: routeInfo.fee,
+      tickSpacing,
+      poolAddress: routeInfo.poolAddress,
+      expectedAmountOut: routeInfo.amountOut,
+      priceImpact: routeInfo.priceImpact,
+    };
+  }
 
-    const txEssentials = await eth.get_tx_essential_elem(network, fromAddress);
-    if (!txEssentials) {
-      throw new Error('Failed to get transaction essentials');
+  // Without a floor any price is accepted, e.g. after a sandwich attack
+  if (BigInt(amountOutMin) === 0n) {
+    if (!route.expectedAmountOut) {
+      throw new Error('No quote for a forced route, set the minimum output amount');
+    }
+    amountOutMin = applySlippage(route.expectedAmountOut.toString(), slippage, true);
+    if (BigInt(amountOutMin) === 0n) {
+      throw new Error('The quoted output is too small for a minimum output amount above 0');
     }
+  }
 
-    const { nonce, gas_price: gasPrice } = txEssentials;
+  const routerAddress = getNetworkConfig(network).universalRouter;
+  const approvals = isNativeIn ? [] : await getPermit2Approvals(network, fromAddress, tokenInAddress, amountIn, routerAddress);
+  const data = encodeSwapCalldata(
+    routerAddress, fromAddress, tokenInAddress, tokenOutAddress, isNativeIn, isNativeOut, amountIn, amountOutMin, route, deadline
+  );
+  const transaction = {
+    label: 'swap',
+    to: routerAddress,
+    value: isNativeIn ? amountIn.toString() : '0',
+    data,
+    description: `Universal router execute: swap ${amountIn} of ${isNativeIn ? symbolIn : tokenInAddress} ` +
+      `for at least ${amountOutMin} of ${isNativeOut ? symbolOut : tokenOutAddress}, paid to ${fromAddress}`,
+  };
 
-    // Estimate gas for swap transaction
-    const gas = await eth.estimate_gas(network, fromAddress, routerAddress, isNativeIn ? amountIn : 0, callData.startsWith('0x') ? callData : '0x' + callData);
+  operation.reportProgress('Estimating gas');
+  const gasPrice = await eth.getEthGasPrice(network);
+  if (gasPrice === null) {
+    throw new Error('Failed to get the gas price');
+  }
+  for (const approval of approvals) {
+    const gas = await eth.estimate_gas(network, fromAddress, approval.to, approval.value, approval.data);
     if (!gas) {
-      throw new Error('Failed to estimate gas');
-    }
+      throw new Error(`Failed to estimate ${approval.label} gas`);
+    }
+    approval.gas = gas.toString();
+  }
+  // With the allowance in place a failed estimate means the router call reverts
+  const swapGas = approvals.length ? SWAP_GAS_FALLBACK : await eth.estimate_gas(network, fromAddress, transaction.to, transaction.value, data);
+  if (!swapGas) {
+    throw new Error('Failed to estimate swap gas, the swap would revert');
+  }
+  transaction.gas = swapGas.toString();
+  const totalGas = [...approvals, transaction].reduce((sum, tx) => sum + BigInt(tx.gas), 0n);
+  const feeGasPrice = BigInt(Math.round(gasPrice * GAS_PRICE_MULTIPLIER));
+  const networkFee = {
+    raw: (feeGasPrice * totalGas).toString(),
+    note: approvals.length
+      ? `estimate, gas x gas price; the swap gas of ${SWAP_GAS_FALLBACK} is assumed until the approvals are mined, ` +
+        'every gas limit is estimated again when signing'
+      : 'estimate, gas x gas price; the gas limit is estimated again when signing',
+  };
 
-    //const gas = 30000000n; // Set a high gas limit for complex transactions
-
-    // Calculate gas fee with multiplier
-    const GAS_PRICE_MULTIPLIER = 1.2; // 20% buffer
-    const finalGasPrice = BigInt(Math.round(gasPrice * GAS_PRICE_MULTIPLIER));
-
-    // Prepare payload for hardware wallet signing
-    const payload = {
-      method: 'sign_tx',
-      param: {
-        chain_type: 'ETHEREUM',
-        address: fromAddress,
-        input: {
-          nonce: nonce.toString(),
-          to: routerAddress,
-          value: isNativeIn ? amountIn.toString() : '0',
-          gas_price: finalGasPrice.toString(),
-          gas: gas.toString(),
-          data: callData,
-          network: getNetwork(network),
-        },
-        key: {
-          Password: password,
-        },
-      },
-    };
+  return {
+    fromAddress,
+    tokenIn: tokenInAddress,
+    tokenOut: tokenOutAddress,
+    isNativeIn,
+    isNativeOut,
+    amountIn: amountIn.toString(),
+    amountOutMin: amountOutMin.toString(),
+    network,
+    routerAddress,
+    route,
+    deadline,
+    gasPrice,
+    networkFee,
+    approvals,
+    transaction,
+  };
+}
 
-    // Sign transaction using hardware wallet
-    const jsonPayload = JSON.stringify(payload);
-    const escapedPayload = jsonPayload.replace(/"/g, '\\\"');
+/**
+ * Sign and send the transactions of a swap preview, in order, waiting for each approval to be mined
+ * before the next transaction. Only the nonce, gas price and gas limit are filled in when signing.
+ * @param {string} password - Wallet password
+ * @param {Object} swap - Swap returned by previewSwap
+ * @param {Object} [options] - Additional options
+ * @param {AbortSignal} [options.signal] - Cancels pending RPC requests and stops before the next signature
+ * @param {Function} [options.onProgress] - Called with { progress, message } at every stage
+ * @returns {Promise<Object>} Transaction result
+ * @throws {SpendingLimitError} If amountIn breaches a spending limit, nothing is signed then
+ * @throws {OperationCancelledError} If cancelled before the swap was signed, with the approvalTransactionHashes already sent
+ * @throws {SwapFailedError} If a transaction failed, with the approvalTransactionHashes already sent
+ */
+async function executeSwap(password, swap, options = {}) {
+  const { signal, onProgress } = options;
+  const contractIn = swap.isNativeIn ? '' : swap.tokenIn;
+  const reservation = await spendingLimits.reserveSpend(swap.network, contractIn, swap.amountIn);
 
-    // Get binary path
-    const DEEPER_WALLET_BIN_PATH = process.env.DEEPER_WALLET_BIN_PATH || 'D:\\git_resp\\hd-wallet\\target\\release\\hd-wallet.exe';
+  const [err, result] = await to(
+    operation.runOperation({ signal, onProgress }, () => sendSwap(password, swap))
+  );
+  if (err) {
+    spendingLimits.releaseSpend(reservation);
+    throw err;
+  }
+  await spendingLimits.commitSpend(reservation, result.transactionHash);
+  return result;
+}
 
-    const [err, stdout] = await commonUtil.exec(`${DEEPER_WALLET_BIN_PATH} "${escapedPayload}"`);
-    if (err) {
-      throw new Error('Failed to sign swap transaction');
+async function sendSwap(password, swap) {
+  const { fromAddress, network } = swap;
+  const approvalHashes = [];
+  try {
+    // The router would revert, do not spend gas on the approvals first
+    if (swap.deadline <= Math.floor(Date.now() / 1000) + 60) {
+      throw new Error('The swap deadline has passed, prepare the swap again');
     }
 
-    const [parseErr, signResult] = await to(commonUtil.jsonParse(stdout));
-    if (parseErr || !signResult?.signature) {
-      throw new Error(`Invalid sign_tx output: ${stdout}`);
+    const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(network));
+    for (const approval of swap.approvals) {
+      const txHash = await signAndSendTransaction(password, fromAddress, network, approval, approval.label);
+      approvalHashes.push(txHash);
+
+      // The swap is only valid once the allowance is on chain
+      operation.reportProgress(`Waiting for ${approval.label} ${txHash} to be mined`);
+      const receipt = await operation.untilCancelled(
+        provider.waitForTransaction(txHash, 1, APPROVAL_TIMEOUT),
+        `the ${approval.label} to be mined`
+      );
+      if (!receipt || receipt.status !== 1) {
+        throw new Error(`The ${approval.label} ${txHash} reverted`);
+      }
     }
 
-    // Send signed transaction
-    const signedTransaction = `0x${signResult.signature.replace(/^"|"`/g, '')}`;
-    const txHash = await eth.sendEthRawTransaction(network, signedTransaction);
-
-    if (!txHash) {
-      throw new Error('Failed to send swap transaction');
-    }
+    operation.reportProgress('Estimating swap gas');
+    const txHash = await signAndSendTransaction(password, fromAddress, network, swap.transaction, 'swap');
 
     return {
       transactionHash: txHash,
-      version: routeInfo.version,
-      routerAddress: routerAddress
+      approvalTransactionHashes: approvalHashes,
+      version: swap.route.version,
+      routerAddress: swap.routerAddress
     };
   } catch (error) {
-    console.error('Error executing swap:', error.message);
-    return null;
+    // Aborted RPC requests surface as failed lookups, report them as the cancellation they are
+    if (error instanceof operation.OperationCancelledError || operation.getSignal()?.aborted) {
+      logger.info(`Swap cancelled: ${error.message}`, { network, approvalHashes });
+      const cancelled = error instanceof operation.OperationCancelledError
+        ? error
+        : new operation.OperationCancelledError(`Operation cancelled: ${error.message}`);
+      cancelled.approvalTransactionHashes = approvalHashes;
+      throw cancelled;
+    }
+    // Approvals already sent stay on chain, a new preview of the swap will not include them again
+    logger.error(`Error executing swap: ${error.message}`, { network, approvalHashes });
+    throw new SwapFailedError(error.message, approvalHashes);
   }
 }
 
@@ -3895,7 +3813,7 @@ async function prepareSwapTransaction(fromAddress, tokenIn, tokenOut, amountIn,
       priceImpact: routeInfo.priceImpact
     };
   } catch (error) {
-    console.error('Error preparing swap transaction:', error.message);
+    logger.error(`Error preparing swap transaction: ${error.message}`);
     return null;
   }
 }
@@ -3919,6 +3837,7 @@ module.exports = {
   getFeeTierName,
   isValidAddress,
   isValidAmount,
+  mapAddress,
 
   // Uniswap calculation utilities
   calculateV2SwapOutput,
@@ -3976,6 +3895,8 @@ module.exports = {
   encodeV2SwapData,
   encodeV3SwapData,
   selectOptimalRoute,
+  previewSwap,
   executeSwap,
+  SwapFailedError,
   prepareSwapTransaction
 };
\ No newline at end of file
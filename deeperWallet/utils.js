@@ -1,12 +1,11 @@
-const childProcess = require('child_process');
-const to = require('await-to-js').default;
-
-const DEEPER_WALLET_BIN_PATH = 'D:\\git_resp\\hd-wallet\\target\\release\\hd-wallet.exe';
+const logger = require('./log');
 
+// Exact decimal string of an RPC quantity: balances and amounts exceed both 2^53 and 1e21, where parseInt loses digits
+// or switches to exponent notation
 function convertHexToDecimalString(str) {
   if (str.startsWith('0x')) {
-    const decimalValue = parseInt(str, 16).toString();
-    return decimalValue;
+    // eth_call returns 0x when the target has no code
+    return str === '0x' ? '0' : BigInt(str).toString();
   } else {
     return str;
   }
@@ -33,55 +32,87 @@ function hexToDecimal(hexStr) {
   return parseInt(hexStr, 16);
 }
 
-const exec = async (command, options) => {
-  const arr = await new Promise(resolve => {
-    childProcess.exec(command, options || {}, (error, stdout, stderr) => {
-      resolve([error, stdout, stderr]);
-    });
-  });
-
-  return arr;
+// Chain ids of the EVM networks by the name the signer uses for them (see getNetwork in index.js), not the tool network name
+const EVM_CHAIN_IDS = {
+  MAINNET: 1,
+  SEPOLIA: 11155111,
+  HOLESKY: 17000,
+  ARBITRUM: 42161,
+  'ARBITRUM-TESTNET': 421614,
+  OPTIMISM: 10,
+  'OPTIMISM-TESTNET': 11155420,
+  BASE: 8453,
+  'BASE-TESTNET': 84532,
+  BNBSMARTCHAIN: 56,
+  'BNBSMARTCHAIN-TESTNET': 97,
+  POLYGON: 137,
+  MUMBAI: 80001,
+  AVALANCHE: 43114,
 };
 
-const jsonParse = async str => {
-  return JSON.parse(str);
+// Decimals of the native coin of each chain family; EVM chains default to 18
+const NATIVE_DECIMALS = {
+  SOLANA: 9,
+  TRON: 6,
+  SUI: 9,
+  BITCOIN: 8,
 };
 
-async function getEthPrivateKey(password,fromAddress) {
-  const payload = {
-      method: 'export_private_key',
-      param: {
-        chain_type: 'ETHEREUM',
-        network: '',
-        main_address: fromAddress,
-        path:'',
-        password: password,
-      },
-    };
-  
-    const jsonPayload = JSON.stringify(payload);
-    console.error(`------ ${jsonPayload}`);
+function getNativeDecimals(network) {
+  const baseNetwork = network.toUpperCase().split('-')[0];
+  return NATIVE_DECIMALS[baseNetwork] ?? 18;
+}
+
+// Networks are named <MAINNET>-<TESTNET> off mainnet, e.g. ETHEREUM-SEPOLIA, SOLANA-DEVNET
+function isTestnet(network) {
+  const parts = network.toUpperCase().split('-');
+  return parts.length > 1 && parts[1] !== 'MAINNET';
+}
+
+// Compare wallet addresses, hex addresses are case-insensitive, base58 ones (Solana, Tron, Bitcoin) are not
+function isSameAddress(a, b) {
+  return a.startsWith('0x') ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+// Format an integer amount in the smallest unit as a decimal string, e.g. ('1500000', 6) => '1.5'
+function formatUnits(raw, decimals) {
+  let value = BigInt(raw);
+  const negative = value < 0n;
+  if (negative) {
+    value = -value;
+  }
+  const base = 10n ** BigInt(decimals);
+  const whole = (value / base).toString();
+  const fraction = (value % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
 
-    const escapedPayload = jsonPayload.replace(/"/g, '\\"');
-    const [error, stdout] = await exec(`${DEEPER_WALLET_BIN_PATH}  "${escapedPayload}" `);
-    if (error) {
-      console.error(`Failed to get private key: ${error}`);
-      return null;
-    }
-      const [error2, obj] = await to(jsonParse(stdout));
-      if (error2 || !obj?.value) {
-        console.error(`Invalid export private key: ${stdout}`);
-        return null;
-      }
-    return obj.value;
+// Parse a decimal string into an integer amount in the smallest unit, e.g. ('1.5', 6) => '1500000'
+function parseUnits(value, decimals) {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(String(value).trim());
+  if (!match || (match[1] === '' && !match[2])) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${value} has more than ${decimals} decimals`);
+  }
+  return (BigInt(match[1] || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')).toString();
 }
 
+const jsonParse = async str => {
+  return JSON.parse(str);
+};
+
 module.exports = {
   convertHexToDecimalString,
   hexToString,
   hexToDecimal,
-  exec,
   jsonParse,
-  getEthPrivateKey,
-  DEEPER_WALLET_BIN_PATH,
+  EVM_CHAIN_IDS,
+  getNativeDecimals,
+  isTestnet,
+  isSameAddress,
+  formatUnits,
+  parseUnits,
 };
@@ -0,0 +1,81 @@
+const logger = require('./log');
+
+// The password of each unlocked client, only ever kept in memory. Sessions are bound to the client that unlocked them,
+// like confirmations: over HTTP one client unlocking must not let another client sign
+const sessions = new Map(); // owner => { password, idleTimeout, expiresAt, timer }
+
+function schedule(owner, current) {
+  clearTimeout(current.timer);
+  current.expiresAt = Date.now() + current.idleTimeout * 1000;
+  current.timer = setTimeout(() => {
+    logger.info('Wallet locked after being idle');
+    lock(owner);
+  }, current.idleTimeout * 1000);
+  // An unlocked wallet must not keep a finished command alive
+  current.timer.unref();
+}
+
+/**
+ * Keep the password until the client has not signed for idleTimeout seconds, replacing an earlier session of the client.
+ * The caller checks the password with the signer first
+ * @param {string} owner - Client key, see getOwner in confirmations.js
+ * @param {string} password - Wallet password
+ * @param {number} idleTimeout - Seconds without signing before the wallet locks again
+ * @returns {{unlocked: boolean, idleTimeout: number|null, expiresAt: string|null}} Session status
+ */
+function unlock(owner, password, idleTimeout) {
+  lock(owner);
+  const session = { password, idleTimeout, expiresAt: 0, timer: null };
+  sessions.set(owner, session);
+  schedule(owner, session);
+  return getStatus(owner);
+}
+
+/**
+ * Forget the password of a client
+ * @param {string} owner - Client key
+ * @returns {{unlocked: boolean, idleTimeout: number|null, expiresAt: string|null}} Session status
+ */
+function lock(owner) {
+  const session = sessions.get(owner);
+  if (session) {
+    clearTimeout(session.timer);
+    sessions.delete(owner);
+  }
+  return getStatus(owner);
+}
+
+function isUnlocked(owner) {
+  return sessions.has(owner);
+}
+
+/**
+ * Password for a signature; using it restarts the idle timeout of the client
+ * @param {string} owner - Client key
+ * @returns {string|null} Password, null if the client has not unlocked the wallet
+ */
+function getPassword(owner) {
+  const session = sessions.get(owner);
+  if (!session) {
+    return null;
+  }
+  schedule(owner, session);
+  return session.password;
+}
+
+function getStatus(owner) {
+  const session = sessions.get(owner);
+  return {
+    unlocked: Boolean(session),
+    idleTimeout: session ? session.idleTimeout : null,
+    expiresAt: session ? new Date(session.expiresAt).toISOString() : null,
+  };
+}
+
+module.exports = {
+  unlock,
+  lock,
+  isUnlocked,
+  getPassword,
+  getStatus,
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const express = require('express');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { requireBearerAuth } = require('@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js');
+const { InvalidTokenError } = require('@modelcontextprotocol/sdk/server/auth/errors.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const DEFAULT_HTTP_PORT = 3000;
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const TOKEN_TTL = 3600; // 1h, re-issued on every request
+
+// Client id is derived from the token so sessions can be bound to the agent that opened them
+function getClientId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+function isSameToken(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function createTokenVerifier(tokens) {
+    return {
+        async verifyAccessToken(token) {
+            if (!tokens.some(t => isSameToken(t, token))) {
+                throw new InvalidTokenError('Invalid bearer token');
+            }
+            return {
+                token,
+                clientId: getClientId(token),
+                scopes: [],
+                expiresAt: Math.floor(Date.now() / 1000) + TOKEN_TTL,
+            };
+        },
+    };
+}
+
+function jsonRpcError(res, status, message) {
+    res.status(status).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message },
+        id: null,
+    });
+}
+
+/**
+ * Serve MCP over Streamable HTTP (/mcp) and legacy SSE (/sse + /messages).
+ * Every session gets its own McpServer from createServer, bound to the client that opened it.
+ * @param {Function} createServer - Factory returning a fresh McpServer with all tools registered
+ * @param {Object} options
+ * @param {number} [options.port] - Port to listen on
+ * @param {string} [options.host] - Interface to bind
+ * @param {Array<string>} options.tokens - Accepted bearer tokens
+ * @returns {Promise<import('http').Server>}
+ */
+async function startHttpServer(createServer, options = {}) {
+    const { port = DEFAULT_HTTP_PORT, host = DEFAULT_HTTP_HOST, tokens = [] } = options;
+    if (tokens.length === 0) {
+        throw new Error('HTTP transport requires at least one bearer token (--token or MCP_AUTH_TOKEN)');
+    }
+
+    const sessions = new Map();
+    const auth = requireBearerAuth({ verifier: createTokenVerifier(tokens) });
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', sessions: sessions.size, uptime: Math.floor(process.uptime()) });
+    });
+
+    // Look up an existing session and make sure the caller owns it
+    function getSession(req, res) {
+        const sessionId = req.headers['mcp-session-id'] || req.query.sessionId;
+        const session = sessionId && sessions.get(sessionId);
+        if (!session) {
+            jsonRpcError(res, 404, `Session not found: ${sessionId}`);
+            return null;
+        }
+        if (session.clientId !== req.auth.clientId) {
+            jsonRpcError(res, 403, 'Session belongs to another client');
+            return null;
+        }
+        return session;
+    }
+
+    async function closeSession(sessionId) {
+        const session = sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+        sessions.delete(sessionId);
+        await session.server.close().catch(err => console.error(`Failed to close session ${sessionId}: ${err}`));
+    }
+
+    app.post('/mcp', auth, async (req, res) => {
+        if (req.headers['mcp-session-id']) {
+            const session = getSession(req, res);
+            if (session) {
+                await session.transport.handleRequest(req, res, req.body);
+            }
+            return;
+        }
+
+        if (!isInitializeRequest(req.body)) {
+            jsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+            return;
+        }
+
+        const server = await createServer();
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => crypto.randomUUID(),
+            onsessioninitialized: sessionId => {
+                sessions.set(sessionId, { transport, server, clientId: req.auth.clientId });
+                console.warn(`MCP session ${sessionId} opened by client ${req.auth.clientId}`);
+            },
+        });
+        transport.onclose = () => {
+            if (transport.sessionId) {
+                closeSession(transport.sessionId);
+            }
+        };
+        await server.connect(transport);
+        await transport.handleRequest(req, res, req.body);
+    });
+
+    // GET opens the server-to-client stream, DELETE ends the session
+    const handleSessionRequest = async (req, res) => {
+        const session = getSession(req, res);
+        if (session) {
+            await session.transport.handleRequest(req, res);
+        }
+    };
+    app.get('/mcp', auth, handleSessionRequest);
+    app.delete('/mcp', auth, handleSessionRequest);
+
+    // Legacy HTTP+SSE transport for older clients
+    app.get('/sse', auth, async (req, res) => {
+        const server = await createServer();
+        const transport = new SSEServerTransport('/messages', res);
+        sessions.set(transport.sessionId, { transport, server, clientId: req.auth.clientId });
+        res.on('close', () => closeSession(transport.sessionId));
+        await server.connect(transport);
+    });
+
+    app.post('/messages', auth, async (req, res) => {
+        const session = getSession(req, res);
+        if (!session) {
+            return;
+        }
+        if (!(session.transport instanceof SSEServerTransport)) {
+            jsonRpcError(res, 400, 'Session does not use the SSE transport');
+            return;
+        }
+        await session.transport.handlePostMessage(req, res, req.body);
+    });
+
+    return new Promise((resolve, reject) => {
+        const httpServer = app.listen(port, host, () => {
+            console.warn(`MCP HTTP server listening on http://${host}:${port} (/mcp, /sse, /health)`);
+            resolve(httpServer);
+        });
+        httpServer.on('error', reject);
+    });
+}
+
+module.exports = {
+    startHttpServer,
+    DEFAULT_HTTP_PORT,
+    DEFAULT_HTTP_HOST,
+};
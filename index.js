@@ -1,95 +1,447 @@
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { z } = require('zod');
 const { serverDescription } = require('./instructions');
-const { loadAllDb } = require('./deeperWallet/sqlite3.js');
 const to = require('await-to-js').default;
-const { deriveAccountList, getBalance, getContractBalance, getContractMeta, transferToken, transferContractToken, addAccount, importHdStore, getV2PoolInfo, getV3PoolInfo, getV4PoolInfo, getUniswapTokenInfo, getUniswapTopPools, searchUniswapPoolsBySymbol } = require('./deeperWallet');
-const fs = require('fs');
-const path = require('path');
-const dotenv = require('dotenv');
-const os = require('os');
+const { deriveAccountList, getBalance, getContractBalance, getContractMeta, getTokenDecimals, getChainType, prepareTransfer, prepareContractTransfer, sendPreparedTransaction, getGasPrice, getTransactionHistory, getTokenTransactionHistory, getTransactionDetail, getPrice, getExchangeRate, getTokenList, getDefaultTokenList, addToken, deleteToken, spendingLimits, addressBook, audit, idempotency, operation, walletSession, unlockWallet, lockWallet, messages, signMessage, getEvmChainId, getV2PoolInfo, getV3PoolInfo, getV4PoolInfo, getUniswapTokenInfo, getUniswapTopPools, searchUniswapPoolsBySymbol } = require('./deeperWallet');
 const uniswap = require('./deeperWallet/uniswap.js');
+const { getConfig } = require('./deeperWallet/config.js');
+const logger = require('./deeperWallet/log.js');
+const { getNativeDecimals, isSameAddress } = require('./deeperWallet/utils.js');
+const { ErrorCodes, amountSchema, amountUnitSchema, feeSchema, baseOutputSchema, toAmount, toRawAmount, toFee, errorMessage, successResult, errorResult } = require('./toolResults.js');
+const { getOwner, createConfirmation, getConfirmation, takeConfirmation, cancelConfirmation, listConfirmations } = require('./confirmations.js');
+const { ApprovalPolicies, requestApproval, requestPassword } = require('./approvals.js');
+const { ServerModes, VALUE_MOVING_TOOLS, applyServerMode, pickOutputFields } = require('./serverModes.js');
+const { RecipientPolicies, resolveRecipient } = require('./recipients.js');
+const { attachLogging, withRequestLogging } = require('./mcpLogging.js');
+const { attachResources, refreshResources } = require('./walletResources.js');
+const { attachPrompts } = require('./walletPrompts.js');
+const { getToolAnnotations, isToolEnabled } = require('./toolConfig.js');
+const { startHttpServer, DEFAULT_HTTP_PORT, DEFAULT_HTTP_HOST } = require('./httpServer.js');
+const { getArgValue, runCli } = require('./cli.js');
 
 const NetworkDescribe =
     "The network to perform the operation on. " +
     "On non-mainnet, set as <MAINNET>-<TESTNET>. " +
     "Example: ETHEREUM-SEPOLIA, POLYGON-MUMBAI.";
 
-// Helper function to check if wallet files exist
-function hasExistingWallet() {
-    const walletDir = path.join(os.homedir(), '.deeperWallet');
-    console.warn(`Checking wallet directory: ${walletDir}`);
-    if (!fs.existsSync(walletDir)) return false;
-    console.warn(`Wallet directory exists: ${walletDir}`);
+// Helper function to collect bearer tokens for the HTTP transport (comma separated)
+function getAuthTokens() {
+    const raw = getArgValue('--token') || process.env.MCP_AUTH_TOKEN || '';
+    return raw.split(',').map(t => t.trim()).filter(Boolean);
+}
 
-    const jsonFiles = fs.readdirSync(walletDir).filter(f => f.endsWith('.json'));
-    return jsonFiles.some(file => {
-        try {
-            const filePath = path.join(walletDir, file);
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            return data.id || data.version;
-        } catch {
-            return false;
-        }
-    });
+// Optional sender selection shared by the transfer tools
+const sendingAccountInputSchema = {
+    fromAddress: z.string().describe('The wallet address to send from, must be one of my accounts (see accountList)').optional(),
+    accountIndex: z.number().int().min(0)
+        .describe('Index of the sending account among my accounts of this chain, in accountList order. Defaults to the first one')
+        .optional(),
+};
+
+// Optional key of the value-moving tools, a retry with the same key never pays twice
+const idempotencyInputSchema = {
+    idempotencyKey: z.string().min(1).max(128)
+        .describe('Unique key of this payment, e.g. a UUID. Repeating a call with the same key returns the original ' +
+            'confirmation or transaction instead of preparing a new one')
+        .optional(),
+};
+
+// Longest idleTimeout a client may ask unlockWallet for, in seconds
+const MAX_UNLOCK_IDLE_TIMEOUT = 24 * 3600;
+
+// Structured fields of unlockWallet and lockWallet
+const walletSessionOutputSchema = {
+    unlocked: z.boolean().optional(),
+    idleTimeout: z.number().nullable().optional().describe('Seconds without signing before the wallet locks again'),
+    expiresAt: z.string().nullable().optional().describe('When the wallet locks unless it signs before'),
+};
+
+// EIP-712 typed data as dApps pass it to eth_signTypedData_v4
+const typedDataSchema = z.object({
+    domain: z.record(z.any()),
+    types: z.record(z.array(z.object({ name: z.string(), type: z.string() }))),
+    primaryType: z.string(),
+    message: z.record(z.any()),
+});
+
+// Decoded permit of signTypedData, see messages.decodePermit
+const permitSchema = z.object({
+    standard: z.enum(['Permit2', 'EIP-2612']),
+    kind: z.enum(['allowance', 'transfer']).describe('allowance lets the spender transfer later, transfer is a one-time transfer by the spender'),
+    owner: z.string().nullable(),
+    spender: z.string(),
+    tokens: z.array(z.object({
+        token: z.string(),
+        amount: amountSchema,
+        unlimited: z.boolean(),
+        expiration: z.string().nullable().describe('When the allowance expires, null if never or not an allowance'),
+    })),
+    deadline: z.string().nullable().describe('Last time the signature can be used, null if never'),
+});
+
+// Structured fields of a prepare step
+const confirmationOutputSchema = {
+    confirmationId: z.string().optional().describe('Pass to confirmTransaction to sign and send'),
+    expiresAt: z.string().optional(),
+    txHash: z.string().optional().describe('Set when the idempotencyKey was already used for a transaction that was sent'),
+    idempotentReplay: z.boolean().optional().describe('True when this is the result of an earlier call with the same idempotencyKey'),
+};
+
+const swapRouteSchema = z.object({
+    version: z.string(),
+    fee: z.number().nullable().describe('Pool fee tier in hundredths of a bip'),
+    poolAddress: z.string().nullable(),
+    routerAddress: z.string(),
+    priceImpact: z.number().nullable(),
+});
+
+const swapTransactionSchema = z.object({
+    label: z.string().describe('approval, Permit2 approval or swap'),
+    to: z.string(),
+    value: z.string().describe('Native coin sent, in wei'),
+    data: z.string().describe('Calldata that is signed'),
+    description: z.string(),
+    gas: z.string().describe('Gas estimated at prepare time, estimated again when signing'),
+});
+
+// Helper function to render an amount for previews, e.g. "1.5 (1500000 smallest units)"
+function describeAmount(amount) {
+    return amount.formatted !== null ? `${amount.formatted} (${amount.raw} smallest units)` : `${amount.raw} smallest units`;
+}
+
+function describeFee(fee) {
+    return fee.raw !== null ? `${describeAmount(fee)}, ${fee.note}` : fee.note;
+}
+
+function describeRecipient(preview) {
+    return preview.toLabel ? `${preview.toLabel} (${preview.toAddress})` : preview.toAddress;
 }
 
-// Helper function to get mnemonic from environment
-function getMnemonicFromEnv() {
-    const envPath = path.resolve(__dirname, '.env');
-    if (fs.existsSync(envPath)) {
-        dotenv.config({ path: envPath, quiet: true });
-        return process.env.MNEMONIC;
+// Helper function to describe a confirmed action for the human approving the signature
+function getApprovalSummary(kind, preview) {
+    const lines = [`Network: ${preview.network}`, `From: ${preview.fromAddress}`];
+    if (kind === 'swap') {
+        lines.push(
+            `Swap: ${describeAmount(preview.amountIn)} ${preview.fromToken} -> ${preview.toToken}`,
+            `Minimum received: ${describeAmount(preview.amountOutMin)}`,
+            `Route: Uniswap ${preview.route.version}, fee tier ${preview.route.fee}, router ${preview.route.routerAddress}`,
+            ...preview.transactions.map((tx, index) =>
+                `Transaction ${index + 1} of ${preview.transactions.length}: ${tx.description} (to ${tx.to})`)
+        );
+        return { network: preview.network, amount: preview.amountIn, lines: [...lines, `Network fee: ${describeFee(preview.fee)}`] };
+    }
+    lines.push(`To: ${describeRecipient(preview)}`);
+    if (preview.contract) {
+        lines.push(`Token contract: ${preview.contract}`);
     }
-    console.warn('.env file not found in current directory');
-    return null;
+    lines.push(`Amount: ${describeAmount(preview.amount)}`, `Network fee: ${describeFee(preview.fee)}`);
+    return { network: preview.network, amount: preview.amount, lines };
+}
+
+const spendingWindowSchema = z.enum(Object.values(spendingLimits.SpendingWindows));
+
+const spendingLimitBreachSchema = z.object({
+    window: spendingWindowSchema,
+    limit: amountSchema,
+    spent: amountSchema.describe('Already spent in the window, always 0 for perTransaction'),
+    amount: amountSchema.describe('Amount of the rejected transaction'),
+    headroom: amountSchema.describe('What can still be sent now across all windows'),
+});
+
+// Helper function to report a spending limit breach with amounts in the token decimals
+function spendingLimitResult(err, decimals, data) {
+    const { network, contractAddress, window, limit, spent, amount, headroom } = err.details;
+    const breach = {
+        window,
+        limit: toAmount(limit, decimals),
+        spent: toAmount(spent, decimals),
+        amount: toAmount(amount, decimals),
+        headroom: toAmount(headroom, decimals),
+    };
+    const spentText = window === spendingLimits.SpendingWindows.PER_TRANSACTION ? '' : `, already spent ${describeAmount(breach.spent)}`;
+    return errorResult(
+        `Spending limit exceeded on ${network} for ${contractAddress || 'the native coin'}: ` +
+        `${window} limit ${describeAmount(breach.limit)}${spentText}, requested ${describeAmount(breach.amount)}. ` +
+        `Headroom left: ${describeAmount(breach.headroom)}`,
+        ErrorCodes.SPENDING_LIMIT_EXCEEDED,
+        { ...data, spendingLimit: breach }
+    );
 }
 
-// Helper function to initialize wallet with mnemonic
-async function initializeWallet(mnemonic) {
-    const res = await importHdStore(mnemonic, '', '', 'deeperWallet', true, 'MNEMONIC');
-    if (!res) {
-        console.error('Failed to import mnemonic and create wallet file.');
-        return false;
+// Helper function to refuse signing while the spending limits or the spending log cannot be read
+function spendingLimitsUnavailableResult(err, data) {
+    return errorResult(`Refusing to sign: ${errorMessage(err)}`, ErrorCodes.SPENDING_LIMITS_UNAVAILABLE, data);
+}
+
+// Helper function to get what a confirmed action spends, limits are per network and token
+function getSpend(action) {
+    if (action.kind === 'swap') {
+        const { swap, preview } = action;
+        return { network: swap.network, contractAddress: swap.isNativeIn ? '' : swap.tokenIn, amount: preview.amountIn };
     }
-    console.log(`Mnemonic imported and wallet file created successfully ${JSON.stringify(res)}.`);
+    const { prepared, preview } = action;
+    return { network: prepared.network, contractAddress: prepared.contractAddress, amount: preview.amount };
+}
 
-    const addRes = await addAccount('', ['ETHEREUM', 'SOLANA', 'TRON', 'SUI', 'BITCOIN']);
-    if (!addRes) {
-        console.error('Failed to add default account.');
-        return false;
+// Helper function to send MCP progress notifications for a long-running call, if the client asked for them
+function getProgressReporter(extra) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined) {
+        return undefined;
     }
-    console.warn(`Default account added successfully ${JSON.stringify(addRes)}.`);
-    return true;
+    return ({ progress, message }) => {
+        extra.sendNotification({ method: 'notifications/progress', params: { progressToken, progress, message } })
+            .catch(() => {
+                // The client went away, the operation goes on
+            });
+    };
 }
 
-async function main() {
-    // Parse command line for "-m mnemonic"
-    const mIndex = process.argv.indexOf('-m');
-    let mnemonic = (mIndex !== -1 && process.argv[mIndex + 1]) ? process.argv[mIndex + 1] : null;
+// Helper function to record every tool call in the audit log, with what was signed and broadcast.
+// A value-moving call that cannot be recorded returns an error instead of its result
+function auditToolCall(name, outputSchema, callback) {
+    return async (args, extra) => {
+        const { result, error: err, fields } = await audit.runWithAudit({ tool: name, args }, () => callback(args, extra));
+        const data = result?.structuredContent || {};
+        let error = null;
+        if (err) {
+            error = errorMessage(err);
+        } else if (result?.isError) {
+            error = `${data.errorCode || 'ERROR'}: ${data.error || result.content?.[0]?.text}`;
+        }
+        const [auditErr, entry] = await to(audit.appendEntry({
+            ...fields,
+            tool: name,
+            args,
+            fromAddress: fields.fromAddress || data.fromAddress || data.preview?.fromAddress || null,
+            txHash: data.txHash || null,
+            error,
+        }));
+        if (auditErr || !entry) {
+            const reason = auditErr ? errorMessage(auditErr) : 'the audit entry could not be written';
+            logger.error(`Failed to audit ${name}: ${reason}`, { tool: name, txHash: data.txHash || null });
+            if (!err && VALUE_MOVING_TOOLS.includes(name)) {
+                // A transaction already broadcast is still reported, the signature of a message is withheld
+                // and a prepared transaction is discarded
+                if (name !== 'confirmTransaction' && data.confirmationId) {
+                    cancelConfirmation(data.confirmationId, getOwner(extra));
+                }
+                const sent = data.txHash ? `Transaction ${data.txHash} was sent, but the` : 'The';
+                return errorResult(
+                    `${sent} call could not be recorded in the audit log: ${reason}`,
+                    ErrorCodes.AUDIT_FAILED,
+                    pickOutputFields(outputSchema, {
+                        network: data.network,
+                        confirmationId: name === 'confirmTransaction' ? data.confirmationId : undefined,
+                        action: data.action,
+                        txHash: data.txHash,
+                        approvalTransactionHashes: data.approvalTransactionHashes,
+                        fromAddress: data.fromAddress,
+                    })
+                );
+            }
+        }
+        if (err) {
+            throw err;
+        }
+        return result;
+    };
+}
 
-    // Check if wallet already exists
-    const needImportMnemonic = !hasExistingWallet();
-    console.log(`Wallet exists: ${!needImportMnemonic}`);
+// Helper function to echo the arguments of a prepare step in an early error result. Only string fields,
+// they are in the output schema of every prepare tool
+function getPrepareFields(args) {
+    return Object.fromEntries(
+        ['network', 'fromAddress', 'toAddress', 'contract', 'fromToken', 'toToken']
+            .filter(key => typeof args[key] === 'string')
+            .map(key => [key, args[key]])
+    );
+}
 
-    // Get mnemonic from environment if not provided via command line and import is needed
-    if (!mnemonic && needImportMnemonic) {
-        mnemonic = getMnemonicFromEnv();
-        if (!mnemonic) {
-            console.warn('MNEMONIC not found in .env file');
-            return;
+// Helper function to report that a value-moving tool needs the wallet password first
+function walletLockedResult(data) {
+    return errorResult(
+        'Wallet locked: call unlockWallet, the user enters the wallet password in the form it opens, then try again',
+        ErrorCodes.WALLET_LOCKED,
+        data
+    );
+}
+
+// Helper function to refuse a prepare step while the wallet is locked, it could not be confirmed anyway
+function requireUnlocked(callback) {
+    return async (args, extra) => {
+        if (!walletSession.isUnlocked(getOwner(extra))) {
+            return walletLockedResult(getPrepareFields(args));
+        }
+        return callback(args, extra);
+    };
+}
+
+// Helper function to replay a prepare step called again with the same idempotencyKey: the transaction it sent,
+// or the confirmation still waiting. A key reused for a different request is refused
+function idempotentPrepare(name, callback) {
+    return async (args, extra) => {
+        const { idempotencyKey, ...request } = args;
+        if (!idempotencyKey) {
+            return callback(args, extra);
+        }
+        const owner = getOwner(extra);
+        const requestHash = idempotency.hashRequest(name, request);
+        const data = getPrepareFields(args);
+        return idempotency.runExclusive(owner, idempotencyKey, async () => {
+            const [err, record] = await to(idempotency.getRecord(owner, idempotencyKey));
+            if (err) {
+                return errorResult(`Failed to read idempotencyKey ${idempotencyKey}: ${errorMessage(err)}`, ErrorCodes.QUERY_FAILED, data);
+            }
+            if (record && (record.tool !== name || record.requestHash !== requestHash)) {
+                return errorResult(
+                    `idempotencyKey ${idempotencyKey} was already used on ${record.createdAt} for a different ${record.tool} request. ` +
+                    'Use a new key for a new payment.',
+                    ErrorCodes.IDEMPOTENCY_KEY_REUSED,
+                    data
+                );
+            }
+            if (record?.txHash) {
+                return successResult(
+                    `Already sent for idempotencyKey ${idempotencyKey}: transaction ${record.txHash}. Nothing was prepared or signed again.`,
+                    { ...data, ...record.result.preview, txHash: record.txHash, idempotentReplay: true }
+                );
+            }
+            const confirmation = record?.confirmationId && getConfirmation(record.confirmationId, owner);
+            if (confirmation) {
+                return successResult(
+                    `Already prepared for idempotencyKey ${idempotencyKey}. ` +
+                    `Call confirmTransaction with confirmationId ${confirmation.confirmationId} before ${confirmation.expiresAt} to sign and send it.`,
+                    { ...confirmation.action.preview, confirmationId: confirmation.confirmationId, expiresAt: confirmation.expiresAt, idempotentReplay: true }
+                );
+            }
+            // Unused, or the earlier confirmation expired or was cancelled before anything was sent
+            const result = await callback(args, extra);
+            const { confirmationId } = result.structuredContent || {};
+            if (!result.isError && confirmationId
+                && !(await idempotency.savePrepared(owner, idempotencyKey, name, requestHash, confirmationId))) {
+                // Without the record a retry would prepare, and could send, a second payment
+                cancelConfirmation(confirmationId, owner);
+                return errorResult(
+                    `Failed to save idempotencyKey ${idempotencyKey}, nothing was prepared. Try again later.`,
+                    ErrorCodes.QUERY_FAILED,
+                    data
+                );
+            }
+            return result;
+        });
+    };
+}
+
+// Helper function to pick the wallet account that sends on a network: by address, by index or the first one
+async function getSendingAccount(network, { fromAddress, accountIndex } = {}) {
+    const [err, accountList] = await to(deriveAccountList());
+    if (err || !accountList) {
+        return { error: `Failed to derive account list: ${err ? errorMessage(err) : 'no accounts returned'}` };
+    }
+    // Filter accounts by network
+    const chainType = getChainType(network);
+    const filteredAccounts = accountList.filter(account =>
+        account.chain_type && account.chain_type.toUpperCase() === chainType
+    );
+    if (filteredAccounts.length === 0) {
+        return { error: `No accounts found for network: ${network}` };
+    }
+
+    if (accountIndex !== undefined && accountIndex >= filteredAccounts.length) {
+        return {
+            error: `Account index ${accountIndex} is out of range, the wallet has ${filteredAccounts.length} ${chainType} account(s)`,
+        };
+    }
+    if (fromAddress) {
+        const account = filteredAccounts.find(account => isSameAddress(account.address, fromAddress));
+        if (!account) {
+            return { error: `Address ${fromAddress} is not one of this wallet's ${chainType} accounts, see accountList` };
+        }
+        if (accountIndex !== undefined && filteredAccounts[accountIndex] !== account) {
+            return { error: `fromAddress ${fromAddress} is not the ${chainType} account at index ${accountIndex}` };
+        }
+        return { address: account.address };
+    }
+
+    // Use the first matching account unless an index is given
+    return { address: filteredAccounts[accountIndex ?? 0].address };
+}
+
+// Helper function to accept typed data as an object or as the JSON string dApps send, returns { typedData } or { error }
+function readTypedData(value) {
+    let data = value;
+    if (typeof value === 'string') {
+        try {
+            data = JSON.parse(value);
+        } catch (err) {
+            return { error: `typedData is not valid JSON: ${err.message}` };
+        }
+    }
+    const parsed = typedDataSchema.safeParse(data);
+    if (!parsed.success) {
+        return { error: `Invalid typedData: ${parsed.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ')}` };
+    }
+    return { typedData: parsed.data };
+}
+
+// Helper function to add token decimals to a decoded permit and describe what it allows
+async function describePermit(network, permit) {
+    const tokens = await Promise.all(permit.tokens.map(async item => {
+        const decimals = await getTokenDecimals(network, item.token);
+        return { ...item, amount: toAmount(item.amount, decimals) };
+    }));
+    const lines = [`${permit.standard} permit for spender ${permit.spender}:`];
+    const warnings = [];
+    for (const item of tokens) {
+        const amount = item.unlimited ? 'unlimited amount' : describeAmount(item.amount);
+        const expiration = item.expiration ? `, allowance expires ${item.expiration}` : '';
+        lines.push(`- ${amount} of token ${item.token}${expiration}`);
+        if (item.unlimited) {
+            warnings.push(`Unlimited ${permit.standard} ${permit.kind} of token ${item.token} for ${permit.spender}`);
         }
     }
+    lines.push(permit.deadline ? `Signature valid until ${permit.deadline}` : 'Signature never expires');
+    return { permit: { ...permit, tokens }, lines, warnings };
+}
+
+// Helper function to resolve decimals of a swap token given as symbol ("eth", "usdc") or address
+async function getSwapTokenDecimals(network, token) {
+    const symbol = token.toLowerCase();
+    if (symbol === 'eth' || symbol === 'bnb') {
+        return 18;
+    }
+    const address = symbol.startsWith('0x') ? symbol : uniswap.getCommonTokens(network)[symbol];
+    return address ? getTokenDecimals(network, address) : null;
+}
 
-    // Initialize wallet if needed
-    if (needImportMnemonic && mnemonic) {
-        const success = await initializeWallet(mnemonic);
-        if (!success) return;
+// Helper function to resolve token symbols (e.g. "eth", "usdc") to addresses for on-chain Uniswap queries
+async function resolveSwapPair(network, tokenIn, tokenOut) {
+    network = network.toUpperCase();
+    if (!uniswap.isNetworkSupported(network)) {
+        throw new Error(`Uniswap is not supported on network: ${network}`);
     }
+    return {
+        network,
+        tokenIn: uniswap.mapAddress(tokenIn.toLowerCase(), network),
+        tokenOut: uniswap.mapAddress(tokenOut.toLowerCase(), network),
+    };
+}
+
+// Helper function to pick the pool list out of a subgraph response ({ pairs } for V2, { pools } otherwise)
+function getSubgraphPools(data) {
+    return (data && (data.pairs || data.pools)) || [];
+}
 
-    //loadAllDb();
+// Build a server with every tool registered; HTTP mode calls this once per session
+function createServer(options = {}) {
+    const {
+        approvalPolicy = { mode: ApprovalPolicies.DENY, threshold: null },
+        mode = ServerModes.FULL,
+        recipientPolicy = RecipientPolicies.OPEN,
+        toolConfig = null,
+    } = options;
     const server = new McpServer({
         name: 'deeper-wallet-mcp',
         version: '1.0.0',
@@ -97,592 +449,2140 @@ async function main() {
     }, {
         capabilities: { logging: {} },
     });
+    attachLogging(server);
+    attachResources(server, { mode });
 
-    server.tool(
+    // Every tool goes through the operator tools config and the server mode, so restricted launches are enforced
+    // in one place, and through the audit log, so every call is recorded. Diagnostics logged during a call go to this client
+    const registeredTools = new Set();
+    const registerTool = (name, config, callback) => {
+        if (!isToolEnabled(toolConfig, name)) {
+            return;
+        }
+        const guarded = applyServerMode(mode, name, config, callback);
+        if (guarded) {
+            const annotations = { ...getToolAnnotations(name), ...config.annotations };
+            server.registerTool(name, { ...config, annotations }, withRequestLogging(server, auditToolCall(name, config.outputSchema, guarded)));
+            registeredTools.add(name);
+        }
+    };
+
+    registerTool(
         'getBalance',
-        'Get the balance of a specific Blockchain address',
         {
-            network: z.string().describe(NetworkDescribe),
-            address: z.string().describe('The address to check the balance of'),
+            description: 'Get the balance of a specific Blockchain address',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The address to check the balance of, or an address book label'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                address: z.string(),
+                balance: amountSchema.optional(),
+            },
         },
-        async ({ network, address }) => {
+        async ({ network, address: addressOrLabel }) => {
+            const { address } = await resolveRecipient(RecipientPolicies.OPEN, network, addressOrLabel);
             const [err, balance] = await to(getBalance(network, address));
-            if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get balance for address: ${address} on network: ${network}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `The balance of ${address} on ${network} is: ${balance.balance}`,
-                    }
-                ],
-            };
+            if (err || !balance) {
+                return errorResult(
+                    `Failed to get balance for address: ${address} on network: ${network}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, address }
+                );
+            }
+            return successResult(
+                `The balance of ${address} on ${network} is: ${balance.balance}`,
+                { network, address, balance: toAmount(balance.balance, getNativeDecimals(network)) }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'getContractBalance',
-        'Get the token balance of a specific contract for a Blockchain address',
         {
-            network: z.string().describe(NetworkDescribe),
-            address: z.string().describe('The address to check the token balance of'),
-            contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
+            description: 'Get the token balance of a specific contract for a Blockchain address',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The address to check the token balance of, or an address book label'),
+                contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                address: z.string(),
+                contract: z.string(),
+                balance: amountSchema.optional(),
+            },
         },
-        async ({ network, contract, address }) => {
+        async ({ network, contract, address: addressOrLabel }) => {
+            const { address } = await resolveRecipient(RecipientPolicies.OPEN, network, addressOrLabel);
             const [err, balance] = await to(getContractBalance(network, contract, address));
-            if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get token balance for address: ${address} on network: ${network} contract: ${contract}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `The token balance of ${address} on ${network} for contract ${contract} is: ${balance.balance}`,
-                    }
-                ],
-            };
+            if (err || !balance) {
+                return errorResult(
+                    `Failed to get token balance for address: ${address} on network: ${network} contract: ${contract}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, address, contract }
+                );
+            }
+            const decimals = await getTokenDecimals(network, contract);
+            return successResult(
+                `The token balance of ${address} on ${network} for contract ${contract} is: ${balance.balance}`,
+                { network, address, contract, balance: toAmount(balance.balance, decimals) }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'getContractMeta',
-        'Get the meta information (name, decimals, symbol) of a token contract',
         {
-            network: z.string().describe(NetworkDescribe),
-            contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
+            description: 'Get the meta information (name, decimals, symbol) of a token contract',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                contract: z.string(),
+                name: z.string().nullable().optional(),
+                symbol: z.string().nullable().optional(),
+                decimals: z.number().nullable().optional(),
+            },
         },
         async ({ network, contract }) => {
             const [err, meta] = await to(getContractMeta(network, contract));
-            if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get contract meta for contract: ${contract} on network: ${network}`,
-                        }
-                    ],
-                };
-            }
-
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Contract meta for ${contract} on ${network}: ${JSON.stringify(meta)}`,
-                    }
-                ],
-            };
+            if (err || !meta) {
+                return errorResult(
+                    `Failed to get contract meta for contract: ${contract} on network: ${network}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, contract }
+                );
+            }
+            return successResult(
+                `Contract meta for ${contract} on ${network}: ${JSON.stringify(meta)}`,
+                { network, contract, name: meta.name, symbol: meta.symbol, decimals: meta.decimals }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'swapTokens',
-        'Swap tokens using Uniswap on a specified blockchain network',
-        {
-            fromAddress: z.string().describe('The sender address'),
-            fromToken: z.string().describe('The symbol or address of the token to swap from (e.g., "eth" or ERC20 address)'),
-            toToken: z.string().describe('The symbol or address of the token to swap to (e.g., "usdc" or ERC20 address)'),
-            amountIn: z.string().describe('The amount to swap (as a string, in the smallest unit)'),
-            amoutoutMin: z.string().describe('The minimum amount to receive (as a string, in the smallest unit)').optional().default('0'),
-            network: z.string().describe(NetworkDescribe),
-            options: z.object({
-                version: z.string().optional().describe('Uniswap version, e.g., "V3"'),
-            }).optional().describe('Additional swap options'),
-        },
-        async ({ fromAddress, fromToken, toToken, amountIn, amoutoutMin, network, options }) => {
-            const [err, result] = await to(
-                uniswap.executeSwap(
-                    '', // password, empty string as per pattern
-                    fromAddress,
-                    fromToken,
-                    toToken,
-                    amountIn,
-                    amoutoutMin,
-                    network,
-                    options || {}
-                )
-            );
-            if (err || !result) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to execute swap: ${err && err.message ? err.message : err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Swap executed successfully: ${JSON.stringify(result)}`,
-                    }
-                ],
+        {
+            description: 'Prepare a token swap using Uniswap on a specified blockchain network. ' +
+                'Returns a preview with the route, every transaction to sign (token approvals the swap still needs, then the swap) ' +
+                'and a confirmationId; nothing is signed until confirmTransaction is called with that id',
+            inputSchema: {
+                fromToken: z.string().describe('The symbol or address of the token to swap from (e.g., "eth" or ERC20 address)'),
+                toToken: z.string().describe('The symbol or address of the token to swap to (e.g., "usdc" or ERC20 address)'),
+                amountIn: z.string().describe('The amount to swap (as a string, in the smallest unit unless unit is "human")'),
+                amoutoutMin: z.string().describe('The minimum amount to receive (as a string, in the smallest unit unless unit is "human"), ' +
+                    'defaults to the quoted amount less slippage').optional(),
+                unit: amountUnitSchema,
+                network: z.string().describe(NetworkDescribe),
+                options: z.object({
+                    version: z.string().optional().describe('Uniswap version, e.g., "V3"; a forced version has no quote, set amoutoutMin then'),
+                    slippage: z.number().min(0).max(50).optional()
+                        .describe('Slippage percentage taken off the quote when amoutoutMin is not set, defaults to 0.5'),
+                }).optional().describe('Additional swap options'),
+                ...sendingAccountInputSchema,
+                ...idempotencyInputSchema,
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                ...confirmationOutputSchema,
+                fromAddress: z.string().optional().describe('The sending account, the swap output is paid to it as well'),
+                fromToken: z.string(),
+                toToken: z.string(),
+                amountIn: amountSchema.optional(),
+                amountOutMin: amountSchema.optional(),
+                expectedAmountOut: amountSchema.nullable().optional(),
+                route: swapRouteSchema.optional(),
+                transactions: z.array(swapTransactionSchema).optional()
+                    .describe('Every transaction confirmTransaction signs, in order: missing Permit2 approvals, then the swap'),
+                fee: feeSchema.optional(),
+            },
+        },
+        requireUnlocked(idempotentPrepare('swapTokens', async ({ fromToken, toToken, amountIn, amoutoutMin, unit, network, options, fromAddress: requestedAddress, accountIndex, idempotencyKey }, extra) => {
+            // The swap output is paid out to the sending account itself, so there is no recipient to check
+            const account = await getSendingAccount(network, { fromAddress: requestedAddress, accountIndex });
+            if (account.error) {
+                return errorResult(account.error, ErrorCodes.ACCOUNT_NOT_FOUND, { network, fromToken, toToken });
+            }
+            const fromAddress = account.address;
+            const [decimalsIn, decimalsOut] = await Promise.all([
+                getSwapTokenDecimals(network, fromToken),
+                getSwapTokenDecimals(network, toToken),
+            ]);
+            const rawIn = toRawAmount(amountIn, unit, decimalsIn);
+            // '0' lets previewSwap derive the minimum from the quote
+            const rawOutMin = amoutoutMin === undefined ? { raw: '0' } : toRawAmount(amoutoutMin, unit, decimalsOut);
+            if (rawIn.error || rawOutMin.error) {
+                return errorResult(
+                    rawIn.error || rawOutMin.error,
+                    ErrorCodes.INVALID_PARAMETERS,
+                    { network, fromAddress, fromToken, toToken }
+                );
+            }
+
+            const [err, swap] = await to(
+                uniswap.previewSwap(fromAddress, fromToken, toToken, rawIn.raw, rawOutMin.raw, network, options || {})
+            );
+            if (err) {
+                return errorResult(
+                    `Failed to prepare swap: ${errorMessage(err)}`,
+                    ErrorCodes.SWAP_FAILED,
+                    { network, fromAddress, fromToken, toToken }
+                );
+            }
+            const preview = {
+                network: swap.network,
+                fromAddress,
+                fromToken,
+                toToken,
+                amountIn: toAmount(swap.amountIn, decimalsIn),
+                amountOutMin: toAmount(swap.amountOutMin, decimalsOut),
+                expectedAmountOut: swap.route.expectedAmountOut ? toAmount(swap.route.expectedAmountOut.toString(), decimalsOut) : null,
+                route: {
+                    version: swap.route.version,
+                    fee: swap.route.fee ?? null,
+                    poolAddress: swap.route.poolAddress ?? null,
+                    routerAddress: swap.routerAddress,
+                    priceImpact: swap.route.priceImpact ?? null,
+                },
+                transactions: [...swap.approvals, swap.transaction],
+                fee: toFee(swap.networkFee, 18),
             };
-        }
+            const confirmation = createConfirmation(getOwner(extra), { kind: 'swap', swap, preview, idempotencyKey });
+            return successResult(
+                `Prepared swap of ${describeAmount(preview.amountIn)} ${fromToken} to ${toToken} on ${swap.network} ` +
+                `via Uniswap ${swap.route.version} (fee tier ${swap.route.fee}` +
+                `${swap.route.poolAddress ? `, pool ${swap.route.poolAddress}` : ''}), ` +
+                `minimum received ${describeAmount(preview.amountOutMin)}` +
+                `${preview.expectedAmountOut ? `, expected ${describeAmount(preview.expectedAmountOut)}` : ''}. ` +
+                `${swap.approvals.length ? `First signs ${swap.approvals.map(tx => tx.description).join('; ')}. ` : ''}` +
+                `Network fee: ${describeFee(preview.fee)}. ` +
+                `Call confirmTransaction with confirmationId ${confirmation.confirmationId} before ${confirmation.expiresAt} to sign and send it.`,
+                { ...preview, ...confirmation }
+            );
+        }))
     );
 
-    server.tool(
+    registerTool(
         'transferTokenFromMyWallet',
-        'Transfer tokens to other addresses from my wallet address on a specified blockchain network',
         {
-            toAddress: z.string().describe('The recipient address'),
-            amount: z.string().describe('The amount to transfer (as a string, in the smallest unit)'),
-            network: z.string().describe(NetworkDescribe),
+            description: 'Prepare a transfer of native tokens to other addresses from my wallet address on a specified blockchain network. ' +
+                'Returns a preview and a confirmationId; nothing is signed until confirmTransaction is called with that id',
+            inputSchema: {
+                toAddress: z.string().describe('The recipient address, or the label of an address book contact'),
+                amount: z.string().describe('The amount to transfer (as a string, in the smallest unit unless unit is "human")'),
+                unit: amountUnitSchema,
+                network: z.string().describe(NetworkDescribe),
+                ...sendingAccountInputSchema,
+                ...idempotencyInputSchema,
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                ...confirmationOutputSchema,
+                fromAddress: z.string().optional(),
+                toAddress: z.string(),
+                toLabel: z.string().nullable().optional().describe('Address book label of the recipient'),
+                amount: amountSchema.optional(),
+                fee: feeSchema.optional(),
+            },
         },
-        async ({ toAddress, amount, network }) => {
-            const [err, accountList] = await to(deriveAccountList());
-            if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to derive account list: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            // Filter accounts by network
-            const filteredAccounts = accountList.filter(account =>
-                account.chain_type && account.chain_type.toUpperCase() === network.split('-')[0].toUpperCase()
-            );
-
-            if (filteredAccounts.length === 0) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `No accounts found for network: ${network}`,
-                        }
-                    ],
-                };
-            }
-
-            // Use the first matching account as fromAddress
-            const fromAddress = filteredAccounts[0].address;
-
-            const [transferErr, result] = await to(
-                transferToken('', fromAddress, toAddress, amount, network)
-            );
-            if (transferErr || !result) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to transfer tokens: ${transferErr && transferErr.message ? transferErr.message : transferErr}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Transfer successful from ${fromAddress}: ${JSON.stringify(result)}`,
-                    }
-                ],
+        requireUnlocked(idempotentPrepare('transferTokenFromMyWallet', async ({ toAddress: recipientArg, amount, unit, network, fromAddress: requestedAddress, accountIndex, idempotencyKey }, extra) => {
+            const recipient = await resolveRecipient(recipientPolicy, network, recipientArg);
+            if (recipient.error) {
+                return errorResult(recipient.error, ErrorCodes.RECIPIENT_NOT_ALLOWED, { network, toAddress: recipientArg });
+            }
+            const { address: toAddress, label: toLabel } = recipient;
+            const nativeDecimals = getNativeDecimals(network);
+            const rawAmount = toRawAmount(amount, unit, nativeDecimals);
+            if (rawAmount.error) {
+                return errorResult(rawAmount.error, ErrorCodes.INVALID_PARAMETERS, { network, toAddress });
+            }
+            const account = await getSendingAccount(network, { fromAddress: requestedAddress, accountIndex });
+            if (account.error) {
+                return errorResult(account.error, ErrorCodes.ACCOUNT_NOT_FOUND, { network, toAddress });
+            }
+            const fromAddress = account.address;
+
+            const [prepareErr, prepared] = await to(prepareTransfer(fromAddress, toAddress, rawAmount.raw, network));
+            if (prepareErr || !prepared) {
+                return errorResult(
+                    `Failed to prepare transfer: ${errorMessage(prepareErr)}`,
+                    ErrorCodes.TRANSFER_FAILED,
+                    { network, fromAddress, toAddress, amount: toAmount(rawAmount.raw, nativeDecimals) }
+                );
+            }
+            const preview = {
+                network: prepared.network,
+                fromAddress,
+                toAddress,
+                toLabel,
+                amount: toAmount(rawAmount.raw, nativeDecimals),
+                fee: toFee(prepared.fee, nativeDecimals),
             };
-        });
+            const confirmation = createConfirmation(getOwner(extra), { kind: 'transfer', prepared, preview, idempotencyKey });
+            return successResult(
+                `Prepared transfer of ${describeAmount(preview.amount)} from ${fromAddress} to ${describeRecipient(preview)} on ${prepared.network}. ` +
+                `Network fee: ${describeFee(preview.fee)}. ` +
+                `Call confirmTransaction with confirmationId ${confirmation.confirmationId} before ${confirmation.expiresAt} to sign and send it.`,
+                { ...preview, ...confirmation }
+            );
+        })));
 
-    server.tool(
+    registerTool(
         'transferContractTokenFromMyWallet',
-        'Transfer contract tokens (e.g., ERC20) to other addresses from my wallet address on a specified blockchain network',
         {
-            toAddress: z.string().describe('The recipient address'),
-            contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
-            amount: z.string().describe('The amount to transfer (as a string, in the smallest unit)'),
-            network: z.string().describe(NetworkDescribe),
+            description: 'Prepare a transfer of contract tokens (e.g., ERC20) to other addresses from my wallet address on a specified blockchain network. ' +
+                'Returns a preview and a confirmationId; nothing is signed until confirmTransaction is called with that id',
+            inputSchema: {
+                toAddress: z.string().describe('The recipient address, or the label of an address book contact'),
+                contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
+                amount: z.string().describe('The amount to transfer (as a string, in the smallest unit unless unit is "human")'),
+                unit: amountUnitSchema,
+                network: z.string().describe(NetworkDescribe),
+                ...sendingAccountInputSchema,
+                ...idempotencyInputSchema,
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                ...confirmationOutputSchema,
+                fromAddress: z.string().optional(),
+                toAddress: z.string(),
+                toLabel: z.string().nullable().optional().describe('Address book label of the recipient'),
+                contract: z.string(),
+                amount: amountSchema.optional(),
+                fee: feeSchema.optional(),
+            },
         },
-        async ({ toAddress, contract, amount, network }) => {
-            const [err, accountList] = await to(deriveAccountList());
+        requireUnlocked(idempotentPrepare('transferContractTokenFromMyWallet', async ({ toAddress: recipientArg, contract, amount, unit, network, fromAddress: requestedAddress, accountIndex, idempotencyKey }, extra) => {
+            const recipient = await resolveRecipient(recipientPolicy, network, recipientArg);
+            if (recipient.error) {
+                return errorResult(recipient.error, ErrorCodes.RECIPIENT_NOT_ALLOWED, { network, toAddress: recipientArg, contract });
+            }
+            const { address: toAddress, label: toLabel } = recipient;
+            const decimals = await getTokenDecimals(network, contract);
+            const rawAmount = toRawAmount(amount, unit, decimals);
+            if (rawAmount.error) {
+                return errorResult(rawAmount.error, ErrorCodes.INVALID_PARAMETERS, { network, toAddress, contract });
+            }
+            const account = await getSendingAccount(network, { fromAddress: requestedAddress, accountIndex });
+            if (account.error) {
+                return errorResult(account.error, ErrorCodes.ACCOUNT_NOT_FOUND, { network, toAddress, contract });
+            }
+            const fromAddress = account.address;
+
+            const [prepareErr, prepared] = await to(
+                prepareContractTransfer(fromAddress, contract, toAddress, rawAmount.raw, network)
+            );
+            if (prepareErr || !prepared) {
+                return errorResult(
+                    `Failed to prepare contract token transfer: ${errorMessage(prepareErr)}`,
+                    ErrorCodes.TRANSFER_FAILED,
+                    { network, fromAddress, toAddress, contract, amount: toAmount(rawAmount.raw, decimals) }
+                );
+            }
+            const preview = {
+                network: prepared.network,
+                fromAddress,
+                toAddress,
+                toLabel,
+                contract,
+                amount: toAmount(rawAmount.raw, decimals),
+                fee: toFee(prepared.fee, getNativeDecimals(network)),
+            };
+            const confirmation = createConfirmation(getOwner(extra), { kind: 'transfer', prepared, preview, idempotencyKey });
+            return successResult(
+                `Prepared transfer of ${describeAmount(preview.amount)} of token ${contract} from ${fromAddress} to ${describeRecipient(preview)} on ${prepared.network}. ` +
+                `Network fee: ${describeFee(preview.fee)}. ` +
+                `Call confirmTransaction with confirmationId ${confirmation.confirmationId} before ${confirmation.expiresAt} to sign and send it.`,
+                { ...preview, ...confirmation }
+            );
+        }))
+    );
+
+    // Helper function to check the limits, ask for the approval, then sign and send a prepared action
+    const sendConfirmed = async (action, confirmationId, password, extra) => {
+        const { kind, preview } = action;
+        // Do not ask for an approval the spending limits would reject anyway
+        const spend = getSpend(action);
+        const [limitErr] = await to(spendingLimits.checkSpend(spend.network, spend.contractAddress, spend.amount.raw));
+        if (limitErr) {
+            const data = { network: spend.network, confirmationId, action: kind, preview };
+            if (limitErr instanceof spendingLimits.SpendingLimitError) {
+                return spendingLimitResult(limitErr, spend.amount.decimals, data);
+            }
+            return limitErr instanceof spendingLimits.SpendingLimitsUnavailableError
+                ? spendingLimitsUnavailableResult(limitErr, data)
+                : errorResult(`Failed to check spending limits: ${errorMessage(limitErr)}`, ErrorCodes.QUERY_FAILED, data);
+        }
+
+        const approval = await requestApproval(server, extra, getApprovalSummary(kind, preview), approvalPolicy);
+        if (!approval.approved) {
+            return errorResult(
+                `Signing was not approved: ${approval.reason}`,
+                ErrorCodes.APPROVAL_DENIED,
+                { network: preview.network, confirmationId, action: kind, preview }
+            );
+        }
+
+        if (kind === 'swap') {
+            const { swap } = action;
+            const [err, result] = await to(
+                // Signs only the previewed transactions. Cancelling the request stops the swap before its next signature
+                uniswap.executeSwap(password, swap, { signal: extra?.signal, onProgress: getProgressReporter(extra) })
+            );
+            if (err instanceof spendingLimits.SpendingLimitError) {
+                return spendingLimitResult(err, spend.amount.decimals, { network: swap.network, confirmationId, action: kind, preview });
+            }
+            if (err instanceof spendingLimits.SpendingLimitsUnavailableError) {
+                return spendingLimitsUnavailableResult(err, { network: swap.network, confirmationId, action: kind, preview });
+            }
+            // Approvals broadcast before the failure stay on chain and cost gas, the user must be able to find them
+            const approvalTransactionHashes = err?.approvalTransactionHashes || [];
+            const sentApprovals = approvalTransactionHashes.length
+                ? ` Approval transactions already sent, they stay on chain: ${approvalTransactionHashes.join(', ')}.`
+                : '';
+            if (err instanceof operation.OperationCancelledError) {
+                return errorResult(
+                    `Swap cancelled, nothing more was signed: ${err.message}.${sentApprovals} Prepare the swap again to retry.`,
+                    ErrorCodes.OPERATION_CANCELLED,
+                    { network: swap.network, confirmationId, action: kind, approvalTransactionHashes, preview }
+                );
+            }
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to derive account list: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            // Filter accounts by network
-            const filteredAccounts = accountList.filter(account =>
-                account.chain_type && account.chain_type.toUpperCase() === network.split('-')[0].toUpperCase()
-            );
-
-            if (filteredAccounts.length === 0) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `No accounts found for network: ${network}`,
-                        }
-                    ],
-                };
-            }
-
-            // Use the first matching account as fromAddress
-            const fromAddress = filteredAccounts[0].address;
-
-            const [transferErr, result] = await to(
-                transferContractToken('', fromAddress, contract, toAddress, amount, network)
-            );
-            if (transferErr || !result) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to transfer contract tokens: ${transferErr && transferErr.message ? transferErr.message : transferErr}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Contract token transfer successful from ${fromAddress}: ${JSON.stringify(result)}`,
-                    }
+                return errorResult(
+                    `Failed to execute swap: ${errorMessage(err)}.${sentApprovals}`,
+                    ErrorCodes.SWAP_FAILED,
+                    { network: swap.network, confirmationId, action: kind, approvalTransactionHashes, preview }
+                );
+            }
+            refreshResources();
+            return successResult(
+                `Swap executed successfully: ${JSON.stringify(result)}`,
+                {
+                    network: swap.network,
+                    confirmationId,
+                    action: kind,
+                    txHash: result.transactionHash,
+                    approvalTransactionHashes: result.approvalTransactionHashes,
+                    preview,
+                }
+            );
+        }
+
+        const { prepared } = action;
+        const [err, result] = await to(sendPreparedTransaction(password, prepared));
+        if (err instanceof spendingLimits.SpendingLimitError) {
+            return spendingLimitResult(err, spend.amount.decimals, { network: prepared.network, confirmationId, action: kind, preview });
+        }
+        if (err instanceof spendingLimits.SpendingLimitsUnavailableError) {
+            return spendingLimitsUnavailableResult(err, { network: prepared.network, confirmationId, action: kind, preview });
+        }
+        if (err || !result) {
+            return errorResult(
+                `Failed to transfer tokens: ${errorMessage(err)}`,
+                ErrorCodes.TRANSFER_FAILED,
+                { network: prepared.network, confirmationId, action: kind, preview }
+            );
+        }
+        refreshResources();
+        return successResult(
+            `Transfer successful from ${prepared.fromAddress}: ${JSON.stringify(result)}`,
+            { network: prepared.network, confirmationId, action: kind, txHash: result.TransactionHash, preview }
+        );
+    };
+
+    registerTool(
+        'confirmTransaction',
+        {
+            description: 'Sign and send a transfer or swap prepared by transferTokenFromMyWallet, transferContractTokenFromMyWallet or swapTokens. ' +
+                'Only call this after the user has reviewed the preview. The user is asked to approve the signature in the client; ' +
+                'clients without elicitation support fall back to the server approval policy. The wallet must be unlocked, see unlockWallet',
+            inputSchema: {
+                confirmationId: z.string().describe('The confirmationId returned by the prepare step'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                confirmationId: z.string(),
+                action: z.enum(['transfer', 'swap']).optional(),
+                txHash: z.string().optional(),
+                approvalTransactionHashes: z.array(z.string()).optional()
+                    .describe('Approvals a swap broadcast before the swap, also set when the swap failed after them'),
+                preview: z.record(z.any()).optional().describe('The preview that was confirmed'),
+                spendingLimit: spendingLimitBreachSchema.optional().describe('Set when a spending limit rejected the transaction'),
+            },
+        },
+        async ({ confirmationId }, extra) => {
+            const owner = getOwner(extra);
+            const notFound = () => errorResult(
+                `Unknown or expired confirmationId: ${confirmationId}. Prepare the transaction again.`,
+                ErrorCodes.CONFIRMATION_NOT_FOUND,
+                { confirmationId }
+            );
+            // An unknown confirmationId must not restart the idle timeout of the wallet
+            if (!getConfirmation(confirmationId, owner)) {
+                return notFound();
+            }
+            const password = walletSession.getPassword(owner);
+            if (password === null) {
+                // The confirmation stays pending, it can be confirmed once the wallet is unlocked
+                return walletLockedResult({ confirmationId });
+            }
+            const action = takeConfirmation(confirmationId, owner);
+            if (!action) {
+                return notFound();
+            }
+
+            if (!action.idempotencyKey) {
+                return sendConfirmed(action, confirmationId, password, extra);
+            }
+            // A prepare retried with the same key waits here and then returns the transaction sent now
+            return idempotency.runExclusive(owner, action.idempotencyKey, async () => {
+                const [err, record] = await to(idempotency.getRecord(owner, action.idempotencyKey));
+                if (err) {
+                    return errorResult(
+                        `Failed to read idempotencyKey ${action.idempotencyKey}, nothing was signed: ${errorMessage(err)}. Prepare the transaction again.`,
+                        ErrorCodes.QUERY_FAILED,
+                        { network: action.preview.network, confirmationId, action: action.kind }
+                    );
+                }
+                if (record?.txHash) {
+                    return successResult(
+                        `Already sent for idempotencyKey ${action.idempotencyKey}: transaction ${record.txHash}, nothing was signed again`,
+                        { network: action.preview.network, confirmationId, action: action.kind, txHash: record.txHash, preview: record.result.preview }
+                    );
+                }
+                const result = await sendConfirmed(action, confirmationId, password, extra);
+                const { txHash, preview } = result.structuredContent;
+                if (txHash) {
+                    await idempotency.saveResult(owner, action.idempotencyKey, txHash, { preview });
+                }
+                return result;
+            });
+        }
+    );
+
+    registerTool(
+        'cancelTransaction',
+        {
+            description: 'Discard a transfer or swap prepared by a previous call',
+            inputSchema: {
+                confirmationId: z.string().describe('The confirmationId returned by the prepare step'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                confirmationId: z.string(),
+            },
+        },
+        async ({ confirmationId }, extra) => {
+            if (!cancelConfirmation(confirmationId, getOwner(extra))) {
+                return errorResult(
+                    `Unknown or expired confirmationId: ${confirmationId}`,
+                    ErrorCodes.CONFIRMATION_NOT_FOUND,
+                    { confirmationId }
+                );
+            }
+            return successResult(`Cancelled ${confirmationId}`, { confirmationId });
+        }
+    );
+
+    registerTool(
+        'listPendingTransactions',
+        {
+            description: 'List the transfers and swaps this client prepared that are still waiting for confirmTransaction or cancelTransaction, ' +
+                'with their previews',
+            inputSchema: {},
+            outputSchema: {
+                ...baseOutputSchema,
+                pending: z.array(z.object({
+                    confirmationId: z.string(),
+                    expiresAt: z.string(),
+                    action: z.enum(['transfer', 'swap']),
+                    preview: z.record(z.any()),
+                })).optional(),
+            },
+        },
+        async (args, extra) => {
+            const pending = listConfirmations(getOwner(extra)).map(({ confirmationId, expiresAt, action }) => ({
+                confirmationId,
+                expiresAt,
+                action: action.kind,
+                preview: action.preview,
+            }));
+            const lines = pending.map(item =>
+                `${item.confirmationId} (${item.action} on ${item.preview.network}, expires ${item.expiresAt})`
+            );
+            return successResult(
+                pending.length ? `Pending transactions: ${lines.join('; ')}` : 'No pending transactions',
+                { pending }
+            );
+        }
+    );
+
+    registerTool(
+        'unlockWallet',
+        {
+            description: 'Unlock the wallet so that transfers and swaps can be signed. The user enters the password in an elicitation form, ' +
+                'it is never a tool argument; clients without elicitation support cannot unlock. The password is only kept in memory, ' +
+                'for the calling client only, until no transaction was signed for idleTimeout seconds or lockWallet is called. ' +
+                'While the wallet is locked, transfers, swaps and confirmTransaction fail with WALLET_LOCKED',
+            inputSchema: {
+                idleTimeout: z.number().int().min(1).max(MAX_UNLOCK_IDLE_TIMEOUT)
+                    .describe('Seconds without signing before the wallet locks again, defaults to the unlockIdleTimeout configuration')
+                    .optional(),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                ...walletSessionOutputSchema,
+            },
+        },
+        async ({ idleTimeout }, extra) => {
+            const owner = getOwner(extra);
+            const timeout = idleTimeout ?? getConfig().unlockIdleTimeout;
+            const { password, reason } = await requestPassword(server, extra,
+                `Enter the wallet password to unlock signing. It is kept in memory until the wallet has not signed for ${timeout} s`);
+            if (password === null) {
+                return errorResult(`Failed to unlock the wallet: ${reason}`, ErrorCodes.UNLOCK_FAILED, walletSession.getStatus(owner));
+            }
+            const [err, status] = await to(unlockWallet(owner, password, timeout));
+            if (err || !status) {
+                // An earlier session stays unlocked
+                return errorResult(
+                    `Failed to unlock the wallet: ${err ? errorMessage(err) : 'wrong password or the signer is not available'}`,
+                    ErrorCodes.UNLOCK_FAILED,
+                    walletSession.getStatus(owner)
+                );
+            }
+            return successResult(
+                `Wallet unlocked, it locks again after ${status.idleTimeout} s without signing, at ${status.expiresAt} unless it signs before`,
+                status
+            );
+        }
+    );
+
+    registerTool(
+        'lockWallet',
+        {
+            description: 'Lock the wallet and forget its password; transfers and swaps need unlockWallet again',
+            inputSchema: {},
+            outputSchema: {
+                ...baseOutputSchema,
+                ...walletSessionOutputSchema,
+            },
+        },
+        async (args, extra) => successResult('Wallet locked', lockWallet(getOwner(extra)))
+    );
+
+    registerTool(
+        'signMessage',
+        {
+            description: 'Sign an off-chain message with a wallet account, e.g. a dApp login: personal_sign on EVM networks, ' +
+                'signMessage on Solana, signMessageV2 on Tron, a personal message on Sui. Nothing is broadcast. ' +
+                'The user is asked to approve the decoded message first. The wallet must be unlocked, see unlockWallet. ' +
+                'Use signTypedData for EIP-712 typed data',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                message: z.string().describe('The message to sign, text or hex depending on encoding'),
+                encoding: z.enum(Object.values(messages.MessageEncodings))
+                    .describe('"utf8" for a text message, "hex" for bytes given as hex (0x prefix optional)')
+                    .optional()
+                    .default(messages.MessageEncodings.UTF8),
+                ...sendingAccountInputSchema,
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                fromAddress: z.string().optional(),
+                scheme: z.string().optional().describe('Signing scheme of the chain, e.g. personal_sign'),
+                message: z.object({
+                    text: z.string().nullable().describe('The message as text, null if it is not printable UTF-8'),
+                    hex: z.string(),
+                    length: z.number().describe('Length in bytes'),
+                }).optional(),
+                signature: z.string().optional().describe('0x hex on EVM networks and Tron, Base58 on Solana, Base64 on Sui'),
+            },
+        },
+        async ({ network, message, encoding, fromAddress: requestedAddress, accountIndex }, extra) => {
+            const scheme = messages.MessageSchemes[getChainType(network)];
+            if (!scheme) {
+                return errorResult(`Message signing is not supported on ${network}`, ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            let bytes;
+            try {
+                bytes = messages.decodeMessage(message, encoding);
+            } catch (err) {
+                return errorResult(`Invalid message: ${err.message}`, ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            if (bytes.length === 0) {
+                return errorResult('Invalid message: it is empty', ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            const preview = messages.describeMessage(bytes);
+            const account = await getSendingAccount(network, { fromAddress: requestedAddress, accountIndex });
+            if (account.error) {
+                return errorResult(account.error, ErrorCodes.ACCOUNT_NOT_FOUND, { network, scheme, message: preview });
+            }
+            const fromAddress = account.address;
+            const data = { network, fromAddress, scheme, message: preview };
+            const owner = getOwner(extra);
+            if (!walletSession.isUnlocked(owner)) {
+                return walletLockedResult(data);
+            }
+
+            const approval = await requestApproval(server, extra, {
+                network,
+                title: `Approve signing this message with ${fromAddress}?`,
+                action: 'Sign this message, nothing is broadcast',
+                lines: [
+                    `Network: ${network} (${scheme})`,
+                    preview.text !== null ? `Message: ${preview.text}` : `Message (not text, hex): ${preview.hex}`,
+                    `Length: ${preview.length} bytes`,
                 ],
-            };
+            }, approvalPolicy);
+            if (!approval.approved) {
+                return errorResult(`Signing was not approved: ${approval.reason}`, ErrorCodes.APPROVAL_DENIED, data);
+            }
+
+            // Only a signature restarts the idle timeout, the wallet may have locked while the user decided
+            const password = walletSession.getPassword(owner);
+            if (password === null) {
+                return walletLockedResult(data);
+            }
+            const hex = bytes.toString('hex');
+            const input = getChainType(network) === 'ETHEREUM' ? { signature_type: 'PERSONAL_SIGN', message: hex } : { message: hex };
+            const [err, signature] = await to(signMessage(password, network, fromAddress, input));
+            if (err || !signature) {
+                return errorResult(
+                    `Failed to sign message: ${err ? errorMessage(err) : 'the signer refused or failed, see the server log'}`,
+                    ErrorCodes.SIGNING_FAILED,
+                    data
+                );
+            }
+            return successResult(
+                `Signed ${preview.length}-byte message with ${fromAddress} on ${network} (${scheme}): ${signature}`,
+                { ...data, signature }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
+        'signTypedData',
+        {
+            description: 'Sign EIP-712 typed data (eth_signTypedData_v4) with a wallet EVM account, e.g. an off-chain order or a token permit. ' +
+                'Nothing is broadcast, but a Permit2 or EIP-2612 permit lets its spender move tokens: the decoded permit and any unlimited ' +
+                'amount are shown to the user for approval. The domain must have a chainId, the chain id of network. ' +
+                'The wallet must be unlocked, see unlockWallet',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                typedData: z.union([typedDataSchema, z.string()])
+                    .describe('The typed data { domain, types, primaryType, message }, as an object or as the JSON string the dApp sent'),
+                ...sendingAccountInputSchema,
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                fromAddress: z.string().optional(),
+                chainId: z.string().nullable().optional().describe('Chain id of the domain, null if the domain has none'),
+                primaryType: z.string().optional(),
+                domain: z.record(z.any()).optional(),
+                hash: z.string().optional().describe('EIP-712 hash that is signed'),
+                permit: permitSchema.nullable().optional().describe('Set when the typed data is a Permit2 or EIP-2612 permit'),
+                warnings: z.array(z.string()).optional(),
+                signature: z.string().optional(),
+            },
+        },
+        async ({ network, typedData: typedDataArg, fromAddress: requestedAddress, accountIndex }, extra) => {
+            if (getChainType(network) !== 'ETHEREUM') {
+                return errorResult(`Typed data is only signed on EVM networks, not on ${network}`, ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            const networkChainId = getEvmChainId(network);
+            if (networkChainId === null) {
+                return errorResult(`Unknown chain id of network ${network}`, ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            const read = readTypedData(typedDataArg);
+            if (read.error) {
+                return errorResult(read.error, ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            let typedData;
+            let chainId;
+            let permit;
+            try {
+                typedData = messages.parseTypedData(read.typedData);
+                chainId = messages.getDomainChainId(typedData.domain);
+                permit = messages.decodePermit(typedData);
+            } catch (err) {
+                return errorResult(`Invalid typedData: ${err.message}`, ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+            const { domain, primaryType, hash } = typedData;
+            // Without a chainId the signature would replay on every chain, e.g. on mainnet after a testnet-only approval
+            if (chainId === null) {
+                return errorResult(
+                    `Typed data without a domain chainId is valid on every chain, ${network} is chain ${networkChainId}. Nothing was signed`,
+                    ErrorCodes.CHAIN_ID_MISMATCH,
+                    { network, chainId, primaryType, domain, hash }
+                );
+            }
+            if (chainId !== String(networkChainId)) {
+                return errorResult(
+                    `Typed data is for chain ${chainId}, but ${network} is chain ${networkChainId}. Nothing was signed`,
+                    ErrorCodes.CHAIN_ID_MISMATCH,
+                    { network, chainId, primaryType, domain, hash }
+                );
+            }
+            const account = await getSendingAccount(network, { fromAddress: requestedAddress, accountIndex });
+            if (account.error) {
+                return errorResult(account.error, ErrorCodes.ACCOUNT_NOT_FOUND, { network, chainId, primaryType, domain, hash });
+            }
+            const fromAddress = account.address;
+            if (permit?.owner && !isSameAddress(permit.owner, fromAddress)) {
+                return errorResult(
+                    `The permit owner ${permit.owner} is not the signing account ${fromAddress}`,
+                    ErrorCodes.INVALID_PARAMETERS,
+                    { network, fromAddress, chainId, primaryType, domain, hash }
+                );
+            }
+            const owner = getOwner(extra);
+            if (!walletSession.isUnlocked(owner)) {
+                return walletLockedResult({ network, fromAddress, chainId, primaryType, domain, hash });
+            }
+
+            const described = permit ? await describePermit(network, permit) : { permit: null, lines: [], warnings: [] };
+            const { warnings } = described;
+            const data = { network, fromAddress, chainId, primaryType, domain, hash, permit: described.permit, warnings };
+
+            const approval = await requestApproval(server, extra, {
+                network,
+                title: `Approve signing this ${permit ? `${permit.standard} permit` : 'typed data'} with ${fromAddress}?`,
+                action: permit ? 'Sign this permit, the spender can use it to move your tokens' : 'Sign this typed data, nothing is broadcast',
+                lines: [
+                    ...warnings.map(warning => `Warning: ${warning}`),
+                    ...described.lines,
+                    ...messages.describeTypedData(typedData),
+                ],
+            }, approvalPolicy);
+            if (!approval.approved) {
+                return errorResult(`Signing was not approved: ${approval.reason}`, ErrorCodes.APPROVAL_DENIED, data);
+            }
+
+            const password = walletSession.getPassword(owner);
+            if (password === null) {
+                return walletLockedResult(data);
+            }
+            const input = { signature_type: 'EIP712', typed_data: { domain, types: typedData.types, primaryType, message: typedData.message } };
+            const [err, signature] = await to(signMessage(password, network, fromAddress, input));
+            if (err || !signature) {
+                return errorResult(
+                    `Failed to sign typed data: ${err ? errorMessage(err) : 'the signer refused or failed, see the server log'}`,
+                    ErrorCodes.SIGNING_FAILED,
+                    data
+                );
+            }
+            return successResult(
+                `Signed ${permit ? `${permit.standard} permit` : `${primaryType} typed data`} with ${fromAddress} on ${network}: ${signature}` +
+                (warnings.length ? `. Warnings: ${warnings.join('; ')}` : ''),
+                { ...data, signature }
+            );
+        }
+    );
+
+    registerTool(
         'accountList',
-        'Get the list of accounts from my wallet',
-        {},
+        {
+            description: 'Get the list of accounts from my wallet',
+            inputSchema: {},
+            outputSchema: {
+                ...baseOutputSchema,
+                accounts: z.array(z.object({
+                    chain_type: z.string(),
+                    address: z.string(),
+                })).optional(),
+            },
+        },
         async () => {
             const [err, accountList] = await to(deriveAccountList());
+            if (err || !accountList) {
+                return errorResult(
+                    `Failed to derive account list: ${err ? err.message || err : 'no accounts returned'}`,
+                    ErrorCodes.ACCOUNT_NOT_FOUND
+                );
+            }
+            return successResult(
+                `Account list: ${JSON.stringify(accountList)}`,
+                { accounts: accountList }
+            );
+        }
+    );
+
+    registerTool(
+        'getGasPrice',
+        {
+            description: 'Get the current gas price of a blockchain network (wei for EVM chains, sat/vB for Bitcoin)',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                gasPrice: z.string().optional().describe('Gas price in the smallest unit of the native coin'),
+            },
+        },
+        async ({ network }) => {
+            const [err, gasPrice] = await to(getGasPrice(network));
+            if (err || !gasPrice) {
+                return errorResult(`Failed to get gas price on network: ${network}`, ErrorCodes.QUERY_FAILED, { network });
+            }
+            return successResult(
+                `The gas price on ${network} is: ${gasPrice.gas_price}`,
+                { network, gasPrice: String(gasPrice.gas_price) }
+            );
+        }
+    );
+
+    registerTool(
+        'getTransactionHistory',
+        {
+            description: 'Get the transaction history of a Blockchain address',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The address to get the history of'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                address: z.string(),
+                history: z.any().optional().describe('Transaction history as returned by the wallet proxy'),
+            },
+        },
+        async ({ network, address }) => {
+            const [err, history] = await to(getTransactionHistory(network, address));
+            if (err || !history) {
+                return errorResult(
+                    `Failed to get transaction history for address: ${address} on network: ${network}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, address }
+                );
+            }
+            return successResult(
+                `Transaction history of ${address} on ${network}: ${JSON.stringify(history)}`,
+                { network, address, history }
+            );
+        }
+    );
+
+    registerTool(
+        'getTokenTransactionHistory',
+        {
+            description: 'Get the token transaction history of a Blockchain address for a specific contract',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The address to get the history of'),
+                contract: z.string().describe('The token contract address (ERC20/SPL/etc)'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                address: z.string(),
+                contract: z.string(),
+                history: z.any().optional().describe('Token transaction history as returned by the wallet proxy'),
+            },
+        },
+        async ({ network, address, contract }) => {
+            const [err, history] = await to(getTokenTransactionHistory(network, address, contract));
+            if (err || !history) {
+                return errorResult(
+                    `Failed to get token transaction history for address: ${address} on network: ${network} contract: ${contract}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, address, contract }
+                );
+            }
+            return successResult(
+                `Token transaction history of ${address} on ${network} for contract ${contract}: ${JSON.stringify(history)}`,
+                { network, address, contract, history }
+            );
+        }
+    );
+
+    registerTool(
+        'getTransactionDetail',
+        {
+            description: 'Get the details of a transaction by its hash',
+            inputSchema: {
+                txHash: z.string().describe('The transaction hash'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                txHash: z.string(),
+                detail: z.any().optional().describe('Transaction detail as returned by the wallet proxy'),
+            },
+        },
+        async ({ txHash }) => {
+            const [err, detail] = await to(getTransactionDetail(txHash));
+            if (err || !detail) {
+                return errorResult(`Failed to get transaction detail for: ${txHash}`, ErrorCodes.QUERY_FAILED, { txHash });
+            }
+            return successResult(
+                `Transaction detail of ${txHash}: ${JSON.stringify(detail)}`,
+                { txHash, detail }
+            );
+        }
+    );
+
+    registerTool(
+        'getPrice',
+        {
+            description: 'Get the USD price of a token by its symbol',
+            inputSchema: {
+                symbol: z.string().describe('The token symbol, e.g. "ETH"'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                symbol: z.string(),
+                price: z.union([z.number(), z.string()]).nullable().optional(),
+            },
+        },
+        async ({ symbol }) => {
+            const [err, price] = await to(getPrice(symbol));
+            if (err || !price) {
+                return errorResult(`Failed to get price of: ${symbol}`, ErrorCodes.QUERY_FAILED, { symbol });
+            }
+            return successResult(
+                `The price of ${symbol} is: ${JSON.stringify(price)}`,
+                { symbol, price: price.token_price ?? null }
+            );
+        }
+    );
+
+    registerTool(
+        'getExchangeRate',
+        {
+            description: 'Get the exchange rate of a fiat currency against USD',
+            inputSchema: {
+                currency: z.string().describe('The currency code, e.g. "EUR"'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                currency: z.string(),
+                rate: z.any().optional().describe('Exchange rate as returned by the wallet proxy'),
+            },
+        },
+        async ({ currency }) => {
+            const [err, rate] = await to(getExchangeRate(currency));
+            if (err || !rate) {
+                return errorResult(`Failed to get exchange rate of: ${currency}`, ErrorCodes.QUERY_FAILED, { currency });
+            }
+            return successResult(
+                `The exchange rate of ${currency} is: ${JSON.stringify(rate)}`,
+                { currency, rate }
+            );
+        }
+    );
+
+    const tokenListOutputSchema = {
+        ...baseOutputSchema,
+        address: z.string(),
+        tokens: z.array(z.object({
+            contract_address: z.string().describe('Empty for the native coin'),
+            symbol: z.string().nullable().optional(),
+            name: z.string().nullable().optional(),
+            decimal: z.number().nullable().optional(),
+            price: z.union([z.number(), z.string()]).nullable(),
+            balance: amountSchema,
+        }).passthrough()).optional(),
+    };
+
+    // Helper function to attach formatted balances to token list rows
+    const toTokenList = tokens => tokens.map(token => ({
+        ...token,
+        balance: toAmount(token.balance, typeof token.decimal === 'number' ? token.decimal : null),
+    }));
+
+    registerTool(
+        'getTokenList',
+        {
+            description: 'Get the tokens tracked for a Blockchain address in the local wallet database, with prices and balances',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The wallet address'),
+            },
+            outputSchema: tokenListOutputSchema,
+        },
+        async ({ network, address }) => {
+            const [err, tokens] = await to(getTokenList(network, address));
+            if (err || !tokens) {
+                return errorResult(
+                    `Failed to get token list for address: ${address} on network: ${network}: ${errorMessage(err)}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, address }
+                );
+            }
+            return successResult(
+                `Token list of ${address} on ${network}: ${JSON.stringify(tokens)}`,
+                { network, address, tokens: toTokenList(tokens) }
+            );
+        }
+    );
+
+    registerTool(
+        'getDefaultTokenList',
+        {
+            description: 'Get the default tokens of a network from the local wallet database, with prices and balances for an address',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The wallet address used for balances'),
+            },
+            outputSchema: tokenListOutputSchema,
+        },
+        async ({ network, address }) => {
+            const [err, tokens] = await to(getDefaultTokenList(network, address));
+            if (err || !tokens) {
+                return errorResult(
+                    `Failed to get default token list on network: ${network}: ${errorMessage(err)}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, address }
+                );
+            }
+            return successResult(
+                `Default token list on ${network}: ${JSON.stringify(tokens)}`,
+                { network, address, tokens: toTokenList(tokens) }
+            );
+        }
+    );
+
+    const tokenEntrySchema = z.object({
+        network: z.string().describe(NetworkDescribe),
+        address: z.string().describe('The wallet address the token belongs to'),
+        contractAddress: z.string().describe('The token contract address, empty for the native coin').optional().default(''),
+    });
+
+    registerTool(
+        'addToken',
+        {
+            description: 'Add tokens to the token list of wallet addresses in the local wallet database',
+            inputSchema: {
+                tokens: z.array(tokenEntrySchema.extend({
+                    symbol: z.string().describe('The token symbol'),
+                    decimal: z.number().int().describe('The token decimals'),
+                    name: z.string().describe('The token name'),
+                })).min(1),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                count: z.number().optional(),
+            },
+        },
+        async ({ tokens }) => {
+            const [err, success] = await to(addToken(tokens));
+            if (err || !success) {
+                return errorResult(`Failed to add tokens: ${err ? errorMessage(err) : 'wallet database is not available'}`, ErrorCodes.UPDATE_FAILED);
+            }
+            // Token list subscribers see the change without waiting for the next poll
+            refreshResources();
+            return successResult(`Added ${tokens.length} token(s)`, { count: tokens.length });
+        }
+    );
+
+    registerTool(
+        'deleteToken',
+        {
+            description: 'Remove tokens from the token list of wallet addresses in the local wallet database',
+            inputSchema: {
+                tokens: z.array(tokenEntrySchema).min(1),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                count: z.number().optional(),
+            },
+        },
+        async ({ tokens }) => {
+            const [err, success] = await to(deleteToken(tokens));
+            if (err || !success) {
+                return errorResult(`Failed to delete tokens: ${err ? errorMessage(err) : 'wallet database is not available'}`, ErrorCodes.UPDATE_FAILED);
+            }
+            refreshResources();
+            return successResult(`Deleted ${tokens.length} token(s)`, { count: tokens.length });
+        }
+    );
+
+    // Spending limits, checked before anything is signed
+    const spendingLimitSchema = z.object({
+        network: z.string(),
+        contractAddress: z.string().describe('Token contract, empty for the native coin'),
+        perTransaction: amountSchema.nullable().describe('Largest single transaction, null if unlimited'),
+        daily: amountSchema.nullable().describe('Limit of a rolling 24 hours, null if unlimited'),
+        weekly: amountSchema.nullable().describe('Limit of a rolling 7 days, null if unlimited'),
+        spentDaily: amountSchema.describe('Spent in the last 24 hours, including transactions being signed'),
+        spentWeekly: amountSchema.describe('Spent in the last 7 days, including transactions being signed'),
+        headroom: amountSchema.nullable().describe('What can still be sent now, null if unlimited'),
+        updatedAt: z.string().nullable(),
+    });
+
+    const spendingLimitInputSchema = z.string().describe('Limit in the smallest unit unless unit is "human", null removes it').nullable().optional();
+
+    // Helper function to resolve the decimals of the token a spending limit applies to
+    async function getLimitDecimals(network, contractAddress) {
+        return contractAddress ? getTokenDecimals(network, contractAddress) : getNativeDecimals(network);
+    }
+
+    function toSpendingLimit(status, decimals) {
+        const { SpendingWindows } = spendingLimits;
+        const limit = window => (status.limits[window] === null ? null : toAmount(status.limits[window], decimals));
+        return {
+            network: status.network,
+            contractAddress: status.contractAddress,
+            perTransaction: limit(SpendingWindows.PER_TRANSACTION),
+            daily: limit(SpendingWindows.DAILY),
+            weekly: limit(SpendingWindows.WEEKLY),
+            spentDaily: toAmount(status.spent.daily, decimals),
+            spentWeekly: toAmount(status.spent.weekly, decimals),
+            headroom: status.headroom === null ? null : toAmount(status.headroom, decimals),
+            updatedAt: status.updatedAt ? new Date(status.updatedAt * 1000).toISOString() : null,
+        };
+    }
+
+    // Helper function to check if new limits allow more than the current ones; null is unlimited
+    function isLoosening(current, next) {
+        return Object.keys(next).some(window =>
+            current[window] !== null && (next[window] === null || BigInt(next[window]) > BigInt(current[window]))
+        );
+    }
+
+    // Helper function to let a human approve limit changes that allow spending more
+    async function approveLimitChange(extra, network, lines) {
+        return requestApproval(server, extra, { title: 'Approve this spending limit change?', network, lines }, approvalPolicy);
+    }
+
+    registerTool(
+        'getSpendingLimits',
+        {
+            description: 'Get the spending limits (per transaction, rolling 24 hours, rolling 7 days) of each network and token, ' +
+                'with what was spent and the headroom left',
+            inputSchema: {
+                network: z.string().describe(`Only limits of this network. ${NetworkDescribe}`).optional(),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                limits: z.array(spendingLimitSchema).optional(),
+            },
+        },
+        async ({ network }) => {
+            const [err, list] = await to(spendingLimits.listSpendingLimits(network));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to derive account list: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Account list: ${JSON.stringify(accountList)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to get spending limits: ${errorMessage(err)}`, ErrorCodes.QUERY_FAILED, { network });
+            }
+            const limits = [];
+            for (const status of list) {
+                limits.push(toSpendingLimit(status, await getLimitDecimals(status.network, status.contractAddress)));
+            }
+            return successResult(
+                limits.length ? `Spending limits: ${JSON.stringify(limits)}` : 'No spending limits are set',
+                { network, limits }
+            );
+        }
+    );
+
+    registerTool(
+        'setSpendingLimit',
+        {
+            description: 'Set the spending limits of the native coin or a token on a network. Omitted limits keep their value, null removes a limit. ' +
+                'Raising or removing a limit has to be approved by the user',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                contractAddress: z.string().describe('The token contract address, empty for the native coin').optional().default(''),
+                perTransaction: spendingLimitInputSchema,
+                daily: spendingLimitInputSchema,
+                weekly: spendingLimitInputSchema,
+                unit: amountUnitSchema,
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                limit: spendingLimitSchema.optional(),
+            },
+        },
+        async ({ network, contractAddress, perTransaction, daily, weekly, unit }, extra) => {
+            const changes = Object.entries({ perTransaction, daily, weekly }).filter(([, value]) => value !== undefined);
+            if (changes.length === 0) {
+                return errorResult('Pass at least one of perTransaction, daily or weekly', ErrorCodes.INVALID_PARAMETERS, { network });
+            }
+
+            const decimals = await getLimitDecimals(network, contractAddress);
+            const [statusErr, status] = await to(spendingLimits.getSpendingStatus(network, contractAddress));
+            if (statusErr) {
+                return errorResult(`Failed to get spending limits: ${errorMessage(statusErr)}`, ErrorCodes.QUERY_FAILED, { network });
+            }
+            const next = { ...status.limits };
+            for (const [window, value] of changes) {
+                if (value === null) {
+                    next[window] = null;
+                    continue;
+                }
+                const raw = toRawAmount(value, unit, decimals);
+                if (raw.error) {
+                    return errorResult(`Invalid ${window} limit: ${raw.error}`, ErrorCodes.INVALID_PARAMETERS, { network });
+                }
+                next[window] = raw.raw;
+            }
+
+            if (isLoosening(status.limits, next)) {
+                const describe = limits => Object.entries(limits)
+                    .map(([window, value]) => `${window} ${value === null ? 'unlimited' : describeAmount(toAmount(value, decimals))}`)
+                    .join(', ');
+                const approval = await approveLimitChange(extra, status.network, [
+                    `Network: ${status.network}`,
+                    `Token: ${status.contractAddress || 'native coin'}`,
+                    `Current: ${describe(status.limits)}`,
+                    `New: ${describe(next)}`,
+                ]);
+                if (!approval.approved) {
+                    return errorResult(`Spending limit change was not approved: ${approval.reason}`, ErrorCodes.APPROVAL_DENIED, { network });
+                }
+            }
+
+            const [err, success] = await to(spendingLimits.setSpendingLimit(network, contractAddress, next));
+            if (err || !success) {
+                return errorResult(
+                    `Failed to set spending limit: ${err ? errorMessage(err) : 'wallet database is not available'}`,
+                    ErrorCodes.UPDATE_FAILED,
+                    { network }
+                );
+            }
+            const limit = toSpendingLimit(await spendingLimits.getSpendingStatus(network, contractAddress), decimals);
+            return successResult(`Spending limit set: ${JSON.stringify(limit)}`, { network: limit.network, limit });
+        }
+    );
+
+    registerTool(
+        'deleteSpendingLimit',
+        {
+            description: 'Remove all spending limits of the native coin or a token on a network. This has to be approved by the user',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                contractAddress: z.string().describe('The token contract address, empty for the native coin').optional().default(''),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                contractAddress: z.string().optional(),
+            },
+        },
+        async ({ network, contractAddress }, extra) => {
+            const [statusErr, status] = await to(spendingLimits.getSpendingStatus(network, contractAddress));
+            if (statusErr) {
+                return errorResult(`Failed to get spending limits: ${errorMessage(statusErr)}`, ErrorCodes.QUERY_FAILED, { network, contractAddress });
+            }
+            if (status.updatedAt === null) {
+                return errorResult(
+                    `No spending limit is set for ${status.contractAddress || 'the native coin'} on ${status.network}`,
+                    ErrorCodes.INVALID_PARAMETERS,
+                    { network, contractAddress }
+                );
+            }
+
+            const approval = await approveLimitChange(extra, status.network, [
+                `Network: ${status.network}`,
+                `Token: ${status.contractAddress || 'native coin'}`,
+                'Remove all spending limits',
+            ]);
+            if (!approval.approved) {
+                return errorResult(`Spending limit change was not approved: ${approval.reason}`, ErrorCodes.APPROVAL_DENIED, { network, contractAddress });
+            }
+
+            const [err, success] = await to(spendingLimits.deleteSpendingLimit(network, contractAddress));
+            if (err || !success) {
+                return errorResult(
+                    `Failed to delete spending limit: ${err ? errorMessage(err) : 'wallet database is not available'}`,
+                    ErrorCodes.UPDATE_FAILED,
+                    { network, contractAddress }
+                );
+            }
+            return successResult(
+                `Removed the spending limits of ${status.contractAddress || 'the native coin'} on ${status.network}`,
+                { network: status.network, contractAddress: status.contractAddress }
+            );
+        }
+    );
+
+    // Address book, contacts can be used as recipients by label
+    const contactSchema = z.object({
+        network: z.string(),
+        address: z.string(),
+        label: z.string(),
+        note: z.string().nullable(),
+        createdAt: z.string().nullable(),
+    });
+
+    registerTool(
+        'listContacts',
+        {
+            description: 'List the address book contacts, optionally of one network only',
+            inputSchema: {
+                network: z.string().describe(`Only contacts of this network. ${NetworkDescribe}`).optional(),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                recipientPolicy: z.string().optional().describe(`One of ${Object.values(RecipientPolicies).join(', ')}`),
+                contacts: z.array(contactSchema).optional(),
+            },
+        },
+        async ({ network }) => {
+            const [err, contacts] = await to(addressBook.listContacts(network));
+            if (err) {
+                return errorResult(`Failed to list contacts: ${errorMessage(err)}`, ErrorCodes.QUERY_FAILED, { network });
+            }
+            return successResult(
+                contacts.length ? `Contacts: ${JSON.stringify(contacts)}` : 'The address book is empty',
+                { network, recipientPolicy, contacts }
+            );
+        }
+    );
+
+    // Helper function to ask for the approval of an address book change when contacts decide where transfers may go.
+    // Returns an error result when it is not approved, null otherwise
+    const approveContactChange = async (extra, network, title, lines) => {
+        if (recipientPolicy !== RecipientPolicies.ALLOWLIST) {
+            return null;
+        }
+        const approval = await requestApproval(server, extra, {
+            title,
+            network: network.toUpperCase(),
+            lines: [`Network: ${network.toUpperCase()}`, ...lines],
+        }, approvalPolicy);
+        return approval.approved
+            ? null
+            : errorResult(`Contact change was not approved: ${approval.reason}`, ErrorCodes.APPROVAL_DENIED, { network });
+    };
+
+    registerTool(
+        'addContact',
+        {
+            description: 'Add an address to the address book under a unique label, or update the label and note of an existing contact. ' +
+                'When the server only allows transfers to contacts, the user has to approve the new contact',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                address: z.string().describe('The contact address'),
+                label: z.string().describe('A unique name for the contact on this network, e.g. "alice"'),
+                note: z.string().describe('A free text note').optional(),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                contact: contactSchema.optional(),
+            },
+        },
+        async ({ network, address, label, note }, extra) => {
+            const denied = await approveContactChange(extra, network,
+                'Approve this address book contact? Transfers to it will be allowed', [`Label: ${label}`, `Address: ${address}`]);
+            if (denied) {
+                return denied;
+            }
+
+            const [err, success] = await to(addressBook.addContact(network, address, label, note));
+            if (err || !success) {
+                return errorResult(
+                    `Failed to add contact: ${err ? errorMessage(err) : 'wallet database is not available'}`,
+                    err ? ErrorCodes.INVALID_PARAMETERS : ErrorCodes.UPDATE_FAILED,
+                    { network }
+                );
+            }
+            const contact = await addressBook.findContact(network, address.trim());
+            return successResult(`Added contact ${contact.label} (${contact.address}) on ${contact.network}`, { network: contact.network, contact });
+        }
+    );
+
+    registerTool(
+        'labelContact',
+        {
+            description: 'Change the label of an address book contact. ' +
+                'When the server only allows transfers to contacts, the user has to approve the change',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                contact: z.string().describe('The contact address or current label'),
+                label: z.string().describe('The new label'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                contact: contactSchema.optional(),
+            },
+        },
+        async ({ network, contact: addressOrLabel, label }, extra) => {
+            // Show the address the label will point to, a relabel can move a trusted name to another contact
+            const [findErr, current] = await to(addressBook.findContact(network, addressOrLabel));
+            if (findErr || !current) {
+                return errorResult(
+                    `Failed to label contact: ${findErr ? errorMessage(findErr) : `No contact ${addressOrLabel} on ${network.toUpperCase()}`}`,
+                    ErrorCodes.INVALID_PARAMETERS,
+                    { network }
+                );
+            }
+            const denied = await approveContactChange(extra, network,
+                'Approve relabelling this address book contact? Transfers to the new label will go to its address',
+                [`Address: ${current.address}`, `Label: ${current.label} -> ${label}`]);
+            if (denied) {
+                return denied;
+            }
+            const [err, success] = await to(addressBook.labelContact(network, addressOrLabel, label));
+            if (err || !success) {
+                return errorResult(
+                    `Failed to label contact: ${err ? errorMessage(err) : 'wallet database is not available'}`,
+                    err ? ErrorCodes.INVALID_PARAMETERS : ErrorCodes.UPDATE_FAILED,
+                    { network }
+                );
+            }
+            const contact = await addressBook.findContact(network, label.trim());
+            return successResult(`Contact ${contact.address} is now labelled ${contact.label}`, { network: contact.network, contact });
+        }
+    );
+
+    registerTool(
+        'removeContact',
+        {
+            description: 'Remove a contact from the address book. ' +
+                'When the server only allows transfers to contacts, the user has to approve the removal',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                contact: z.string().describe('The contact address or label'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                contact: contactSchema.optional(),
+            },
+        },
+        async ({ network, contact: addressOrLabel }, extra) => {
+            const [findErr, current] = await to(addressBook.findContact(network, addressOrLabel));
+            if (findErr || !current) {
+                return errorResult(
+                    `Failed to remove contact: ${findErr ? errorMessage(findErr) : `No contact ${addressOrLabel} on ${network.toUpperCase()}`}`,
+                    ErrorCodes.INVALID_PARAMETERS,
+                    { network }
+                );
+            }
+            const denied = await approveContactChange(extra, network,
+                'Approve removing this address book contact? Transfers to it will no longer be allowed',
+                [`Label: ${current.label}`, `Address: ${current.address}`]);
+            if (denied) {
+                return denied;
+            }
+            const [err, contact] = await to(addressBook.removeContact(network, addressOrLabel));
+            if (err || !contact) {
+                return errorResult(
+                    `Failed to remove contact: ${err ? errorMessage(err) : 'wallet database is not available'}`,
+                    err ? ErrorCodes.INVALID_PARAMETERS : ErrorCodes.UPDATE_FAILED,
+                    { network }
+                );
+            }
+            return successResult(`Removed contact ${contact.label} (${contact.address}) from ${contact.network}`, { network: contact.network, contact });
+        }
+    );
+
+    // Audit log of every tool call, hash-chained so edits and deletions are detectable
+    const auditEntrySchema = z.object({
+        seq: z.number(),
+        timestamp: z.string(),
+        tool: z.string(),
+        args: z.string().describe('Tool arguments as JSON, secrets redacted'),
+        fromAddress: z.string().nullable(),
+        payloadHash: z.string().nullable().describe('SHA-256 of the unsigned payload handed to the signer, comma separated if several'),
+        signature: z.string().nullable().describe('"signed" or why signing failed'),
+        txHash: z.string().nullable(),
+        error: z.string().nullable(),
+        prevHash: z.string(),
+        hash: z.string(),
+    });
+
+    const auditChainSchema = z.object({
+        valid: z.boolean(),
+        count: z.number(),
+        brokenAt: z.number().nullable().describe('First entry that does not chain to the previous one'),
+        reason: z.string().nullable(),
+    });
+
+    const auditFilterSchema = {
+        tool: z.string().describe('Only calls of this tool').optional(),
+        since: z.string().describe('Only entries at or after this ISO timestamp, e.g. 2025-01-31T00:00:00Z').optional(),
+        until: z.string().describe('Only entries at or before this ISO timestamp').optional(),
+    };
+
+    // Helper function to turn ISO timestamps into the stored format, returns { filter } or { error }
+    function toAuditFilter({ tool, since, until }) {
+        const filter = { tool };
+        for (const [key, value] of Object.entries({ since, until })) {
+            if (value === undefined) {
+                continue;
+            }
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return { error: `Invalid ${key} timestamp: ${value}` };
+            }
+            filter[key] = date.toISOString();
+        }
+        return { filter };
+    }
+
+    registerTool(
+        'getAuditLog',
+        {
+            description: 'Read the audit log of tool calls (arguments, sending address, signed payload hash, signature result, tx hash, error), ' +
+                'oldest first, and verify its hash chain',
+            inputSchema: {
+                ...auditFilterSchema,
+                limit: z.number().int().min(1).max(500).optional().default(50),
+                offset: z.number().int().min(0).optional().default(0),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                entries: z.array(auditEntrySchema).optional(),
+                chain: auditChainSchema.optional(),
+            },
+        },
+        async ({ tool, since, until, limit, offset }) => {
+            const { filter, error } = toAuditFilter({ tool, since, until });
+            if (error) {
+                return errorResult(error, ErrorCodes.INVALID_PARAMETERS);
+            }
+            const [err, [entries, chain] = []] = await to(Promise.all([
+                audit.queryEntries({ ...filter, limit, offset }),
+                audit.verifyChain(),
+            ]));
+            if (err) {
+                return errorResult(`Failed to read the audit log: ${errorMessage(err)}`, ErrorCodes.QUERY_FAILED);
+            }
+            return successResult(
+                `${entries.length} audit entries, hash chain ${chain.valid ? 'intact' : `broken at entry ${chain.brokenAt}: ${chain.reason}`}: ` +
+                JSON.stringify(entries),
+                { entries, chain }
+            );
+        }
+    );
+
+    registerTool(
+        'exportAuditLog',
+        {
+            description: 'Export the audit log as JSONL, one entry per line with the hashes needed to re-verify the chain',
+            inputSchema: auditFilterSchema,
+            outputSchema: {
+                ...baseOutputSchema,
+                count: z.number().optional(),
+                chain: auditChainSchema.optional(),
+            },
+        },
+        async ({ tool, since, until }) => {
+            const { filter, error } = toAuditFilter({ tool, since, until });
+            if (error) {
+                return errorResult(error, ErrorCodes.INVALID_PARAMETERS);
+            }
+            const [err, [entries, chain] = []] = await to(Promise.all([audit.queryEntries(filter), audit.verifyChain()]));
+            if (err) {
+                return errorResult(`Failed to export the audit log: ${errorMessage(err)}`, ErrorCodes.QUERY_FAILED);
+            }
+            return successResult(audit.toJsonl(entries), { count: entries.length, chain });
+        }
+    );
+
+    // Uniswap on-chain quote tools, read-only
+    const swapQuoteRouteSchema = z.object({
+        version: z.string(),
+        poolAddress: z.string(),
+        fee: z.number().nullable().describe('Pool fee in hundredths of a bip'),
+        feeTierName: z.string().nullable(),
+        amountOut: amountSchema,
+        priceImpact: z.number().nullable().describe('Price impact in percent'),
+    });
+
+    // Helper function to turn a library quote/pool entry into a swapQuoteRouteSchema object
+    const toSwapQuoteRoute = (route, decimalsOut) => ({
+        version: route.version,
+        poolAddress: route.poolAddress,
+        fee: route.fee ?? null,
+        feeTierName: route.feeTierName ?? null,
+        amountOut: toAmount(route.amountOut ?? route.expectedOutput, decimalsOut),
+        priceImpact: route.priceImpact ?? null,
+    });
+
+    const swapPairInputSchema = {
+        network: z.string().describe(NetworkDescribe),
+        tokenIn: z.string().describe('The symbol or address of the input token (e.g., "eth" or ERC20 address)'),
+        tokenOut: z.string().describe('The symbol or address of the output token (e.g., "usdc" or ERC20 address)'),
+        amountIn: z.string().describe('The amount to swap (as a string, in the smallest unit unless unit is "human")'),
+        unit: amountUnitSchema,
+    };
+
+    // Helper function to resolve the tokens and convert amountIn of a quote request
+    const resolveQuoteRequest = async ({ network, tokenIn, tokenOut, amountIn, unit }) => {
+        const pair = await resolveSwapPair(network, tokenIn, tokenOut);
+        const [decimalsIn, decimalsOut] = await Promise.all([
+            getSwapTokenDecimals(pair.network, tokenIn),
+            getSwapTokenDecimals(pair.network, tokenOut),
+        ]);
+        const rawIn = toRawAmount(amountIn, unit, decimalsIn);
+        if (rawIn.error) {
+            throw new Error(rawIn.error);
+        }
+        return { ...pair, amountIn: rawIn.raw, decimalsIn, decimalsOut };
+    };
+
+    registerTool(
+        'getSwapQuote',
+        {
+            description: 'Quote a Uniswap swap without signing anything: expected output, minimum output after slippage, ' +
+                'price impact, fee tier and pool address of the best route, plus the alternative pools',
+            inputSchema: {
+                ...swapPairInputSchema,
+                slippage: z.number().describe('Slippage tolerance in percent, e.g. 0.5').optional().default(0.5),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                tokenIn: z.string(),
+                tokenOut: z.string(),
+                amountIn: amountSchema.optional(),
+                amountOutMin: amountSchema.optional(),
+                slippage: z.number().optional(),
+                route: swapQuoteRouteSchema.optional(),
+                alternatives: z.array(swapQuoteRouteSchema).optional(),
+                warnings: z.array(z.string()).optional(),
+            },
+        },
+        async ({ network, tokenIn, tokenOut, amountIn, unit, slippage }) => {
+            const [resolveErr, pair] = await to(resolveQuoteRequest({ network, tokenIn, tokenOut, amountIn, unit }));
+            if (resolveErr) {
+                return errorResult(errorMessage(resolveErr), ErrorCodes.INVALID_PARAMETERS, { network, tokenIn, tokenOut });
+            }
+            const { decimalsIn, decimalsOut } = pair;
+            const quote = await uniswap.getSwapQuote(pair.network, pair.tokenIn, pair.tokenOut, pair.amountIn, slippage);
+            if (!quote || quote.error) {
+                return errorResult(
+                    `Failed to get swap quote: ${quote ? quote.message : 'no quote returned'}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, tokenIn, tokenOut }
+                );
+            }
+            const route = toSwapQuoteRoute(quote, decimalsOut);
+            return successResult(
+                `Quote for ${describeAmount(toAmount(pair.amountIn, decimalsIn))} ${tokenIn} -> ${tokenOut} on ${pair.network}: ` +
+                `expected ${describeAmount(route.amountOut)} via Uniswap ${route.version} pool ${route.poolAddress} ` +
+                `(fee tier ${route.fee}), price impact ${route.priceImpact}%`,
+                {
+                    network: pair.network,
+                    tokenIn: pair.tokenIn,
+                    tokenOut: pair.tokenOut,
+                    amountIn: toAmount(pair.amountIn, decimalsIn),
+                    amountOutMin: toAmount(quote.amountOutMin, decimalsOut),
+                    slippage: quote.slippage,
+                    route,
+                    alternatives: quote.alternativeQuotes.map(alt => toSwapQuoteRoute(alt, decimalsOut)),
+                    warnings: quote.warnings,
+                }
+            );
+        }
+    );
+
+    registerTool(
+        'getOptimalSwapRoute',
+        {
+            description: 'Find the best Uniswap route (V2 or V3 pool and fee tier) for a swap without signing anything',
+            inputSchema: swapPairInputSchema,
+            outputSchema: {
+                ...baseOutputSchema,
+                tokenIn: z.string(),
+                tokenOut: z.string(),
+                route: swapQuoteRouteSchema.optional(),
+                alternatives: z.array(swapQuoteRouteSchema).optional(),
+            },
+        },
+        async ({ network, tokenIn, tokenOut, amountIn, unit }) => {
+            const [resolveErr, pair] = await to(resolveQuoteRequest({ network, tokenIn, tokenOut, amountIn, unit }));
+            if (resolveErr) {
+                return errorResult(errorMessage(resolveErr), ErrorCodes.INVALID_PARAMETERS, { network, tokenIn, tokenOut });
+            }
+            const optimal = await uniswap.getOptimalRoute(pair.network, pair.tokenIn, pair.tokenOut, pair.amountIn);
+            if (!optimal || optimal.error) {
+                return errorResult(
+                    `Failed to find a swap route: ${optimal ? optimal.message : 'no route found'}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, tokenIn, tokenOut }
+                );
+            }
+            const { decimalsOut } = pair;
+            const route = toSwapQuoteRoute({
+                version: optimal.optimalVersion,
+                poolAddress: optimal.optimalPool,
+                fee: optimal.optimalFee,
+                expectedOutput: optimal.expectedOutput,
+                priceImpact: optimal.priceImpact,
+            }, decimalsOut);
+            return successResult(
+                `Optimal route for ${tokenIn} -> ${tokenOut} on ${pair.network}: Uniswap ${route.version} pool ${route.poolAddress} ` +
+                `(fee tier ${route.fee}), expected ${describeAmount(route.amountOut)}`,
+                {
+                    network: pair.network,
+                    tokenIn: pair.tokenIn,
+                    tokenOut: pair.tokenOut,
+                    route,
+                    alternatives: optimal.alternativeRoutes.map(alt => toSwapQuoteRoute(alt, decimalsOut)),
+                }
+            );
+        }
+    );
+
+    registerTool(
+        'compareSwapPrices',
+        {
+            description: 'Compare the output of every Uniswap V2 and V3 pool for a token pair and amount, best first, without signing anything',
+            inputSchema: swapPairInputSchema,
+            outputSchema: {
+                ...baseOutputSchema,
+                tokenIn: z.string(),
+                tokenOut: z.string(),
+                routes: z.array(swapQuoteRouteSchema).optional(),
+                bestV2: swapQuoteRouteSchema.nullable().optional(),
+                bestV3: swapQuoteRouteSchema.nullable().optional(),
+            },
+        },
+        async ({ network, tokenIn, tokenOut, amountIn, unit }) => {
+            const [resolveErr, pair] = await to(resolveQuoteRequest({ network, tokenIn, tokenOut, amountIn, unit }));
+            if (resolveErr) {
+                return errorResult(errorMessage(resolveErr), ErrorCodes.INVALID_PARAMETERS, { network, tokenIn, tokenOut });
+            }
+            const comparisons = await uniswap.comparePrices(pair.network, pair.tokenIn, pair.tokenOut, pair.amountIn);
+            if (comparisons.length === 0) {
+                return errorResult(
+                    `No Uniswap pools found for ${tokenIn}/${tokenOut} on ${pair.network}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, tokenIn, tokenOut }
+                );
+            }
+            const { decimalsOut } = pair;
+            // Sorted best first, so the first route of each version is its best
+            const routes = comparisons.map(comparison => toSwapQuoteRoute(comparison, decimalsOut));
+            const bestV2 = routes.find(route => route.version === 'V2') || null;
+            const bestV3 = routes.find(route => route.version === 'V3') || null;
+            return successResult(
+                `Uniswap routes for ${tokenIn} -> ${tokenOut} on ${pair.network}: ` +
+                routes.map(route => `${route.version} ${route.poolAddress} (fee ${route.fee}): ${describeAmount(route.amountOut)}`).join('; '),
+                { network: pair.network, tokenIn: pair.tokenIn, tokenOut: pair.tokenOut, routes, bestV2, bestV3 }
+            );
+        }
+    );
+
+    const onchainPoolSchema = z.object({
+        poolAddress: z.string(),
+        version: z.string(),
+        token0: z.string(),
+        token1: z.string(),
+        fee: z.number().nullable(),
+        feeTierName: z.string().nullable(),
+        reserve0: z.string().optional().describe('V2 only'),
+        reserve1: z.string().optional().describe('V2 only'),
+        sqrtPriceX96: z.string().optional().describe('V3 only'),
+        tick: z.number().optional().describe('V3 only'),
+        liquidity: z.string().optional().describe('V3 only'),
+    });
+
+    // Helper function to pick the serializable pool fields returned by getAllPools/getPoolInfo
+    const toOnchainPool = pool => ({
+        poolAddress: pool.poolAddress,
+        version: pool.version,
+        token0: pool.token0,
+        token1: pool.token1,
+        fee: pool.fee ?? null,
+        feeTierName: pool.feeTierName ?? null,
+        ...(pool.version === 'V2'
+            ? { reserve0: String(pool.reserve0), reserve1: String(pool.reserve1) }
+            : { sqrtPriceX96: String(pool.sqrtPriceX96), tick: Number(pool.tick), liquidity: String(pool.liquidity) }),
+    });
+
+    const tokenPairInputSchema = {
+        network: z.string().describe(NetworkDescribe),
+        tokenA: z.string().describe('The symbol or address of the first token'),
+        tokenB: z.string().describe('The symbol or address of the second token'),
+    };
+
+    registerTool(
+        'getUniswapPools',
+        {
+            description: 'List every Uniswap V2 pair and V3 pool (all fee tiers) for a token pair, read on-chain',
+            inputSchema: tokenPairInputSchema,
+            outputSchema: {
+                ...baseOutputSchema,
+                tokenA: z.string(),
+                tokenB: z.string(),
+                pools: z.array(onchainPoolSchema).optional(),
+            },
+        },
+        async ({ network, tokenA, tokenB }) => {
+            const [resolveErr, pair] = await to(resolveSwapPair(network, tokenA, tokenB));
+            if (resolveErr) {
+                return errorResult(errorMessage(resolveErr), ErrorCodes.INVALID_PARAMETERS, { network, tokenA, tokenB });
+            }
+            const pools = await uniswap.getAllPools(pair.network, pair.tokenIn, pair.tokenOut);
+            const result = pools.map(toOnchainPool);
+            return successResult(
+                `Found ${result.length} Uniswap pool(s) for ${tokenA}/${tokenB} on ${pair.network}: ${JSON.stringify(result)}`,
+                { network: pair.network, tokenA: pair.tokenIn, tokenB: pair.tokenOut, pools: result }
+            );
+        }
+    );
+
+    registerTool(
+        'getUniswapPoolInfo',
+        {
+            description: 'Get the most liquid Uniswap pool for a token pair, read on-chain, optionally for one V3 fee tier',
+            inputSchema: {
+                ...tokenPairInputSchema,
+                fee: z.number().int().describe('V3 fee tier, e.g. 500, 3000 or 10000').optional(),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                tokenA: z.string(),
+                tokenB: z.string(),
+                pool: onchainPoolSchema.optional(),
+                alternatives: z.array(onchainPoolSchema).optional(),
+            },
+        },
+        async ({ network, tokenA, tokenB, fee }) => {
+            const [resolveErr, pair] = await to(resolveSwapPair(network, tokenA, tokenB));
+            if (resolveErr) {
+                return errorResult(errorMessage(resolveErr), ErrorCodes.INVALID_PARAMETERS, { network, tokenA, tokenB });
+            }
+            const poolInfo = await uniswap.getPoolInfo(pair.network, pair.tokenIn, pair.tokenOut, fee);
+            if (!poolInfo || poolInfo.error) {
+                return errorResult(
+                    `Failed to get pool info: ${poolInfo ? poolInfo.message : 'no pool found'}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, tokenA, tokenB }
+                );
+            }
+            const pool = toOnchainPool(poolInfo);
+            return successResult(
+                `Most liquid Uniswap pool for ${tokenA}/${tokenB} on ${pair.network}: ${JSON.stringify(pool)}`,
+                {
+                    network: pair.network,
+                    tokenA: pair.tokenIn,
+                    tokenB: pair.tokenOut,
+                    pool,
+                    alternatives: (poolInfo.alternativePools || []).map(toOnchainPool),
+                }
+            );
+        }
+    );
+
+    registerTool(
+        'getUniswapTokenPrice',
+        {
+            description: 'Get the spot price of a token in units of a base token from the most liquid Uniswap pool',
+            inputSchema: {
+                network: z.string().describe(NetworkDescribe),
+                token: z.string().describe('The symbol or address of the token to price'),
+                baseToken: z.string().describe('The symbol or address of the token to price in, e.g. "usdc"'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                token: z.string(),
+                baseToken: z.string(),
+                price: z.string().optional().describe('Units of baseToken per token'),
+                inversePrice: z.string().optional().describe('Units of token per baseToken'),
+                poolAddress: z.string().optional(),
+                version: z.string().optional(),
+                fee: z.number().nullable().optional(),
+            },
+        },
+        async ({ network, token, baseToken }) => {
+            const [resolveErr, pair] = await to(resolveSwapPair(network, token, baseToken));
+            if (resolveErr) {
+                return errorResult(errorMessage(resolveErr), ErrorCodes.INVALID_PARAMETERS, { network, token, baseToken });
+            }
+            const price = await uniswap.getTokenPrice(pair.network, pair.tokenIn, pair.tokenOut);
+            if (!price) {
+                return errorResult(
+                    `Failed to get price of ${token} in ${baseToken} on ${pair.network}`,
+                    ErrorCodes.QUERY_FAILED,
+                    { network, token, baseToken }
+                );
+            }
+            return successResult(
+                `1 ${token} = ${price.price} ${baseToken} on ${pair.network} (Uniswap ${price.version} pool ${price.poolAddress})`,
+                {
+                    network: pair.network,
+                    token: pair.tokenIn,
+                    baseToken: pair.tokenOut,
+                    price: String(price.price),
+                    inversePrice: String(price.inversePrice),
+                    poolAddress: price.poolAddress,
+                    version: price.version,
+                    fee: price.fee ?? null,
+                }
+            );
         }
     );
 
     // Uniswap Subgraph Query Tools
-    server.tool(
+    const poolsOutputSchema = {
+        ...baseOutputSchema,
+        version: z.string().optional(),
+        pools: z.array(z.record(z.any())).optional().describe('Pools (V3/V4) or pairs (V2) returned by the subgraph'),
+    };
+
+    registerTool(
         'getUniswapV2PoolInfo',
-        'Query Uniswap V2 pool information for two tokens',
         {
-            token0Address: z.string().describe('Address of the first token'),
-            token1Address: z.string().describe('Address of the second token'),
-            network: z.string().describe('Network name (mainnet, polygon, arbitrum, optimism)').optional().default('mainnet'),
+            description: 'Query Uniswap V2 pool information for two tokens',
+            inputSchema: {
+                token0Address: z.string().describe('Address of the first token'),
+                token1Address: z.string().describe('Address of the second token'),
+                network: z.string().describe('Network name (mainnet, polygon, arbitrum, optimism)').optional().default('mainnet'),
+            },
+            outputSchema: poolsOutputSchema,
         },
         async ({ token0Address, token1Address, network }) => {
             const [err, poolInfo] = await to(getV2PoolInfo(token0Address, token1Address, network));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get Uniswap V2 pool info: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Uniswap V2 pool info for ${token0Address}/${token1Address} on ${network}: ${JSON.stringify(poolInfo, null, 2)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to get Uniswap V2 pool info: ${err.message || err}`, ErrorCodes.QUERY_FAILED, { network, version: 'v2' });
+            }
+            return successResult(
+                `Uniswap V2 pool info for ${token0Address}/${token1Address} on ${network}: ${JSON.stringify(poolInfo, null, 2)}`,
+                { network, version: 'v2', pools: getSubgraphPools(poolInfo) }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'getUniswapV3PoolInfo',
-        'Query Uniswap V3 pool information for two tokens',
         {
-            token0Address: z.string().describe('Address of the first token'),
-            token1Address: z.string().describe('Address of the second token'),
-            network: z.string().describe('Network name (mainnet, polygon, arbitrum, optimism, base, bnb)').optional().default('mainnet'),
+            description: 'Query Uniswap V3 pool information for two tokens',
+            inputSchema: {
+                token0Address: z.string().describe('Address of the first token'),
+                token1Address: z.string().describe('Address of the second token'),
+                network: z.string().describe('Network name (mainnet, polygon, arbitrum, optimism, base, bnb)').optional().default('mainnet'),
+            },
+            outputSchema: poolsOutputSchema,
         },
         async ({ token0Address, token1Address, network }) => {
             const [err, poolInfo] = await to(getV3PoolInfo(token0Address, token1Address, network));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get Uniswap V3 pool info: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Uniswap V3 pool info for ${token0Address}/${token1Address} on ${network}: ${JSON.stringify(poolInfo, null, 2)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to get Uniswap V3 pool info: ${err.message || err}`, ErrorCodes.QUERY_FAILED, { network, version: 'v3' });
+            }
+            return successResult(
+                `Uniswap V3 pool info for ${token0Address}/${token1Address} on ${network}: ${JSON.stringify(poolInfo, null, 2)}`,
+                { network, version: 'v3', pools: getSubgraphPools(poolInfo) }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'getUniswapV4PoolInfo',
-        'Query Uniswap V4 pool information for two tokens',
         {
-            token0Address: z.string().describe('Address of the first token'),
-            token1Address: z.string().describe('Address of the second token'),
-            network: z.string().describe('Network name (currently only mainnet supported)').optional().default('mainnet'),
+            description: 'Query Uniswap V4 pool information for two tokens',
+            inputSchema: {
+                token0Address: z.string().describe('Address of the first token'),
+                token1Address: z.string().describe('Address of the second token'),
+                network: z.string().describe('Network name (currently only mainnet supported)').optional().default('mainnet'),
+            },
+            outputSchema: poolsOutputSchema,
         },
         async ({ token0Address, token1Address, network }) => {
             const [err, poolInfo] = await to(getV4PoolInfo(token0Address, token1Address, network));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get Uniswap V4 pool info: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Uniswap V4 pool info for ${token0Address}/${token1Address} on ${network}: ${JSON.stringify(poolInfo, null, 2)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to get Uniswap V4 pool info: ${err.message || err}`, ErrorCodes.QUERY_FAILED, { network, version: 'v4' });
+            }
+            return successResult(
+                `Uniswap V4 pool info for ${token0Address}/${token1Address} on ${network}: ${JSON.stringify(poolInfo, null, 2)}`,
+                { network, version: 'v4', pools: getSubgraphPools(poolInfo) }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'getUniswapTokenInfo',
-        'Get detailed information about a specific token from Uniswap subgraph',
         {
-            tokenAddress: z.string().describe('Address of the token'),
-            version: z.string().describe('Uniswap version (v2, v3, v4)').optional().default('v3'),
-            network: z.string().describe('Network name').optional().default('mainnet'),
+            description: 'Get detailed information about a specific token from Uniswap subgraph',
+            inputSchema: {
+                tokenAddress: z.string().describe('Address of the token'),
+                version: z.string().describe('Uniswap version (v2, v3, v4)').optional().default('v3'),
+                network: z.string().describe('Network name').optional().default('mainnet'),
+            },
+            outputSchema: {
+                ...baseOutputSchema,
+                version: z.string().optional(),
+                token: z.record(z.any()).nullable().optional(),
+            },
         },
         async ({ tokenAddress, version, network }) => {
             const [err, tokenInfo] = await to(getUniswapTokenInfo(tokenAddress, version, network));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get Uniswap token info: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Uniswap token info for ${tokenAddress} on ${network} (${version}): ${JSON.stringify(tokenInfo, null, 2)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to get Uniswap token info: ${err.message || err}`, ErrorCodes.QUERY_FAILED, { network, version });
+            }
+            return successResult(
+                `Uniswap token info for ${tokenAddress} on ${network} (${version}): ${JSON.stringify(tokenInfo, null, 2)}`,
+                { network, version, token: tokenInfo?.token ?? null }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'getUniswapTopPools',
-        'Get top pools from Uniswap by TVL or reserves',
         {
-            version: z.string().describe('Uniswap version (v2, v3, v4)').optional().default('v3'),
-            network: z.string().describe('Network name').optional().default('mainnet'),
-            limit: z.number().describe('Number of pools to return').optional().default(10),
+            description: 'Get top pools from Uniswap by TVL or reserves',
+            inputSchema: {
+                version: z.string().describe('Uniswap version (v2, v3, v4)').optional().default('v3'),
+                network: z.string().describe('Network name').optional().default('mainnet'),
+                limit: z.number().describe('Number of pools to return').optional().default(10),
+            },
+            outputSchema: poolsOutputSchema,
         },
         async ({ version, network, limit }) => {
             const [err, topPools] = await to(getUniswapTopPools(version, network, limit));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to get Uniswap top pools: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Top ${limit} Uniswap ${version} pools on ${network}: ${JSON.stringify(topPools, null, 2)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to get Uniswap top pools: ${err.message || err}`, ErrorCodes.QUERY_FAILED, { network, version });
+            }
+            return successResult(
+                `Top ${limit} Uniswap ${version} pools on ${network}: ${JSON.stringify(topPools, null, 2)}`,
+                { network, version, pools: getSubgraphPools(topPools) }
+            );
         }
     );
 
-    server.tool(
+    registerTool(
         'searchUniswapPoolsBySymbol',
-        'Search Uniswap pools by token symbol',
         {
-            symbol: z.string().describe('Token symbol to search for'),
-            version: z.string().describe('Uniswap version (v2, v3, v4)').optional().default('v3'),
-            network: z.string().describe('Network name').optional().default('mainnet'),
-            limit: z.number().describe('Number of pools to return').optional().default(10),
+            description: 'Search Uniswap pools by token symbol',
+            inputSchema: {
+                symbol: z.string().describe('Token symbol to search for'),
+                version: z.string().describe('Uniswap version (v2, v3, v4)').optional().default('v3'),
+                network: z.string().describe('Network name').optional().default('mainnet'),
+                limit: z.number().describe('Number of pools to return').optional().default(10),
+            },
+            outputSchema: poolsOutputSchema,
         },
         async ({ symbol, version, network, limit }) => {
             const [err, pools] = await to(searchUniswapPoolsBySymbol(symbol, version, network, limit));
             if (err) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Failed to search Uniswap pools: ${err.message || err}`,
-                        }
-                    ],
-                };
-            }
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: `Uniswap ${version} pools containing "${symbol}" on ${network}: ${JSON.stringify(pools, null, 2)}`,
-                    }
-                ],
-            };
+                return errorResult(`Failed to search Uniswap pools: ${err.message || err}`, ErrorCodes.QUERY_FAILED, { network, version });
+            }
+            return successResult(
+                `Uniswap ${version} pools containing "${symbol}" on ${network}: ${JSON.stringify(pools, null, 2)}`,
+                { network, version, pools: getSubgraphPools(pools) }
+            );
         }
     );
 
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    // Prompts only guide through tools this server exposes
+    attachPrompts(server, { tools: registeredTools });
+
+    return server;
 }
 
-async function main2() {
-    // const [err9, pools] = await to(uniswap.getAllPools('ETHEREUM-SEPOLIA', '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238'));
-    // if (err9) {
-    //     console.error('Error getting all pools:', err9);
-    //     return;
-    // }
-    // console.warn(`All Pools: ${JSON.stringify(pools)}`);
-
-    // const [err10, priceInfo] = await to(uniswap.getTokenPrice('ETHEREUM-SEPOLIA', '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14', '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238'));
-    // if (err10) {
-    //     console.error('Error getting token price:', err10);
-    //     return;
-    // }
-    // console.warn(`Token Price Info: ${JSON.stringify(priceInfo)}`);
-
-    const [err11, result] = await to(uniswap.executeSwap(
-        '', // password - empty string as per existing pattern
-        '0x4AfEc9Dd056CaCa65462C38473CF2fe11F912D49', // fromAddress
-          "bnb",
-        '0x8d008B313C1d6C7fE2982F62d32Da7507cF43551',
-        '1000000000000000',
-        0,
-        'BNBSMARTCHAIN-TESTNET',
-        {
-            version: 'V3',
-            fee: 100,
-            tickSpacing: 60
-        }
-
-    ));
-
-    if (err11) {
-        console.error('Error executing swap:', err11);
+// Serve MCP clients over stdio or HTTP, the default command of the CLI
+async function serve(serverOptions) {
+    const transportType = getArgValue('--transport') || 'stdio';
+    if (transportType === 'http') {
+        const port = parseInt(getArgValue('--port') || process.env.MCP_HTTP_PORT || DEFAULT_HTTP_PORT);
+        const host = getArgValue('--host') || process.env.MCP_HTTP_HOST || DEFAULT_HTTP_HOST;
+        await startHttpServer(() => createServer(serverOptions), { port, host, tokens: getAuthTokens() });
         return;
     }
-    console.warn(`Swap Result: ${JSON.stringify(result)}`);
-}
-
-async function main5() {
-    // const [err,balance] = await to(getBalance('SUI', '0x0feb54a725aa357ff2f5bc6bb023c05b310285bd861275a30521f339a434ebb3'));
-    // if (err) {
-    //     console.error('Error getting balance:', err);
-    //     return;
-    // }
-    // console.warn(`Balance: ${ JSON.stringify(balance)}`); 
-    // const [err2, contractBalance] = await to(getContractBalance('SUI', '0xdeeb7a4662eec9f2f3def03fb937a663dddaa2e215b8078a284d026b7946c270::deep::DEEP', '0x0feb54a725aa357ff2f5bc6bb023c05b310285bd861275a30521f339a434ebb3'));
-    // if (err2) {
-    //     console.error('Error getting contract balance:', err2);
-    //     return;
-    // }
-    // console.warn(`Contract Balance: ${ JSON.stringify(contractBalance)}`);
-    // const [err3, erc20Meta] = await to(getContractMeta('BNBSMARTCHAIN', '0x25d887ce7a35172c62febfd67a1856f20faebb00', '0x70a08231'));
-    // if (err3) { 
-    //     console.error('Error getting ERC20 meta:', err3);
-    //     return;
-    // }
-    // console.warn(`ERC20 Meta: ${ JSON.stringify(erc20Meta)}`);
-    // const [err4, transferResult] = await to(transferToken('', '7ZS48GH3ndFJyPBkE7KpCKDBq2jDCrhvQyi2ZnPtDU5i', '5kSfsEoPXv4cgKx4Ct2irz9xF6mWcTo1NLFfKfKs11fu', '100000','SOLANA-DEVNET'));
-    // if (err4) {
-    //     console.error('Error transferring token:', err4);
-    //     return;
-    // }
-    // console.warn(`Transfer Result: ${ JSON.stringify(transferResult)}`);
-
-    // const [err5, transferResult2] = await to(transferContractToken('', '7ZS48GH3ndFJyPBkE7KpCKDBq2jDCrhvQyi2ZnPtDU5i', '9bm8vGK4qwJ1C6DrWhtE6Ext1ueDm9EbhdzXYAsWp939', '5kSfsEoPXv4cgKx4Ct2irz9xF6mWcTo1NLFfKfKs11fu', '1500000000', 'SOLANA-DEVNET'));
-    // if (err5) {
-    //     console.error('Error transferring contract token:', err5);
-    //     return;
-    // }
-    // console.warn(`Transfer Contract Token Result: ${JSON.stringify(transferResult2)}`);
-
-    // const [err6, transferResult3] = await to(transferToken('', '0xe9db2b843b35e4904eb1029f704821cc5cb3ff0e9ea0cf6c892557256cb13969', '0x0feb54a725aa357ff2f5bc6bb023c05b310285bd861275a30521f339a434ebb3', '10000000', 'SUI-TESTNET'));
-    // if (err6) {
-    //     console.error('Error transferring token:', err6);
-    //     return;
-    // }
-    // console.warn(`Transfer Result: ${JSON.stringify(transferResult3)}`);
-
-    // const [err7, transferResult4] = await to(transferContractToken('',
-    //     '0xe9db2b843b35e4904eb1029f704821cc5cb3ff0e9ea0cf6c892557256cb13969',
-    //     '0x8190b041122eb492bf63cb464476bd68c6b7e570a4079645a8b28732b6197a82::wal::WAL',
-    //     '0x0feb54a725aa357ff2f5bc6bb023c05b310285bd861275a30521f339a434ebb3',
-    //     '10000000',
-    //     'SUI-TESTNET'));
-    // if (err7) {
-    //     console.error('Error transferring contract token:', err7);
-    //     return;
-    // }
-    // console.warn(`Transfer Contract Token Result: ${JSON.stringify(transferResult4)}`);
-
-    // const [err8, accountList] = await to(deriveAccountList());
-    // if (err8) {
-    //     console.error('Error deriving account list:', err8);
-    //     return;
-    // }
-    // console.warn(`Account List: ${JSON.stringify(accountList)}`);
+    if (transportType !== 'stdio') {
+        console.error(`Unknown transport: ${transportType}, expected stdio or http`);
+        process.exit(1);
+    }
 
+    const server = createServer(serverOptions);
+    const transport = new StdioServerTransport();
+    await server.connect(transport);
 }
 
-main2().catch((error) => {
+runCli(process.argv.slice(2), { createServer, serve }).catch((error) => {
     console.error('Error starting server:', error);
     process.exit(1);
 });
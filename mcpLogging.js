@@ -0,0 +1,78 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { SetLevelRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const logger = require('./deeperWallet/log.js');
+
+// MCP log levels, least severe first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const DEFAULT_LOG_LEVEL = 'info';
+const LOGGER_NAME = 'deeper-wallet';
+
+// Connected servers (one per client) and the level each client asked for
+const levels = new Map();
+
+// The server whose operation is running, its log messages are only sent to that client. Lines logged outside
+// of any client's operation (idle auto-lock, background RPC fallbacks) stay in the server log: in HTTP mode the
+// connected servers belong to different clients
+const requestServer = new AsyncLocalStorage();
+
+function send(server, level, message, details) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(levels.get(server)) || !server.isConnected()) {
+        return;
+    }
+    server.server.sendLoggingMessage({
+        level,
+        logger: LOGGER_NAME,
+        data: details ? { message, ...details } : { message },
+    }).catch(() => {
+        // The client went away, nothing to report to
+    });
+}
+
+logger.addListener((level, message, details) => {
+    const current = requestServer.getStore();
+    if (current && levels.has(current)) {
+        send(current, level, message, details);
+    }
+});
+
+/**
+ * Forward wallet diagnostics to a client as notifications/message, filtered by the level it sets
+ * with logging/setLevel. The server must declare the logging capability.
+ * @param {Object} server - McpServer of one client
+ */
+function attachLogging(server) {
+    levels.set(server, DEFAULT_LOG_LEVEL);
+    server.server.setRequestHandler(SetLevelRequestSchema, async request => {
+        levels.set(server, request.params.level);
+        return {};
+    });
+
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+        levels.delete(server);
+        onclose?.();
+    };
+}
+
+/**
+ * Run an operation of one client, the diagnostics it logs go to that client only
+ * @param {Object} server - McpServer of the client
+ * @param {Function} fn - Operation
+ * @returns {any} Result of fn
+ */
+function runForServer(server, fn) {
+    return requestServer.run(server, fn);
+}
+
+// Run a tool callback so the diagnostics it logs go to the calling client only
+function withRequestLogging(server, callback) {
+    return (args, extra) => runForServer(server, () => callback(args, extra));
+}
+
+module.exports = {
+    LOG_LEVELS,
+    DEFAULT_LOG_LEVEL,
+    attachLogging,
+    runForServer,
+    withRequestLogging,
+};
@@ -0,0 +1,59 @@
+const to = require('await-to-js').default;
+const { deriveAccountList, getChainType, addressBook } = require('./deeperWallet');
+const { isSameAddress } = require('./deeperWallet/utils.js');
+const logger = require('./deeperWallet/log.js');
+
+// Which recipients transfers and swaps may pay out to
+const RecipientPolicies = {
+    OPEN: 'open', // any address
+    ALLOWLIST: 'allowlist', // only address book contacts and the wallet's own accounts
+};
+
+// Read the policy from --recipient-policy or MCP_RECIPIENT_POLICY
+function getRecipientPolicy(getArgValue) {
+    const policy = (getArgValue('--recipient-policy') || process.env.MCP_RECIPIENT_POLICY || RecipientPolicies.OPEN).toLowerCase();
+    if (!Object.values(RecipientPolicies).includes(policy)) {
+        throw new Error(`Invalid recipient policy: ${policy}, expected one of ${Object.values(RecipientPolicies).join(', ')}`);
+    }
+    return policy;
+}
+
+async function isOwnAccount(network, address) {
+    const [err, accountList] = await to(deriveAccountList());
+    if (err || !accountList) {
+        return false;
+    }
+    const chainType = getChainType(network);
+    return accountList.some(account =>
+        account.chain_type?.toUpperCase() === chainType && isSameAddress(account.address, address)
+    );
+}
+
+/**
+ * Resolve a recipient given as address or contact label, and check it against the policy
+ * @param {string} policy - One of RecipientPolicies
+ * @param {string} network - Network name
+ * @param {string} addressOrLabel - Recipient address or address book label
+ * @returns {Promise<{address: string, label: string|null, error?: string}>} error is set if the policy refuses the recipient
+ */
+async function resolveRecipient(policy, network, addressOrLabel) {
+    const [err, contact] = await to(addressBook.findContact(network, addressOrLabel));
+    if (err) {
+        logger.error(`Failed to look up contact ${addressOrLabel}: ${err.message || err}`, { network });
+    }
+    const recipient = contact ? { address: contact.address, label: contact.label } : { address: addressOrLabel, label: null };
+    if (policy !== RecipientPolicies.ALLOWLIST || contact || await isOwnAccount(network, recipient.address)) {
+        return recipient;
+    }
+    return {
+        ...recipient,
+        error: `Recipient ${addressOrLabel} is not in the address book for ${network.toUpperCase()}, ` +
+            'the server only allows transfers to contacts and to the wallet\'s own accounts',
+    };
+}
+
+module.exports = {
+    RecipientPolicies,
+    getRecipientPolicy,
+    resolveRecipient,
+};
@@ -0,0 +1,90 @@
+const { isTestnet } = require('./deeperWallet/utils.js');
+const { ErrorCodes, errorResult } = require('./toolResults.js');
+
+const ServerModes = {
+    FULL: 'full',
+    READ_ONLY: 'readonly', // query tools only, nothing is ever signed or written
+    TESTNET_ONLY: 'testnet', // signing allowed, but only for testnet networks; queries work on any network
+};
+
+// The only tools read-only mode registers. An allowlist, so that a tool added later that signs, writes or exports
+// is not exposed until it is reviewed for this mode
+const READ_ONLY_TOOLS = [
+    'getBalance',
+    'getContractBalance',
+    'getContractMeta',
+    'accountList',
+    'getUniswapV2PoolInfo',
+    'getUniswapV3PoolInfo',
+    'getUniswapV4PoolInfo',
+    'getUniswapTokenInfo',
+    'getUniswapTopPools',
+    'searchUniswapPoolsBySymbol',
+];
+
+// Tools that prepare, sign or send a transaction or a signature
+const VALUE_MOVING_TOOLS = [
+    'transferTokenFromMyWallet',
+    'transferContractTokenFromMyWallet',
+    'swapTokens',
+    'confirmTransaction',
+    'signMessage',
+    'signTypedData',
+];
+
+// Read the launch mode from --mode or MCP_MODE
+function getServerMode(getArgValue) {
+    const mode = (getArgValue('--mode') || process.env.MCP_MODE || ServerModes.FULL).toLowerCase();
+    if (!Object.values(ServerModes).includes(mode)) {
+        throw new Error(`Invalid server mode: ${mode}, expected one of ${Object.values(ServerModes).join(', ')}`);
+    }
+    return mode;
+}
+
+// Echo the arguments that also appear in the output schema, clients validate error results too
+function pickOutputFields(outputSchema = {}, args = {}) {
+    const data = {};
+    for (const [key, value] of Object.entries(args)) {
+        if (outputSchema[key]?.safeParse(value).success) {
+            data[key] = value;
+        }
+    }
+    return data;
+}
+
+/**
+ * Apply the launch mode to a tool before it is registered
+ * @param {string} mode - One of ServerModes
+ * @param {string} name - Tool name
+ * @param {Object} config - Tool config passed to registerTool
+ * @param {Function} callback - Tool callback
+ * @returns {Function|null} Callback to register, or null if the tool is not available in this mode
+ */
+function applyServerMode(mode, name, config, callback) {
+    if (mode === ServerModes.READ_ONLY) {
+        return READ_ONLY_TOOLS.includes(name) ? callback : null;
+    }
+    // Queries stay available on every network, quote and pool tools default to mainnet
+    if (mode !== ServerModes.TESTNET_ONLY || !VALUE_MOVING_TOOLS.includes(name)) {
+        return callback;
+    }
+    return (args, extra) => {
+        if (args?.network !== undefined && !isTestnet(args.network)) {
+            return errorResult(
+                `Network ${args.network} is not allowed, the server runs in testnet-only mode (e.g. ETHEREUM-SEPOLIA, SOLANA-DEVNET, TRON-TESTNET)`,
+                ErrorCodes.NETWORK_NOT_ALLOWED,
+                pickOutputFields(config.outputSchema, args)
+            );
+        }
+        return callback(args, extra);
+    };
+}
+
+module.exports = {
+    ServerModes,
+    READ_ONLY_TOOLS,
+    VALUE_MOVING_TOOLS,
+    getServerMode,
+    pickOutputFields,
+    applyServerMode,
+};
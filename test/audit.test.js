@@ -0,0 +1,66 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeDb } = require('./helpers.js');
+
+const db = installFakeDb();
+const { audit, signMessage } = require('../deeperWallet');
+
+const NETWORK = 'ETHEREUM-SEPOLIA';
+const FROM = '0x0000000000000000000000000000000000000001';
+
+// A signMessage tool call as index.js records it
+async function auditedSignature(text) {
+    const args = { network: NETWORK, message: text, password: 'never stored' };
+    const { result, error, fields } = await audit.runWithAudit({ tool: 'signMessage', args }, () =>
+        signMessage('', NETWORK, FROM, { signature_type: 'PERSONAL_SIGN', message: Buffer.from(text).toString('hex') }));
+    assert.equal(error, null);
+    return audit.appendEntry({ ...fields, tool: 'signMessage', args, fromAddress: fields.fromAddress, error: result ? null : 'not signed' });
+}
+
+beforeEach(() => {
+    db.tables.auditLog.length = 0;
+});
+
+test('every signature is chained into the audit log and the chain verifies', async () => {
+    const first = await auditedSignature('login 1');
+    const second = await auditedSignature('login 2');
+
+    assert.equal(first.seq, 1);
+    assert.equal(first.prevHash, audit.GENESIS_HASH);
+    assert.equal(second.prevHash, first.hash);
+    assert.equal(second.fromAddress, FROM);
+    assert.equal(second.signature, 'signed');
+    assert.match(second.payloadHash, /^[0-9a-f]{64}$/);
+    assert.equal(JSON.parse(second.args).password, '[REDACTED]');
+
+    assert.deepEqual(await audit.verifyChain(), { valid: true, count: 2, brokenAt: null, reason: null });
+});
+
+test('an edited entry breaks the chain at that entry', async () => {
+    await auditedSignature('login 1');
+    await auditedSignature('login 2');
+    await auditedSignature('login 3');
+
+    db.tables.auditLog[1].args = JSON.stringify({ network: NETWORK, message: 'something else' });
+
+    assert.deepEqual(await audit.verifyChain(), {
+        valid: false,
+        count: 3,
+        brokenAt: 2,
+        reason: 'entry content does not match its hash',
+    });
+});
+
+test('a deleted entry breaks the chain after the gap', async () => {
+    await auditedSignature('login 1');
+    await auditedSignature('login 2');
+    await auditedSignature('login 3');
+
+    db.tables.auditLog.splice(1, 1);
+
+    const result = await audit.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 3);
+    assert.equal(result.reason, 'entry 2 is missing');
+});
@@ -0,0 +1,109 @@
+const path = require('path');
+
+// Tests sign with the deterministic mock signer, no keystore or hd-wallet binary is needed
+process.env.DEEPER_WALLET_SIGNER = 'mock';
+
+const DB_PATH = path.join(__dirname, '..', 'deeperWallet', 'db.js');
+
+/**
+ * In-memory stand-in for deeperWallet/db.js, with the rows shaped like the deeper_wallet.db tables.
+ * Installed in the require cache, so it must be created before any wallet module is required.
+ * Set failing to a function name to make that query reject like a database error.
+ * @returns {Object} The fake db module, with its tables and failing
+ */
+function installFakeDb() {
+    const tables = { spendingLimits: new Map(), spendingLog: [], auditLog: [], idempotencyKeys: new Map() };
+    const failing = new Set();
+    const query = (name, fn) => async (...args) => {
+        if (failing.has(name)) {
+            throw new Error(`${name} failed`);
+        }
+        return fn(...args);
+    };
+
+    const db = {
+        tables,
+        failing,
+
+        getSpendingLimits: query('getSpendingLimits', async (network = '') =>
+            [...tables.spendingLimits.values()].filter(row => !network || row.network === network)),
+        getSpendingLimit: query('getSpendingLimit', async (network, contractAddress) =>
+            tables.spendingLimits.get(`${network}|${contractAddress}`)),
+        setSpendingLimit: query('setSpendingLimit', async (network, contractAddress, perTx, daily, weekly) => {
+            tables.spendingLimits.set(`${network}|${contractAddress}`, {
+                network,
+                contract_address: contractAddress,
+                per_tx: perTx,
+                daily,
+                weekly,
+                updated_at: Math.floor(Date.now() / 1000),
+            });
+            return true;
+        }),
+        deleteSpendingLimit: query('deleteSpendingLimit', async (network, contractAddress) =>
+            tables.spendingLimits.delete(`${network}|${contractAddress}`)),
+        getSpendingSince: query('getSpendingSince', async (network, contractAddress, since) =>
+            tables.spendingLog.filter(row =>
+                row.network === network && row.contract_address === contractAddress && row.timestamp > since)),
+        addSpending: query('addSpending', async (network, contractAddress, amount, txId, timestamp) => {
+            tables.spendingLog.push({ network, contract_address: contractAddress, amount, tx_id: txId, timestamp });
+            return true;
+        }),
+        deleteOldSpending: query('deleteOldSpending', async () => true),
+
+        getLastAuditEntry: query('getLastAuditEntry', async () => tables.auditLog[tables.auditLog.length - 1]),
+        getAuditEntries: query('getAuditEntries', async (tool, since, until, limit, offset) => {
+            const rows = tables.auditLog.filter(row =>
+                (!tool || row.tool === tool) && (!since || row.timestamp >= since) && (!until || row.timestamp <= until));
+            return rows.slice(offset, limit < 0 ? undefined : offset + limit);
+        }),
+        addAuditEntry: query('addAuditEntry', async entry => {
+            tables.auditLog.push({
+                seq: entry.seq,
+                timestamp: entry.timestamp,
+                tool: entry.tool,
+                args: entry.args,
+                from_address: entry.fromAddress,
+                payload_hash: entry.payloadHash,
+                signature: entry.signature,
+                tx_hash: entry.txHash,
+                error: entry.error,
+                prev_hash: entry.prevHash,
+                hash: entry.hash,
+            });
+            return true;
+        }),
+
+        getIdempotencyKey: query('getIdempotencyKey', async (owner, key) => tables.idempotencyKeys.get(`${owner}|${key}`)),
+        setIdempotencyKey: query('setIdempotencyKey', async (owner, key, tool, requestHash, confirmationId) => {
+            tables.idempotencyKeys.set(`${owner}|${key}`, {
+                owner,
+                idempotency_key: key,
+                tool,
+                request_hash: requestHash,
+                confirmation_id: confirmationId,
+                tx_hash: null,
+                result: null,
+                created_at: Math.floor(Date.now() / 1000),
+            });
+            return true;
+        }),
+        setIdempotencyResult: query('setIdempotencyResult', async (owner, key, txHash, result) => {
+            const row = tables.idempotencyKeys.get(`${owner}|${key}`);
+            if (!row) {
+                return false;
+            }
+            row.tx_hash = txHash;
+            row.result = result;
+            return true;
+        }),
+        deleteOldIdempotencyKeys: query('deleteOldIdempotencyKeys', async () => true),
+    };
+
+    require.cache[DB_PATH] = { id: DB_PATH, filename: DB_PATH, loaded: true, exports: db };
+    return db;
+}
+
+module.exports = {
+    installFakeDb,
+};
@@ -0,0 +1,67 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeDb } = require('./helpers.js');
+
+const db = installFakeDb();
+const idempotency = require('../deeperWallet/idempotency.js');
+
+const TOOL = 'transferTokenFromMyWallet';
+const REQUEST = { toAddress: '0x000000000000000000000000000000000000dEaD', amount: '1', network: 'ETHEREUM-SEPOLIA' };
+
+beforeEach(() => {
+    db.tables.idempotencyKeys.clear();
+    db.failing.clear();
+});
+
+test('the request hash does not depend on the argument order', () => {
+    const reordered = { network: REQUEST.network, amount: REQUEST.amount, toAddress: REQUEST.toAddress };
+    assert.equal(idempotency.hashRequest(TOOL, REQUEST), idempotency.hashRequest(TOOL, reordered));
+    assert.notEqual(idempotency.hashRequest(TOOL, REQUEST), idempotency.hashRequest(TOOL, { ...REQUEST, amount: '2' }));
+    assert.notEqual(idempotency.hashRequest(TOOL, REQUEST), idempotency.hashRequest('swapTokens', REQUEST));
+});
+
+test('a key replays the transaction it sent', async () => {
+    const requestHash = idempotency.hashRequest(TOOL, REQUEST);
+    assert.equal(await idempotency.getRecord('local', 'pay-1'), null);
+
+    assert.equal(await idempotency.savePrepared('local', 'pay-1', TOOL, requestHash, 'abc123'), true);
+    const prepared = await idempotency.getRecord('local', 'pay-1');
+    assert.equal(prepared.confirmationId, 'abc123');
+    assert.equal(prepared.txHash, null);
+
+    assert.equal(await idempotency.saveResult('local', 'pay-1', '0xhash', { preview: { amount: '1' } }), true);
+    const replayed = await idempotency.getRecord('local', 'pay-1');
+    assert.equal(replayed.tool, TOOL);
+    assert.equal(replayed.requestHash, requestHash);
+    assert.equal(replayed.txHash, '0xhash');
+    assert.deepEqual(replayed.result, { preview: { amount: '1' } });
+
+    // Keys belong to the client that used them
+    assert.equal(await idempotency.getRecord('other-client', 'pay-1'), null);
+});
+
+test('a retry waits for the attempt with the same key and sees its transaction', async () => {
+    const requestHash = idempotency.hashRequest(TOOL, REQUEST);
+    const order = [];
+    const first = idempotency.runExclusive('local', 'pay-2', async () => {
+        await idempotency.savePrepared('local', 'pay-2', TOOL, requestHash, 'def456');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await idempotency.saveResult('local', 'pay-2', '0xsent', {});
+        order.push('first');
+    });
+    const retry = idempotency.runExclusive('local', 'pay-2', async () => {
+        order.push('retry');
+        return idempotency.getRecord('local', 'pay-2');
+    });
+
+    await first;
+    const record = await retry;
+    assert.deepEqual(order, ['first', 'retry']);
+    assert.equal(record.txHash, '0xsent');
+});
+
+test('a key that cannot be read is an error, not an unused key', async () => {
+    db.failing.add('getIdempotencyKey');
+    await assert.rejects(idempotency.getRecord('local', 'pay-3'), /getIdempotencyKey failed/);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const messages = require('../deeperWallet/messages.js');
+
+const MAIL = {
+    domain: { name: 'Ether Mail', version: '1', chainId: 11155111, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+    types: {
+        Person: [
+            { name: 'name', type: 'string' },
+            { name: 'wallet', type: 'address' },
+        ],
+        Mail: [
+            { name: 'from', type: 'Person' },
+            { name: 'to', type: 'Person' },
+            { name: 'contents', type: 'string' },
+        ],
+    },
+    primaryType: 'Mail',
+    message: {
+        from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+        to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+        contents: 'Hello, Bob!',
+    },
+};
+
+test('declared typed data is hashed as EIP-712', () => {
+    const parsed = messages.parseTypedData(MAIL);
+    assert.equal(parsed.primaryType, 'Mail');
+    assert.match(parsed.hash, /^0x[0-9a-f]{64}$/);
+    assert.equal(messages.getDomainChainId(parsed.domain), '11155111');
+});
+
+test('message fields the types do not declare are rejected', () => {
+    const typedData = { ...MAIL, message: { ...MAIL.message, amount: '1000000' } };
+    assert.throws(() => messages.parseTypedData(typedData), /message has fields that type Mail does not declare.*amount/);
+});
+
+test('undeclared fields of nested structs are rejected too', () => {
+    const typedData = { ...MAIL, message: { ...MAIL.message, to: { ...MAIL.message.to, spender: '0x0000000000000000000000000000000000000002' } } };
+    assert.throws(() => messages.parseTypedData(typedData), /message\.to has fields that type Person does not declare.*spender/);
+});
+
+test('unknown domain fields are rejected', () => {
+    const typedData = { ...MAIL, domain: { ...MAIL.domain, owner: '0x0000000000000000000000000000000000000001' } };
+    assert.throws(() => messages.parseTypedData(typedData), /Unknown domain fields: owner/);
+});
+
+const TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const OWNER = '0x0000000000000000000000000000000000000001';
+const SPENDER = '0x0000000000000000000000000000000000000002';
+
+function permit(fields, message) {
+    return messages.parseTypedData({
+        domain: { name: 'Token', version: '1', chainId: 11155111, verifyingContract: TOKEN },
+        types: { Permit: fields },
+        primaryType: 'Permit',
+        message,
+    });
+}
+
+test('an EIP-2612 permit is decoded with its token, spender and amount', () => {
+    const typedData = permit([
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ], { owner: OWNER, spender: SPENDER, value: '1000', nonce: 0, deadline: 1800000000 });
+
+    const decoded = messages.decodePermit(typedData);
+    assert.equal(decoded.standard, 'EIP-2612');
+    assert.equal(decoded.owner, OWNER);
+    assert.equal(decoded.spender, SPENDER);
+    assert.deepEqual(decoded.tokens, [{ token: TOKEN, amount: '1000', unlimited: false, expiration: null }]);
+    assert.equal(decoded.deadline, '2027-01-15T08:00:00.000Z');
+});
+
+test('a DAI permit allows everything', () => {
+    const typedData = permit([
+        { name: 'holder', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' },
+        { name: 'allowed', type: 'bool' },
+    ], { holder: OWNER, spender: SPENDER, nonce: 0, expiry: 0, allowed: true });
+
+    const decoded = messages.decodePermit(typedData);
+    assert.equal(decoded.owner, OWNER);
+    assert.equal(decoded.tokens[0].unlimited, true);
+});
+
+test('a Permit type with another layout is plain typed data', () => {
+    const typedData = permit([
+        { name: 'user', type: 'address' },
+        { name: 'action', type: 'string' },
+    ], { user: OWNER, action: 'vote' });
+
+    assert.equal(messages.decodePermit(typedData), null);
+    assert.ok(messages.describeTypedData(typedData).includes('action: vote'));
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeDb } = require('./helpers.js');
+
+installFakeDb();
+const { ServerModes, READ_ONLY_TOOLS, VALUE_MOVING_TOOLS, getServerMode, applyServerMode } = require('../serverModes.js');
+const { ErrorCodes } = require('../toolResults.js');
+const wallet = require('../deeperWallet');
+
+const callback = async args => ({ called: true, args });
+const config = { outputSchema: {} };
+
+test('the mode comes from --mode, then MCP_MODE, and must be known', () => {
+    const previous = process.env.MCP_MODE;
+    delete process.env.MCP_MODE;
+    try {
+        assert.equal(getServerMode(() => null), ServerModes.FULL);
+        assert.equal(getServerMode(name => (name === '--mode' ? 'ReadOnly' : null)), ServerModes.READ_ONLY);
+        process.env.MCP_MODE = 'testnet';
+        assert.equal(getServerMode(() => null), ServerModes.TESTNET_ONLY);
+        assert.throws(() => getServerMode(() => 'mainnet'), /Invalid server mode: mainnet/);
+    } finally {
+        if (previous === undefined) {
+            delete process.env.MCP_MODE;
+        } else {
+            process.env.MCP_MODE = previous;
+        }
+    }
+});
+
+test('read-only mode only registers the query tools', () => {
+    for (const name of READ_ONLY_TOOLS) {
+        assert.equal(applyServerMode(ServerModes.READ_ONLY, name, config, callback), callback);
+    }
+    for (const name of [...VALUE_MOVING_TOOLS, 'unlockWallet', 'setSpendingLimit', 'addContact']) {
+        assert.equal(applyServerMode(ServerModes.READ_ONLY, name, config, callback), null);
+    }
+});
+
+test('testnet mode refuses mainnet networks for tools that move value or sign', async () => {
+    for (const name of VALUE_MOVING_TOOLS) {
+        const guarded = applyServerMode(ServerModes.TESTNET_ONLY, name, config, callback);
+        const refused = await guarded({ network: 'ETHEREUM' });
+        assert.equal(refused.structuredContent.errorCode, ErrorCodes.NETWORK_NOT_ALLOWED, name);
+        assert.equal((await guarded({ network: 'ETHEREUM-SEPOLIA' })).called, true, name);
+    }
+});
+
+test('testnet mode leaves queries on mainnet alone', async () => {
+    for (const name of [...READ_ONLY_TOOLS, 'getSwapQuote']) {
+        const guarded = applyServerMode(ServerModes.TESTNET_ONLY, name, config, callback);
+        assert.equal((await guarded({ network: 'mainnet' })).called, true, name);
+    }
+});
+
+test('a read-only process never reaches the signer', async () => {
+    const calls = wallet.signer.getSigner().calls;
+    const before = calls.length;
+    wallet.disableSigning();
+
+    const signature = await wallet.signMessage('', 'ETHEREUM-SEPOLIA', '0x0000000000000000000000000000000000000001', {
+        signature_type: 'PERSONAL_SIGN',
+        message: '00',
+    });
+
+    assert.equal(signature, null);
+    assert.equal(calls.length, before);
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeDb } = require('./helpers.js');
+
+const db = installFakeDb();
+const eth = require('../deeperWallet/eth.js');
+const { getSigner } = require('../deeperWallet/signer.js');
+const { sendPreparedTransaction, spendingLimits } = require('../deeperWallet');
+
+const NETWORK = 'ETHEREUM-SEPOLIA';
+const FROM = '0x0000000000000000000000000000000000000001';
+const TO = '0x000000000000000000000000000000000000dEaD';
+
+let sent = 0;
+eth.sendEthRawTransaction = async () => `0x${String(++sent).padStart(64, '0')}`;
+
+// A native transfer as prepareTransfer builds it, without the RPC calls
+function prepare(amount) {
+    return {
+        chainType: 'ETHEREUM',
+        network: NETWORK,
+        fromAddress: FROM,
+        toAddress: TO,
+        contractAddress: '',
+        amount,
+        input: { nonce: '0', to: TO, value: amount, gas_price: '1', gas: '21000', data: '', network: NETWORK },
+        fee: { raw: '21000', note: 'maximum, gas limit x gas price' },
+        context: {},
+    };
+}
+
+function signedCount() {
+    return getSigner().calls.filter(call => call.method === 'sign_tx').length;
+}
+
+beforeEach(() => {
+    db.tables.spendingLimits.clear();
+    db.tables.spendingLog.length = 0;
+    db.failing.clear();
+});
+
+test('a transfer within the limits is signed and counts toward the window', async () => {
+    await spendingLimits.setSpendingLimit(NETWORK, '', { daily: '1000' });
+    const before = signedCount();
+
+    const result = await sendPreparedTransaction('', prepare('600'));
+
+    assert.ok(result.TransactionHash);
+    assert.equal(signedCount(), before + 1);
+    const status = await spendingLimits.getSpendingStatus(NETWORK, '');
+    assert.equal(status.spent.daily, '600');
+    assert.equal(status.headroom, '400');
+});
+
+test('a transfer over the headroom is refused before it is signed', async () => {
+    await spendingLimits.setSpendingLimit(NETWORK, '', { perTransaction: '800', daily: '1000' });
+    await sendPreparedTransaction('', prepare('600'));
+    const before = signedCount();
+
+    await assert.rejects(sendPreparedTransaction('', prepare('500')), err => {
+        assert.ok(err instanceof spendingLimits.SpendingLimitError);
+        assert.equal(err.code, spendingLimits.SPENDING_LIMIT_EXCEEDED);
+        assert.equal(err.details.window, 'daily');
+        assert.equal(err.details.spent, '600');
+        assert.equal(err.details.headroom, '400');
+        return true;
+    });
+    assert.equal(signedCount(), before);
+
+    // The exact headroom still fits
+    await sendPreparedTransaction('', prepare('400'));
+    assert.equal(signedCount(), before + 1);
+    assert.equal((await spendingLimits.getSpendingStatus(NETWORK, '')).headroom, '0');
+});
+
+test('the per-transaction limit applies to a single transfer', async () => {
+    await spendingLimits.setSpendingLimit(NETWORK, '', { perTransaction: '100' });
+
+    await assert.rejects(spendingLimits.checkSpend(NETWORK, '', '101'), err => err.details?.window === 'perTransaction');
+    assert.equal((await spendingLimits.checkSpend(NETWORK, '', '100')).network, NETWORK);
+});
+
+test('nothing is signed when the limits cannot be read', async () => {
+    await spendingLimits.setSpendingLimit(NETWORK, '', { daily: '1000' });
+    db.failing.add('getSpendingLimit');
+    const before = signedCount();
+
+    await assert.rejects(sendPreparedTransaction('', prepare('1')), spendingLimits.SpendingLimitsUnavailableError);
+    assert.equal(signedCount(), before);
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+
+// MCP tool annotations, hints for clients deciding what to run without asking
+const QUERY = { readOnlyHint: true, openWorldHint: true }; // reads chains, the wallet proxy or a subgraph
+const LOCAL_QUERY = { readOnlyHint: true, openWorldHint: false }; // reads the local wallet only
+const LOCAL_UPDATE = { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false };
+const LOCAL_DELETE = { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false };
+const MOVES_FUNDS = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true };
+// Nothing is broadcast, but a signed permit or order can be used by whoever receives it
+const SIGNS_MESSAGES = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false };
+
+// Tools by feature; the tools config file can name a group instead of listing its tools
+const TOOL_GROUPS = {
+    wallet: {
+        annotations: QUERY,
+        tools: [
+            'getBalance',
+            'getContractBalance',
+            'getContractMeta',
+            'accountList',
+            'getGasPrice',
+            'getTransactionHistory',
+            'getTokenTransactionHistory',
+            'getTransactionDetail',
+            'getPrice',
+            'getExchangeRate',
+        ],
+    },
+    transfers: {
+        annotations: MOVES_FUNDS,
+        tools: ['transferTokenFromMyWallet', 'transferContractTokenFromMyWallet'],
+    },
+    swaps: {
+        annotations: MOVES_FUNDS,
+        tools: ['swapTokens'],
+    },
+    // Exposed together with transfers or swaps, see getToolConfig
+    confirmations: {
+        annotations: MOVES_FUNDS,
+        tools: ['confirmTransaction', 'cancelTransaction', 'listPendingTransactions'],
+    },
+    // Exposed together with transfers, swaps or messages, signing needs an unlocked wallet
+    session: {
+        annotations: LOCAL_UPDATE,
+        tools: ['unlockWallet', 'lockWallet'],
+    },
+    messages: {
+        annotations: SIGNS_MESSAGES,
+        tools: ['signMessage', 'signTypedData'],
+    },
+    quotes: {
+        annotations: QUERY,
+        tools: ['getSwapQuote', 'getOptimalSwapRoute', 'compareSwapPrices', 'getUniswapPools', 'getUniswapPoolInfo', 'getUniswapTokenPrice'],
+    },
+    subgraph: {
+        annotations: QUERY,
+        tools: [
+            'getUniswapV2PoolInfo',
+            'getUniswapV3PoolInfo',
+            'getUniswapV4PoolInfo',
+            'getUniswapTokenInfo',
+            'getUniswapTopPools',
+            'searchUniswapPoolsBySymbol',
+        ],
+    },
+    tokens: {
+        annotations: QUERY,
+        tools: ['getTokenList', 'getDefaultTokenList', 'addToken', 'deleteToken'],
+    },
+    contacts: {
+        annotations: LOCAL_QUERY,
+        tools: ['listContacts', 'addContact', 'labelContact', 'removeContact'],
+    },
+    limits: {
+        annotations: LOCAL_QUERY,
+        tools: ['getSpendingLimits', 'setSpendingLimit', 'deleteSpendingLimit'],
+    },
+    audit: {
+        annotations: LOCAL_QUERY,
+        tools: ['getAuditLog', 'exportAuditLog'],
+    },
+};
+
+// Tools whose annotations differ from their group
+const TOOL_ANNOTATIONS = {
+    cancelTransaction: LOCAL_DELETE,
+    listPendingTransactions: LOCAL_QUERY,
+    addToken: LOCAL_UPDATE,
+    deleteToken: LOCAL_DELETE,
+    addContact: LOCAL_UPDATE,
+    labelContact: LOCAL_UPDATE,
+    removeContact: LOCAL_DELETE,
+    setSpendingLimit: LOCAL_UPDATE,
+    deleteSpendingLimit: LOCAL_DELETE,
+};
+
+const ALL_TOOLS = [...new Set(Object.values(TOOL_GROUPS).flatMap(group => group.tools))];
+
+function getToolAnnotations(name) {
+    if (TOOL_ANNOTATIONS[name]) {
+        return TOOL_ANNOTATIONS[name];
+    }
+    const group = Object.values(TOOL_GROUPS).find(item => item.tools.includes(name));
+    return group ? group.annotations : {};
+}
+
+// Expand group names, unknown names are refused so that a typo does not silently expose or hide a tool
+function expandToolNames(names, key) {
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+        throw new Error(`Invalid tools config: "${key}" must be an array of tool or group names`);
+    }
+    return names.flatMap(name => {
+        if (TOOL_GROUPS[name]) {
+            return TOOL_GROUPS[name].tools;
+        }
+        if (!ALL_TOOLS.includes(name)) {
+            throw new Error(`Invalid tools config: unknown tool or group "${name}" in "${key}"`);
+        }
+        return [name];
+    });
+}
+
+/**
+ * Read the operator tools config from --tools-config or MCP_TOOLS_CONFIG, a JSON file such as
+ * { "enabled": ["subgraph", "getBalance"] } or { "disabled": ["swaps"] }. The confirmation tools are exposed
+ * whenever transfers or swaps are, the session tools whenever any of these or the message tools are, unless they are
+ * disabled by name.
+ * @param {Function} getArgValue - Command line reader
+ * @returns {{path: string|null, tools: Set<string>|null}} Exposed tools, null when there is no config and every tool is exposed
+ */
+function getToolConfig(getArgValue) {
+    const path = getArgValue('--tools-config') || process.env.MCP_TOOLS_CONFIG || null;
+    if (!path) {
+        return { path: null, tools: null };
+    }
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new Error(`Failed to read tools config ${path}: ${err.message}`);
+    }
+
+    const tools = new Set(config.enabled === undefined ? ALL_TOOLS : expandToolNames(config.enabled, 'enabled'));
+    const disabled = new Set(config.disabled === undefined ? [] : expandToolNames(config.disabled, 'disabled'));
+    for (const name of disabled) {
+        tools.delete(name);
+    }
+    const prepares = [...TOOL_GROUPS.transfers.tools, ...TOOL_GROUPS.swaps.tools].some(name => tools.has(name));
+    const signs = prepares || TOOL_GROUPS.messages.tools.some(name => tools.has(name));
+    const dependents = [[TOOL_GROUPS.confirmations.tools, prepares], [TOOL_GROUPS.session.tools, signs]];
+    for (const [names, needed] of dependents) {
+        for (const name of names) {
+            if (needed && !disabled.has(name)) {
+                tools.add(name);
+            } else {
+                tools.delete(name);
+            }
+        }
+    }
+    return { path, tools };
+}
+
+function isToolEnabled(toolConfig, name) {
+    return !toolConfig?.tools || toolConfig.tools.has(name);
+}
+
+module.exports = {
+    TOOL_GROUPS,
+    getToolAnnotations,
+    getToolConfig,
+    isToolEnabled,
+};
@@ -0,0 +1,137 @@
+const { z } = require('zod');
+const { formatUnits, parseUnits } = require('./deeperWallet/utils.js');
+
+// Machine readable error codes returned in structuredContent.errorCode
+const ErrorCodes = {
+    INVALID_PARAMETERS: 'INVALID_PARAMETERS',
+    QUERY_FAILED: 'QUERY_FAILED',
+    ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
+    TRANSFER_FAILED: 'TRANSFER_FAILED',
+    SWAP_FAILED: 'SWAP_FAILED',
+    CONFIRMATION_NOT_FOUND: 'CONFIRMATION_NOT_FOUND',
+    APPROVAL_DENIED: 'APPROVAL_DENIED',
+    NETWORK_NOT_ALLOWED: 'NETWORK_NOT_ALLOWED',
+    UPDATE_FAILED: 'UPDATE_FAILED',
+    SPENDING_LIMIT_EXCEEDED: 'SPENDING_LIMIT_EXCEEDED',
+    SPENDING_LIMITS_UNAVAILABLE: 'SPENDING_LIMITS_UNAVAILABLE',
+    RECIPIENT_NOT_ALLOWED: 'RECIPIENT_NOT_ALLOWED',
+    OPERATION_CANCELLED: 'OPERATION_CANCELLED',
+    IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+    WALLET_LOCKED: 'WALLET_LOCKED',
+    UNLOCK_FAILED: 'UNLOCK_FAILED',
+    SIGNING_FAILED: 'SIGNING_FAILED',
+    CHAIN_ID_MISMATCH: 'CHAIN_ID_MISMATCH',
+    AUDIT_FAILED: 'AUDIT_FAILED',
+};
+
+const amountSchema = z.object({
+    raw: z.string().describe('Amount in the smallest unit (wei, lamports, sun, ...)'),
+    decimals: z.number().nullable().describe('Token decimals, null if they could not be resolved'),
+    formatted: z.string().nullable().describe('Amount in human units, null if decimals are unknown'),
+});
+
+const AmountUnits = {
+    SMALLEST: 'smallest',
+    HUMAN: 'human',
+};
+
+const amountUnitSchema = z.enum([AmountUnits.SMALLEST, AmountUnits.HUMAN])
+    .describe('Unit of the amount arguments: "smallest" for the smallest unit (wei, lamports, sun, ...), ' +
+        '"human" for decimal amounts like "1.5" that are converted with the token decimals')
+    .optional()
+    .default(AmountUnits.SMALLEST);
+
+const feeSchema = z.object({
+    raw: z.string().nullable().describe('Network fee in the smallest unit of the native coin, null if only known after signing'),
+    decimals: z.number().nullable(),
+    formatted: z.string().nullable(),
+    note: z.string().describe('How the fee is determined'),
+});
+
+// Fields shared by every tool result; tools spread this into their own outputSchema
+const baseOutputSchema = {
+    success: z.boolean(),
+    network: z.string().optional(),
+    errorCode: z.string().optional().describe(`One of ${Object.values(ErrorCodes).join(', ')}`),
+    error: z.string().optional(),
+};
+
+function toAmount(raw, decimals) {
+    const hasDecimals = typeof decimals === 'number';
+    // A raw amount that went through a float (e.g. 1e+21) is not exact, it is not formatted as if it were
+    const exact = /^-?\d+$/.test(String(raw));
+    return {
+        raw: String(raw),
+        decimals: hasDecimals ? decimals : null,
+        formatted: hasDecimals && exact ? formatUnits(raw, decimals) : null,
+    };
+}
+
+// Convert an amount argument to the smallest unit, returns { raw } or { error }
+function toRawAmount(amount, unit, decimals) {
+    if (unit === AmountUnits.HUMAN) {
+        if (typeof decimals !== 'number') {
+            return { error: `Cannot convert ${amount}, the token decimals are unknown. Pass the amount in the smallest unit` };
+        }
+        try {
+            return { raw: parseUnits(amount, decimals) };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+    if (!/^\d+$/.test(amount)) {
+        return { error: `Amount ${amount} is not an integer in the smallest unit, pass unit "human" for decimal amounts` };
+    }
+    return { raw: amount };
+}
+
+function toFee(fee, decimals) {
+    if (fee.raw === null || fee.raw === undefined) {
+        return { raw: null, decimals, formatted: null, note: fee.note };
+    }
+    return { ...toAmount(fee.raw, decimals), note: fee.note };
+}
+
+function errorMessage(err) {
+    return err && err.message ? err.message : String(err);
+}
+
+function successResult(text, data) {
+    return {
+        content: [
+            {
+                type: 'text',
+                text,
+            }
+        ],
+        structuredContent: { success: true, ...data },
+    };
+}
+
+function errorResult(text, errorCode, data = {}) {
+    return {
+        content: [
+            {
+                type: 'text',
+                text,
+            }
+        ],
+        structuredContent: { success: false, errorCode, error: text, ...data },
+        isError: true,
+    };
+}
+
+module.exports = {
+    ErrorCodes,
+    AmountUnits,
+    amountSchema,
+    amountUnitSchema,
+    feeSchema,
+    baseOutputSchema,
+    toAmount,
+    toRawAmount,
+    toFee,
+    errorMessage,
+    successResult,
+    errorResult,
+};
@@ -0,0 +1,188 @@
+const { z } = require('zod');
+const to = require('await-to-js').default;
+const { completable } = require('@modelcontextprotocol/sdk/server/completable.js');
+const { deriveAccountList, addressBook } = require('./deeperWallet');
+
+// Common stablecoins, the contract is looked up per network in the token lists
+const STABLECOINS = ['USDC', 'USDT', 'DAI'];
+const DEFAULT_SLIPPAGE = '0.5';
+const DEFAULT_MAX_PRICE_IMPACT = '1';
+
+// Same wording in every workflow, so clients behave the same way before anything is signed
+const CONFIRMATION_RULES =
+    'Never call confirmTransaction without an explicit "yes" from me for that exact preview. ' +
+    'If a tool returns SPENDING_LIMIT_EXCEEDED, RECIPIENT_NOT_ALLOWED or APPROVAL_DENIED, stop and tell me instead of working around it.';
+
+function startsWith(values, prefix) {
+    const start = (prefix || '').toLowerCase();
+    return values.filter(value => value.toLowerCase().startsWith(start));
+}
+
+async function completeContact(value) {
+    const [err, contacts] = await to(addressBook.listContacts());
+    return err ? [] : startsWith([...new Set(contacts.map(contact => contact.label))], value);
+}
+
+async function completeAccount(value) {
+    const [err, accounts] = await to(deriveAccountList());
+    return err || !accounts ? [] : startsWith(accounts.map(account => account.address), value);
+}
+
+function userMessage(lines) {
+    return {
+        messages: [{
+            role: 'user',
+            content: { type: 'text', text: lines.filter(line => line !== null).join('\n') },
+        }],
+    };
+}
+
+function sendStablecoin({ contact, amount, token = 'USDC', network }) {
+    return userMessage([
+        `Send ${amount} ${token} to my contact "${contact}" on ${network}. Follow these steps in order:`,
+        `1. Call listContacts with network ${network} and find "${contact}" by label or address. If there is no such contact, stop and ask me.`,
+        `2. Find the ${token} contract on ${network} with getTokenList or getDefaultTokenList for my sending account (accountList), ` +
+            'then call getContractMeta on it and check that symbol and decimals match. If they do not, stop and ask me for the contract.',
+        `3. Call getContractBalance for my sending account and that contract and check it covers ${amount} ${token}.`,
+        `4. Call getSpendingLimits with network ${network} and tell me the remaining headroom for ${token}, if a limit is set.`,
+        `5. Call transferContractTokenFromMyWallet with toAddress "${contact}", the contract, amount "${amount}", unit "human" ` +
+            `and network ${network}.`,
+        '6. Show me the preview: recipient with its label, amount and network fee. Wait for my answer, then call confirmTransaction ' +
+            'with the confirmationId, or cancelTransaction if I decline.',
+        CONFIRMATION_RULES,
+    ]);
+}
+
+function rebalancePortfolio({ network, address, targetAllocation, slippage = DEFAULT_SLIPPAGE }) {
+    return userMessage([
+        `Rebalance my portfolio on ${network} towards this target allocation: ${targetAllocation}. Follow these steps in order:`,
+        address
+            ? `1. Use my account ${address}.`
+            : `1. Call accountList and use my first account for ${network}.`,
+        '2. Call getTokenList for that account and network to get the balances and prices. ' +
+            'Compute the current value and allocation of every token in the target and show them in a table.',
+        '3. Work out the swaps that bring the allocation closest to the target with the fewest trades, ignoring trades worth less than 1% of the total.',
+        `4. Call getSwapQuote for every trade with slippage ${slippage} and show me the plan: trade, expected output, minimum output, price impact. ` +
+            'Drop trades whose quote has warnings or a price impact above 1% and tell me why.',
+        '5. Ask me to approve the plan. Do not prepare any swap before I do.',
+        '6. Execute the approved trades one at a time: swapTokens with amountIn in human units, unit "human" and amoutoutMin set to the ' +
+            'quoted minimum output, show me the preview, and call confirmTransaction only after my "yes". Check the result before the next trade.',
+        '7. Call getTokenList again at the end and show the new allocation next to the target.',
+        CONFIRMATION_RULES,
+    ]);
+}
+
+function safeSwap({ fromToken, toToken, amount, network, slippage = DEFAULT_SLIPPAGE, maxPriceImpact = DEFAULT_MAX_PRICE_IMPACT }) {
+    return userMessage([
+        `Swap ${amount} ${fromToken} to ${toToken} on ${network} with at most ${slippage}% slippage. Follow these steps in order:`,
+        '1. For every token given as a contract address, call getContractMeta and show me its symbol and decimals. ' +
+            'If a token cannot be resolved, stop and ask me.',
+        `2. Call getSwapQuote with tokenIn "${fromToken}", tokenOut "${toToken}", amountIn "${amount}", unit "human" and slippage ${slippage}.`,
+        `3. If the price impact is above ${maxPriceImpact}% or the quote has warnings, stop and explain them to me.`,
+        '4. Call compareSwapPrices for the same pair and amount and tell me if another pool is clearly better.',
+        `5. Call accountList and call swapTokens from my account on ${network} with amountIn "${amount}", unit "human" ` +
+            'and amoutoutMin set to the minimum output of the quote, pinning the quoted version in options.',
+        '6. Show me the preview: route, minimum received, expected output and network fee. Wait for my answer, then call confirmTransaction ' +
+            'with the confirmationId, or cancelTransaction if I decline.',
+        CONFIRMATION_RULES,
+    ]);
+}
+
+function reviewPendingApprovals({ network }) {
+    return userMessage([
+        `Review the transactions waiting for my approval${network ? ` on ${network}` : ''}. Follow these steps in order:`,
+        `1. Call listPendingTransactions${network ? ` and keep the ones on ${network}` : ''}. If there are none, tell me and stop.`,
+        '2. For every pending transaction, oldest first, call listContacts for its network and getSpendingLimits for its network and token.',
+        '3. Show each one: action, network, sender, recipient with its contact label (or say it is not in my address book), amount, ' +
+            'route for swaps, network fee, spending limit headroom and expiry time.',
+        '4. Point out anything unusual: unknown recipients, amounts above the remaining headroom, high price impact or transactions about to expire.',
+        '5. Ask me for each one whether to confirm or cancel, then call confirmTransaction or cancelTransaction with its confirmationId. ' +
+            'Expired ones have to be prepared again.',
+        CONFIRMATION_RULES,
+    ]);
+}
+
+/**
+ * Register prompts for the workflows users repeat every day. Each prompt expands into step-by-step instructions that use the
+ * existing tools in a fixed order, so different clients behave the same way. A prompt is left out when one of the tools it
+ * relies on is not exposed, e.g. in read-only mode.
+ * @param {Object} server - McpServer of one client
+ * @param {Object} options - { tools }, names of the registered tools
+ */
+function attachPrompts(server, options) {
+    const registerPrompt = (name, requiredTools, config, callback) => {
+        if (requiredTools.every(tool => options.tools.has(tool))) {
+            server.registerPrompt(name, config, callback);
+        }
+    };
+
+    registerPrompt(
+        'sendStablecoin',
+        ['listContacts', 'getContractMeta', 'getContractBalance', 'transferContractTokenFromMyWallet', 'confirmTransaction'],
+        {
+            title: 'Send a stablecoin to a contact',
+            description: 'Check the contact, token contract, balance and spending limit, then prepare and confirm the transfer',
+            argsSchema: {
+                contact: completable(z.string().describe('Address book label or address of the recipient'), completeContact),
+                amount: z.string().describe('Amount in human units, e.g. "25.5"'),
+                token: completable(
+                    z.string().describe(`Stablecoin symbol, default USDC (${STABLECOINS.join(', ')})`).optional(),
+                    value => startsWith(STABLECOINS, value)
+                ),
+                network: z.string().describe('Network, e.g. ETHEREUM or ETHEREUM-SEPOLIA'),
+            },
+        },
+        sendStablecoin
+    );
+
+    registerPrompt(
+        'rebalancePortfolio',
+        ['accountList', 'getTokenList', 'getSwapQuote', 'swapTokens', 'confirmTransaction'],
+        {
+            title: 'Rebalance a portfolio',
+            description: 'Compare token balances with a target allocation, quote the swaps, and execute the approved ones one by one',
+            argsSchema: {
+                network: z.string().describe('Network, e.g. ETHEREUM'),
+                address: completable(z.string().describe('Wallet account to rebalance, default the first one').optional(), completeAccount),
+                targetAllocation: z.string().describe('Target allocation, e.g. "ETH 50%, USDC 30%, WBTC 20%"'),
+                slippage: z.string().describe(`Slippage tolerance in percent, default ${DEFAULT_SLIPPAGE}`).optional(),
+            },
+        },
+        rebalancePortfolio
+    );
+
+    registerPrompt(
+        'safeSwap',
+        ['getSwapQuote', 'compareSwapPrices', 'swapTokens', 'confirmTransaction'],
+        {
+            title: 'Swap with a safe slippage',
+            description: 'Resolve the tokens, quote and compare pools, refuse high price impact, then prepare and confirm the swap',
+            argsSchema: {
+                fromToken: z.string().describe('Symbol or address of the token to sell, e.g. "eth"'),
+                toToken: z.string().describe('Symbol or address of the token to buy, e.g. "usdc"'),
+                amount: z.string().describe('Amount to sell in human units'),
+                network: z.string().describe('Network, e.g. ETHEREUM'),
+                slippage: z.string().describe(`Slippage tolerance in percent, default ${DEFAULT_SLIPPAGE}`).optional(),
+                maxPriceImpact: z.string().describe(`Highest acceptable price impact in percent, default ${DEFAULT_MAX_PRICE_IMPACT}`).optional(),
+            },
+        },
+        safeSwap
+    );
+
+    registerPrompt(
+        'reviewPendingApprovals',
+        ['listPendingTransactions', 'confirmTransaction', 'cancelTransaction'],
+        {
+            title: 'Review pending approvals',
+            description: 'Go through the prepared transfers and swaps waiting for approval and confirm or cancel each one',
+            argsSchema: {
+                network: z.string().describe('Only review transactions on this network').optional(),
+            },
+        },
+        reviewPendingApprovals
+    );
+}
+
+module.exports = {
+    attachPrompts,
+};
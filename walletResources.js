@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const {
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+    McpError,
+    ErrorCode,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { deriveAccountList, getTokenList, getTransactionHistory } = require('./deeperWallet');
+const { isTestnet } = require('./deeperWallet/utils.js');
+const { ServerModes } = require('./serverModes.js');
+const { runForServer } = require('./mcpLogging.js');
+
+// Subscribed resources are re-read this often and clients are notified when the content changed
+const POLL_INTERVAL = 30 * 1000;
+const JSON_MIME_TYPE = 'application/json';
+
+// Connected servers (one per client) and, for each, its mode and the subscribed URIs with the hash of their last content
+const clients = new Map();
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Network names are upper-case in the wallet, URI hosts come in lower-case
+function toNetwork(value) {
+    return decodeURIComponent(value).toUpperCase();
+}
+
+function checkNetwork(mode, network) {
+    if (mode === ServerModes.TESTNET_ONLY && !isTestnet(network)) {
+        throw new McpError(ErrorCode.InvalidParams, `Network ${network} is not allowed, the server runs in testnet-only mode`);
+    }
+}
+
+function toJson(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+async function readAccounts() {
+    const accounts = await deriveAccountList();
+    if (!accounts) {
+        throw new McpError(ErrorCode.InternalError, 'Failed to derive account list');
+    }
+    return { accounts };
+}
+
+async function readTokens(network, address) {
+    const tokens = await getTokenList(network, address);
+    if (!tokens) {
+        throw new McpError(ErrorCode.InternalError, `Failed to get token list for ${address} on ${network}`);
+    }
+    return { network, address, tokens };
+}
+
+async function readHistory(network, address) {
+    const history = await getTransactionHistory(network, address);
+    if (!history) {
+        throw new McpError(ErrorCode.InternalError, `Failed to get transaction history for ${address} on ${network}`);
+    }
+    return { network, address, history };
+}
+
+// Content of a wallet:// URI, used by resources/read and to detect changes of subscribed resources
+async function readWalletUri(mode, uri) {
+    const url = new URL(uri);
+    if (url.host === 'accounts' && (url.pathname === '' || url.pathname === '/')) {
+        return readAccounts();
+    }
+    const [, address, kind] = url.pathname.split('/');
+    const network = toNetwork(url.host);
+    checkNetwork(mode, network);
+    if (address && kind === 'tokens') {
+        return readTokens(network, decodeURIComponent(address));
+    }
+    if (address && kind === 'history') {
+        return readHistory(network, decodeURIComponent(address));
+    }
+    throw new McpError(ErrorCode.InvalidParams, `Unknown wallet resource ${uri}`);
+}
+
+function toContents(uri, data) {
+    return { contents: [{ uri: uri.toString(), mimeType: JSON_MIME_TYPE, text: toJson(data) }] };
+}
+
+// Re-read the subscribed resources of one client and notify it of the ones that changed
+async function checkSubscriptions(server) {
+    const client = clients.get(server);
+    if (!client || client.polling) {
+        return;
+    }
+    client.polling = true;
+    const { mode, subscribed } = client;
+    for (const [uri, lastHash] of [...subscribed]) {
+        let hash;
+        try {
+            // Diagnostics of the poll go to the subscribed client only
+            hash = sha256(toJson(await runForServer(server, () => readWalletUri(mode, uri))));
+        } catch (err) {
+            // Keep the last known content, the next poll retries
+            continue;
+        }
+        // The client may have unsubscribed while the resource was read
+        if (!subscribed.has(uri) || hash === lastHash) {
+            continue;
+        }
+        subscribed.set(uri, hash);
+        if (server.isConnected()) {
+            server.server.sendResourceUpdated({ uri }).catch(() => {
+                // The client went away, the poll stops with the connection
+            });
+        }
+    }
+    client.polling = false;
+}
+
+/**
+ * Register the wallet:// resources (accounts, token lists and transaction history) and resource subscriptions.
+ * Subscribed resources are polled, balances change without the wallet knowing.
+ * Must be called before the server is connected.
+ * @param {Object} server - McpServer of one client
+ * @param {Object} [options] - { mode }, testnet-only mode refuses mainnet resources
+ */
+function attachResources(server, options = {}) {
+    const { mode = ServerModes.FULL } = options;
+
+    server.registerResource(
+        'accounts',
+        'wallet://accounts',
+        {
+            title: 'Wallet accounts',
+            description: 'Chain type and address of every account in the wallet',
+            mimeType: JSON_MIME_TYPE,
+        },
+        async uri => toContents(uri, await runForServer(server, readAccounts))
+    );
+
+    const completeAddress = async () => {
+        const accounts = await deriveAccountList();
+        return (accounts || []).map(account => account.address);
+    };
+
+    server.registerResource(
+        'tokens',
+        new ResourceTemplate('wallet://{network}/{address}/tokens', { list: undefined, complete: { address: completeAddress } }),
+        {
+            title: 'Token list',
+            description: 'Tokens tracked for an address in the local wallet database, with prices and balances',
+            mimeType: JSON_MIME_TYPE,
+        },
+        async uri => toContents(uri, await runForServer(server, () => readWalletUri(mode, uri.toString())))
+    );
+
+    server.registerResource(
+        'history',
+        new ResourceTemplate('wallet://{network}/{address}/history', { list: undefined, complete: { address: completeAddress } }),
+        {
+            title: 'Transaction history',
+            description: 'Transaction history of an address as returned by the wallet proxy',
+            mimeType: JSON_MIME_TYPE,
+        },
+        async uri => toContents(uri, await runForServer(server, () => readWalletUri(mode, uri.toString())))
+    );
+
+    const subscribed = new Map();
+    clients.set(server, { mode, subscribed, polling: false });
+    server.server.registerCapabilities({ resources: { subscribe: true } });
+
+    server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+        const { uri } = request.params;
+        // Fails on unknown or refused URIs
+        const data = await runForServer(server, () => readWalletUri(mode, uri));
+        subscribed.set(uri, sha256(toJson(data)));
+        return {};
+    });
+    server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+        subscribed.delete(request.params.uri);
+        return {};
+    });
+
+    const timer = setInterval(() => {
+        if (subscribed.size > 0) {
+            checkSubscriptions(server);
+        }
+    }, POLL_INTERVAL);
+    timer.unref();
+
+    const onclose = server.server.onclose;
+    server.server.onclose = () => {
+        clearInterval(timer);
+        clients.delete(server);
+        onclose?.();
+    };
+}
+
+/**
+ * Check the subscribed resources of every client now, e.g. after a transaction was sent or the token list changed,
+ * rather than waiting for the next poll
+ * @returns {Promise<void>}
+ */
+async function refreshResources() {
+    await Promise.all([...clients.keys()].map(checkSubscriptions));
+}
+
+module.exports = {
+    POLL_INTERVAL,
+    attachResources,
+    refreshResources,
+};